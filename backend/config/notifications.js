@@ -0,0 +1,31 @@
+/**
+ * Notification Configuration
+ * How patron notifications are delivered. Email goes through a pluggable
+ * transport: `smtp` sends through a mail server, `outbox` writes each message
+ * to a file for local testing, and `none` disables email delivery.
+ */
+
+const path = require('path');
+
+const notificationConfig = {
+  // Days before the due date that a due-soon reminder is sent
+  dueSoonDays: parseInt(process.env.NOTIFY_DUE_SOON_DAYS) || 1,
+
+  email: {
+    // Off unless configured; .env.example turns on the outbox for local development
+    transport: process.env.EMAIL_TRANSPORT || 'none',
+    from: process.env.EMAIL_FROM || 'Library <no-reply@library.local>',
+
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || null,
+      pass: process.env.SMTP_PASS || null
+    },
+
+    outboxDir: process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox')
+  }
+};
+
+module.exports = notificationConfig;
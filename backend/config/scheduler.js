@@ -0,0 +1,47 @@
+/**
+ * Scheduler Configuration
+ * Cron-like schedules for the in-process maintenance jobs. Each schedule can
+ * be overridden through the environment; set SCHEDULER_ENABLED=false to run
+ * jobs only when they are triggered manually.
+ */
+
+const os = require('os');
+
+const schedulerConfig = {
+  enabled: process.env.SCHEDULER_ENABLED !== 'false' && process.env.NODE_ENV !== 'test',
+
+  // How often due jobs are checked
+  tickIntervalSeconds: parseInt(process.env.SCHEDULER_TICK_SECONDS) || 30,
+
+  // A lock older than this is considered abandoned (e.g. the instance crashed mid-run)
+  lockTimeoutMinutes: parseInt(process.env.SCHEDULER_LOCK_TIMEOUT_MINUTES) || 30,
+
+  // Run history is removed automatically after this many days
+  historyRetentionDays: parseInt(process.env.JOB_HISTORY_RETENTION_DAYS) || 30,
+
+  // Identifies this process in locks and run history
+  instanceId: process.env.SCHEDULER_INSTANCE_ID || `${os.hostname()}:${process.pid}`,
+
+  jobs: {
+    'overdue-sweep': {
+      schedule: process.env.JOB_OVERDUE_SWEEP_CRON || '*/15 * * * *'
+    },
+    'hold-pickup-expiry': {
+      schedule: process.env.JOB_HOLD_EXPIRY_CRON || '5 * * * *'
+    },
+    'patron-notifications': {
+      schedule: process.env.JOB_PATRON_NOTIFICATIONS_CRON || '*/30 * * * *'
+    },
+    'audit-retention': {
+      schedule: process.env.JOB_AUDIT_RETENTION_CRON || '0 3 * * *',
+      options: {
+        daysToKeep: parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 90
+      }
+    },
+    'orphaned-image-cleanup': {
+      schedule: process.env.JOB_ORPHANED_IMAGE_CLEANUP_CRON || '30 3 * * 0'
+    }
+  }
+};
+
+module.exports = schedulerConfig;
@@ -121,7 +121,8 @@ const swaggerDefinition = {
           },
           page: {
             type: 'integer',
-            description: 'Current page number',
+            nullable: true,
+            description: 'Current page number (null when paging by cursor)',
             example: 1
           },
           limit: {
@@ -133,6 +134,24 @@ const swaggerDefinition = {
             type: 'integer',
             description: 'Total number of pages',
             example: 15
+          },
+          hasNextPage: {
+            type: 'boolean',
+            example: true
+          },
+          hasPrevPage: {
+            type: 'boolean',
+            example: false
+          },
+          nextCursor: {
+            type: 'string',
+            nullable: true,
+            description: 'Pass as `after` for the following page; null on the last page'
+          },
+          prevCursor: {
+            type: 'string',
+            nullable: true,
+            description: 'Pass as `before` for the preceding page; null on the first page'
           }
         }
       },
@@ -166,6 +185,22 @@ const swaggerDefinition = {
             description: 'User role in the system',
             example: 'borrower'
           },
+          patronType: {
+            type: 'string',
+            description: 'Patron classification used to match loan policies',
+            example: 'standard'
+          },
+          cardNumber: {
+            type: 'string',
+            description: 'Library card number, issued automatically on registration',
+            example: 'P123456700042'
+          },
+          homeBranchId: {
+            type: 'string',
+            format: 'objectId',
+            nullable: true,
+            description: 'Branch the patron normally borrows from; self-service loans take a copy there first'
+          },
           profilePicture: {
             type: 'string',
             format: 'uri',
@@ -206,12 +241,41 @@ const swaggerDefinition = {
             description: 'Book author',
             example: 'F. Scott Fitzgerald'
           },
+          contributors: {
+            type: 'array',
+            description: 'Everyone credited on the book, linked to their author records',
+            items: {
+              type: 'object',
+              properties: {
+                authorId: { type: 'string', format: 'objectId' },
+                name: { type: 'string', description: 'Name as credited on the book' },
+                role: { type: 'string', enum: ['author', 'editor', 'translator', 'illustrator', 'contributor'] }
+              }
+            }
+          },
           isbn: {
             type: 'string',
-            pattern: '^[0-9X-]{10,17}$',
-            description: 'International Standard Book Number',
+            pattern: '^97[89][0-9]{10}$',
+            description: 'ISBN-13 without hyphens (ISBN-10s are converted)',
+            example: '9780743273565'
+          },
+          isbnDisplay: {
+            type: 'string',
+            nullable: true,
+            description: 'The ISBN as it was entered',
             example: '978-0-7432-7356-5'
           },
+          workId: {
+            type: 'string',
+            format: 'objectId',
+            nullable: true,
+            description: 'Work this book is an edition of'
+          },
+          format: {
+            type: 'string',
+            nullable: true,
+            enum: ['hardcover', 'paperback', 'ebook', 'audiobook', 'large_print', 'other']
+          },
           category: {
             type: 'string',
             description: 'Book category',
@@ -223,18 +287,63 @@ const swaggerDefinition = {
             description: 'Book description',
             example: 'A classic American novel set in the Jazz Age'
           },
+          edition: {
+            type: 'string',
+            nullable: true,
+            example: 'First Scribner trade paperback edition'
+          },
+          publisher: {
+            type: 'string',
+            nullable: true,
+            example: 'Scribner'
+          },
+          publicationYear: {
+            type: 'integer',
+            nullable: true,
+            example: 2004
+          },
+          physicalDescription: {
+            type: 'string',
+            nullable: true,
+            description: 'Extent and dimensions as catalogued (MARC 300)',
+            example: '180 pages ; 21 cm'
+          },
+          pageCount: {
+            type: 'integer',
+            nullable: true,
+            example: 180
+          },
+          language: {
+            type: 'string',
+            nullable: true,
+            description: 'ISO 639 language code (MARC 041/008)',
+            example: 'eng'
+          },
+          subjects: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Subject headings (MARC 650)',
+            example: ['Rich people -- Fiction', 'Long Island (N.Y.) -- Fiction']
+          },
           quantity: {
             type: 'integer',
             minimum: 1,
-            description: 'Total number of copies',
+            description: 'Total number of copies in circulation (derived from copy records when present)',
             example: 5
           },
           available: {
             type: 'integer',
             minimum: 0,
-            description: 'Number of available copies',
+            description: 'Number of available copies (derived from copy records when present)',
             example: 3
           },
+          replacementCost: {
+            type: 'number',
+            minimum: 0,
+            nullable: true,
+            description: 'Charged when a copy is lost or damaged (library default when not set)',
+            example: 24.99
+          },
           coverImage: {
             type: 'string',
             format: 'uri',
@@ -304,17 +413,70 @@ const swaggerDefinition = {
             description: 'Actual return date (null if not returned)',
             example: '2023-02-10T14:20:00.000Z'
           },
+          itemId: {
+            type: 'string',
+            format: 'objectId',
+            description: 'Physical copy lent out (null for books without copy records)',
+            example: '507f1f77bcf86cd799439013'
+          },
           status: {
             type: 'string',
-            enum: ['borrowed', 'returned', 'overdue'],
+            enum: ['active', 'returned', 'overdue', 'lost', 'damaged', 'claimed_returned'],
             description: 'Current borrow status',
-            example: 'borrowed'
+            example: 'active'
           },
           renewalCount: {
             type: 'integer',
             minimum: 0,
             description: 'Number of times renewed',
             example: 1
+          },
+          renewals: {
+            type: 'array',
+            description: 'Renewal and librarian extension history',
+            items: {
+              type: 'object',
+              properties: {
+                type: { type: 'string', enum: ['renewal', 'extension'] },
+                renewedAt: { type: 'string', format: 'date-time' },
+                previousDueDate: { type: 'string', format: 'date-time' },
+                newDueDate: { type: 'string', format: 'date-time' },
+                renewedBy: { type: 'string', format: 'objectId' }
+              }
+            }
+          },
+          claimedReturnedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'When the patron said the item was returned (fines stop accruing from then)'
+          },
+          branchId: {
+            type: 'string',
+            format: 'objectId',
+            nullable: true,
+            description: 'Branch the copy was checked out at'
+          },
+          returnBranchId: {
+            type: 'string',
+            format: 'objectId',
+            nullable: true,
+            description: 'Branch the copy was returned to (may differ from the checkout branch)'
+          },
+          statusChanges: {
+            type: 'array',
+            description: 'Lost, damaged and claimed-returned history recorded by librarians',
+            items: {
+              type: 'object',
+              properties: {
+                from: { type: 'string' },
+                to: { type: 'string' },
+                changedAt: { type: 'string', format: 'date-time' },
+                changedBy: { type: 'string', format: 'objectId' },
+                charge: { type: 'number', description: 'Replacement or damage charge added to the fine' },
+                note: { type: 'string' }
+              }
+            }
           }
         },
         required: ['id', 'userId', 'bookId', 'borrowDate', 'dueDate', 'status']
@@ -585,11 +747,25 @@ const swaggerDefinition = {
           bookId: {
             type: 'string',
             format: 'objectId',
-            description: 'ID of the book to borrow',
+            description: 'ID of the book to borrow (give this or workId)',
             example: '507f1f77bcf86cd799439012'
+          },
+          workId: {
+            type: 'string',
+            format: 'objectId',
+            description: 'Borrow any available edition of this work instead of a specific book'
+          },
+          format: {
+            type: 'string',
+            enum: ['hardcover', 'paperback', 'ebook', 'audiobook', 'large_print', 'other'],
+            description: 'With workId, only consider editions in this format'
+          },
+          branchId: {
+            type: 'string',
+            format: 'objectId',
+            description: 'Borrow a copy shelved at this branch (defaults to any branch, home branch first)'
           }
-        },
-        required: ['bookId']
+        }
       },
 
       ReviewRequest: {
@@ -635,10 +811,14 @@ const swaggerDefinition = {
             description: 'Book author',
             example: 'F. Scott Fitzgerald'
           },
+          contributors: {
+            type: 'array',
+            description: 'Authors, editors, translators and illustrators. Each entry names an author by authorId or by name; unknown names become new authors. Defaults to the author field as sole author.',
+            items: { $ref: '#/components/schemas/Contributor' }
+          },
           isbn: {
             type: 'string',
-            pattern: '^[0-9X-]{10,17}$',
-            description: 'International Standard Book Number',
+            description: 'ISBN-10 or ISBN-13, with or without hyphens; the check digit must be correct',
             example: '978-0-7432-7356-5'
           },
           category: {
@@ -652,6 +832,44 @@ const swaggerDefinition = {
             description: 'Book description',
             example: 'A classic American novel set in the Jazz Age'
           },
+          edition: {
+            type: 'string',
+            nullable: true,
+            example: 'First Scribner trade paperback edition'
+          },
+          publisher: {
+            type: 'string',
+            nullable: true,
+            example: 'Scribner'
+          },
+          publicationYear: {
+            type: 'integer',
+            nullable: true,
+            example: 2004
+          },
+          physicalDescription: {
+            type: 'string',
+            nullable: true,
+            description: 'Extent and dimensions as catalogued (MARC 300)',
+            example: '180 pages ; 21 cm'
+          },
+          pageCount: {
+            type: 'integer',
+            nullable: true,
+            example: 180
+          },
+          language: {
+            type: 'string',
+            nullable: true,
+            description: 'ISO 639 language code (MARC 041/008)',
+            example: 'eng'
+          },
+          subjects: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Subject headings (MARC 650)',
+            example: ['Rich people -- Fiction', 'Long Island (N.Y.) -- Fiction']
+          },
           quantity: {
             type: 'integer',
             minimum: 1,
@@ -731,6 +949,23 @@ const swaggerDefinition = {
             format: 'email',
             description: 'User email address',
             example: 'john.doe@example.com'
+          },
+          patronType: {
+            type: 'string',
+            maxLength: 50,
+            description: 'Patron classification used to match loan policies (librarian updates only)',
+            example: 'student'
+          },
+          cardNumber: {
+            type: 'string',
+            description: 'Reissue the library card number (librarian updates only)',
+            example: 'P123456700042'
+          },
+          homeBranchId: {
+            type: 'string',
+            format: 'objectId',
+            nullable: true,
+            description: 'Home branch (must be an active branch; null clears it)'
           }
         }
       },
@@ -776,6 +1011,9 @@ const swaggerDefinition = {
               },
               pagination: {
                 $ref: '#/components/schemas/Pagination'
+              },
+              facets: {
+                $ref: '#/components/schemas/BookFacets'
               }
             }
           }
@@ -850,6 +1088,24 @@ const swaggerDefinition = {
         },
         description: 'Search query string',
         example: 'javascript'
+      },
+
+      AfterParam: {
+        name: 'after',
+        in: 'query',
+        schema: {
+          type: 'string'
+        },
+        description: 'Cursor (`nextCursor` of a previous page) to list the items after, instead of a page number. Cursors keep their place as items are added or removed, and only work with the sort they were made for.'
+      },
+
+      BeforeParam: {
+        name: 'before',
+        in: 'query',
+        schema: {
+          type: 'string'
+        },
+        description: 'Cursor (`prevCursor` of a previous page) to list the items before, instead of a page number. Cannot be combined with `after`.'
       }
     },
     
@@ -989,6 +1245,42 @@ const swaggerDefinition = {
       name: 'Borrowing',
       description: 'Book borrowing and return operations'
     },
+    {
+      name: 'Fines',
+      description: 'Overdue fines ledger, payments and waivers'
+    },
+    {
+      name: 'Copies',
+      description: 'Physical copy (item) tracking with barcodes, shelf locations and condition'
+    },
+    {
+      name: 'Authors',
+      description: 'Authors with name variants, and the books crediting them'
+    },
+    {
+      name: 'Works',
+      description: 'Works grouping the editions of a title, and series of works'
+    },
+    {
+      name: 'Branches',
+      description: 'Library branches, per-branch holdings and copy transfers between branches'
+    },
+    {
+      name: 'Calendar',
+      description: 'Library opening hours, closures and holidays used for due dates and fines'
+    },
+    {
+      name: 'Jobs',
+      description: 'Scheduled maintenance jobs, run history and manual triggers (Admin only)'
+    },
+    {
+      name: 'Loan Policies',
+      description: 'Loan periods, limits, renewals and fine rates per role, patron type and category'
+    },
+    {
+      name: 'Notifications',
+      description: 'Due-soon, overdue, hold-ready and account notices, read state and channel preferences'
+    },
     {
       name: 'Reviews',
       description: 'Book review and rating system'
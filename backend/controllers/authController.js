@@ -1,7 +1,8 @@
-const { User } = require('../models');
+const { User, Branch } = require('../models');
 const { generateToken, sendSuccess, sendError, asyncHandler } = require('../utils/helpers');
 const { getFileUrl } = require('../middleware/upload');
 const jwtService = require('../services/jwtService');
+const notificationService = require('../services/notificationService');
 
 // Enhanced helper function to set authentication cookies
 const setAuthCookies = (res, accessToken, refreshToken) => {
@@ -117,7 +118,7 @@ const getProfile = asyncHandler(async (req, res) => {
 // @route   PUT /api/auth/profile
 // @access  Private
 const updateProfile = asyncHandler(async (req, res) => {
-  const { name, email } = req.body;
+  const { name, email, homeBranchId } = req.body;
   const user = req.user;
 
   // Check if email is being changed and if it already exists
@@ -129,6 +130,14 @@ const updateProfile = asyncHandler(async (req, res) => {
     user.email = email;
   }
 
+  // Home branch can be cleared with null but only set to an active branch
+  if (homeBranchId !== undefined) {
+    if (homeBranchId && !(await Branch.findActive(homeBranchId))) {
+      return sendError(res, 'Branch not found or inactive', 404, 'BRANCH_NOT_FOUND');
+    }
+    user.homeBranchId = homeBranchId || null;
+  }
+
   if (name) user.name = name;
 
   await user.save();
@@ -141,6 +150,7 @@ const updateProfile = asyncHandler(async (req, res) => {
       name: user.name,
       email: user.email,
       role: user.role,
+      homeBranchId: user.homeBranchId,
       profilePicture: profilePictureUrl
     }
   });
@@ -178,6 +188,12 @@ const changePassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
+  await notificationService.notifyAccount(user, {
+    type: 'info',
+    title: 'Your password was changed',
+    message: 'The password for your library account was changed. If this was not you, contact the library straight away.'
+  });
+
   // Clear authentication cookies to force re-login for security
   jwtService.clearAuthCookies(res);
 
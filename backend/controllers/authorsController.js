@@ -0,0 +1,166 @@
+const { Author, Book, Borrow } = require('../models');
+const { sendSuccess, sendError, asyncHandler, isValidObjectId, getPagination } = require('../utils/helpers');
+
+// Fields a librarian may set on an author
+const EDITABLE_FIELDS = ['name', 'sortName', 'variants', 'birthYear', 'deathYear', 'bio'];
+
+// Find another author already known by one of the names given
+const findDuplicateAuthor = async ({ name, sortName, variants = [] }, excludeId = null) => {
+  const keys = [name, sortName, ...variants].filter(Boolean).map(Author.toNameKey);
+  if (keys.length === 0) return null;
+
+  const query = { nameKeys: { $in: keys } };
+  if (excludeId) query._id = { $ne: excludeId };
+  return Author.findOne(query);
+};
+
+// @desc    Get authors, optionally searching names and their variants
+// @route   GET /api/authors
+// @access  Public
+const getAuthors = asyncHandler(async (req, res) => {
+  const { q, page = 0, limit = 10 } = req.query;
+  const { limit: pageLimit, offset } = getPagination(page, limit);
+
+  const query = q ? { _id: { $in: await Author.findIdsByName(q) } } : {};
+
+  const [authors, total] = await Promise.all([
+    Author.find(query)
+      .collation({ locale: 'en' })
+      .sort({ sortName: 1, name: 1 })
+      .limit(pageLimit)
+      .skip(offset),
+    Author.countDocuments(query)
+  ]);
+
+  sendSuccess(res, 'Authors retrieved successfully', {
+    authors,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: pageLimit,
+      totalPages: Math.ceil(total / pageLimit)
+    }
+  });
+});
+
+// @desc    Get an author with their works and how often each is borrowed
+// @route   GET /api/authors/:id
+// @access  Public
+const getAuthorById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid author ID', 400);
+  }
+
+  const author = await Author.findById(id);
+  if (!author) {
+    return sendError(res, 'Author not found', 404);
+  }
+
+  const books = await Book.find({ 'contributors.authorId': author._id })
+    .select('title author isbn isbnDisplay category publicationYear coverImage quantity available contributors')
+    .sort({ publicationYear: 1, title: 1 });
+  const borrowCounts = await Borrow.countByBook(books.map(book => book._id));
+
+  const works = books.map(book => {
+    const counts = borrowCounts.get(book._id.toString()) || { total: 0, open: 0 };
+    return {
+      ...book.toObject(),
+      // The author's roles on this book, e.g. author and illustrator
+      roles: book.contributors
+        .filter(contributor => contributor.authorId.equals(author._id))
+        .map(contributor => contributor.role),
+      borrowCount: counts.total,
+      onLoan: counts.open
+    };
+  });
+
+  sendSuccess(res, 'Author retrieved successfully', {
+    author,
+    works,
+    stats: {
+      works: works.length,
+      totalBorrows: works.reduce((sum, work) => sum + work.borrowCount, 0),
+      onLoan: works.reduce((sum, work) => sum + work.onLoan, 0)
+    }
+  });
+});
+
+// @desc    Create an author
+// @route   POST /api/authors
+// @access  Private (Librarian only)
+const createAuthor = asyncHandler(async (req, res) => {
+  const existing = await findDuplicateAuthor(req.body);
+  if (existing) {
+    return sendError(res, `An author with this name already exists (${existing.name})`, 400, 'AUTHOR_EXISTS');
+  }
+
+  const author = new Author();
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) author[field] = req.body[field];
+  });
+  await author.save();
+
+  sendSuccess(res, 'Author created successfully', { author }, 201);
+});
+
+// @desc    Update an author's names and details
+// @route   PUT /api/authors/:id
+// @access  Private (Librarian only)
+const updateAuthor = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid author ID', 400);
+  }
+
+  const author = await Author.findById(id);
+  if (!author) {
+    return sendError(res, 'Author not found', 404);
+  }
+
+  const existing = await findDuplicateAuthor(req.body, author._id);
+  if (existing) {
+    return sendError(res, `Another author is already known by this name (${existing.name})`, 400, 'AUTHOR_EXISTS');
+  }
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) author[field] = req.body[field];
+  });
+  await author.save();
+
+  sendSuccess(res, 'Author updated successfully', { author });
+});
+
+// @desc    Delete an author no book credits
+// @route   DELETE /api/authors/:id
+// @access  Private (Librarian only)
+const deleteAuthor = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid author ID', 400);
+  }
+
+  const author = await Author.findById(id);
+  if (!author) {
+    return sendError(res, 'Author not found', 404);
+  }
+
+  if (await Book.exists({ 'contributors.authorId': author._id })) {
+    return sendError(res, 'Author is credited on books; remove them from those books first', 400, 'AUTHOR_IN_USE');
+  }
+
+  await author.deleteOne();
+
+  sendSuccess(res, 'Author deleted successfully');
+});
+
+module.exports = {
+  getAuthors,
+  getAuthorById,
+  createAuthor,
+  updateAuthor,
+  deleteAuthor
+};
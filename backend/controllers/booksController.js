@@ -1,5 +1,14 @@
-const { Book, Review, Borrow } = require('../models');
+const { Book, Review, Borrow, Item, Branch, MarcImport, MarcRecord, Author, Work } = require('../models');
 const { sendSuccess, sendError, asyncHandler, isValidObjectId, getPagination } = require('../utils/helpers');
+const { normalizeIsbn } = require('../utils/isbn');
+const { BOOK_FACETS } = require('../utils/constants');
+const { parseSearchQuery } = require('../utils/searchQuery');
+const { readCursorParams, buildCursorPage, buildPageCursors } = require('../utils/cursor');
+const circulationService = require('../services/circulationService');
+const bookImportService = require('../services/bookImportService');
+const marcImportService = require('../services/marcImportService');
+const catalogExportService = require('../services/catalogExportService');
+const auditService = require('../services/auditService');
 const {
   deleteFile,
   getFileUrl,
@@ -9,6 +18,76 @@ const {
   saveProcessedImage
 } = require('../middleware/upload');
 
+// Facets requested with ?facets=true (all of them) or a list such as ?facets=category,language
+const parseFacetsParam = (value) => {
+  if (!value || value === 'false') return undefined;
+  return value === 'true' ? BOOK_FACETS : String(value).split(',').map(name => name.trim());
+};
+
+// Compile the search query language parameter (e.g. `author:tolkien year>1950 -available`);
+// resolves to { conditions }, or { error } with the position where the query does not parse
+const compileQueryParam = async (searchQuery) => {
+  if (!searchQuery) return {};
+  try {
+    return { conditions: await Book.compileSearchQuery(parseSearchQuery(searchQuery)) };
+  } catch (error) {
+    if (error.position === undefined) throw error;
+    return { error };
+  }
+};
+
+// Respond to a search query that does not parse
+const sendQueryError = (res, error) => sendError(
+  res, `Invalid search query: ${error.message}`, 400, 'INVALID_SEARCH_QUERY', { position: error.position });
+
+/**
+ * Run a book search for one page, picked by page number or by an `after` /
+ * `before` cursor from a previous page (the cursor wins when both are given)
+ * @returns {Promise<Object>} { books, total, facets, pagination }, or { error } when the
+ *   cursor is invalid or belongs to a different sort
+ */
+const searchBookPage = async (searchParams, { after, before }) => {
+  const { page, limit } = searchParams;
+  const sort = Book.getSearchSort(searchParams);
+  const { cursor, error } = readCursorParams({ after, before }, sort);
+  if (error) return { error };
+
+  // A cursor page reads one book more than the limit to tell whether more follow
+  const pageParams = cursor ? { ...searchParams, cursor, limit: limit + 1 } : searchParams;
+
+  // Facet counts come back from the same aggregation
+  let books, total, facets;
+  if (pageParams.facets) {
+    ({ books, total, facets } = await Book.advancedSearch(pageParams));
+  } else {
+    [books, total] = await Promise.all([
+      Book.advancedSearch(pageParams),
+      Book.countAdvancedSearch(pageParams)
+    ]);
+  }
+
+  const totalPages = Math.ceil(total / limit);
+  if (cursor) {
+    const { items, pagination } = buildCursorPage(books, sort, cursor, limit);
+    return { books: items, total, facets, pagination: { total, page: null, limit, totalPages, ...pagination } };
+  }
+  return {
+    books,
+    total,
+    facets,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages,
+      ...buildPageCursors(books, sort, { hasNextPage: page < totalPages - 1, hasPrevPage: page > 0 })
+    }
+  };
+};
+
+// Respond to a cursor that cannot be used
+const sendCursorError = (res, message) => sendError(res, message, 400, 'INVALID_CURSOR');
+
 // @desc    Get all books with advanced search, filtering, and pagination
 // @route   GET /api/books
 // @access  Public
@@ -21,43 +100,96 @@ const getAllBooks = asyncHandler(async (req, res) => {
     limit = 10,
     q,
     search,
+    query: searchQuery,
     title,
     author,
     isbn,
     category,
+    match,
     available,
     minQuantity,
     maxQuantity,
     dateFrom,
     dateTo,
+    language,
+    minRating,
+    maxRating,
+    yearFrom,
+    yearTo,
+    branchId,
+    facets,
+    after,
+    before,
     sortBy = 'createdAt',
     sortOrder = 'desc'
   } = req.query;
 
+  // Conditions written in the search query language, combined with the other filters
+  const compiled = await compileQueryParam(searchQuery);
+  if (compiled.error) {
+    return sendQueryError(res, compiled.error);
+  }
+
   // Prepare search parameters for the model
   const searchParams = {
     q,
     search,
     title,
     author,
+    // Books by any name variant of matching authors
+    authorIds: author ? await Author.findIdsByName(author) : undefined,
+    queryConditions: compiled.conditions,
     isbn,
     category,
+    match,
     available,
     minQuantity,
     maxQuantity,
     dateFrom,
     dateTo,
+    language,
+    minRating,
+    maxRating,
+    yearFrom,
+    yearTo,
+    facets: parseFacetsParam(facets),
     sortBy,
     sortOrder,
     page: parseInt(page),
     limit: parseInt(limit)
   };
 
-  // Perform advanced search
-  const [books, total] = await Promise.all([
-    Book.advancedSearch(searchParams),
-    Book.countAdvancedSearch(searchParams)
-  ]);
+  // Branch holdings come from copy records; availability then means a copy on the shelf at that branch
+  if (branchId) {
+    const [held, onShelf] = await Promise.all([
+      Item.findBookIdsAtBranch(branchId),
+      Item.findBookIdsAtBranch(branchId, { availableOnly: true })
+    ]);
+    const shelved = new Set(onShelf.map(id => id.toString()));
+
+    if (available === 'true') {
+      searchParams.bookIds = onShelf;
+    } else if (available === 'false') {
+      searchParams.bookIds = held.filter(id => !shelved.has(id.toString()));
+    } else {
+      searchParams.bookIds = held;
+    }
+    searchParams.available = undefined;
+  }
+
+  // Search terms with no hits as typed fall back to typo-tolerant matching
+  const resolvedParams = await Book.withFuzzyFallback(searchParams);
+
+  // Perform advanced search for the requested page or cursor
+  const result = await searchBookPage(resolvedParams, { after, before });
+  if (result.error) {
+    return sendCursorError(res, result.error);
+  }
+  const { books, total, facets: facetCounts, pagination } = result;
+
+  const branchAvailability = branchId
+    ? await Item.getBranchAvailability(books.map(book => book._id), branchId)
+    : null;
 
   // Generate full URLs for cover images and add search metadata
   const booksWithUrls = books.map(book => {
@@ -65,6 +197,10 @@ const getAllBooks = asyncHandler(async (req, res) => {
     if (bookObj.coverImage) {
       bookObj.coverImage = getFileUrl(req, bookObj.coverImage);
     }
+    if (branchAvailability) {
+      const [atBranch] = branchAvailability[bookObj._id.toString()] || [];
+      bookObj.branchAvailability = atBranch || { branchId, quantity: 0, available: 0 };
+    }
     return bookObj;
   });
 
@@ -75,6 +211,9 @@ const getAllBooks = asyncHandler(async (req, res) => {
   const searchMetadata = {
     searchTerms: {
       general: q || search || null,
+      queryLanguage: searchQuery || null,
+      fuzzyMatch: Boolean(resolvedParams.fuzzyMatches),
+      match: match || 'contains',
       title: title || null,
       author: author || null,
       isbn: isbn || null
@@ -82,8 +221,12 @@ const getAllBooks = asyncHandler(async (req, res) => {
     filtersApplied: {
       category: category || null,
       available: available || null,
+      branchId: branchId || null,
       quantityRange: (minQuantity || maxQuantity) ? { min: minQuantity, max: maxQuantity } : null,
-      dateRange: (dateFrom || dateTo) ? { from: dateFrom, to: dateTo } : null
+      dateRange: (dateFrom || dateTo) ? { from: dateFrom, to: dateTo } : null,
+      language: language || null,
+      ratingRange: (minRating || maxRating) ? { min: minRating, max: maxRating } : null,
+      yearRange: (yearFrom || yearTo) ? { from: yearFrom, to: yearTo } : null
     },
     sorting: {
       field: sortBy,
@@ -96,21 +239,10 @@ const getAllBooks = asyncHandler(async (req, res) => {
     } : undefined
   };
 
-  // Calculate pagination
-  const pageLimit = parseInt(limit);
-  const currentPage = parseInt(page);
-  const totalPages = Math.ceil(total / pageLimit);
-
   sendSuccess(res, 'Books retrieved successfully', {
     books: booksWithUrls,
-    pagination: {
-      total,
-      page: currentPage,
-      limit: pageLimit,
-      totalPages,
-      hasNextPage: currentPage < totalPages - 1,
-      hasPrevPage: currentPage > 0
-    },
+    pagination,
+    facets: facetCounts,
     search: searchMetadata
   });
 });
@@ -130,8 +262,16 @@ const getBookById = asyncHandler(async (req, res) => {
     return sendError(res, 'Book not found', 404);
   }
 
-  // Get average rating and review count
-  const reviewStats = await Review.getAverageRating(id);
+  // Get average rating and review count, the copies at each branch and the work it is an edition of
+  const [reviewStats, availabilityByBook, work] = await Promise.all([
+    Review.getAverageRating(id),
+    Item.getBranchAvailability([id]),
+    book.workId ? Work.findById(book.workId).populate('seriesId', 'name') : null
+  ]);
+  const branchCounts = availabilityByBook[id] || [];
+  const branches = await Branch.find({ _id: { $in: branchCounts.map(entry => entry.branchId).filter(Boolean) } })
+    .select('name code');
+  const branchesById = new Map(branches.map(branch => [branch._id.toString(), branch]));
 
   // Generate full URL for cover image if it exists
   const bookObj = book.toObject();
@@ -144,7 +284,16 @@ const getBookById = asyncHandler(async (req, res) => {
       ...bookObj,
       averageRating: reviewStats.averageRating,
       totalReviews: reviewStats.totalReviews,
-      ratingDistribution: reviewStats.ratingDistribution
+      ratingDistribution: reviewStats.ratingDistribution,
+      work,
+      branchAvailability: branchCounts.map(entry => {
+        const branch = entry.branchId ? branchesById.get(entry.branchId.toString()) : null;
+        return {
+          ...entry,
+          name: branch ? branch.name : null,
+          code: branch ? branch.code : null
+        };
+      })
     }
   });
 });
@@ -153,7 +302,27 @@ const getBookById = asyncHandler(async (req, res) => {
 // @route   POST /api/books
 // @access  Private (Librarian only)
 const createBook = asyncHandler(async (req, res) => {
-  const { title, author, isbn, category, description, quantity, coverImage } = req.body;
+  const {
+    title,
+    author,
+    isbn,
+    category,
+    description,
+    edition,
+    publisher,
+    publicationYear,
+    language,
+    physicalDescription,
+    pageCount,
+    subjects,
+    contributors,
+    workId,
+    format,
+    quantity,
+    coverImage,
+    replacementCost,
+    shelfLocation
+  } = req.body;
 
   // Check if ISBN already exists
   const existingBook = await Book.findOne({ isbn });
@@ -161,20 +330,51 @@ const createBook = asyncHandler(async (req, res) => {
     return sendError(res, 'Book with this ISBN already exists', 400);
   }
 
+  if (workId && !(await Work.exists({ _id: workId }))) {
+    return sendError(res, 'Work not found', 404, 'WORK_NOT_FOUND');
+  }
+
+  // Without contributors the book is linked to an author record for its author line
+  let resolvedContributors = [];
+  if (contributors) {
+    try {
+      resolvedContributors = await Author.resolveContributors(contributors);
+    } catch (error) {
+      return sendError(res, `Invalid contributors: ${error.message}`, 400);
+    }
+  }
+
   const book = new Book({
     title,
     author,
     isbn,
     category,
     description,
+    edition,
+    publisher,
+    publicationYear,
+    language,
+    physicalDescription,
+    pageCount,
+    subjects,
+    contributors: resolvedContributors,
+    workId,
+    format,
     quantity,
     available: quantity,
-    coverImage
+    coverImage,
+    replacementCost
   });
 
   await book.save();
 
-  sendSuccess(res, 'Book created successfully', { book }, 201);
+  // Register a barcoded copy record for every physical copy
+  const items = await Item.createCopies(book._id, quantity, { shelfLocation });
+
+  sendSuccess(res, 'Book created successfully', {
+    book,
+    items: items.map(item => ({ id: item._id, barcode: item.barcode }))
+  }, 201);
 });
 
 // @desc    Update book
@@ -193,14 +393,19 @@ const updateBook = asyncHandler(async (req, res) => {
     return sendError(res, 'Book not found', 404);
   }
 
-  // Check if ISBN is being changed and if it already exists
-  if (updateData.isbn && updateData.isbn !== book.isbn) {
+  // Check if ISBN is being changed (not just written differently) and if it already exists
+  if (updateData.isbn && normalizeIsbn(updateData.isbn) !== book.isbn) {
     const existingBook = await Book.findOne({ isbn: updateData.isbn });
     if (existingBook) {
       return sendError(res, 'Book with this ISBN already exists', 400);
     }
   }
 
+  // Counters of titles with copy records are derived from copy status
+  if ((updateData.available !== undefined || updateData.quantity !== undefined) && await Item.isTracked(id)) {
+    return sendError(res, 'Quantity and availability are derived from copy records. Add or withdraw copies instead.', 400);
+  }
+
   // Validate available count doesn't exceed quantity
   if (updateData.available !== undefined && updateData.quantity !== undefined) {
     if (updateData.available > updateData.quantity) {
@@ -216,9 +421,29 @@ const updateBook = asyncHandler(async (req, res) => {
     }
   }
 
-  Object.assign(book, updateData);
+  if (updateData.workId && !(await Work.exists({ _id: updateData.workId }))) {
+    return sendError(res, 'Work not found', 404, 'WORK_NOT_FOUND');
+  }
+
+  const { contributors, ...fields } = updateData;
+  if (contributors) {
+    try {
+      book.contributors = await Author.resolveContributors(contributors);
+    } catch (error) {
+      return sendError(res, `Invalid contributors: ${error.message}`, 400);
+    }
+  }
+
+  const previousWorkId = book.workId;
+  Object.assign(book, fields);
+  const workChanged = book.isModified('workId');
   await book.save();
 
+  // The edition's reviews move with it to its new work
+  if (workChanged) {
+    await Promise.all([Work.refreshRating(previousWorkId), Work.refreshRating(book.workId)]);
+  }
+
   sendSuccess(res, 'Book updated successfully', { book });
 });
 
@@ -244,6 +469,9 @@ const deleteBook = asyncHandler(async (req, res) => {
   }
 
   await Book.findByIdAndDelete(id);
+  await Item.deleteMany({ bookId: id });
+  await MarcRecord.deleteMany({ bookId: id });
+  await Work.refreshRating(book.workId);
 
   sendSuccess(res, 'Book deleted successfully');
 });
@@ -267,6 +495,16 @@ const getBooksByCategory = asyncHandler(async (req, res) => {
   sendSuccess(res, 'Books by category retrieved successfully', { books, category });
 });
 
+// @desc    Get autocomplete suggestions (titles, authors, categories) for a partly typed search
+// @route   GET /api/books/suggest
+// @access  Public
+const getSuggestions = asyncHandler(async (req, res) => {
+  const { q, limit = 5 } = req.query;
+  const suggestions = await Book.suggest(q, { limit: parseInt(limit) });
+
+  sendSuccess(res, 'Suggestions retrieved successfully', { query: q, ...suggestions });
+});
+
 // @desc    Advanced search books with comprehensive filtering
 // @route   GET /api/books/search/advanced
 // @access  Public
@@ -279,15 +517,25 @@ const advancedSearchBooks = asyncHandler(async (req, res) => {
     limit = 10,
     q,
     search,
+    query: searchQuery,
     title,
     author,
     isbn,
     category,
+    match,
     available,
     minQuantity,
     maxQuantity,
     dateFrom,
     dateTo,
+    language,
+    minRating,
+    maxRating,
+    yearFrom,
+    yearTo,
+    facets,
+    after,
+    before,
     sortBy = 'createdAt',
     sortOrder = 'desc'
   } = req.query;
@@ -302,19 +550,35 @@ const advancedSearchBooks = asyncHandler(async (req, res) => {
     return sendError(res, 'Minimum quantity cannot be greater than maximum quantity', 400);
   }
 
+  // Conditions written in the search query language, combined with the other filters
+  const compiled = await compileQueryParam(searchQuery);
+  if (compiled.error) {
+    return sendQueryError(res, compiled.error);
+  }
+
   // Prepare search parameters
   const searchParams = {
     q,
     search,
     title,
     author,
+    // Books by any name variant of matching authors
+    authorIds: author ? await Author.findIdsByName(author) : undefined,
+    queryConditions: compiled.conditions,
     isbn,
     category,
+    match,
     available,
     minQuantity,
     maxQuantity,
     dateFrom,
     dateTo,
+    language,
+    minRating,
+    maxRating,
+    yearFrom,
+    yearTo,
+    facets: parseFacetsParam(facets),
     sortBy,
     sortOrder,
     page: parseInt(page),
@@ -322,11 +586,16 @@ const advancedSearchBooks = asyncHandler(async (req, res) => {
   };
 
   try {
-    // Perform advanced search with error handling
-    const [books, total] = await Promise.all([
-      Book.advancedSearch(searchParams),
-      Book.countAdvancedSearch(searchParams)
-    ]);
+    // Search terms with no hits as typed fall back to typo-tolerant matching
+    const resolvedParams = await Book.withFuzzyFallback(searchParams);
+    const fuzzy = Boolean(resolvedParams.fuzzyMatches);
+
+    // Perform advanced search for the requested page or cursor
+    const result = await searchBookPage(resolvedParams, { after, before });
+    if (result.error) {
+      return sendCursorError(res, result.error);
+    }
+    const { books, total, facets: facetCounts, pagination } = result;
 
     // Process results
     const booksWithUrls = books.map(book => {
@@ -348,6 +617,9 @@ const advancedSearchBooks = asyncHandler(async (req, res) => {
     const searchMetadata = {
       query: {
         fullText: q || search || null,
+        queryLanguage: searchQuery || null,
+        fuzzyMatch: fuzzy,
+        match: match || 'contains',
         fields: {
           title: title || null,
           author: author || null,
@@ -364,42 +636,45 @@ const advancedSearchBooks = asyncHandler(async (req, res) => {
         dateRange: (dateFrom || dateTo) ? {
           from: dateFrom || null,
           to: dateTo || null
+        } : null,
+        language: language ? (Array.isArray(language) ? language : [language]) : null,
+        ratingRange: (minRating || maxRating) ? {
+          min: minRating ? parseFloat(minRating) : null,
+          max: maxRating ? parseFloat(maxRating) : null
+        } : null,
+        yearRange: (yearFrom || yearTo) ? {
+          from: yearFrom ? parseInt(yearFrom) : null,
+          to: yearTo ? parseInt(yearTo) : null
         } : null
       },
       sorting: {
         field: sortBy,
         order: sortOrder,
-        textScoreUsed: !!(q || search)
+        textScoreUsed: !!(q || search) && !fuzzy
       },
       results: {
         total,
         returned: booksWithUrls.length,
-        page: parseInt(page),
+        page: pagination.page,
         limit: parseInt(limit)
       },
       performance: process.env.NODE_ENV === 'development' ? {
         searchTime: `${searchTime}ms`,
-        indexesUsed: !!(q || search) ? ['text_index'] : ['standard_indexes']
+        indexesUsed: fuzzy ? ['text_index', 'search_grams'] : !!(q || search) ? ['text_index'] : ['standard_indexes']
       } : undefined
     };
 
-    // Enhanced pagination
-    const pageLimit = parseInt(limit);
-    const currentPage = parseInt(page);
-    const totalPages = Math.ceil(total / pageLimit);
+    // Enhanced pagination; page numbers only when paging by number
+    const byPage = pagination.page !== null;
 
     sendSuccess(res, 'Advanced search completed successfully', {
       books: booksWithUrls,
       pagination: {
-        total,
-        page: currentPage,
-        limit: pageLimit,
-        totalPages,
-        hasNextPage: currentPage < totalPages - 1,
-        hasPrevPage: currentPage > 0,
-        nextPage: currentPage < totalPages - 1 ? currentPage + 1 : null,
-        prevPage: currentPage > 0 ? currentPage - 1 : null
+        ...pagination,
+        nextPage: byPage && pagination.hasNextPage ? pagination.page + 1 : null,
+        prevPage: byPage && pagination.hasPrevPage ? pagination.page - 1 : null
       },
+      facets: facetCounts,
       search: searchMetadata
     });
 
@@ -621,6 +896,300 @@ const cleanupOrphanedImages = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Recompute book availability from active borrows and report discrepancies
+// @route   POST /api/books/reconcile-inventory
+// @access  Private (Admin only)
+const reconcileInventory = asyncHandler(async (req, res) => {
+  const { bookId } = req.body;
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+  if (bookId) {
+    if (!isValidObjectId(bookId)) {
+      return sendError(res, 'Invalid book ID', 400);
+    }
+    const book = await Book.exists({ _id: bookId });
+    if (!book) {
+      return sendError(res, 'Book not found', 404);
+    }
+  }
+
+  const report = await circulationService.reconcileInventory({ bookId, dryRun });
+
+  const message = dryRun
+    ? `Inventory check found ${report.discrepancies.length} discrepancies`
+    : `Inventory reconciled, ${report.fixed} discrepancies fixed` +
+      (report.skipped.length > 0 ? `, ${report.skipped.length} need a librarian` : '');
+  sendSuccess(res, message, report);
+});
+
+// @desc    Import books in bulk from CSV or JSON
+// @route   POST /api/books/import
+// @access  Private (Admin only)
+const importBooks = asyncHandler(async (req, res) => {
+  const isCsv = typeof req.body === 'string';
+  const flag = (name) => [req.query[name], isCsv ? undefined : req.body[name]]
+    .some(value => value === true || value === 'true');
+  const dryRun = flag('dryRun');
+  const createCategories = flag('createCategories');
+
+  // JSON bodies are a plain array of rows, or { books: [...] } / { csv: '...' }
+  let input = req.body;
+  if (!isCsv && !Array.isArray(input)) {
+    input = input.csv !== undefined ? input.csv : input.books;
+  }
+
+  let rows;
+  try {
+    rows = bookImportService.parseRows(input);
+  } catch (error) {
+    return sendError(res, `Import could not be read: ${error.message}`, 400, 'INVALID_IMPORT');
+  }
+
+  const report = await bookImportService.importBooks(rows, { dryRun, createCategories });
+  const { created, updated, unchanged, errors } = report.summary;
+
+  // Dry runs change nothing, so only real imports are audited
+  if (!dryRun) {
+    await auditService.logEvent({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      userRole: req.user.role,
+      action: 'BOOK_BULK_IMPORT',
+      resourceType: 'Book',
+      details: {
+        format: isCsv || typeof input === 'string' ? 'csv' : 'json',
+        createCategories,
+        summary: report.summary,
+        categoriesCreated: report.categoriesCreated,
+        failedRows: report.rows.filter(row => row.status === 'error').map(row => row.row)
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'HIGH'
+    });
+  }
+
+  const message = dryRun
+    ? `Import checked: ${created} to create, ${updated} to update, ${unchanged} unchanged, ${errors} with errors`
+    : `Import finished: ${created} created, ${updated} updated, ${unchanged} unchanged, ${errors} with errors`;
+  sendSuccess(res, message, report);
+});
+
+// @desc    Read MARC records and preview how they map onto the catalog
+// @route   POST /api/books/import/marc
+// @access  Private (Librarian only)
+const previewMarcImport = asyncHandler(async (req, res) => {
+  if (!Buffer.isBuffer(req.body) && typeof req.body !== 'string') {
+    return sendError(res, 'Send MARC records as application/marc or MARCXML', 400, 'INVALID_IMPORT');
+  }
+
+  let marcImport;
+  try {
+    marcImport = await marcImportService.preview(req.body, {
+      userId: req.user._id,
+      defaultCategory: req.query.defaultCategory
+    });
+  } catch (error) {
+    return sendError(res, `Import could not be read: ${error.message}`, 400, 'INVALID_IMPORT');
+  }
+
+  const count = (action) => marcImport.records.filter(record => record.action === action).length;
+  const summary = {
+    total: marcImport.records.length,
+    create: count('create'),
+    merge: count('merge'),
+    errors: count('error')
+  };
+
+  sendSuccess(res, `Import ready to confirm: ${summary.create} to create, ${summary.merge} to merge, ${summary.errors} with errors`, {
+    marcImport,
+    summary
+  }, 201);
+});
+
+// @desc    Get a MARC import preview or its outcome
+// @route   GET /api/books/import/marc/:id
+// @access  Private (Librarian only)
+const getMarcImport = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid import ID', 400);
+  }
+
+  const marcImport = await MarcImport.findById(id)
+    .populate('createdBy', 'name email')
+    .populate('confirmedBy', 'name email');
+  if (!marcImport) {
+    return sendError(res, 'Import not found or expired', 404);
+  }
+
+  sendSuccess(res, 'Import retrieved successfully', { marcImport });
+});
+
+// @desc    Confirm a MARC import, creating and merging books
+// @route   POST /api/books/import/marc/:id/confirm
+// @access  Private (Librarian only)
+const confirmMarcImport = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { quantity = 1, records = [] } = req.body;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid import ID', 400);
+  }
+
+  const pending = await MarcImport.findById(id).select('status');
+  if (!pending) {
+    return sendError(res, 'Import not found or expired', 404);
+  }
+  if (pending.status !== 'pending') {
+    return sendError(res, 'Import has already been confirmed', 400, 'IMPORT_CONFIRMED');
+  }
+
+  const outcome = await marcImportService.confirm(id, {
+    userId: req.user._id,
+    quantity: parseInt(quantity),
+    decisions: records
+  });
+  if (!outcome) {
+    return sendError(res, 'Import was confirmed by another request', 409, 'IMPORT_CONFIRMED');
+  }
+
+  const { marcImport, summary } = outcome;
+
+  await auditService.logEvent({
+    userId: req.user._id,
+    userEmail: req.user.email,
+    userRole: req.user.role,
+    action: 'BOOK_MARC_IMPORT',
+    resourceType: 'Book',
+    details: {
+      importId: marcImport._id,
+      format: marcImport.format,
+      summary,
+      createdBookIds: marcImport.records.filter(record => record.result === 'created').map(record => record.bookId),
+      mergedBookIds: marcImport.records.filter(record => record.result === 'merged').map(record => record.bookId)
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    severity: 'HIGH'
+  });
+
+  sendSuccess(res, `Import finished: ${summary.created} created, ${summary.merged} merged, ${summary.skipped} skipped, ${summary.errors} with errors`, {
+    marcImport,
+    summary
+  });
+});
+
+// @desc    Download the original MARC record of a book
+// @route   GET /api/books/:id/marc
+// @access  Private (Librarian only)
+const getBookMarcRecord = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid book ID', 400);
+  }
+
+  const record = await MarcRecord.findOne({ bookId: id });
+  if (!record) {
+    return sendError(res, 'No MARC record is attached to this book', 404);
+  }
+
+  const isXml = record.format === 'marcxml';
+  res.setHeader('Content-Type', isXml ? 'application/marcxml+xml; charset=utf-8' : 'application/marc');
+  res.setHeader('Content-Disposition', `attachment; filename="${id}.${isXml ? 'xml' : 'mrc'}"`);
+  res.send(record.raw);
+});
+
+// @desc    Export the catalog as CSV, JSON Lines, MARC21 or MARCXML
+// @route   GET /api/books/export
+// @access  Private (Librarian only)
+const exportBooks = asyncHandler(async (req, res) => {
+  const {
+    format = 'csv',
+    q,
+    search,
+    query: searchQuery,
+    title,
+    author,
+    isbn,
+    category,
+    match,
+    available,
+    minQuantity,
+    maxQuantity,
+    dateFrom,
+    dateTo,
+    language,
+    minRating,
+    maxRating,
+    yearFrom,
+    yearTo,
+    sortBy = 'title',
+    sortOrder = 'asc'
+  } = req.query;
+
+  if (dateFrom && dateTo && new Date(dateFrom) > new Date(dateTo)) {
+    return sendError(res, 'Date from cannot be later than date to', 400);
+  }
+
+  if (minQuantity && maxQuantity && parseInt(minQuantity) > parseInt(maxQuantity)) {
+    return sendError(res, 'Minimum quantity cannot be greater than maximum quantity', 400);
+  }
+
+  // Conditions written in the search query language, combined with the other filters
+  const compiled = await compileQueryParam(searchQuery);
+  if (compiled.error) {
+    return sendQueryError(res, compiled.error);
+  }
+
+  const exportFormat = catalogExportService.getFormat(format);
+  if (!exportFormat) {
+    return sendError(res, `Format must be one of: ${catalogExportService.getFormats().join(', ')}`, 400);
+  }
+
+  const { contentType, extension } = exportFormat;
+  const filename = `catalog-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const searchParams = {
+    q,
+    search,
+    title,
+    author,
+    // Books by any name variant of matching authors
+    authorIds: author ? await Author.findIdsByName(author) : undefined,
+    queryConditions: compiled.conditions,
+    isbn,
+    category,
+    match,
+    available,
+    minQuantity,
+    maxQuantity,
+    dateFrom,
+    dateTo,
+    language,
+    minRating,
+    maxRating,
+    yearFrom,
+    yearTo,
+    sortBy,
+    sortOrder
+  };
+
+  try {
+    await catalogExportService.writeCatalog(res, format, searchParams);
+  } catch (error) {
+    // Once streaming has started the status can no longer change, so cut the download short
+    if (!res.headersSent) throw error;
+    return res.destroy(error);
+  }
+
+  res.end();
+});
+
 module.exports = {
   getAllBooks,
   getBookById,
@@ -629,10 +1198,18 @@ module.exports = {
   deleteBook,
   getAvailableBooks,
   getBooksByCategory,
+  getSuggestions,
   advancedSearchBooks,
   uploadBookCover,
   updateBookCover,
   deleteBookCover,
   uploadBookCoverEnhanced,
-  cleanupOrphanedImages
+  cleanupOrphanedImages,
+  reconcileInventory,
+  importBooks,
+  previewMarcImport,
+  getMarcImport,
+  confirmMarcImport,
+  getBookMarcRecord,
+  exportBooks
 };
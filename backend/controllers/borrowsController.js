@@ -1,71 +1,249 @@
-const { Borrow, Book, User } = require('../models');
+const { Borrow, Book, User, Fine, Item, LoanPolicy, LibraryCalendar, Branch, Work } = require('../models');
 const { sendSuccess, sendError, asyncHandler, isValidObjectId, getPagination } = require('../utils/helpers');
 const { rbacService, PERMISSIONS } = require('../services/rbacService');
+const circulationService = require('../services/circulationService');
+const auditService = require('../services/auditService');
+const notificationService = require('../services/notificationService');
+const accountStandingService = require('../services/accountStandingService');
+const { OPEN_BORROW_STATUSES } = require('../utils/constants');
+const { toDateKey, listPeriodKeys } = require('../utils/timezoneUtils');
+const { toCsv } = require('../utils/csv');
+const { readCursorParams, cursorSort, buildCursorFilter, buildCursorPage, buildPageCursors } = require('../utils/cursor');
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Statuses a librarian records on a loan that did not come back normally
+const EXCEPTION_STATUSES = ['lost', 'damaged', 'claimed_returned'];
+
+// Filter for the `status` query of borrow listings; "active" covers every loan still out
+const buildStatusFilter = (status) => {
+  if (status === 'active') return { status: { $in: OPEN_BORROW_STATUSES } };
+  if (status === 'returned') return { returnDate: { $ne: null } };
+  if (status === 'overdue' || EXCEPTION_STATUSES.includes(status)) return { status };
+  return {};
+};
+
+// $dateToString formats for report periods (weeks are ISO weeks)
+const REPORT_PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+// How far back the circulation report looks when no start date is given
+const REPORT_DEFAULT_DAYS = {
+  day: 30,
+  week: 84,
+  month: 365
+};
+
+// Longest range the circulation report covers in one request
+const MAX_REPORT_DAYS = 3660;
+
+// Parse the optional from/to dates of a report; returns { range } or { error }
+const parseReportRange = (from, to) => {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  if (Object.values(range).some(date => isNaN(date.getTime()))) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (range.$gte && range.$lte && range.$gte > range.$lte) {
+    return { error: 'The start date must not be after the end date' };
+  }
+  return { range };
+};
 
-// @desc    Borrow a book
+// @desc    Borrow a book, or any available edition of a work
 // @route   POST /api/borrows
 // @access  Private
 const borrowBook = asyncHandler(async (req, res) => {
-  const { bookId, borrowPeriodDays } = req.body;
-  const userId = req.user._id;
+  const { bookId, workId, format, borrowPeriodDays, branchId } = req.body;
+
+  let work = null;
+  let book = null;
+  if (workId) {
+    work = await Work.findById(workId);
+    if (!work) {
+      return sendError(res, 'Work not found', 404, 'WORK_NOT_FOUND');
+    }
+  } else {
+    // Check if book exists
+    book = await Book.findById(bookId);
+    if (!book) {
+      return sendError(res, 'Book not found', 404);
+    }
+  }
 
-  // Validate borrowPeriodDays if provided
-  const maxBorrowPeriod = parseInt(process.env.MAX_BORROW_PERIOD_DAYS) || 30;
-  const defaultBorrowPeriod = parseInt(process.env.DEFAULT_BORROW_PERIOD_DAYS) || 14;
-  const actualBorrowPeriod = borrowPeriodDays || defaultBorrowPeriod;
+  if (branchId && !(await Branch.findActive(branchId))) {
+    return sendError(res, 'Branch not found or inactive', 404, 'BRANCH_NOT_FOUND');
+  }
 
-  if (actualBorrowPeriod > maxBorrowPeriod) {
-    return sendError(res, `Borrow period cannot exceed ${maxBorrowPeriod} days`, 400);
+  // Loan period and limits come from the policy for this patron and category
+  let terms;
+  if (work) {
+    ({ book, terms } = await circulationService.chooseEdition(req.user, work, { borrowPeriodDays, branchId, format }));
+    if (!book) {
+      return sendError(res, format
+        ? `This work has no ${format} edition`
+        : 'This work has no editions in the catalog', 400, 'NO_EDITIONS');
+    }
+  } else {
+    terms = await circulationService.checkEligibility(req.user, book, { borrowPeriodDays, branchId });
   }
+  const { loanPolicy, standing, violations } = terms;
 
-  // Check if book exists and is available
-  const book = await Book.findById(bookId);
-  if (!book) {
-    return sendError(res, 'Book not found', 404);
+  if (!standing.canBorrow) {
+    return sendError(res, 'Your account is blocked from borrowing', 403, 'ACCOUNT_BLOCKED', {
+      reasons: standing.reasons,
+      metrics: standing.metrics
+    });
   }
 
-  if (!book.isAvailable()) {
-    return sendError(res, 'Book is not available for borrowing', 400);
+  if (violations.length > 0) {
+    const [violation] = violations;
+    return sendError(res, violation.message, 400, violation.code, {
+      violations,
+      loanPolicy,
+      canPlaceHold: violations.some(entry => entry.code === 'BOOK_NOT_AVAILABLE'),
+      // Holds are placed on an edition: the one whose checks are reported
+      ...(work && { bookId: book._id })
+    });
   }
 
-  // Check borrowing limits
-  const maxActiveBooks = parseInt(process.env.MAX_ACTIVE_BORROWS) || 5;
-  const activeCount = await Borrow.countActiveByUser(userId);
-  if (activeCount >= maxActiveBooks) {
-    return sendError(res, `You cannot borrow more than ${maxActiveBooks} books at once`, 400);
+  const loan = await circulationService.createLoan(req.user, book, terms, { branchId });
+  if (!loan) {
+    // Another patron took the last copy after the availability check
+    return sendError(res, 'Book is not available for borrowing', 400, 'BOOK_NOT_AVAILABLE', {
+      canPlaceHold: true
+    });
+  }
+
+  const { borrow } = loan;
+
+  // Populate the borrow record for response
+  await borrow.populate([
+    { path: 'bookId', select: 'title author isbn format publicationYear workId' },
+    { path: 'itemId', select: 'barcode shelfLocation condition' },
+    { path: 'branchId', select: 'name code' }
+  ]);
+
+  sendSuccess(res, 'Book borrowed successfully', {
+    borrow,
+    dueDate: borrow.dueDate.toISOString(),
+    borrowPeriodDays: terms.borrowPeriodDays,
+    loanPolicy
+  }, 201);
+});
+
+// @desc    Check out a book to a patron at the circulation desk
+// @route   POST /api/borrows/desk-checkout
+// @access  Private (Librarian only)
+const deskCheckout = asyncHandler(async (req, res) => {
+  const { patron: patronIdentifier, book: bookIdentifier, borrowPeriodDays, branchId, overrides = [], overrideReason } = req.body;
+
+  const patron = await User.findByPatronIdentifier(patronIdentifier);
+  if (!patron) {
+    return sendError(res, 'No patron found with that email or card number', 404, 'PATRON_NOT_FOUND');
   }
 
-  // Check if user already has this book borrowed
-  const existingBorrow = await Borrow.hasActiveBorrow(userId, bookId);
-  if (existingBorrow) {
-    return sendError(res, 'You have already borrowed this book', 400);
+  // The desk's branch: an ISBN checkout takes a copy shelved there
+  const branch = branchId ? await Branch.findActive(branchId) : null;
+  if (branchId && !branch) {
+    return sendError(res, 'Branch not found or inactive', 404, 'BRANCH_NOT_FOUND');
   }
 
-  // Calculate due date
-  const borrowDate = new Date();
-  const dueDate = Borrow.calculateDueDate(borrowDate, actualBorrowPeriod);
+  // A barcode identifies the exact copy being handed over; an ISBN lets circulation pick one
+  const item = await Item.findByBarcode(bookIdentifier);
+  const book = item
+    ? await Book.findById(item.bookId)
+    : await Book.findOne({ isbn: String(bookIdentifier).trim() });
+  if (!book) {
+    return sendError(res, 'No book found with that ISBN or barcode', 404, 'BOOK_NOT_FOUND');
+  }
 
-  // Create borrow record
-  const borrow = new Borrow({
-    userId,
-    bookId,
-    borrowDate,
-    dueDate,
-    status: 'active'
+  const terms = await circulationService.checkEligibility(patron, book, {
+    borrowPeriodDays,
+    branchId: item ? null : branchId
   });
+  const { loanPolicy, violations } = terms;
+
+  // Only limits can be waived, and only for the checks that actually failed
+  const blocking = violations.filter(violation => !violation.overridable || !overrides.includes(violation.code));
+  if (blocking.length > 0) {
+    return sendError(res, blocking[0].message, 400, 'CHECKOUT_DENIED', {
+      violations: blocking,
+      loanPolicy
+    });
+  }
+
+  const appliedOverrides = violations.map(violation => violation.code);
+  if (appliedOverrides.length > 0 && !rbacService.hasPermission(req.user, PERMISSIONS.BORROW_OVERRIDE_LIMITS)) {
+    return sendError(res, 'You are not allowed to override borrowing limits', 403);
+  }
 
-  await borrow.save();
+  const loan = await circulationService.createLoan(patron, book, terms, {
+    barcode: item ? item.barcode : null,
+    branchId: branch ? branch._id : null,
+    overrideLimits: appliedOverrides.length > 0
+  });
+  if (!loan) {
+    return sendError(res, item
+      ? 'This copy is not available for checkout'
+      : 'Book is not available for borrowing', 400, 'BOOK_NOT_AVAILABLE');
+  }
 
-  // Update book availability
-  await book.borrowBook();
+  const { borrow } = loan;
+
+  if (appliedOverrides.length > 0) {
+    await auditService.logEvent({
+      userId: req.user._id,
+      userEmail: req.user.email,
+      userRole: req.user.role,
+      action: 'BORROW_LIMIT_OVERRIDE',
+      resourceType: 'Borrow',
+      resourceId: borrow._id,
+      targetUserId: patron._id,
+      details: {
+        overrides: violations,
+        reason: overrideReason,
+        patron: patron.email,
+        isbn: book.isbn,
+        loanPolicy: loanPolicy.name
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'HIGH'
+    });
+  }
 
-  // Populate the borrow record for response
-  await borrow.populate('bookId', 'title author isbn');
+  await borrow.populate({ path: 'itemId', select: 'barcode shelfLocation' });
+  const calendar = await LibraryCalendar.getCalendar();
 
-  sendSuccess(res, 'Book borrowed successfully', {
+  sendSuccess(res, 'Book checked out successfully', {
     borrow,
-    dueDate: dueDate.toISOString(),
-    borrowPeriodDays: actualBorrowPeriod
+    receipt: {
+      receiptNumber: borrow._id,
+      checkedOutAt: borrow.borrowDate,
+      checkedOutBy: req.user.name,
+      patron: {
+        id: patron._id,
+        name: patron.name,
+        cardNumber: patron.cardNumber || null
+      },
+      item: {
+        title: book.title,
+        author: book.author,
+        isbn: book.isbn,
+        barcode: borrow.itemId ? borrow.itemId.barcode : null
+      },
+      branch: branch ? { name: branch.name, code: branch.code } : null,
+      dueDate: borrow.dueDate,
+      timezone: calendar.timezone,
+      loanPolicy: loanPolicy.name,
+      renewalsAllowed: loanPolicy.maxRenewals,
+      overrides: appliedOverrides
+    }
   }, 201);
 });
 
@@ -74,12 +252,19 @@ const borrowBook = asyncHandler(async (req, res) => {
 // @access  Private
 const returnBook = asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const { branchId } = req.body;
   const userId = req.user._id;
 
   if (!isValidObjectId(id)) {
     return sendError(res, 'Invalid borrow ID', 400);
   }
 
+  // Branch the copy was handed back at (it is shelved there until transferred)
+  const returnBranch = branchId ? await Branch.findActive(branchId) : null;
+  if (branchId && !returnBranch) {
+    return sendError(res, 'Branch not found or inactive', 404, 'BRANCH_NOT_FOUND');
+  }
+
   const borrow = await Borrow.findById(id).populate('bookId', 'title author isbn');
   if (!borrow) {
     return sendError(res, 'Borrow record not found', 404);
@@ -94,25 +279,45 @@ const returnBook = asyncHandler(async (req, res) => {
   if (borrow.status === 'returned') {
     return sendError(res, 'Book has already been returned', 400);
   }
+  if (!OPEN_BORROW_STATUSES.includes(borrow.status)) {
+    return sendError(res, `This loan is recorded as ${borrow.status}; a librarian must update its status`, 400, 'INVALID_STATUS_TRANSITION');
+  }
 
-  // Calculate if book was returned late
-  const isLate = new Date() > borrow.dueDate;
-  const daysLate = isLate ? Math.ceil((new Date() - borrow.dueDate) / (1000 * 60 * 60 * 24)) : 0;
+  // Calculate if book was returned late (closed days roll the due date forward and are not counted)
+  const calendar = await LibraryCalendar.getCalendar();
+  const isLate = calendar.isPastDue(borrow.dueDate);
+  const daysLate = calendar.countOpenDaysLate(borrow.dueDate);
 
-  // Mark as returned
-  await borrow.markAsReturned();
+  // Mark as returned (only one concurrent return request can close the borrow)
+  const returned = await borrow.markAsReturned({ branchId: returnBranch ? returnBranch._id : null });
+  if (!returned) {
+    return sendError(res, 'Book has already been returned', 400);
+  }
 
-  // Update book availability
-  const book = await Book.findById(borrow.bookId._id);
-  await book.returnBook();
+  // Record the final overdue charge in the fines ledger
+  const fine = isLate ? await Fine.accrueForBorrow(borrow, calendar) : null;
+
+  // Hand the copy to the next patron in the hold queue, otherwise back on the shelf
+  const nextHold = await circulationService.checkIn(borrow, { branchId: borrow.returnBranchId });
+  if (nextHold) {
+    await notificationService.notifyHoldReady(nextHold);
+  }
 
   sendSuccess(res, 'Book returned successfully', {
     borrow,
     returnInfo: {
       returnedOn: borrow.returnDate,
+      returnedAt: returnBranch ? { id: returnBranch._id, name: returnBranch.name, code: returnBranch.code } : null,
+      returnedToOtherBranch: !!(returnBranch && borrow.branchId && borrow.branchId.toString() !== returnBranch._id.toString()),
       wasLate: isLate,
       daysLate: daysLate,
-      originalDueDate: borrow.dueDate
+      originalDueDate: borrow.dueDate,
+      heldForNextPatron: !!nextHold,
+      fine: fine ? {
+        id: fine._id,
+        amount: fine.amount,
+        balance: fine.balance
+      } : null
     }
   });
 });
@@ -125,14 +330,7 @@ const getMyBorrows = asyncHandler(async (req, res) => {
   const { limit: pageLimit, offset } = getPagination(page, limit);
   const userId = req.user._id;
 
-  let query = { userId };
-  if (status === 'active') {
-    query.status = 'active';
-  } else if (status === 'returned') {
-    query.status = 'returned';
-  } else if (status === 'overdue') {
-    query.status = 'overdue';
-  }
+  const query = { userId, ...buildStatusFilter(status) };
 
   const borrows = await Borrow.find(query)
     .populate('bookId', 'title author isbn coverImage')
@@ -168,34 +366,57 @@ const getMyBorrows = asyncHandler(async (req, res) => {
 // @route   GET /api/borrows
 // @access  Private (Librarian only)
 const getAllBorrows = asyncHandler(async (req, res) => {
-  const { status = 'all', userId, bookId, page = 0, limit = 10 } = req.query;
+  const { status = 'all', userId, bookId, branchId, page = 0, limit = 10, after, before } = req.query;
   const { limit: pageLimit, offset } = getPagination(page, limit);
 
-  let query = {};
-  if (status === 'active') {
-    query.returnDate = null;
-  } else if (status === 'returned') {
-    query.returnDate = { $ne: null };
+  // Newest first; loans made at the same moment keep their order by ID
+  const sort = { borrowDate: -1, _id: -1 };
+  const { cursor, error: cursorError } = readCursorParams({ after, before }, sort);
+  if (cursorError) {
+    return sendError(res, cursorError, 400, 'INVALID_CURSOR');
   }
+
+  const query = buildStatusFilter(status);
   if (userId) query.userId = userId;
   if (bookId) query.bookId = bookId;
+  if (branchId) {
+    if (!isValidObjectId(branchId)) {
+      return sendError(res, 'Invalid branch ID', 400);
+    }
+    query.branchId = branchId;
+  }
 
-  const borrows = await Borrow.find(query)
+  // A cursor page reads the loans past the cursor, plus one to tell whether more follow
+  const rows = await Borrow.find(cursor ? { $and: [query, buildCursorFilter(sort, cursor)] } : query)
     .populate('userId', 'name email')
     .populate('bookId', 'title author isbn')
-    .sort({ borrowDate: -1 })
-    .limit(pageLimit)
-    .skip(offset);
+    .populate('itemId', 'barcode shelfLocation')
+    .populate('branchId', 'name code')
+    .populate('returnBranchId', 'name code')
+    .sort(cursorSort(sort, cursor))
+    .limit(cursor ? pageLimit + 1 : pageLimit)
+    .skip(cursor ? 0 : offset);
 
   const total = await Borrow.countDocuments(query);
 
+  const { items: borrows, pagination } = cursor
+    ? buildCursorPage(rows, sort, cursor, pageLimit)
+    : {
+      items: rows,
+      pagination: buildPageCursors(rows, sort, {
+        hasNextPage: offset + rows.length < total,
+        hasPrevPage: offset > 0
+      })
+    };
+
   sendSuccess(res, 'Borrows retrieved successfully', {
     borrows,
     pagination: {
       total,
-      page: parseInt(page),
+      page: cursor ? null : parseInt(page),
       limit: pageLimit,
-      totalPages: Math.ceil(total / pageLimit)
+      totalPages: Math.ceil(total / pageLimit),
+      ...pagination
     }
   });
 });
@@ -212,7 +433,8 @@ const getBorrowById = asyncHandler(async (req, res) => {
 
   const borrow = await Borrow.findById(id)
     .populate('userId', 'name email')
-    .populate('bookId', 'title author isbn coverImage');
+    .populate('bookId', 'title author isbn coverImage')
+    .populate('itemId', 'barcode shelfLocation condition');
 
   if (!borrow) {
     return sendError(res, 'Borrow record not found', 404);
@@ -250,19 +472,41 @@ const getActiveBorrowsByBook = asyncHandler(async (req, res) => {
 // @route   GET /api/borrows/stats/overview
 // @access  Private (Librarian only)
 const getBorrowStats = asyncHandler(async (req, res) => {
-  const totalBorrows = await Borrow.countDocuments();
-  const activeBorrows = await Borrow.countDocuments({ returnDate: null });
-  const returnedBorrows = await Borrow.countDocuments({ returnDate: { $ne: null } });
+  const { branchId } = req.query;
+
+  // Limit every figure to loans checked out at one branch
+  const scope = {};
+  let branch = null;
+  if (branchId) {
+    if (!isValidObjectId(branchId)) {
+      return sendError(res, 'Invalid branch ID', 400);
+    }
+    branch = await Branch.findById(branchId).select('name code');
+    if (!branch) {
+      return sendError(res, 'Branch not found', 404);
+    }
+    scope.branchId = branch._id;
+  }
+
+  const totalBorrows = await Borrow.countDocuments(scope);
+  const activeBorrows = await Borrow.countDocuments({ ...scope, status: { $in: OPEN_BORROW_STATUSES } });
+  const returnedBorrows = await Borrow.countDocuments({ ...scope, status: 'returned' });
+  const lostBorrows = await Borrow.countDocuments({ ...scope, status: 'lost' });
+  const damagedBorrows = await Borrow.countDocuments({ ...scope, status: 'damaged' });
 
   // Borrows in the last 30 days
   const thirtyDaysAgo = new Date();
   thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
   const recentBorrows = await Borrow.countDocuments({
+    ...scope,
     borrowDate: { $gte: thirtyDaysAgo }
   });
 
   // Most borrowed books
   const mostBorrowedBooks = await Borrow.aggregate([
+    {
+      $match: scope
+    },
     {
       $group: {
         _id: '$bookId',
@@ -297,13 +541,62 @@ const getBorrowStats = asyncHandler(async (req, res) => {
     }
   ]);
 
+  // Checkouts and open loans per branch (loans from before branches were set up have none)
+  const byBranch = await Borrow.aggregate([
+    {
+      $match: scope
+    },
+    {
+      $group: {
+        _id: '$branchId',
+        borrowCount: { $sum: 1 },
+        activeCount: { $sum: { $cond: [{ $in: ['$status', OPEN_BORROW_STATUSES] }, 1, 0] } },
+        returnedElsewhere: {
+          $sum: {
+            $cond: [
+              { $and: [{ $ne: ['$returnBranchId', null] }, { $ne: ['$returnBranchId', '$branchId'] }] },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    },
+    {
+      $lookup: {
+        from: 'branches',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'branch'
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        branchId: '$_id',
+        name: { $ifNull: [{ $arrayElemAt: ['$branch.name', 0] }, null] },
+        code: { $ifNull: [{ $arrayElemAt: ['$branch.code', 0] }, null] },
+        borrowCount: 1,
+        activeCount: 1,
+        returnedElsewhere: 1
+      }
+    },
+    {
+      $sort: { borrowCount: -1 }
+    }
+  ]);
+
   sendSuccess(res, 'Borrow statistics retrieved successfully', {
+    branch,
     stats: {
       totalBorrows,
       activeBorrows,
       returnedBorrows,
+      lostBorrows,
+      damagedBorrows,
       recentBorrows,
-      mostBorrowedBooks
+      mostBorrowedBooks,
+      byBranch
     }
   });
 });
@@ -358,21 +651,33 @@ const extendDueDate = asyncHandler(async (req, res) => {
     return sendError(res, 'Invalid borrow ID', 400);
   }
 
-  if (additionalDays < 1 || additionalDays > 30) {
-    return sendError(res, 'Additional days must be between 1 and 30', 400);
-  }
-
-  const borrow = await Borrow.findById(id).populate('bookId', 'title author isbn');
+  const borrow = await Borrow.findById(id).populate('bookId', 'title author isbn category');
   if (!borrow) {
     return sendError(res, 'Borrow record not found', 404);
   }
 
-  if (borrow.status === 'returned') {
-    return sendError(res, 'Cannot extend due date for returned books', 400);
+  if (!['active', 'overdue'].includes(borrow.status)) {
+    return sendError(res, `Cannot extend the due date of a ${borrow.status.replace(/_/g, ' ')} loan`, 400, 'BORROW_NOT_ACTIVE');
+  }
+
+  const standing = await accountStandingService.evaluate(borrow.userId);
+  if (!standing.canBorrow) {
+    return sendError(res, 'Loans cannot be extended while the patron account is blocked', 403, 'ACCOUNT_BLOCKED', {
+      reasons: standing.reasons,
+      metrics: standing.metrics
+    });
+  }
+
+  // A single extension may not exceed the policy's maximum loan period
+  const loanPolicy = await LoanPolicy.resolveForBorrow(borrow);
+  if (additionalDays < 1 || additionalDays > loanPolicy.maxLoanPeriodDays) {
+    return sendError(res, `Additional days must be between 1 and ${loanPolicy.maxLoanPeriodDays}`, 400, null, {
+      loanPolicy
+    });
   }
 
   const oldDueDate = new Date(borrow.dueDate);
-  await borrow.extendDueDate(additionalDays);
+  await borrow.extendDueDate(additionalDays, req.user._id);
 
   sendSuccess(res, 'Due date extended successfully', {
     borrow,
@@ -380,6 +685,94 @@ const extendDueDate = asyncHandler(async (req, res) => {
       oldDueDate,
       newDueDate: borrow.dueDate,
       additionalDays
+    },
+    loanPolicy
+  });
+});
+
+// @desc    Check whether a borrow can be renewed
+// @route   GET /api/borrows/:id/renewal-eligibility
+// @access  Private (Own borrows or Librarian)
+const getRenewalEligibility = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid borrow ID', 400);
+  }
+
+  const borrow = await Borrow.findById(id);
+  if (!borrow) {
+    return sendError(res, 'Borrow record not found', 404);
+  }
+
+  if (!rbacService.canAccessResource(
+    req.user,
+    borrow,
+    PERMISSIONS.BORROW_READ_OWN,
+    PERMISSIONS.BORROW_READ_ALL
+  )) {
+    return sendError(res, 'Access denied. You can only view your own borrow records.', 403);
+  }
+
+  const { eligible, reasons, rules, loanPolicy } = await borrow.getRenewalEligibility();
+
+  sendSuccess(res, 'Renewal eligibility retrieved successfully', {
+    eligible,
+    reasons,
+    renewalCount: borrow.renewalCount,
+    renewalsRemaining: Math.max(rules.maxRenewals - borrow.renewalCount, 0),
+    rules,
+    loanPolicy
+  });
+});
+
+// @desc    Renew a borrow (self-service)
+// @route   POST /api/borrows/:id/renew
+// @access  Private (Own borrows or Librarian)
+const renewBorrow = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid borrow ID', 400);
+  }
+
+  const borrow = await Borrow.findById(id).populate('bookId', 'title author isbn');
+  if (!borrow) {
+    return sendError(res, 'Borrow record not found', 404);
+  }
+
+  if (!rbacService.canAccessResource(
+    req.user,
+    borrow,
+    PERMISSIONS.BORROW_UPDATE_OWN,
+    PERMISSIONS.BORROW_UPDATE_ANY
+  )) {
+    return sendError(res, 'You can only renew your own borrowed books', 403);
+  }
+
+  const { eligible, reasons, rules } = await borrow.getRenewalEligibility();
+  if (!eligible) {
+    return sendError(res, 'Renewal denied', 400, 'RENEWAL_DENIED', { reasons });
+  }
+
+  const oldDueDate = new Date(borrow.dueDate);
+  const renewed = await borrow.renew(rules, req.user._id);
+  if (!renewed) {
+    return sendError(res, 'Renewal denied', 400, 'RENEWAL_DENIED', {
+      reasons: [{
+        code: 'BORROW_CHANGED',
+        message: 'This borrow was renewed or closed by another request; check it and try again'
+      }]
+    });
+  }
+
+  sendSuccess(res, 'Borrow renewed successfully', {
+    borrow,
+    renewal: {
+      oldDueDate,
+      newDueDate: borrow.dueDate,
+      renewalCount: borrow.renewalCount,
+      renewalsRemaining: Math.max(rules.maxRenewals - borrow.renewalCount, 0)
     }
   });
 });
@@ -406,6 +799,279 @@ const getMyOverdueBorrows = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Record a loan as lost, damaged or claimed returned, or resolve one
+// @route   PUT /api/borrows/:id/status
+// @access  Private (Librarian only)
+const updateBorrowStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { status, amount, disposition = 'withdraw', note } = req.body;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid borrow ID', 400);
+  }
+
+  const borrow = await Borrow.findById(id).populate('bookId', 'title author isbn category replacementCost');
+  if (!borrow) {
+    return sendError(res, 'Borrow record not found', 404);
+  }
+
+  if (!borrow.canTransitionTo(status)) {
+    const allowed = Borrow.STATUS_TRANSITIONS[borrow.status] || [];
+    return sendError(res, `Cannot change a ${borrow.status} loan to ${status}`, 400, 'INVALID_STATUS_TRANSITION', {
+      currentStatus: borrow.status,
+      allowedStatuses: allowed
+    });
+  }
+
+  const previousStatus = borrow.status;
+  const result = await circulationService.changeLoanStatus(borrow, status, {
+    changedBy: req.user._id,
+    amount: amount !== undefined ? parseFloat(amount) : null,
+    disposition,
+    note
+  });
+  if (!result) {
+    return sendError(res, 'The loan was updated by another request; reload it and try again', 409, 'BORROW_STATUS_CONFLICT');
+  }
+
+  const { fine, item, nextHold } = result;
+
+  if (nextHold) {
+    await notificationService.notifyHoldReady(nextHold);
+  }
+  const charge = borrow.statusChanges[borrow.statusChanges.length - 1].charge;
+  if (charge > 0) {
+    await notificationService.notifyAccount(borrow.userId, {
+      type: 'warning',
+      title: status === 'lost' ? 'Charge for a lost book' : 'Charge for a damaged book',
+      message: `A charge of ${charge.toFixed(2)} has been added to your account for "${borrow.bookId.title}".` +
+        (fine ? ` Your balance for this loan is ${fine.balance.toFixed(2)}.` : ''),
+      data: { borrowId: borrow._id, bookId: borrow.bookId._id, fineId: fine ? fine._id : null }
+    });
+  }
+
+  sendSuccess(res, 'Borrow status updated successfully', {
+    borrow,
+    previousStatus,
+    item: item ? { id: item._id, barcode: item.barcode, status: item.status } : null,
+    heldForNextPatron: !!nextHold,
+    fine: fine ? {
+      id: fine._id,
+      amount: fine.amount,
+      itemCharges: fine.itemCharges,
+      balance: fine.balance,
+      status: fine.status
+    } : null
+  });
+});
+
+// @desc    Report lost items and replacement charges over time
+// @route   GET /api/borrows/reports/lost
+// @access  Private (Librarian only)
+const getLostItemsReport = asyncHandler(async (req, res) => {
+  const { from, to, groupBy = 'month' } = req.query;
+
+  const format = REPORT_PERIOD_FORMATS[groupBy];
+  if (!format) {
+    return sendError(res, 'groupBy must be one of: day, week, month', 400);
+  }
+
+  const { range, error } = parseReportRange(from, to);
+  if (error) {
+    return sendError(res, error, 400);
+  }
+
+  const { timezone } = await LibraryCalendar.getCalendar();
+  const changeMatch = { 'statusChanges.to': 'lost' };
+  if (range.$gte || range.$lte) changeMatch['statusChanges.changedAt'] = range;
+
+  const [report] = await Borrow.aggregate([
+    { $match: { 'statusChanges.to': 'lost' } },
+    { $unwind: '$statusChanges' },
+    { $match: changeMatch },
+    {
+      $lookup: {
+        from: 'books',
+        localField: 'bookId',
+        foreignField: '_id',
+        as: 'book'
+      }
+    },
+    { $unwind: { path: '$book', preserveNullAndEmptyArrays: true } },
+    {
+      $facet: {
+        periods: [
+          {
+            $group: {
+              _id: { $dateToString: { format, date: '$statusChanges.changedAt', timezone } },
+              count: { $sum: 1 },
+              replacementCharges: { $sum: '$statusChanges.charge' },
+              stillLost: { $sum: { $cond: [{ $eq: ['$status', 'lost'] }, 1, 0] } }
+            }
+          },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, period: '$_id', count: 1, replacementCharges: 1, stillLost: 1 } }
+        ],
+        byCategory: [
+          {
+            $group: {
+              _id: { $ifNull: ['$book.category', 'Unknown'] },
+              count: { $sum: 1 },
+              replacementCharges: { $sum: '$statusChanges.charge' }
+            }
+          },
+          { $sort: { count: -1 } },
+          { $project: { _id: 0, category: '$_id', count: 1, replacementCharges: 1 } }
+        ],
+        totals: [
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              replacementCharges: { $sum: '$statusChanges.charge' },
+              stillLost: { $sum: { $cond: [{ $eq: ['$status', 'lost'] }, 1, 0] } },
+              found: { $sum: { $cond: [{ $eq: ['$status', 'returned'] }, 1, 0] } }
+            }
+          },
+          { $project: { _id: 0 } }
+        ]
+      }
+    }
+  ]);
+
+  sendSuccess(res, 'Lost items report retrieved successfully', {
+    groupBy,
+    timezone,
+    from: range.$gte || null,
+    to: range.$lte || null,
+    totals: report.totals[0] || { count: 0, replacementCharges: 0, stillLost: 0, found: 0 },
+    periods: report.periods,
+    byCategory: report.byCategory
+  });
+});
+
+// @desc    Report checkouts, returns, overdues and borrowers over time
+// @route   GET /api/borrows/reports/circulation
+// @access  Private (Librarian only)
+const getCirculationReport = asyncHandler(async (req, res) => {
+  const { from, to, groupBy = 'week', breakdown, branchId, format = 'json' } = req.query;
+
+  const { range, error } = parseReportRange(from, to);
+  if (error) {
+    return sendError(res, error, 400);
+  }
+
+  const end = range.$lte || new Date();
+  const start = range.$gte || new Date(end.getTime() - REPORT_DEFAULT_DAYS[groupBy] * MS_PER_DAY);
+  if (start > end) {
+    return sendError(res, 'The start date must not be in the future', 400);
+  }
+  if ((end - start) / MS_PER_DAY > MAX_REPORT_DAYS) {
+    return sendError(res, `The report can cover at most ${MAX_REPORT_DAYS} days`, 400);
+  }
+
+  let branch = null;
+  if (branchId) {
+    branch = await Branch.findById(branchId).select('name code');
+    if (!branch) {
+      return sendError(res, 'Branch not found', 404);
+    }
+  }
+
+  const { timezone } = await LibraryCalendar.getCalendar();
+  const options = {
+    from: start,
+    to: end,
+    format: REPORT_PERIOD_FORMATS[groupBy],
+    timezone,
+    branchId: branch ? branch._id : null
+  };
+
+  // Borrowers are counted separately for the whole library and for each group,
+  // since a patron can fall in several groups (e.g. borrow at two branches)
+  const [overall, split] = await Promise.all([
+    Borrow.getCirculationSeries(options),
+    breakdown ? Borrow.getCirculationSeries({ ...options, breakdown }) : null
+  ]);
+
+  const periodKeys = listPeriodKeys(start, end, groupBy, timezone);
+  const emptyCounts = { checkouts: 0, returns: 0, overdues: 0, uniqueBorrowers: 0 };
+
+  // Fill in periods without activity so every series has the same length
+  const buildSeries = (rows) => {
+    const byPeriod = new Map(rows.map(row => [row.period, row]));
+    return periodKeys.map(period => {
+      const { checkouts, returns, overdues, uniqueBorrowers } = byPeriod.get(period) || emptyCounts;
+      return { period, checkouts, returns, overdues, uniqueBorrowers };
+    });
+  };
+
+  const sumCounts = (series, uniqueBorrowers) => ({
+    checkouts: series.reduce((sum, entry) => sum + entry.checkouts, 0),
+    returns: series.reduce((sum, entry) => sum + entry.returns, 0),
+    overdues: series.reduce((sum, entry) => sum + entry.overdues, 0),
+    uniqueBorrowers
+  });
+
+  const periods = buildSeries(overall.rows);
+  const totals = sumCounts(periods, overall.borrowers.length ? overall.borrowers[0].uniqueBorrowers : 0);
+
+  let groups = null;
+  if (split) {
+    const keyOf = (key) => (key === null || key === undefined ? null : key.toString());
+    const keys = [...new Set([...split.rows, ...split.borrowers].map(entry => keyOf(entry.key)))];
+
+    // Branch groups are labelled with the branch name; loans from before branches have none
+    const labels = new Map();
+    if (breakdown === 'branch') {
+      const branches = await Branch.find({ _id: { $in: keys.filter(Boolean) } }).select('name');
+      branches.forEach(entry => labels.set(entry._id.toString(), entry.name));
+    }
+
+    groups = keys.map(key => {
+      const series = buildSeries(split.rows.filter(row => keyOf(row.key) === key));
+      const borrowers = split.borrowers.find(entry => keyOf(entry.key) === key);
+      return {
+        key,
+        label: breakdown === 'branch' ? (labels.get(key) || 'No branch') : key,
+        totals: sumCounts(series, borrowers ? borrowers.uniqueBorrowers : 0),
+        periods: series
+      };
+    }).sort((a, b) => b.totals.checkouts - a.totals.checkouts);
+  }
+
+  if (format === 'csv') {
+    const columns = [
+      { key: 'period', header: 'period' },
+      ...(groups ? [{ key: 'group', header: breakdown }] : []),
+      { key: 'checkouts', header: 'checkouts' },
+      { key: 'returns', header: 'returns' },
+      { key: 'overdues', header: 'overdues' },
+      { key: 'uniqueBorrowers', header: 'unique_borrowers' }
+    ];
+    const rows = groups
+      ? groups.flatMap(group => group.periods.map(entry => ({ ...entry, group: group.label })))
+      : periods;
+    const filename = `circulation-${groupBy}-${toDateKey(start, timezone)}-to-${toDateKey(end, timezone)}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(toCsv(columns, rows));
+  }
+
+  sendSuccess(res, 'Circulation report retrieved successfully', {
+    groupBy,
+    breakdown: breakdown || null,
+    timezone,
+    from: start,
+    to: end,
+    branch,
+    totals,
+    periods,
+    groups
+  });
+});
+
 // @desc    Update overdue statuses (maintenance endpoint)
 // @route   POST /api/borrows/update-overdue
 // @access  Private (Librarian only)
@@ -420,6 +1086,7 @@ const updateOverdueStatuses = asyncHandler(async (req, res) => {
 
 module.exports = {
   borrowBook,
+  deskCheckout,
   returnBook,
   getMyBorrows,
   getAllBorrows,
@@ -428,6 +1095,11 @@ module.exports = {
   getBorrowStats,
   getOverdueBorrows,
   extendDueDate,
+  getRenewalEligibility,
+  renewBorrow,
   getMyOverdueBorrows,
+  updateBorrowStatus,
+  getLostItemsReport,
+  getCirculationReport,
   updateOverdueStatuses
 };
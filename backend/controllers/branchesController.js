@@ -0,0 +1,150 @@
+const { Branch, Item, Transfer, Borrow, User } = require('../models');
+const { sendSuccess, sendError, asyncHandler, isValidObjectId } = require('../utils/helpers');
+const { OPEN_BORROW_STATUSES } = require('../utils/constants');
+
+// Fields an administrator may set on a branch
+const EDITABLE_FIELDS = ['name', 'code', 'address', 'phone', 'email', 'isActive'];
+
+// Find another branch already using a name or code
+const findDuplicateBranch = ({ name, code }, excludeId = null) => {
+  const conditions = [];
+  if (name) conditions.push({ name });
+  if (code) conditions.push({ code: String(code).toUpperCase() });
+  if (conditions.length === 0) return null;
+
+  const query = { $or: conditions };
+  if (excludeId) query._id = { $ne: excludeId };
+  return Branch.findOne(query);
+};
+
+// @desc    Get library branches
+// @route   GET /api/branches
+// @access  Public
+const getBranches = asyncHandler(async (req, res) => {
+  const { includeInactive } = req.query;
+
+  const query = includeInactive === 'true' ? {} : { isActive: true };
+  const branches = await Branch.find(query).sort({ name: 1 });
+
+  sendSuccess(res, 'Branches retrieved successfully', {
+    branches,
+    count: branches.length
+  });
+});
+
+// @desc    Get branch by ID with a summary of its holdings
+// @route   GET /api/branches/:id
+// @access  Public
+const getBranchById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid branch ID', 400);
+  }
+
+  const branch = await Branch.findById(id);
+  if (!branch) {
+    return sendError(res, 'Branch not found', 404);
+  }
+
+  const [copies, inTransitTo, inTransitFrom, activeLoans, patrons] = await Promise.all([
+    Item.summarizeBranch(id),
+    Transfer.countDocuments({ toBranchId: id, status: 'in_transit' }),
+    Transfer.countDocuments({ fromBranchId: id, status: 'in_transit' }),
+    Borrow.countDocuments({ branchId: id, status: { $in: OPEN_BORROW_STATUSES } }),
+    User.countDocuments({ homeBranchId: id })
+  ]);
+
+  sendSuccess(res, 'Branch retrieved successfully', {
+    branch,
+    holdings: {
+      ...copies,
+      inTransitTo,
+      inTransitFrom
+    },
+    activeLoans,
+    patrons
+  });
+});
+
+// @desc    Create a branch
+// @route   POST /api/branches
+// @access  Private (Admin only)
+const createBranch = asyncHandler(async (req, res) => {
+  if (await findDuplicateBranch(req.body)) {
+    return sendError(res, 'A branch with this name or code already exists', 400);
+  }
+
+  const branch = new Branch();
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) branch[field] = req.body[field];
+  });
+  await branch.save();
+
+  sendSuccess(res, 'Branch created successfully', { branch }, 201);
+});
+
+// @desc    Update a branch
+// @route   PUT /api/branches/:id
+// @access  Private (Admin only)
+const updateBranch = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid branch ID', 400);
+  }
+
+  const branch = await Branch.findById(id);
+  if (!branch) {
+    return sendError(res, 'Branch not found', 404);
+  }
+
+  if (await findDuplicateBranch(req.body, branch._id)) {
+    return sendError(res, 'A branch with this name or code already exists', 400);
+  }
+
+  // Copies on their way to a branch have to arrive (or be recalled) before it closes
+  if (req.body.isActive === false && branch.isActive &&
+      await Transfer.exists({ toBranchId: branch._id, status: 'in_transit' })) {
+    return sendError(res, 'Copies are in transit to this branch; receive or cancel those transfers first', 400, 'BRANCH_HAS_TRANSFERS');
+  }
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) branch[field] = req.body[field];
+  });
+  await branch.save();
+
+  sendSuccess(res, 'Branch updated successfully', { branch });
+});
+
+// @desc    Delete a branch
+// @route   DELETE /api/branches/:id
+// @access  Private (Admin only)
+const deleteBranch = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid branch ID', 400);
+  }
+
+  const branch = await Branch.findById(id);
+  if (!branch) {
+    return sendError(res, 'Branch not found', 404);
+  }
+
+  if (await branch.isInUse()) {
+    return sendError(res, 'Branch has copies, loans, patrons or transfers; deactivate it instead', 400, 'BRANCH_IN_USE');
+  }
+
+  await branch.deleteOne();
+
+  sendSuccess(res, 'Branch deleted successfully');
+});
+
+module.exports = {
+  getBranches,
+  getBranchById,
+  createBranch,
+  updateBranch,
+  deleteBranch
+};
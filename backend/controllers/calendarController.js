@@ -0,0 +1,142 @@
+const { LibraryCalendar } = require('../models');
+const { sendSuccess, sendError, asyncHandler } = require('../utils/helpers');
+const { toDateKey, isValidDateKey, addDaysToKey, diffDateKeys } = require('../utils/timezoneUtils');
+
+// Longest range returned by the schedule endpoint
+const MAX_SCHEDULE_DAYS = 92;
+
+// Load the stored calendar, creating it from the defaults on first change
+const getEditableCalendar = async () => {
+  const calendar = await LibraryCalendar.findOne({ key: 'default' });
+  return calendar || new LibraryCalendar();
+};
+
+// @desc    Get the library calendar
+// @route   GET /api/calendar
+// @access  Public
+const getCalendar = asyncHandler(async (req, res) => {
+  const calendar = await LibraryCalendar.getCalendar();
+  const today = toDateKey(new Date(), calendar.timezone);
+
+  sendSuccess(res, 'Library calendar retrieved successfully', {
+    calendar: {
+      timezone: calendar.timezone,
+      openingHours: calendar.openingHours,
+      exceptions: calendar.exceptions.filter(exception => exception.date >= today),
+      updatedAt: calendar.updatedAt || null
+    },
+    today: {
+      date: today,
+      hours: calendar.getHoursFor(today),
+      nextOpenDay: calendar.getNextOpenDay(today)
+    }
+  });
+});
+
+// @desc    Get opening hours for each day in a date range
+// @route   GET /api/calendar/schedule
+// @access  Public
+const getSchedule = asyncHandler(async (req, res) => {
+  const calendar = await LibraryCalendar.getCalendar();
+  const from = req.query.from || toDateKey(new Date(), calendar.timezone);
+  const to = req.query.to || addDaysToKey(from, 13);
+
+  if (!isValidDateKey(from) || !isValidDateKey(to)) {
+    return sendError(res, 'Dates must be in YYYY-MM-DD format', 400);
+  }
+
+  const days = diffDateKeys(from, to);
+  if (days < 0) {
+    return sendError(res, 'The start date must not be after the end date', 400);
+  }
+  if (days >= MAX_SCHEDULE_DAYS) {
+    return sendError(res, `The schedule range cannot exceed ${MAX_SCHEDULE_DAYS} days`, 400);
+  }
+
+  sendSuccess(res, 'Library schedule retrieved successfully', {
+    timezone: calendar.timezone,
+    from,
+    to,
+    schedule: calendar.getSchedule(from, to)
+  });
+});
+
+// @desc    Update the timezone and weekly opening hours
+// @route   PUT /api/calendar
+// @access  Private (Librarian only)
+const updateCalendar = asyncHandler(async (req, res) => {
+  const { timezone, openingHours } = req.body;
+
+  const calendar = await getEditableCalendar();
+
+  if (timezone !== undefined) calendar.timezone = timezone;
+  if (openingHours !== undefined) {
+    // Days left out of the request keep their current hours
+    const current = new Map(calendar.openingHours.map(hours => [hours.dayOfWeek, hours.toObject()]));
+    openingHours.forEach(hours => {
+      current.set(Number(hours.dayOfWeek), {
+        dayOfWeek: Number(hours.dayOfWeek),
+        closed: !!hours.closed,
+        open: hours.closed ? null : hours.open,
+        close: hours.closed ? null : hours.close
+      });
+    });
+    calendar.openingHours = [...current.values()].sort((a, b) => a.dayOfWeek - b.dayOfWeek);
+  }
+  calendar.updatedBy = req.user._id;
+
+  await calendar.save();
+
+  sendSuccess(res, 'Library calendar updated successfully', { calendar });
+});
+
+// @desc    Add or replace a holiday or special-hours exception
+// @route   POST /api/calendar/exceptions
+// @access  Private (Librarian only)
+const upsertException = asyncHandler(async (req, res) => {
+  const { date, name, closed = true, open, close } = req.body;
+
+  const calendar = await getEditableCalendar();
+
+  calendar.exceptions = calendar.exceptions.filter(exception => exception.date !== date);
+  calendar.exceptions.push({
+    date,
+    name,
+    closed,
+    open: closed ? null : open,
+    close: closed ? null : close
+  });
+  calendar.updatedBy = req.user._id;
+
+  await calendar.save();
+
+  const exception = calendar.exceptions.find(entry => entry.date === date);
+  sendSuccess(res, 'Calendar exception saved successfully', { exception, calendar }, 201);
+});
+
+// @desc    Remove a holiday or special-hours exception
+// @route   DELETE /api/calendar/exceptions/:date
+// @access  Private (Librarian only)
+const deleteException = asyncHandler(async (req, res) => {
+  const { date } = req.params;
+
+  const calendar = await LibraryCalendar.findOne({ key: 'default' });
+  if (!calendar || !calendar.exceptions.some(exception => exception.date === date)) {
+    return sendError(res, 'Calendar exception not found', 404);
+  }
+
+  calendar.exceptions = calendar.exceptions.filter(exception => exception.date !== date);
+  calendar.updatedBy = req.user._id;
+
+  await calendar.save();
+
+  sendSuccess(res, 'Calendar exception removed successfully', { calendar });
+});
+
+module.exports = {
+  getCalendar,
+  getSchedule,
+  updateCalendar,
+  upsertException,
+  deleteException
+};
@@ -1,5 +1,6 @@
 const { Category, Book } = require('../models');
 const { sendSuccess, sendError, asyncHandler, isValidObjectId } = require('../utils/helpers');
+const { normalizeSearchText } = require('../utils/searchText');
 
 // @desc    Get all categories
 // @route   GET /api/categories
@@ -100,10 +101,10 @@ const updateCategory = asyncHandler(async (req, res) => {
     category.name = name;
     await category.save();
 
-    // Update books that use this category
+    // Update books that use this category, keeping their search form in step
     await Book.updateMany(
       { category: oldName },
-      { category: name }
+      { category: name, 'searchText.category': normalizeSearchText(name) }
     );
   }
 
@@ -1,5 +1,5 @@
 const { ContactMessage } = require('../models');
-const { sendSuccess, sendError, asyncHandler, isValidObjectId, getPagination } = require('../utils/helpers');
+const { sendSuccess, sendError, asyncHandler, isValidObjectId, getPagination, buildMultiFieldQuery } = require('../utils/helpers');
 
 // @desc    Submit a contact message
 // @route   POST /api/contact
@@ -97,12 +97,7 @@ const getAllMessages = asyncHandler(async (req, res) => {
   }
 
   if (search) {
-    query.$or = [
-      { name: new RegExp(search, 'i') },
-      { email: new RegExp(search, 'i') },
-      { subject: new RegExp(search, 'i') },
-      { message: new RegExp(search, 'i') }
-    ];
+    Object.assign(query, buildMultiFieldQuery(['name', 'email', 'subject', 'message'], search));
   }
 
   // Date filtering
@@ -271,12 +266,7 @@ const searchMessages = asyncHandler(async (req, res) => {
     .limit(pageLimit)
     .skip(offset);
 
-  const total = await ContactMessage.countDocuments({
-    $or: [
-      { name: new RegExp(term, 'i') },
-      { email: new RegExp(term, 'i') }
-    ]
-  });
+  const total = await ContactMessage.countDocuments(ContactMessage.buildNameOrEmailQuery(term.trim()));
 
   sendSuccess(res, 'Search results retrieved successfully', {
     searchTerm: term,
@@ -0,0 +1,208 @@
+const { Fine } = require('../models');
+const { sendSuccess, sendError, asyncHandler, isValidObjectId, getPagination } = require('../utils/helpers');
+const { rbacService, PERMISSIONS } = require('../services/rbacService');
+
+// Build a status filter shared by the listing endpoints
+const buildStatusFilter = (status) => {
+  if (status === 'open') {
+    return { $in: ['outstanding', 'partially_paid'] };
+  }
+  if (status && status !== 'all') {
+    return status;
+  }
+  return undefined;
+};
+
+// @desc    Get current user's fines with balance totals
+// @route   GET /api/fines/my
+// @access  Private
+const getMyFines = asyncHandler(async (req, res) => {
+  const { status = 'all' } = req.query;
+  const userId = req.user._id;
+
+  const query = { userId };
+  const statusFilter = buildStatusFilter(status);
+  if (statusFilter) query.status = statusFilter;
+
+  const [fines, totals] = await Promise.all([
+    Fine.find(query)
+      .populate('bookId', 'title author isbn')
+      .populate('borrowId', 'borrowDate dueDate returnDate status')
+      .sort({ createdAt: -1 }),
+    Fine.getTotals({ userId })
+  ]);
+
+  sendSuccess(res, 'Your fines retrieved successfully', {
+    fines,
+    totals
+  });
+});
+
+// @desc    Get all fines with balance totals
+// @route   GET /api/fines
+// @access  Private (Librarian only)
+const getAllFines = asyncHandler(async (req, res) => {
+  const { status = 'all', userId, bookId, page = 0, limit = 10 } = req.query;
+  const { limit: pageLimit, offset } = getPagination(page, limit);
+
+  const query = {};
+  const statusFilter = buildStatusFilter(status);
+  if (statusFilter) query.status = statusFilter;
+  if (userId) {
+    if (!isValidObjectId(userId)) {
+      return sendError(res, 'Invalid user ID', 400);
+    }
+    query.userId = userId;
+  }
+  if (bookId) {
+    if (!isValidObjectId(bookId)) {
+      return sendError(res, 'Invalid book ID', 400);
+    }
+    query.bookId = bookId;
+  }
+
+  const [fines, total, totals] = await Promise.all([
+    Fine.find(query)
+      .populate('userId', 'name email')
+      .populate('bookId', 'title author isbn')
+      .sort({ createdAt: -1 })
+      .limit(pageLimit)
+      .skip(offset),
+    Fine.countDocuments(query),
+    Fine.getTotals(query)
+  ]);
+
+  sendSuccess(res, 'Fines retrieved successfully', {
+    fines,
+    totals,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: pageLimit,
+      totalPages: Math.ceil(total / pageLimit)
+    }
+  });
+});
+
+// @desc    Get fine by ID
+// @route   GET /api/fines/:id
+// @access  Private (Own fines or Librarian)
+const getFineById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid fine ID', 400);
+  }
+
+  const fine = await Fine.findById(id)
+    .populate('userId', 'name email')
+    .populate('bookId', 'title author isbn')
+    .populate('borrowId', 'borrowDate dueDate returnDate status')
+    .populate('transactions.recordedBy', 'name email');
+
+  if (!fine) {
+    return sendError(res, 'Fine not found', 404);
+  }
+
+  if (!rbacService.canAccessResource(
+    req.user,
+    { userId: fine.userId._id },
+    PERMISSIONS.FINE_READ_OWN,
+    PERMISSIONS.FINE_READ_ALL
+  )) {
+    return sendError(res, 'Access denied. You can only view your own fines.', 403);
+  }
+
+  sendSuccess(res, 'Fine retrieved successfully', { fine });
+});
+
+// @desc    Record a full or partial payment against a fine
+// @route   POST /api/fines/:id/payments
+// @access  Private (Librarian only)
+const recordPayment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { amount, method = 'cash', note } = req.body;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid fine ID', 400);
+  }
+
+  const fine = await Fine.findById(id);
+  if (!fine) {
+    return sendError(res, 'Fine not found', 404);
+  }
+
+  const previousBalance = fine.balance;
+
+  try {
+    await fine.recordPayment(amount, { method, note, recordedBy: req.user._id });
+  } catch (error) {
+    return sendError(res, error.message, 400);
+  }
+
+  sendSuccess(res, 'Payment recorded successfully', {
+    fine,
+    payment: {
+      amount: parseFloat(amount),
+      method,
+      previousBalance,
+      balance: fine.balance
+    }
+  });
+});
+
+// @desc    Waive part or all of a fine
+// @route   POST /api/fines/:id/waive
+// @access  Private (Librarian only)
+const waiveFine = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { amount, reason } = req.body;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid fine ID', 400);
+  }
+
+  const fine = await Fine.findById(id);
+  if (!fine) {
+    return sendError(res, 'Fine not found', 404);
+  }
+
+  const previousBalance = fine.balance;
+
+  try {
+    await fine.waive(amount, { reason, recordedBy: req.user._id });
+  } catch (error) {
+    return sendError(res, error.message, 400);
+  }
+
+  sendSuccess(res, 'Fine waived successfully', {
+    fine,
+    waiver: {
+      amount: Math.round((previousBalance - fine.balance) * 100) / 100,
+      reason,
+      previousBalance,
+      balance: fine.balance
+    }
+  });
+});
+
+// @desc    Accrue fines for all borrows currently past due (maintenance endpoint)
+// @route   POST /api/fines/accrue
+// @access  Private (Librarian only)
+const accrueFines = asyncHandler(async (req, res) => {
+  const fines = await Fine.accrueOutstanding();
+
+  sendSuccess(res, 'Fines accrued successfully', {
+    accruedCount: fines.length,
+    rules: Fine.getFineRules()
+  });
+});
+
+module.exports = {
+  getMyFines,
+  getAllFines,
+  getFineById,
+  recordPayment,
+  waiveFine,
+  accrueFines
+};
@@ -0,0 +1,220 @@
+const { Item, Book, Borrow, Branch, Transfer } = require('../models');
+const { sendSuccess, sendError, asyncHandler, isValidObjectId, getPagination } = require('../utils/helpers');
+
+// Copies in these states are tied to a patron and can only change through circulation
+const CIRCULATING_STATUSES = ['on_loan', 'on_hold'];
+
+// Populated on copies so staff can see where each one is shelved
+const BRANCH_FIELDS = 'name code';
+
+// @desc    Get copies with filters
+// @route   GET /api/items
+// @access  Private (Librarian only)
+const getAllItems = asyncHandler(async (req, res) => {
+  const { bookId, branchId, status, condition, page = 0, limit = 10 } = req.query;
+  const { limit: pageLimit, offset } = getPagination(page, limit);
+
+  const query = {};
+  if (bookId) {
+    if (!isValidObjectId(bookId)) {
+      return sendError(res, 'Invalid book ID', 400);
+    }
+    query.bookId = bookId;
+  }
+  if (branchId) {
+    if (!isValidObjectId(branchId)) {
+      return sendError(res, 'Invalid branch ID', 400);
+    }
+    query.branchId = branchId;
+  }
+  if (status) query.status = status;
+  if (condition) query.condition = condition;
+
+  const [items, total] = await Promise.all([
+    Item.find(query)
+      .populate('bookId', 'title author isbn')
+      .populate('branchId', BRANCH_FIELDS)
+      .sort({ acquisitionDate: -1 })
+      .limit(pageLimit)
+      .skip(offset),
+    Item.countDocuments(query)
+  ]);
+
+  sendSuccess(res, 'Copies retrieved successfully', {
+    items,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: pageLimit,
+      totalPages: Math.ceil(total / pageLimit)
+    }
+  });
+});
+
+// @desc    Get copy by barcode
+// @route   GET /api/items/barcode/:barcode
+// @access  Private (Librarian only)
+const getItemByBarcode = asyncHandler(async (req, res) => {
+  const item = await Item.findByBarcode(req.params.barcode)
+    .populate('bookId', 'title author isbn coverImage')
+    .populate('branchId', BRANCH_FIELDS)
+    .populate({
+      path: 'currentBorrowId',
+      select: 'userId borrowDate dueDate status',
+      populate: { path: 'userId', select: 'name email' }
+    });
+
+  if (!item) {
+    return sendError(res, 'Copy not found', 404);
+  }
+
+  sendSuccess(res, 'Copy retrieved successfully', { item });
+});
+
+// @desc    Get copy by ID with its loan history
+// @route   GET /api/items/:id
+// @access  Private (Librarian only)
+const getItemById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid copy ID', 400);
+  }
+
+  const item = await Item.findById(id)
+    .populate('bookId', 'title author isbn coverImage')
+    .populate('branchId', BRANCH_FIELDS)
+    .populate({
+      path: 'currentBorrowId',
+      select: 'userId borrowDate dueDate status',
+      populate: { path: 'userId', select: 'name email' }
+    });
+
+  if (!item) {
+    return sendError(res, 'Copy not found', 404);
+  }
+
+  const [loanHistory, transfers] = await Promise.all([
+    Borrow.find({ itemId: id })
+      .populate('userId', 'name email')
+      .select('userId borrowDate dueDate returnDate status branchId returnBranchId')
+      .sort({ borrowDate: -1 })
+      .limit(20),
+    Transfer.find({ itemId: id })
+      .populate('fromBranchId', BRANCH_FIELDS)
+      .populate('toBranchId', BRANCH_FIELDS)
+      .sort({ sentAt: -1 })
+      .limit(20)
+  ]);
+
+  sendSuccess(res, 'Copy retrieved successfully', {
+    item,
+    loanHistory,
+    transfers
+  });
+});
+
+// @desc    Add one or more copies of a book
+// @route   POST /api/items
+// @access  Private (Librarian only)
+const createItems = asyncHandler(async (req, res) => {
+  const { bookId, branchId, barcode, count = 1, shelfLocation, condition, acquisitionDate, notes } = req.body;
+
+  const book = await Book.findById(bookId);
+  if (!book) {
+    return sendError(res, 'Book not found', 404);
+  }
+
+  if (branchId && !(await Branch.findActive(branchId))) {
+    return sendError(res, 'Branch not found or inactive', 404, 'BRANCH_NOT_FOUND');
+  }
+
+  if (barcode) {
+    if (parseInt(count) > 1) {
+      return sendError(res, 'A barcode can only be given when adding a single copy', 400);
+    }
+    const existingItem = await Item.findByBarcode(barcode);
+    if (existingItem) {
+      return sendError(res, 'A copy with this barcode already exists', 400);
+    }
+  }
+
+  // Titles still tracked by counters get records for their existing stock first
+  await Item.migrateBook(book);
+
+  const attributes = { branchId, shelfLocation, condition, acquisitionDate, notes };
+  let items;
+
+  if (barcode) {
+    const item = new Item({ ...attributes, bookId, barcode });
+    await item.save();
+    items = [item];
+  } else {
+    items = await Item.createCopies(bookId, parseInt(count), attributes);
+  }
+
+  const counts = await Item.syncBookAvailability(bookId);
+
+  sendSuccess(res, `${items.length} ${items.length === 1 ? 'copy' : 'copies'} added successfully`, {
+    items,
+    book: {
+      id: book._id,
+      title: book.title,
+      quantity: counts.quantity,
+      available: counts.available
+    }
+  }, 201);
+});
+
+// @desc    Update copy details or take it out of circulation
+// @route   PUT /api/items/:id
+// @access  Private (Librarian only)
+const updateItem = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { branchId, shelfLocation, condition, acquisitionDate, status, notes } = req.body;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid copy ID', 400);
+  }
+
+  const item = await Item.findById(id);
+  if (!item) {
+    return sendError(res, 'Copy not found', 404);
+  }
+
+  if (status && status !== item.status && CIRCULATING_STATUSES.includes(item.status)) {
+    return sendError(res, `Copy is currently ${item.status.replace('_', ' ')} and must be checked in first`, 400);
+  }
+  if (status && status !== item.status && item.status === 'in_transit') {
+    return sendError(res, 'Copy is in transit and must be received or the transfer cancelled first', 400);
+  }
+
+  // Copies are assigned to a branch once; after that they move by transfer so the move is tracked
+  if (branchId !== undefined && String(branchId) !== String(item.branchId)) {
+    if (item.branchId) {
+      return sendError(res, 'Copy already belongs to a branch; transfer it to move it', 400, 'TRANSFER_REQUIRED');
+    }
+    if (!(await Branch.findActive(branchId))) {
+      return sendError(res, 'Branch not found or inactive', 404, 'BRANCH_NOT_FOUND');
+    }
+    item.branchId = branchId;
+  }
+
+  if (shelfLocation !== undefined) item.shelfLocation = shelfLocation;
+  if (condition !== undefined) item.condition = condition;
+  if (acquisitionDate !== undefined) item.acquisitionDate = acquisitionDate;
+  if (notes !== undefined) item.notes = notes;
+  if (status !== undefined) item.status = status;
+
+  await item.save();
+
+  sendSuccess(res, 'Copy updated successfully', { item });
+});
+
+module.exports = {
+  getAllItems,
+  getItemByBarcode,
+  getItemById,
+  createItems,
+  updateItem
+};
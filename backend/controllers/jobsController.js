@@ -0,0 +1,100 @@
+const schedulerService = require('../services/schedulerService');
+const { sendSuccess, sendError, asyncHandler, getPagination } = require('../utils/helpers');
+
+// @desc    List scheduled jobs
+// @route   GET /api/jobs
+// @access  Private (Admin only)
+const getJobs = asyncHandler(async (req, res) => {
+  const jobs = await schedulerService.listJobs();
+
+  sendSuccess(res, 'Jobs retrieved successfully', {
+    jobs,
+    count: jobs.length
+  });
+});
+
+// @desc    Get run history for a job
+// @route   GET /api/jobs/:name/runs
+// @access  Private (Admin only)
+const getJobRuns = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const { page = 0, limit = 20 } = req.query;
+  const { limit: pageLimit, offset } = getPagination(page, limit);
+
+  if (!schedulerService.hasJob(name)) {
+    return sendError(res, 'Job not found', 404);
+  }
+
+  const { runs, total } = await schedulerService.getRunHistory(name, { limit: pageLimit, offset });
+
+  sendSuccess(res, 'Job runs retrieved successfully', {
+    runs,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: pageLimit,
+      totalPages: Math.ceil(total / pageLimit)
+    }
+  });
+});
+
+// @desc    Run a job now
+// @route   POST /api/jobs/:name/run
+// @access  Private (Admin only)
+const triggerJob = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+
+  if (!schedulerService.hasJob(name)) {
+    return sendError(res, 'Job not found', 404);
+  }
+
+  const run = await schedulerService.runJob(name, {
+    trigger: 'manual',
+    triggeredBy: req.user._id
+  });
+
+  if (!run) {
+    return sendError(res, 'Job is already running', 409, 'JOB_LOCKED');
+  }
+
+  const message = run.status === 'succeeded' ? 'Job completed successfully' : 'Job failed';
+  sendSuccess(res, message, { run });
+});
+
+// @desc    Pause scheduled runs of a job
+// @route   POST /api/jobs/:name/pause
+// @access  Private (Admin only)
+const pauseJob = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+
+  if (!schedulerService.hasJob(name)) {
+    return sendError(res, 'Job not found', 404);
+  }
+
+  const job = await schedulerService.setPaused(name, true, req.user._id);
+
+  sendSuccess(res, 'Job paused successfully', { job });
+});
+
+// @desc    Resume scheduled runs of a job
+// @route   POST /api/jobs/:name/resume
+// @access  Private (Admin only)
+const resumeJob = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+
+  if (!schedulerService.hasJob(name)) {
+    return sendError(res, 'Job not found', 404);
+  }
+
+  const job = await schedulerService.setPaused(name, false, req.user._id);
+
+  sendSuccess(res, 'Job resumed successfully', { job });
+});
+
+module.exports = {
+  getJobs,
+  getJobRuns,
+  triggerJob,
+  pauseJob,
+  resumeJob
+};
@@ -0,0 +1,182 @@
+const { LoanPolicy, User, Book } = require('../models');
+const { sendSuccess, sendError, asyncHandler, isValidObjectId } = require('../utils/helpers');
+
+// Fields an administrator may set on a policy
+const EDITABLE_FIELDS = [
+  'name', 'description', 'role', 'patronType', 'category',
+  'loanPeriodDays', 'maxLoanPeriodDays', 'maxItems', 'maxRenewals',
+  'graceDays', 'fineDailyRate', 'fineMaxAmount', 'priority', 'isActive'
+];
+
+// Find another active policy with exactly the same match criteria
+const findConflictingPolicy = (policy) => LoanPolicy.findOne({
+  _id: { $ne: policy._id },
+  isActive: true,
+  role: policy.role,
+  patronType: policy.patronType,
+  category: policy.category,
+  priority: policy.priority
+});
+
+// @desc    Get all loan policies
+// @route   GET /api/loan-policies
+// @access  Private (Librarian only)
+const getLoanPolicies = asyncHandler(async (req, res) => {
+  const { role, patronType, category, isActive } = req.query;
+
+  const query = {};
+  if (role) query.role = role;
+  if (patronType) query.patronType = patronType.toLowerCase();
+  if (category) query.category = category;
+  if (isActive !== undefined) query.isActive = isActive === 'true';
+
+  const policies = await LoanPolicy.find(query)
+    .populate('createdBy', 'name email')
+    .sort({ isActive: -1, priority: -1, name: 1 });
+
+  sendSuccess(res, 'Loan policies retrieved successfully', {
+    policies,
+    count: policies.length,
+    defaultPolicy: LoanPolicy.getDefaultPolicy()
+  });
+});
+
+// @desc    Preview the policy that applies to a patron and book
+// @route   GET /api/loan-policies/resolve
+// @access  Private (Librarian only)
+const resolveLoanPolicy = asyncHandler(async (req, res) => {
+  const { userId, bookId } = req.query;
+  let { role, patronType, category } = req.query;
+
+  if (userId) {
+    if (!isValidObjectId(userId)) {
+      return sendError(res, 'Invalid user ID', 400);
+    }
+    const user = await User.findById(userId).select('role patronType');
+    if (!user) {
+      return sendError(res, 'User not found', 404);
+    }
+    ({ role, patronType } = user);
+  }
+
+  if (bookId) {
+    if (!isValidObjectId(bookId)) {
+      return sendError(res, 'Invalid book ID', 400);
+    }
+    const book = await Book.findById(bookId).select('category');
+    if (!book) {
+      return sendError(res, 'Book not found', 404);
+    }
+    ({ category } = book);
+  }
+
+  const loanPolicy = await LoanPolicy.resolve({ role, patronType, category });
+
+  sendSuccess(res, 'Loan policy resolved successfully', {
+    criteria: { role: role || null, patronType: patronType || null, category: category || null },
+    loanPolicy
+  });
+});
+
+// @desc    Get loan policy by ID
+// @route   GET /api/loan-policies/:id
+// @access  Private (Librarian only)
+const getLoanPolicyById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid policy ID', 400);
+  }
+
+  const policy = await LoanPolicy.findById(id).populate('createdBy', 'name email');
+  if (!policy) {
+    return sendError(res, 'Loan policy not found', 404);
+  }
+
+  sendSuccess(res, 'Loan policy retrieved successfully', { policy });
+});
+
+// @desc    Create a loan policy
+// @route   POST /api/loan-policies
+// @access  Private (Admin only)
+const createLoanPolicy = asyncHandler(async (req, res) => {
+  const existingPolicy = await LoanPolicy.findOne({ name: req.body.name });
+  if (existingPolicy) {
+    return sendError(res, 'A loan policy with this name already exists', 400);
+  }
+
+  const policy = new LoanPolicy({ createdBy: req.user._id });
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) policy[field] = req.body[field];
+  });
+
+  if (policy.isActive && await findConflictingPolicy(policy)) {
+    return sendError(res, 'An active policy with the same criteria and priority already exists', 400, 'LOAN_POLICY_CONFLICT');
+  }
+
+  await policy.save();
+
+  sendSuccess(res, 'Loan policy created successfully', { policy }, 201);
+});
+
+// @desc    Update a loan policy
+// @route   PUT /api/loan-policies/:id
+// @access  Private (Admin only)
+const updateLoanPolicy = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid policy ID', 400);
+  }
+
+  const policy = await LoanPolicy.findById(id);
+  if (!policy) {
+    return sendError(res, 'Loan policy not found', 404);
+  }
+
+  if (req.body.name && req.body.name !== policy.name) {
+    const existingPolicy = await LoanPolicy.findOne({ name: req.body.name });
+    if (existingPolicy) {
+      return sendError(res, 'A loan policy with this name already exists', 400);
+    }
+  }
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) policy[field] = req.body[field];
+  });
+
+  if (policy.isActive && await findConflictingPolicy(policy)) {
+    return sendError(res, 'An active policy with the same criteria and priority already exists', 400, 'LOAN_POLICY_CONFLICT');
+  }
+
+  await policy.save();
+
+  sendSuccess(res, 'Loan policy updated successfully', { policy });
+});
+
+// @desc    Delete a loan policy
+// @route   DELETE /api/loan-policies/:id
+// @access  Private (Admin only)
+const deleteLoanPolicy = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid policy ID', 400);
+  }
+
+  const policy = await LoanPolicy.findByIdAndDelete(id);
+  if (!policy) {
+    return sendError(res, 'Loan policy not found', 404);
+  }
+
+  sendSuccess(res, 'Loan policy deleted successfully');
+});
+
+module.exports = {
+  getLoanPolicies,
+  resolveLoanPolicy,
+  getLoanPolicyById,
+  createLoanPolicy,
+  updateLoanPolicy,
+  deleteLoanPolicy
+};
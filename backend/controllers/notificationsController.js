@@ -0,0 +1,159 @@
+const { Notification, User } = require('../models');
+const { sendSuccess, sendError, asyncHandler, isValidObjectId, getPagination } = require('../utils/helpers');
+
+// Load one of the current user's in-app notifications
+const findOwnNotification = (id, userId) => Notification.findOne({ _id: id, userId, inApp: true });
+
+// @desc    Get current user's notifications
+// @route   GET /api/notifications
+// @access  Private
+const getMyNotifications = asyncHandler(async (req, res) => {
+  const { status = 'all', event, page = 0, limit = 10 } = req.query;
+  const { limit: pageLimit, offset } = getPagination(page, limit);
+  const userId = req.user._id;
+
+  const query = Notification.inboxQuery(userId, status);
+  if (event) query.event = event;
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(query)
+      .select('-deliveries')
+      .sort({ createdAt: -1 })
+      .limit(pageLimit)
+      .skip(offset),
+    Notification.countDocuments(query),
+    Notification.countUnread(userId)
+  ]);
+
+  sendSuccess(res, 'Notifications retrieved successfully', {
+    notifications,
+    unreadCount,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: pageLimit,
+      totalPages: Math.ceil(total / pageLimit)
+    }
+  });
+});
+
+// @desc    Get current user's unread notification count
+// @route   GET /api/notifications/unread-count
+// @access  Private
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const unreadCount = await Notification.countUnread(req.user._id);
+
+  sendSuccess(res, 'Unread count retrieved successfully', { unreadCount });
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+const markAsRead = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid notification ID', 400);
+  }
+
+  const notification = await findOwnNotification(id, req.user._id);
+  if (!notification) {
+    return sendError(res, 'Notification not found', 404);
+  }
+
+  await notification.markAsRead();
+
+  sendSuccess(res, 'Notification marked as read', { notification });
+});
+
+// @desc    Mark a notification as unread
+// @route   PUT /api/notifications/:id/unread
+// @access  Private
+const markAsUnread = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid notification ID', 400);
+  }
+
+  const notification = await findOwnNotification(id, req.user._id);
+  if (!notification) {
+    return sendError(res, 'Notification not found', 404);
+  }
+
+  await notification.markAsUnread();
+
+  sendSuccess(res, 'Notification marked as unread', { notification });
+});
+
+// @desc    Mark all of the current user's notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllAsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.markAllAsRead(req.user._id);
+
+  sendSuccess(res, 'All notifications marked as read', { updated: result.modifiedCount });
+});
+
+// @desc    Delete a notification from the inbox
+// @route   DELETE /api/notifications/:id
+// @access  Private
+const deleteNotification = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid notification ID', 400);
+  }
+
+  // Hidden rather than deleted so the dedupe key keeps the event from being regenerated
+  const notification = await Notification.findOneAndUpdate(
+    { _id: id, userId: req.user._id, inApp: true },
+    { $set: { inApp: false } }
+  );
+  if (!notification) {
+    return sendError(res, 'Notification not found', 404);
+  }
+
+  sendSuccess(res, 'Notification deleted successfully');
+});
+
+// @desc    Get current user's notification channel preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+const getPreferences = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('notificationPreferences');
+
+  sendSuccess(res, 'Notification preferences retrieved successfully', {
+    preferences: user.notificationPreferences
+  });
+});
+
+// @desc    Update current user's notification channel preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+const updatePreferences = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('notificationPreferences');
+
+  // Only the events and channels given are changed
+  Object.entries(req.body).forEach(([event, channels]) => {
+    Object.entries(channels).forEach(([channel, enabled]) => {
+      user.set(`notificationPreferences.${event}.${channel}`, enabled);
+    });
+  });
+  await user.save();
+
+  sendSuccess(res, 'Notification preferences updated successfully', {
+    preferences: user.notificationPreferences
+  });
+});
+
+module.exports = {
+  getMyNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAsUnread,
+  markAllAsRead,
+  deleteNotification,
+  getPreferences,
+  updatePreferences
+};
@@ -1,6 +1,7 @@
 const { rbacService, PERMISSIONS, ROLES } = require('../services/rbacService');
 const auditService = require('../services/auditService');
 const { sendSuccess, sendError, asyncHandler } = require('../utils/helpers');
+const { readCursorParams } = require('../utils/cursor');
 
 /**
  * RBAC Management Controller
@@ -37,7 +38,12 @@ const getRolesAndPermissions = asyncHandler(async (req, res) => {
     permissionCategories: {
       user: Object.keys(permissions).filter(p => p.startsWith('USER_') || p.startsWith('PROFILE_')),
       book: Object.keys(permissions).filter(p => p.startsWith('BOOK_')),
+      item: Object.keys(permissions).filter(p => p.startsWith('ITEM_')),
+      branch: Object.keys(permissions).filter(p => p.startsWith('BRANCH_')),
       borrow: Object.keys(permissions).filter(p => p.startsWith('BORROW_')),
+      fine: Object.keys(permissions).filter(p => p.startsWith('FINE_')),
+      loanPolicy: Object.keys(permissions).filter(p => p.startsWith('LOAN_POLICY_')),
+      calendar: Object.keys(permissions).filter(p => p.startsWith('CALENDAR_')),
       review: Object.keys(permissions).filter(p => p.startsWith('REVIEW_')),
       category: Object.keys(permissions).filter(p => p.startsWith('CATEGORY_')),
       contact: Object.keys(permissions).filter(p => p.startsWith('CONTACT_')),
@@ -285,7 +291,9 @@ const getAuditLogs = asyncHandler(async (req, res) => {
     startDate,
     endDate,
     userId,
-    targetUserId
+    targetUserId,
+    after,
+    before
   } = req.query;
 
   const filters = {
@@ -304,6 +312,13 @@ const getAuditLogs = asyncHandler(async (req, res) => {
     limit: parseInt(limit)
   };
 
+  // Page through by cursor (`after` / `before` from a previous page) instead of page number
+  const { cursor, error: cursorError } = readCursorParams({ after, before }, auditService.getLogSort(pagination));
+  if (cursorError) {
+    return sendError(res, cursorError, 400, 'INVALID_CURSOR');
+  }
+  pagination.cursor = cursor;
+
   const result = await auditService.getAuditLogs(filters, pagination);
 
   sendSuccess(res, 'Audit logs retrieved successfully', result);
@@ -0,0 +1,158 @@
+const { Reservation, Borrow, Book } = require('../models');
+const { sendSuccess, sendError, asyncHandler, isValidObjectId } = require('../utils/helpers');
+const { rbacService, PERMISSIONS } = require('../services/rbacService');
+const { BUSINESS_RULES } = require('../utils/constants');
+
+// @desc    Place a hold on an unavailable book
+// @route   POST /api/borrows/holds
+// @access  Private
+const placeHold = asyncHandler(async (req, res) => {
+  const { bookId } = req.body;
+  const userId = req.user._id;
+
+  const book = await Book.findById(bookId);
+  if (!book) {
+    return sendError(res, 'Book not found', 404);
+  }
+
+  if (book.isAvailable()) {
+    return sendError(res, 'Book is available for borrowing now, no hold needed', 400, 'BOOK_AVAILABLE');
+  }
+
+  const existingBorrow = await Borrow.hasActiveBorrow(userId, bookId);
+  if (existingBorrow) {
+    return sendError(res, 'You have already borrowed this book', 400, 'BOOK_ALREADY_BORROWED');
+  }
+
+  const existingHold = await Reservation.findOpenHold(userId, bookId);
+  if (existingHold) {
+    return sendError(res, 'You already have a hold on this book', 400, 'HOLD_ALREADY_EXISTS');
+  }
+
+  const maxHolds = parseInt(process.env.MAX_ACTIVE_HOLDS) || BUSINESS_RULES.MAX_ACTIVE_HOLDS;
+  const openHolds = await Reservation.countOpenByUser(userId);
+  if (openHolds >= maxHolds) {
+    return sendError(res, `You cannot have more than ${maxHolds} holds at once`, 400, 'HOLD_LIMIT_EXCEEDED');
+  }
+
+  const reservation = new Reservation({ userId, bookId });
+  await reservation.save();
+
+  const queuePosition = await Reservation.getQueuePosition(reservation);
+  await reservation.populate('bookId', 'title author isbn');
+
+  sendSuccess(res, 'Hold placed successfully', {
+    reservation,
+    queuePosition
+  }, 201);
+});
+
+// @desc    Get user's holds
+// @route   GET /api/borrows/holds/my
+// @access  Private
+const getMyHolds = asyncHandler(async (req, res) => {
+  const { status = 'open' } = req.query;
+  const userId = req.user._id;
+
+  const query = { userId };
+  if (status === 'open') {
+    query.status = { $in: ['waiting', 'ready'] };
+  } else if (status !== 'all') {
+    query.status = status;
+  }
+
+  const reservations = await Reservation.find(query)
+    .populate('bookId', 'title author isbn coverImage')
+    .sort({ requestedAt: -1 });
+
+  const holds = await Promise.all(reservations.map(async (reservation) => ({
+    ...reservation.toObject({ virtuals: true }),
+    queuePosition: await Reservation.getQueuePosition(reservation)
+  })));
+
+  sendSuccess(res, 'Your holds retrieved successfully', {
+    holds,
+    count: holds.length
+  });
+});
+
+// @desc    Get the hold queue for a book
+// @route   GET /api/borrows/holds/book/:bookId
+// @access  Private (Librarian only)
+const getBookQueue = asyncHandler(async (req, res) => {
+  const { bookId } = req.params;
+
+  if (!isValidObjectId(bookId)) {
+    return sendError(res, 'Invalid book ID', 400);
+  }
+
+  const book = await Book.findById(bookId).select('title author isbn quantity available');
+  if (!book) {
+    return sendError(res, 'Book not found', 404);
+  }
+
+  const queue = await Reservation.getQueue(bookId);
+
+  sendSuccess(res, 'Hold queue retrieved successfully', {
+    book,
+    queue,
+    waiting: queue.filter(reservation => reservation.status === 'waiting').length,
+    readyForPickup: queue.filter(reservation => reservation.status === 'ready').length
+  });
+});
+
+// @desc    Cancel a hold
+// @route   DELETE /api/borrows/holds/:id
+// @access  Private (Own holds or Librarian)
+const cancelHold = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid hold ID', 400);
+  }
+
+  const reservation = await Reservation.findById(id);
+  if (!reservation) {
+    return sendError(res, 'Hold not found', 404);
+  }
+
+  if (!rbacService.canAccessResource(
+    req.user,
+    reservation,
+    PERMISSIONS.BORROW_UPDATE_OWN,
+    PERMISSIONS.BORROW_UPDATE_ANY
+  )) {
+    return sendError(res, 'Access denied. You can only cancel your own holds.', 403);
+  }
+
+  if (!reservation.isOpen) {
+    return sendError(res, `Hold is already ${reservation.status}`, 400);
+  }
+
+  if (!(await reservation.cancel())) {
+    return sendError(res, 'The hold was closed by another request; reload it and try again', 409, 'HOLD_CONFLICT');
+  }
+
+  sendSuccess(res, 'Hold cancelled successfully', { reservation });
+});
+
+// @desc    Expire uncollected pickups and roll copies to the next patron (maintenance endpoint)
+// @route   POST /api/borrows/holds/expire
+// @access  Private (Librarian only)
+const expireStalePickups = asyncHandler(async (req, res) => {
+  const results = await Reservation.expireStalePickups();
+
+  sendSuccess(res, 'Expired pickups processed successfully', {
+    expiredCount: results.length,
+    promotedCount: results.filter(result => result.promoted).length,
+    results
+  });
+});
+
+module.exports = {
+  placeHold,
+  getMyHolds,
+  getBookQueue,
+  cancelHold,
+  expireStalePickups
+};
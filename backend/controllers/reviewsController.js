@@ -1,4 +1,4 @@
-const { Review, Book, Borrow } = require('../models');
+const { Review, Book, Borrow, Work } = require('../models');
 const { sendSuccess, sendError, asyncHandler, isValidObjectId, getPagination } = require('../utils/helpers');
 
 // @desc    Create a review for a book
@@ -87,6 +87,50 @@ const getBookReviews = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get reviews for every edition of a work
+// @route   GET /api/reviews/work/:workId
+// @access  Public
+const getWorkReviews = asyncHandler(async (req, res) => {
+  const { workId } = req.params;
+  const { page = 0, limit = 10, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+
+  if (!isValidObjectId(workId)) {
+    return sendError(res, 'Invalid work ID', 400);
+  }
+
+  const work = await Work.findById(workId);
+  if (!work) {
+    return sendError(res, 'Work not found', 404);
+  }
+
+  const { limit: pageLimit, offset } = getPagination(page, limit);
+  const bookIds = await Book.find({ workId }).distinct('_id');
+
+  const [reviews, total, reviewStats] = await Promise.all([
+    Review.find({ bookId: { $in: bookIds } })
+      .populate('userId', 'name')
+      .populate('bookId', 'title format edition publicationYear')
+      .sort({ [sortBy]: sortOrder === 'asc' ? 1 : -1 })
+      .limit(pageLimit)
+      .skip(offset),
+    Review.countDocuments({ bookId: { $in: bookIds } }),
+    Review.getWorkRating(workId)
+  ]);
+
+  sendSuccess(res, 'Work reviews retrieved successfully', {
+    workId,
+    workTitle: work.title,
+    reviews,
+    reviewStats,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: pageLimit,
+      totalPages: Math.ceil(total / pageLimit)
+    }
+  });
+});
+
 // @desc    Get user's reviews
 // @route   GET /api/reviews/my-reviews
 // @access  Private
@@ -517,6 +561,7 @@ const getBookRatingInsights = asyncHandler(async (req, res) => {
 module.exports = {
   createReview,
   getBookReviews,
+  getWorkReviews,
   getMyReviews,
   getUserReviews,
   getReviewById,
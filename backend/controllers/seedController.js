@@ -176,7 +176,7 @@ const resetDatabase = asyncHandler(async (req, res) => {
       return sendError(res, 'Invalid confirmation token. This operation requires explicit confirmation.', 400);
     }
 
-    const { User, Category, Book, Borrow, Review, ContactMessage } = require('../models');
+    const { User, Category, Book, Borrow, Review, ContactMessage, Reservation, Fine, Item, LoanPolicy, LibraryCalendar, Notification, Branch, Transfer, MarcImport, MarcRecord, Author, Work, Series } = require('../models');
 
     // Count documents before deletion
     const counts = {
@@ -184,6 +184,19 @@ const resetDatabase = asyncHandler(async (req, res) => {
       categories: await Category.countDocuments({}),
       books: await Book.countDocuments({}),
       borrows: await Borrow.countDocuments({}),
+      reservations: await Reservation.countDocuments({}),
+      fines: await Fine.countDocuments({}),
+      items: await Item.countDocuments({}),
+      branches: await Branch.countDocuments({}),
+      transfers: await Transfer.countDocuments({}),
+      marcImports: await MarcImport.countDocuments({}),
+      marcRecords: await MarcRecord.countDocuments({}),
+      authors: await Author.countDocuments({}),
+      works: await Work.countDocuments({}),
+      series: await Series.countDocuments({}),
+      loanPolicies: await LoanPolicy.countDocuments({}),
+      calendars: await LibraryCalendar.countDocuments({}),
+      notifications: await Notification.countDocuments({}),
       reviews: await Review.countDocuments({}),
       contacts: await ContactMessage.countDocuments({})
     };
@@ -194,6 +207,19 @@ const resetDatabase = asyncHandler(async (req, res) => {
       Category.deleteMany({}),
       Book.deleteMany({}),
       Borrow.deleteMany({}),
+      Reservation.deleteMany({}),
+      Fine.deleteMany({}),
+      Item.deleteMany({}),
+      Branch.deleteMany({}),
+      Transfer.deleteMany({}),
+      MarcImport.deleteMany({}),
+      MarcRecord.deleteMany({}),
+      Author.deleteMany({}),
+      Work.deleteMany({}),
+      Series.deleteMany({}),
+      LoanPolicy.deleteMany({}),
+      LibraryCalendar.deleteMany({}),
+      Notification.deleteMany({}),
       Review.deleteMany({}),
       ContactMessage.deleteMany({})
     ]);
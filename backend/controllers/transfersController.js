@@ -0,0 +1,162 @@
+const { Transfer, Item, Branch } = require('../models');
+const { sendSuccess, sendError, asyncHandler, isValidObjectId, getPagination } = require('../utils/helpers');
+const circulationService = require('../services/circulationService');
+const notificationService = require('../services/notificationService');
+
+// Populate the copy, title and branches a transfer refers to
+const populateTransfer = (query) => query
+  .populate('itemId', 'barcode shelfLocation status')
+  .populate('bookId', 'title author isbn')
+  .populate('fromBranchId', 'name code')
+  .populate('toBranchId', 'name code')
+  .populate('sentBy', 'name email')
+  .populate('receivedBy', 'name email');
+
+// @desc    Get copy transfers between branches
+// @route   GET /api/branches/transfers
+// @access  Private (Librarian only)
+const getTransfers = asyncHandler(async (req, res) => {
+  const { status = 'in_transit', branchId, direction, page = 0, limit = 10 } = req.query;
+  const { limit: pageLimit, offset } = getPagination(page, limit);
+
+  const query = { status };
+  if (branchId) {
+    if (direction === 'incoming') {
+      query.toBranchId = branchId;
+    } else if (direction === 'outgoing') {
+      query.fromBranchId = branchId;
+    } else {
+      query.$or = [{ toBranchId: branchId }, { fromBranchId: branchId }];
+    }
+  }
+
+  const [transfers, total] = await Promise.all([
+    populateTransfer(Transfer.find(query))
+      .sort({ sentAt: status === 'in_transit' ? 1 : -1 })
+      .limit(pageLimit)
+      .skip(offset),
+    Transfer.countDocuments(query)
+  ]);
+
+  sendSuccess(res, 'Transfers retrieved successfully', {
+    transfers,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: pageLimit,
+      totalPages: Math.ceil(total / pageLimit)
+    }
+  });
+});
+
+// @desc    Send a copy to another branch
+// @route   POST /api/branches/transfers
+// @access  Private (Librarian only)
+const createTransfer = asyncHandler(async (req, res) => {
+  const { itemId, barcode, toBranchId, note } = req.body;
+
+  const item = itemId ? await Item.findById(itemId) : await Item.findByBarcode(barcode);
+  if (!item) {
+    return sendError(res, 'Copy not found', 404);
+  }
+
+  const toBranch = await Branch.findActive(toBranchId);
+  if (!toBranch) {
+    return sendError(res, 'Destination branch not found or inactive', 404, 'BRANCH_NOT_FOUND');
+  }
+
+  if (item.branchId && item.branchId.toString() === toBranch._id.toString()) {
+    return sendError(res, 'Copy is already at this branch', 400);
+  }
+
+  if (item.status !== 'available') {
+    return sendError(res, `Copy is currently ${item.status.replace('_', ' ')}; only copies on the shelf can be transferred`, 400, 'COPY_NOT_AVAILABLE');
+  }
+
+  const sent = await circulationService.sendTransfer(item, toBranch, { sentBy: req.user._id, note });
+  if (!sent) {
+    // Lent out or sent elsewhere after it was loaded
+    return sendError(res, 'Copy is no longer on the shelf', 409, 'COPY_NOT_AVAILABLE');
+  }
+
+  const transfer = await populateTransfer(Transfer.findById(sent.transfer._id));
+
+  sendSuccess(res, 'Copy sent in transit', { transfer }, 201);
+});
+
+// @desc    Receive a copy at its destination branch
+// @route   PUT /api/branches/transfers/:id/receive
+// @access  Private (Librarian only)
+const receiveTransfer = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid transfer ID', 400);
+  }
+
+  const transfer = await Transfer.findById(id);
+  if (!transfer) {
+    return sendError(res, 'Transfer not found', 404);
+  }
+
+  if (transfer.status !== 'in_transit') {
+    return sendError(res, `Transfer has already been ${transfer.status}`, 400, 'TRANSFER_CLOSED');
+  }
+
+  const received = await circulationService.receiveTransfer(transfer, { receivedBy: req.user._id });
+  if (!received) {
+    return sendError(res, 'Transfer was closed by another request', 409, 'TRANSFER_CLOSED');
+  }
+
+  if (received.nextHold) {
+    await notificationService.notifyHoldReady(received.nextHold);
+  }
+
+  sendSuccess(res, 'Copy received', {
+    transfer: await populateTransfer(Transfer.findById(transfer._id)),
+    item: received.item,
+    heldForNextPatron: !!received.nextHold
+  });
+});
+
+// @desc    Cancel a transfer and return the copy to its origin branch
+// @route   PUT /api/branches/transfers/:id/cancel
+// @access  Private (Librarian only)
+const cancelTransfer = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid transfer ID', 400);
+  }
+
+  const transfer = await Transfer.findById(id);
+  if (!transfer) {
+    return sendError(res, 'Transfer not found', 404);
+  }
+
+  if (transfer.status !== 'in_transit') {
+    return sendError(res, `Transfer has already been ${transfer.status}`, 400, 'TRANSFER_CLOSED');
+  }
+
+  const cancelled = await circulationService.cancelTransfer(transfer, { cancelledBy: req.user._id });
+  if (!cancelled) {
+    return sendError(res, 'Transfer was closed by another request', 409, 'TRANSFER_CLOSED');
+  }
+
+  if (cancelled.nextHold) {
+    await notificationService.notifyHoldReady(cancelled.nextHold);
+  }
+
+  sendSuccess(res, 'Transfer cancelled', {
+    transfer: await populateTransfer(Transfer.findById(transfer._id)),
+    item: cancelled.item,
+    heldForNextPatron: !!cancelled.nextHold
+  });
+});
+
+module.exports = {
+  getTransfers,
+  createTransfer,
+  receiveTransfer,
+  cancelTransfer
+};
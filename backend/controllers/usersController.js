@@ -1,5 +1,5 @@
-const { User, Borrow } = require('../models');
-const { sendSuccess, sendError, asyncHandler, isValidObjectId, getPagination } = require('../utils/helpers');
+const { User, Borrow, Branch } = require('../models');
+const { sendSuccess, sendError, asyncHandler, isValidObjectId, getPagination, buildMultiFieldQuery } = require('../utils/helpers');
 const {
   deleteFile,
   getFileUrl,
@@ -10,22 +10,22 @@ const {
 } = require('../middleware/upload');
 const { rbacService, PERMISSIONS } = require('../services/rbacService');
 const auditService = require('../services/auditService');
+const accountStandingService = require('../services/accountStandingService');
+const notificationService = require('../services/notificationService');
 
 // @desc    Get all users with pagination and filtering
 // @route   GET /api/users
 // @access  Private (Librarian only)
 const getAllUsers = asyncHandler(async (req, res) => {
-  const { page = 0, limit = 10, role, search } = req.query;
+  const { page = 0, limit = 10, role, search, branchId } = req.query;
   const { limit: pageLimit, offset } = getPagination(page, limit);
 
   // Build query
   let query = {};
   if (role) query.role = role;
+  if (branchId) query.homeBranchId = branchId;
   if (search) {
-    query.$or = [
-      { name: new RegExp(search, 'i') },
-      { email: new RegExp(search, 'i') }
-    ];
+    Object.assign(query, buildMultiFieldQuery(['name', 'email', 'cardNumber'], search));
   }
 
   const users = await User.find(query)
@@ -65,6 +65,143 @@ const getUserById = asyncHandler(async (req, res) => {
   sendSuccess(res, 'User retrieved successfully', { user });
 });
 
+// @desc    Get current user's account standing
+// @route   GET /api/users/standing
+// @access  Private
+const getMyStanding = asyncHandler(async (req, res) => {
+  const standing = await accountStandingService.evaluate(req.user._id);
+
+  sendSuccess(res, 'Account standing retrieved successfully', { standing });
+});
+
+// @desc    Get a user's account standing and block history
+// @route   GET /api/users/:id/standing
+// @access  Private (Librarian only)
+const getUserStanding = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid user ID', 400);
+  }
+
+  const user = await User.findById(id)
+    .select('name email cardNumber accountBlocks')
+    .populate('accountBlocks.placedBy accountBlocks.liftedBy', 'name email');
+  if (!user) {
+    return sendError(res, 'User not found', 404);
+  }
+
+  const standing = await accountStandingService.evaluate(user);
+
+  sendSuccess(res, 'Account standing retrieved successfully', {
+    user: { id: user._id, name: user.name, email: user.email, cardNumber: user.cardNumber || null },
+    standing,
+    blockHistory: [...user.accountBlocks].reverse()
+  });
+});
+
+// @desc    Block a user from borrowing
+// @route   POST /api/users/:id/blocks
+// @access  Private (Librarian only)
+const placeBlock = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { note, expiresAt } = req.body;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid user ID', 400);
+  }
+
+  const user = await User.findById(id);
+  if (!user) {
+    return sendError(res, 'User not found', 404);
+  }
+
+  user.accountBlocks.push({
+    note,
+    placedBy: req.user._id,
+    expiresAt: expiresAt ? new Date(expiresAt) : null
+  });
+  await user.save();
+
+  const block = user.accountBlocks[user.accountBlocks.length - 1];
+
+  await auditService.logEvent({
+    userId: req.user._id,
+    userEmail: req.user.email,
+    userRole: req.user.role,
+    action: 'USER_BLOCK_PLACE',
+    resourceType: 'User',
+    resourceId: user._id,
+    targetUserId: user._id,
+    details: { blockId: block._id, note, expiresAt: block.expiresAt },
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    severity: 'HIGH'
+  });
+
+  await notificationService.notifyAccount(user, {
+    type: 'error',
+    title: 'Borrowing blocked on your account',
+    message: `The library has blocked borrowing on your account${block.expiresAt ? ` until ${block.expiresAt.toDateString()}` : ''}: ${note}`,
+    data: { blockId: block._id }
+  });
+
+  const standing = await accountStandingService.evaluate(user);
+
+  sendSuccess(res, 'Block placed successfully', { block, standing }, 201);
+});
+
+// @desc    Lift a block on a user
+// @route   POST /api/users/:id/blocks/:blockId/lift
+// @access  Private (Librarian only)
+const liftBlock = asyncHandler(async (req, res) => {
+  const { id, blockId } = req.params;
+  const { note } = req.body;
+
+  if (!isValidObjectId(id) || !isValidObjectId(blockId)) {
+    return sendError(res, 'Invalid user or block ID', 400);
+  }
+
+  const user = await User.findById(id);
+  const block = user ? user.accountBlocks.id(blockId) : null;
+  if (!block) {
+    return sendError(res, 'Block not found', 404);
+  }
+  if (block.liftedAt) {
+    return sendError(res, 'Block has already been lifted', 400, 'BLOCK_ALREADY_LIFTED');
+  }
+
+  block.liftedAt = new Date();
+  block.liftedBy = req.user._id;
+  block.liftNote = note || null;
+  await user.save();
+
+  await auditService.logEvent({
+    userId: req.user._id,
+    userEmail: req.user.email,
+    userRole: req.user.role,
+    action: 'USER_BLOCK_LIFT',
+    resourceType: 'User',
+    resourceId: user._id,
+    targetUserId: user._id,
+    details: { blockId: block._id, blockNote: block.note, note: block.liftNote },
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    severity: 'MEDIUM'
+  });
+
+  await notificationService.notifyAccount(user, {
+    type: 'success',
+    title: 'Borrowing block lifted',
+    message: 'A block on your library account has been lifted.',
+    data: { blockId: block._id }
+  });
+
+  const standing = await accountStandingService.evaluate(user);
+
+  sendSuccess(res, 'Block lifted successfully', { block, standing });
+});
+
 // @desc    Create new user
 // @route   POST /api/users
 // @access  Private (Librarian only)
@@ -103,7 +240,7 @@ const createUser = asyncHandler(async (req, res) => {
 // @access  Private (Librarian only)
 const updateUser = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, email, role } = req.body;
+  const { name, email, role, patronType, cardNumber, homeBranchId } = req.body;
 
   if (!isValidObjectId(id)) {
     return sendError(res, 'Invalid user ID', 400);
@@ -142,8 +279,26 @@ const updateUser = asyncHandler(async (req, res) => {
     user.email = email;
   }
 
+  // Check if card number is being changed and if it is already issued
+  if (cardNumber && cardNumber.toUpperCase() !== user.cardNumber) {
+    const existingCard = await User.findOne({ cardNumber: cardNumber.toUpperCase() });
+    if (existingCard) {
+      return sendError(res, 'Card number is already issued to another user', 400);
+    }
+    user.cardNumber = cardNumber;
+  }
+
+  // Home branch can be cleared with null but only set to an active branch
+  if (homeBranchId !== undefined) {
+    if (homeBranchId && !(await Branch.findActive(homeBranchId))) {
+      return sendError(res, 'Branch not found or inactive', 404, 'BRANCH_NOT_FOUND');
+    }
+    user.homeBranchId = homeBranchId || null;
+  }
+
   if (name) user.name = name;
   if (role) user.role = role;
+  if (patronType) user.patronType = patronType;
 
   await user.save();
 
@@ -174,6 +329,9 @@ const updateUser = asyncHandler(async (req, res) => {
       name: user.name,
       email: user.email,
       role: user.role,
+      patronType: user.patronType,
+      cardNumber: user.cardNumber,
+      homeBranchId: user.homeBranchId,
       createdAt: user.createdAt
     }
   });
@@ -423,6 +581,10 @@ const uploadProfilePictureEnhanced = asyncHandler(async (req, res) => {
 module.exports = {
   getAllUsers,
   getUserById,
+  getMyStanding,
+  getUserStanding,
+  placeBlock,
+  liftBlock,
   createUser,
   updateUser,
   deleteUser,
@@ -0,0 +1,296 @@
+const { Work, Series, Book } = require('../models');
+const { sendSuccess, sendError, asyncHandler, isValidObjectId, getPagination, buildMultiFieldQuery } = require('../utils/helpers');
+
+// Fields a librarian may set on a work or a series
+const WORK_FIELDS = ['title', 'author', 'description', 'seriesId', 'seriesVolume'];
+const SERIES_FIELDS = ['name', 'description'];
+
+// IDs of the given books that do not exist
+const findMissingBooks = async (bookIds) => {
+  const books = await Book.find({ _id: { $in: bookIds } }).select('_id');
+  return bookIds.filter(id => !books.some(book => book._id.equals(id)));
+};
+
+// Group books as editions of a work
+const attachEditions = async (work, bookIds) => {
+  if (bookIds.length === 0) return;
+  const books = await Book.find({ _id: { $in: bookIds } }).select('workId');
+
+  await Book.updateMany({ _id: { $in: bookIds } }, { $set: { workId: work._id } });
+
+  // Reviews of the moved editions now count towards this work instead of their old one
+  const previousWorkIds = [...new Set(books
+    .map(book => book.workId && book.workId.toString())
+    .filter(id => id && id !== work._id.toString()))];
+  await Promise.all([work._id, ...previousWorkIds].map(id => Work.refreshRating(id)));
+};
+
+// @desc    Get works, optionally searching titles and authors or filtering by series
+// @route   GET /api/works
+// @access  Public
+const getWorks = asyncHandler(async (req, res) => {
+  const { q, seriesId, page = 0, limit = 10 } = req.query;
+  const { limit: pageLimit, offset } = getPagination(page, limit);
+
+  const query = { ...(q && buildMultiFieldQuery(['title', 'author'], q)) };
+  if (seriesId) query.seriesId = seriesId;
+
+  const [works, total] = await Promise.all([
+    Work.find(query)
+      .populate('seriesId', 'name')
+      .sort(seriesId ? { seriesVolume: 1, title: 1 } : { title: 1 })
+      .limit(pageLimit)
+      .skip(offset),
+    Work.countDocuments(query)
+  ]);
+
+  // Copies across all editions, so patrons can see whether any edition is on the shelf
+  const counts = await Work.getEditionCounts(works.map(work => work._id));
+  const emptyCounts = { editions: 0, quantity: 0, available: 0 };
+
+  sendSuccess(res, 'Works retrieved successfully', {
+    works: works.map(work => ({
+      ...work.toObject(),
+      ...(counts.get(work._id.toString()) || emptyCounts)
+    })),
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: pageLimit,
+      totalPages: Math.ceil(total / pageLimit)
+    }
+  });
+});
+
+// @desc    Get a work with its editions and ratings across them
+// @route   GET /api/works/:id
+// @access  Public
+const getWorkById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid work ID', 400);
+  }
+
+  const work = await Work.findById(id).populate('seriesId', 'name');
+  if (!work) {
+    return sendError(res, 'Work not found', 404);
+  }
+
+  const editions = await Book.findEditions(work._id)
+    .select('title author isbn isbnDisplay format edition publisher publicationYear coverImage quantity available averageRating totalReviews');
+
+  sendSuccess(res, 'Work retrieved successfully', {
+    work,
+    editions,
+    availability: {
+      editions: editions.length,
+      quantity: editions.reduce((sum, edition) => sum + edition.quantity, 0),
+      available: editions.reduce((sum, edition) => sum + edition.available, 0),
+      formats: [...new Set(editions.map(edition => edition.format).filter(Boolean))]
+    }
+  });
+});
+
+// @desc    Create a work, optionally grouping existing books as its editions
+// @route   POST /api/works
+// @access  Private (Librarian only)
+const createWork = asyncHandler(async (req, res) => {
+  const { seriesId, bookIds = [] } = req.body;
+
+  if (seriesId && !(await Series.exists({ _id: seriesId }))) {
+    return sendError(res, 'Series not found', 404, 'SERIES_NOT_FOUND');
+  }
+
+  const missing = await findMissingBooks(bookIds);
+  if (missing.length > 0) {
+    return sendError(res, `Books not found: ${missing.join(', ')}`, 404, 'BOOK_NOT_FOUND');
+  }
+
+  const work = new Work();
+  WORK_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) work[field] = req.body[field];
+  });
+  await work.save();
+  await attachEditions(work, bookIds);
+
+  sendSuccess(res, 'Work created successfully', { work: await Work.findById(work._id) }, 201);
+});
+
+// @desc    Update a work, optionally adding books as editions
+// @route   PUT /api/works/:id
+// @access  Private (Librarian only)
+const updateWork = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { seriesId, bookIds = [] } = req.body;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid work ID', 400);
+  }
+
+  const work = await Work.findById(id);
+  if (!work) {
+    return sendError(res, 'Work not found', 404);
+  }
+
+  if (seriesId && !(await Series.exists({ _id: seriesId }))) {
+    return sendError(res, 'Series not found', 404, 'SERIES_NOT_FOUND');
+  }
+
+  const missing = await findMissingBooks(bookIds);
+  if (missing.length > 0) {
+    return sendError(res, `Books not found: ${missing.join(', ')}`, 404, 'BOOK_NOT_FOUND');
+  }
+  await attachEditions(work, bookIds);
+
+  // Re-read so the ratings refreshed for added editions are not overwritten
+  const updated = await Work.findById(id);
+  WORK_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) updated[field] = req.body[field];
+  });
+  await updated.save();
+
+  sendSuccess(res, 'Work updated successfully', { work: updated });
+});
+
+// @desc    Delete a work; its editions become standalone books
+// @route   DELETE /api/works/:id
+// @access  Private (Librarian only)
+const deleteWork = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid work ID', 400);
+  }
+
+  const work = await Work.findById(id);
+  if (!work) {
+    return sendError(res, 'Work not found', 404);
+  }
+
+  const { modifiedCount } = await Book.updateMany({ workId: work._id }, { $set: { workId: null } });
+  await work.deleteOne();
+
+  sendSuccess(res, 'Work deleted successfully', { editionsUnlinked: modifiedCount });
+});
+
+// @desc    Get all series
+// @route   GET /api/works/series
+// @access  Public
+const getSeries = asyncHandler(async (req, res) => {
+  const series = await Series.find({}).sort({ name: 1 });
+
+  sendSuccess(res, 'Series retrieved successfully', {
+    series,
+    count: series.length
+  });
+});
+
+// @desc    Get a series with its works in volume order
+// @route   GET /api/works/series/:id
+// @access  Public
+const getSeriesById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid series ID', 400);
+  }
+
+  const series = await Series.findById(id);
+  if (!series) {
+    return sendError(res, 'Series not found', 404);
+  }
+
+  const works = await Work.findBySeries(series._id);
+  const counts = await Work.getEditionCounts(works.map(work => work._id));
+  const emptyCounts = { editions: 0, quantity: 0, available: 0 };
+
+  sendSuccess(res, 'Series retrieved successfully', {
+    series,
+    works: works.map(work => ({
+      ...work,
+      ...(counts.get(work._id.toString()) || emptyCounts)
+    }))
+  });
+});
+
+// @desc    Create a series
+// @route   POST /api/works/series
+// @access  Private (Librarian only)
+const createSeries = asyncHandler(async (req, res) => {
+  if (await Series.exists({ name: req.body.name })) {
+    return sendError(res, 'A series with this name already exists', 400, 'SERIES_EXISTS');
+  }
+
+  const series = new Series();
+  SERIES_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) series[field] = req.body[field];
+  });
+  await series.save();
+
+  sendSuccess(res, 'Series created successfully', { series }, 201);
+});
+
+// @desc    Update a series
+// @route   PUT /api/works/series/:id
+// @access  Private (Librarian only)
+const updateSeries = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid series ID', 400);
+  }
+
+  const series = await Series.findById(id);
+  if (!series) {
+    return sendError(res, 'Series not found', 404);
+  }
+
+  if (req.body.name && await Series.exists({ name: req.body.name, _id: { $ne: series._id } })) {
+    return sendError(res, 'A series with this name already exists', 400, 'SERIES_EXISTS');
+  }
+
+  SERIES_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) series[field] = req.body[field];
+  });
+  await series.save();
+
+  sendSuccess(res, 'Series updated successfully', { series });
+});
+
+// @desc    Delete a series; its works are kept without a series
+// @route   DELETE /api/works/series/:id
+// @access  Private (Librarian only)
+const deleteSeries = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return sendError(res, 'Invalid series ID', 400);
+  }
+
+  const series = await Series.findById(id);
+  if (!series) {
+    return sendError(res, 'Series not found', 404);
+  }
+
+  const { modifiedCount } = await Work.updateMany(
+    { seriesId: series._id },
+    { $set: { seriesId: null, seriesVolume: null } }
+  );
+  await series.deleteOne();
+
+  sendSuccess(res, 'Series deleted successfully', { worksUnlinked: modifiedCount });
+});
+
+module.exports = {
+  getWorks,
+  getWorkById,
+  createWork,
+  updateWork,
+  deleteWork,
+  getSeries,
+  getSeriesById,
+  createSeries,
+  updateSeries,
+  deleteSeries
+};
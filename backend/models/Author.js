@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const { toSearchWords, buildWordPrefixPattern } = require('../utils/searchText');
+
+/**
+ * Reduce a name to a key that ignores case, accents, punctuation and word
+ * order, so "J.R.R. Tolkien", "Tolkien, J. R. R." and "j r r tolkien" share
+ * one key
+ * @param {string} name - Name in any form
+ * @returns {string} Space-separated sorted words
+ */
+const toNameKey = (name) => toSearchWords(name).sort().join(' ');
+
+// Default sort form of a name: "J. R. R. Tolkien" becomes "Tolkien, J. R. R."
+const toSortName = (name) => {
+  const words = String(name).trim().split(/\s+/);
+  if (name.includes(',') || words.length < 2) return String(name).trim();
+  return `${words[words.length - 1]}, ${words.slice(0, -1).join(' ')}`;
+};
+
+const authorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Author name is required'],
+    trim: true,
+    maxlength: [100, 'Author name cannot exceed 100 characters']
+  },
+  // Form used for alphabetical lists, e.g. "Tolkien, J. R. R."
+  sortName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Sort name cannot exceed 100 characters'],
+    default: null
+  },
+  // Other spellings the author is catalogued or searched under
+  variants: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name variant cannot exceed 100 characters']
+  }],
+  nameKeys: [String],
+  birthYear: {
+    type: Number,
+    default: null
+  },
+  deathYear: {
+    type: Number,
+    default: null
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Biography cannot exceed 2000 characters'],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.nameKeys;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+authorSchema.index({ nameKeys: 1 });
+authorSchema.index({ sortName: 1, name: 1 });
+
+// Fill in the sort name and keep the lookup keys in step with the name and its variants
+authorSchema.pre('validate', function(next) {
+  if (!this.sortName && this.name) {
+    this.sortName = toSortName(this.name);
+  }
+  if (this.isModified('name') || this.isModified('sortName') || this.isModified('variants')) {
+    this.nameKeys = [...new Set([this.name, this.sortName, ...this.variants].filter(Boolean).map(toNameKey))];
+  }
+  next();
+});
+
+// Static method to reduce a name to its lookup key
+authorSchema.statics.toNameKey = toNameKey;
+
+// Static method to find the author known by a name or any of its variants
+authorSchema.statics.findByName = function(name) {
+  return this.findOne({ nameKeys: toNameKey(name) });
+};
+
+/**
+ * Find the IDs of authors whose name or a variant contains every word of a
+ * search term, in any order ("tolkien" and "Tolkien, J.R.R." both match
+ * "J. R. R. Tolkien")
+ * @param {string} term - Search term
+ * @returns {Promise<Array<ObjectId>>} Matching author IDs
+ */
+authorSchema.statics.findIdsByName = async function(term) {
+  const words = toSearchWords(term);
+  if (words.length === 0) return [];
+
+  const authors = await this.find({ nameKeys: buildWordPrefixPattern(words) }).select('_id');
+  return authors.map(author => author._id);
+};
+
+/**
+ * Turn contributor entries from a request into stored contributors. Entries
+ * name an existing author by ID, or give a name that is matched against known
+ * authors and their variants; unknown names become new authors.
+ * @param {Array<Object>} entries - [{ authorId } or { name }, with an optional role; a name
+ *   given with an authorId is kept as the credited name]
+ * @returns {Promise<Array<Object>>} [{ authorId, name, role }]
+ * @throws {Error} If an author ID does not exist
+ */
+authorSchema.statics.resolveContributors = async function(entries) {
+  const contributors = [];
+
+  for (const entry of entries) {
+    let author;
+    if (entry.authorId) {
+      author = await this.findById(entry.authorId);
+      if (!author) {
+        throw new Error(`Author ${entry.authorId} not found`);
+      }
+    } else {
+      author = await this.findByName(entry.name) || await this.create({ name: entry.name });
+    }
+
+    const role = entry.role || 'author';
+    const duplicate = contributors.some(contributor =>
+      contributor.authorId.equals(author._id) && contributor.role === role);
+    if (!duplicate) {
+      contributors.push({ authorId: author._id, name: entry.name || author.name, role });
+    }
+  }
+
+  return contributors;
+};
+
+module.exports = mongoose.model('Author', authorSchema);
@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const { compactIsbn, normalizeIsbn, isValidIsbn } = require('../utils/isbn');
+const { CONTRIBUTOR_ROLES, BOOK_FORMATS, BOOK_FACETS } = require('../utils/constants');
+const {
+  toSearchWords,
+  normalizeSearchText,
+  toTrigrams,
+  wordSimilarity,
+  buildWordPrefixPattern
+} = require('../utils/searchText');
+const { buildMatchCondition } = require('../utils/queryBuilder');
+const { buildCursorFilter, cursorSort } = require('../utils/cursor');
 
 const bookSchema = new mongoose.Schema({
   title: {
@@ -13,15 +24,55 @@ const bookSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Author name cannot exceed 100 characters']
   },
+  // People credited on the book, linked to Author records; author stays the display line
+  contributors: [{
+    _id: false,
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Author',
+      required: [true, 'Contributor author ID is required']
+    },
+    // Name as credited on this book
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Contributor name cannot exceed 100 characters']
+    },
+    role: {
+      type: String,
+      enum: {
+        values: CONTRIBUTOR_ROLES,
+        message: `Contributor role must be one of: ${CONTRIBUTOR_ROLES.join(', ')}`
+      },
+      default: 'author'
+    }
+  }],
+  // Stored as ISBN-13 without hyphens. The setter also runs on query filters,
+  // so lookups like findOne({ isbn }) match an ISBN-10 or any hyphenation.
   isbn: {
     type: String,
     required: [true, 'ISBN is required'],
     unique: true,
     trim: true,
-    match: [
-      /^(?:ISBN(?:-1[03])?:? )?(?=[0-9X]{10}$|(?=(?:[0-9]+[- ]){3})[- 0-9X]{13}$|97[89][0-9]{10}$|(?=(?:[0-9]+[- ]){4})[- 0-9]{17}$)(?:97[89][- ]?)?[0-9]{1,5}[- ]?[0-9]+[- ]?[0-9]+[- ]?[0-9X]$/,
-      'Please enter a valid ISBN'
-    ]
+    set: function(value) {
+      const isbn13 = normalizeIsbn(value);
+      if (!isbn13) return value;
+      if (this instanceof mongoose.Document) {
+        this.isbnDisplay = String(value).trim();
+      }
+      return isbn13;
+    },
+    validate: {
+      validator: (value) => /^\d{13}$/.test(value) && isValidIsbn(value),
+      message: 'Please enter a valid ISBN-10 or ISBN-13'
+    }
+  },
+  // The ISBN as it was entered, for display
+  isbnDisplay: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'ISBN cannot exceed 30 characters'],
+    default: null
   },
   category: {
     type: String,
@@ -34,6 +85,71 @@ const bookSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
+  // The work this book is an edition of; editions share work-level reviews and can be borrowed interchangeably
+  workId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Work',
+    default: null
+  },
+  format: {
+    type: String,
+    enum: {
+      values: BOOK_FORMATS,
+      message: `Format must be one of: ${BOOK_FORMATS.join(', ')}`
+    },
+    default: null
+  },
+  // Bibliographic details, mostly filled in from MARC records
+  edition: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Edition cannot exceed 100 characters'],
+    default: null
+  },
+  publisher: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Publisher cannot exceed 200 characters'],
+    default: null
+  },
+  publicationYear: {
+    type: Number,
+    min: [1000, 'Publication year must be after 1000'],
+    max: [9999, 'Publication year must be a four-digit year'],
+    default: null,
+    validate: {
+      validator: (value) => value === null || Number.isInteger(value),
+      message: 'Publication year must be a whole number'
+    }
+  },
+  physicalDescription: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Physical description cannot exceed 200 characters'],
+    default: null
+  },
+  pageCount: {
+    type: Number,
+    min: [1, 'Page count must be at least 1'],
+    default: null,
+    validate: {
+      validator: (value) => value === null || Number.isInteger(value),
+      message: 'Page count must be a whole number'
+    }
+  },
+  subjects: [{
+    type: String,
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  }],
+  // ISO 639 language code, e.g. "eng" as used in MARC records
+  language: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z]{2,3}$/, 'Language must be a two- or three-letter ISO 639 code'],
+    default: null
+  },
   quantity: {
     type: Number,
     required: [true, 'Quantity is required'],
@@ -53,6 +169,12 @@ const bookSchema = new mongoose.Schema({
       message: 'Available count must be a whole number'
     }
   },
+  // Charged when a copy is lost or damaged beyond repair (falls back to DEFAULT_REPLACEMENT_COST)
+  replacementCost: {
+    type: Number,
+    min: [0, 'Replacement cost cannot be negative'],
+    default: null
+  },
   coverImage: {
     type: String,
     trim: true,
@@ -122,6 +244,14 @@ const bookSchema = new mongoose.Schema({
     4: { type: Number, default: 0 },
     5: { type: Number, default: 0 }
   },
+  // Searchable fields without case or accents, for autocomplete (see toSearchFields)
+  searchText: {
+    title: { type: String, default: '' },
+    author: { type: String, default: '' },
+    category: { type: String, default: '' }
+  },
+  // Trigrams of the title and author words, for finding misspelled searches
+  searchGrams: [String],
   createdAt: {
     type: Date,
     default: Date.now
@@ -131,6 +261,8 @@ const bookSchema = new mongoose.Schema({
   toJSON: {
     transform: function(doc, ret) {
       delete ret.__v;
+      delete ret.searchText;
+      delete ret.searchGrams;
       return ret;
     }
   },
@@ -147,8 +279,9 @@ bookSchema.index({ title: 1 });
 bookSchema.index({ author: 1 });
 bookSchema.index({ category: 1 });
 bookSchema.index({ available: 1 });
-bookSchema.index({ createdAt: -1 });
-bookSchema.index({ isbn: 1 });
+bookSchema.index({ createdAt: -1, _id: -1 });
+bookSchema.index({ 'contributors.authorId': 1 });
+bookSchema.index({ workId: 1, available: -1 });
 
 // Text index for full-text search across multiple fields
 bookSchema.index({
@@ -171,6 +304,34 @@ bookSchema.index({ category: 1, available: 1 });
 bookSchema.index({ author: 1, title: 1 });
 bookSchema.index({ available: 1, createdAt: -1 });
 bookSchema.index({ quantity: 1, available: 1 });
+bookSchema.index({ language: 1 });
+bookSchema.index({ publicationYear: 1 });
+bookSchema.index({ 'searchText.title': 1 });
+bookSchema.index({ 'searchText.author': 1 });
+bookSchema.index({ 'searchText.category': 1 });
+bookSchema.index({ searchGrams: 1 });
+
+/**
+ * Derive the normalized search fields of a book
+ * @param {Object} book - { title, author, category }
+ * @returns {Object} { searchText, searchGrams }
+ */
+const toSearchFields = ({ title, author, category }) => ({
+  searchText: {
+    title: normalizeSearchText(title),
+    author: normalizeSearchText(author),
+    category: normalizeSearchText(category)
+  },
+  searchGrams: [...new Set(toSearchWords(`${title ?? ''} ${author ?? ''}`).flatMap(toTrigrams))]
+});
+
+// Keep the search fields in step with the title, author and category
+bookSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('title') || this.isModified('author') || this.isModified('category')) {
+    Object.assign(this, toSearchFields(this));
+  }
+  next();
+});
 
 // Pre-save middleware to set available count to quantity if not provided
 bookSchema.pre('save', function(next) {
@@ -180,6 +341,18 @@ bookSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to link new books without contributors to an author record
+bookSchema.pre('save', async function(next) {
+  if (!this.isNew || this.contributors.length > 0 || !this.author) return next();
+
+  try {
+    this.contributors = await mongoose.model('Author').resolveContributors([{ name: this.author }]);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Pre-save validation to ensure available doesn't exceed quantity
 bookSchema.pre('save', function(next) {
   if (this.available > this.quantity) {
@@ -195,18 +368,44 @@ bookSchema.virtual('borrowed').get(function() {
   return this.quantity - this.available;
 });
 
+// Static method to derive a book's search fields (for updates that bypass validation)
+bookSchema.statics.toSearchFields = toSearchFields;
+
 // Static method to find available books
 bookSchema.statics.findAvailable = function() {
   return this.find({ available: { $gt: 0 } });
 };
 
+// Static method to find the editions of a work, those with copies on the shelf and the newest first
+bookSchema.statics.findEditions = function(workId, { format = null } = {}) {
+  const query = { workId };
+  if (format) query.format = format;
+  return this.find(query).sort({ available: -1, publicationYear: -1, createdAt: -1 });
+};
+
+/**
+ * Condition matching a normalized search field (see toSearchFields) against
+ * user input, ignoring case and accents. Input without letters or digits
+ * matches nothing.
+ * @param {string} value - User input
+ * @param {string} mode - One of MATCH_MODES
+ * @returns {Object|RegExp|string} Match condition
+ */
+const searchFieldCondition = (value, mode = 'contains') =>
+  buildMatchCondition(String(value), { mode, normalized: true }) ?? { $in: [] };
+
 // Static method to find books by category
 bookSchema.statics.findByCategory = function(category) {
-  return this.find({ category: new RegExp(category, 'i') });
+  return this.find({ 'searchText.category': searchFieldCondition(category) });
 };
 
-// Advanced search static method
-bookSchema.statics.advancedSearch = function(searchParams) {
+/**
+ * Build the $match conditions shared by the advanced search, its count and
+ * the catalog export from search parameters
+ * @param {Object} searchParams - Search filters (see advancedSearch)
+ * @returns {Object} MongoDB match conditions
+ */
+const buildSearchConditions = (searchParams) => {
   const {
     q,
     search,
@@ -219,16 +418,18 @@ bookSchema.statics.advancedSearch = function(searchParams) {
     maxQuantity,
     dateFrom,
     dateTo,
-    sortBy = 'createdAt',
-    sortOrder = 'desc',
-    page = 0,
-    limit = 10
+    language,
+    minRating,
+    maxRating,
+    yearFrom,
+    yearTo,
+    bookIds,
+    authorIds,
+    fuzzyMatches,
+    queryConditions,
+    match = 'contains'
   } = searchParams;
 
-  // Build aggregation pipeline
-  const pipeline = [];
-
-  // Match stage for filtering
   const matchConditions = {};
 
   // Text search across multiple fields
@@ -237,25 +438,35 @@ bookSchema.statics.advancedSearch = function(searchParams) {
     matchConditions.$text = { $search: searchTerm };
   }
 
-  // Specific field searches
+  // Specific field searches, compared in the given match mode on the normalized fields
   if (title) {
-    matchConditions.title = new RegExp(title, 'i');
+    matchConditions['searchText.title'] = searchFieldCondition(title, match);
   }
 
+  // Authors found by name variant (see Author.findIdsByName) match through their contributor links
   if (author) {
-    matchConditions.author = new RegExp(author, 'i');
+    const byName = { 'searchText.author': searchFieldCondition(author, match) };
+    if (authorIds && authorIds.length > 0) {
+      matchConditions.$or = [byName, { 'contributors.authorId': { $in: authorIds } }];
+    } else {
+      Object.assign(matchConditions, byName);
+    }
   }
 
+  // Aggregations skip the isbn setter, so normalize here: a whole ISBN matches
+  // in any form, a partial one matches the digits of the stored ISBN-13
   if (isbn) {
-    matchConditions.isbn = new RegExp(isbn, 'i');
+    const digits = compactIsbn(isbn).replace(/X$/, '');
+    matchConditions.isbn = normalizeIsbn(isbn) || (/^\d+$/.test(digits) ? buildMatchCondition(digits) : { $in: [] });
   }
 
   // Category filtering (support multiple categories)
   if (category) {
     if (Array.isArray(category)) {
-      matchConditions.category = { $in: category.map(cat => new RegExp(cat, 'i')) };
+      const conditions = category.map(cat => buildMatchCondition(String(cat), { mode: match, normalized: true }));
+      matchConditions['searchText.category'] = { $in: conditions.filter(condition => condition !== null) };
     } else {
-      matchConditions.category = new RegExp(category, 'i');
+      matchConditions['searchText.category'] = searchFieldCondition(category, match);
     }
   }
 
@@ -291,112 +502,466 @@ bookSchema.statics.advancedSearch = function(searchParams) {
     }
   }
 
-  // Add match stage if there are conditions
-  if (Object.keys(matchConditions).length > 0) {
-    pipeline.push({ $match: matchConditions });
+  // Language filtering (support multiple languages)
+  if (language) {
+    const languages = (Array.isArray(language) ? language : [language]).map(code => String(code).trim().toLowerCase());
+    matchConditions.language = { $in: languages };
   }
 
-  // Add text score for text search
-  if (searchTerm) {
-    pipeline.push({
-      $addFields: {
-        score: { $meta: 'textScore' }
-      }
-    });
+  // Average rating range filtering
+  if (minRating !== undefined || maxRating !== undefined) {
+    matchConditions.averageRating = {};
+    if (minRating !== undefined) {
+      matchConditions.averageRating.$gte = parseFloat(minRating);
+    }
+    if (maxRating !== undefined) {
+      matchConditions.averageRating.$lte = parseFloat(maxRating);
+    }
   }
 
-  // Sort stage
-  const sortStage = {};
-  if (searchTerm) {
-    // Sort by text score first, then by specified field
-    sortStage.score = { $meta: 'textScore' };
-    sortStage[sortBy] = sortOrder === 'asc' ? 1 : -1;
-  } else {
-    sortStage[sortBy] = sortOrder === 'asc' ? 1 : -1;
+  // Publication year range filtering
+  if (yearFrom !== undefined || yearTo !== undefined) {
+    matchConditions.publicationYear = {};
+    if (yearFrom !== undefined) {
+      matchConditions.publicationYear.$gte = parseInt(yearFrom);
+    }
+    if (yearTo !== undefined) {
+      matchConditions.publicationYear.$lte = parseInt(yearTo);
+    }
   }
-  pipeline.push({ $sort: sortStage });
 
-  // Pagination
-  const skip = parseInt(page) * parseInt(limit);
-  pipeline.push({ $skip: skip });
-  pipeline.push({ $limit: parseInt(limit) });
+  // Restrict to a set of titles (e.g. those held at a branch)
+  if (bookIds) {
+    matchConditions._id = { $in: bookIds };
+  }
 
-  return this.aggregate(pipeline);
+  // Books found by the fuzzy fallback in place of a text search; they were
+  // picked from within any bookIds above (see withFuzzyFallback)
+  if (fuzzyMatches) {
+    matchConditions._id = { $in: fuzzyMatches.map(match => match._id) };
+  }
+
+  // Conditions written in the search query language (see compileSearchQuery)
+  if (queryConditions) {
+    matchConditions.$and = [queryConditions];
+  }
+
+  return matchConditions;
 };
 
-// Count documents for advanced search
-bookSchema.statics.countAdvancedSearch = function(searchParams) {
-  const {
-    q,
-    search,
-    title,
-    author,
-    isbn,
-    category,
-    available,
-    minQuantity,
-    maxQuantity,
-    dateFrom,
-    dateTo
-  } = searchParams;
+// Sort fields whose name differs from the book field they sort on
+const SORT_FIELDS = { rating: 'averageRating' };
 
-  // Build match conditions (same as in advancedSearch)
-  const matchConditions = {};
+// Sort by relevance first when searching (the score stage adds it as a field),
+// then by the requested field, then by ID so books with equal values keep one
+// order from page to page
+const buildSortStage = (searchParams) => {
+  const { q, search, fuzzyMatches, sortBy = 'createdAt', sortOrder = 'desc' } = searchParams;
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  const sortStage = {};
+  if (q || search || fuzzyMatches) {
+    sortStage.score = -1;
+  }
+  sortStage[SORT_FIELDS[sortBy] || sortBy] = direction;
+  sortStage._id = direction;
+  return sortStage;
+};
 
-  const searchTerm = q || search;
-  if (searchTerm) {
-    matchConditions.$text = { $search: searchTerm };
+// Stage adding the relevance of each book as `score`: its text score, or its
+// similarity when the fuzzy fallback found it (null without a search term)
+const buildScoreStage = (searchParams) => {
+  const { q, search, fuzzyMatches } = searchParams;
+  if (q || search) {
+    return { $addFields: { score: { $meta: 'textScore' } } };
+  }
+  if (fuzzyMatches) {
+    const ids = fuzzyMatches.map(match => match._id);
+    const scores = fuzzyMatches.map(match => match.score);
+    return { $addFields: { score: { $arrayElemAt: [scores, { $indexOfArray: [ids, '$_id'] }] } } };
   }
+  return null;
+};
 
-  if (title) {
-    matchConditions.title = new RegExp(title, 'i');
+// Internal search fields left out of search results
+const HIDE_SEARCH_FIELDS = { $project: { searchText: 0, searchGrams: 0 } };
+
+// Build the match, score and sort stages of a search pipeline
+const buildSearchPipeline = (searchParams) => {
+  const pipeline = [];
+
+  // Add match stage if there are conditions
+  const matchConditions = buildSearchConditions(searchParams);
+  if (Object.keys(matchConditions).length > 0) {
+    pipeline.push({ $match: matchConditions });
   }
 
-  if (author) {
-    matchConditions.author = new RegExp(author, 'i');
+  // Add relevance score for text or fuzzy search
+  const scoreStage = buildScoreStage(searchParams);
+  if (scoreStage) {
+    pipeline.push(scoreStage);
   }
 
-  if (isbn) {
-    matchConditions.isbn = new RegExp(isbn, 'i');
+  // Books past the cursor, read towards it when paging backwards
+  const sortStage = buildSortStage(searchParams);
+  if (searchParams.cursor) {
+    pipeline.push({ $match: buildCursorFilter(sortStage, searchParams.cursor) });
   }
+  pipeline.push({ $sort: cursorSort(sortStage, searchParams.cursor) });
 
-  if (category) {
-    if (Array.isArray(category)) {
-      matchConditions.category = { $in: category.map(cat => new RegExp(cat, 'i')) };
-    } else {
-      matchConditions.category = new RegExp(category, 'i');
+  return pipeline;
+};
+
+// Search parameters each facet is filtered by. A facet's counts leave out its
+// own filter, so picking "Fiction" still shows how many books the other
+// categories would give, while every other active filter applies.
+const FACET_FILTERS = {
+  category: ['category'],
+  availability: ['available'],
+  rating: ['minRating', 'maxRating'],
+  publicationYear: ['yearFrom', 'yearTo'],
+  language: ['language']
+};
+const FACETED_PARAMS = Object.values(FACET_FILTERS).flat();
+
+// Lowest average ratings the rating facet counts books from ("4 stars & up")
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+// $facet sub-pipelines grouping the matching books into each facet's values
+const FACET_STAGES = {
+  category: [
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: 50 }
+  ],
+  availability: [
+    { $group: { _id: { $gt: ['$available', 0] }, count: { $sum: 1 } } }
+  ],
+  rating: [
+    {
+      $group: {
+        _id: null,
+        ...Object.fromEntries(RATING_THRESHOLDS.map(threshold => [
+          `from${threshold}`,
+          { $sum: { $cond: [{ $gte: ['$averageRating', threshold] }, 1, 0] } }
+        ]))
+      }
     }
+  ],
+  publicationYear: [
+    {
+      $group: {
+        _id: {
+          $cond: [
+            { $eq: [{ $ifNull: ['$publicationYear', null] }, null] },
+            null,
+            { $subtract: ['$publicationYear', { $mod: ['$publicationYear', 10] }] }
+          ]
+        },
+        count: { $sum: 1 },
+        min: { $min: '$publicationYear' },
+        max: { $max: '$publicationYear' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ],
+  language: [
+    { $match: { language: { $type: 'string' } } },
+    { $group: { _id: '$language', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ]
+};
+
+// Shape the raw $facet output of each facet for the response
+const FACET_FORMATTERS = {
+  category: (entries) => entries.map(({ _id, count }) => ({ value: _id, count })),
+  // Values match the `available` search parameter
+  availability: (entries) => [true, false].map(available => {
+    const entry = entries.find(({ _id }) => _id === available);
+    return { value: String(available), count: entry ? entry.count : 0 };
+  }),
+  rating: ([counts = {}]) => RATING_THRESHOLDS.map(threshold => ({
+    value: threshold,
+    count: counts[`from${threshold}`] || 0
+  })),
+  publicationYear: (entries) => {
+    const decades = entries.filter(({ _id }) => _id !== null);
+    const unknown = entries.find(({ _id }) => _id === null);
+    return {
+      min: decades.length > 0 ? Math.min(...decades.map(({ min }) => min)) : null,
+      max: decades.length > 0 ? Math.max(...decades.map(({ max }) => max)) : null,
+      unknown: unknown ? unknown.count : 0,
+      decades: decades.map(({ _id, count }) => ({ value: _id, count }))
+    };
+  },
+  language: (entries) => entries.map(({ _id, count }) => ({ value: _id, count }))
+};
+
+// Keep or drop the given keys of the search parameters
+const pickParams = (searchParams, keys) => Object.fromEntries(
+  Object.entries(searchParams).filter(([key]) => keys.includes(key)));
+const omitParams = (searchParams, keys) => Object.fromEntries(
+  Object.entries(searchParams).filter(([key]) => !keys.includes(key)));
+
+/**
+ * Run a search returning a page of books, the total and facet counts in one
+ * aggregation. Filters that no facet is about (text, title, author, branch
+ * holdings...) are matched first; the faceted filters are then applied
+ * inside each $facet branch, minus the facet's own.
+ * @private
+ */
+const facetedSearch = async (Book, searchParams) => {
+  const { page = 0, limit = 10, cursor } = searchParams;
+  const names = searchParams.facets === true ? BOOK_FACETS : searchParams.facets;
+
+  // Faceted filters except those listed, compared in the requested match mode
+  const filtersExcept = (excluded = []) => buildSearchConditions(
+    pickParams(searchParams, [...FACETED_PARAMS.filter(param => !excluded.includes(param)), 'match']));
+
+  const pipeline = [];
+  const baseConditions = buildSearchConditions(omitParams(searchParams, FACETED_PARAMS));
+  if (Object.keys(baseConditions).length > 0) {
+    pipeline.push({ $match: baseConditions });
   }
 
-  if (available !== undefined) {
-    if (available === 'true' || available === true) {
-      matchConditions.available = { $gt: 0 };
-    } else if (available === 'false' || available === false) {
-      matchConditions.available = { $eq: 0 };
-    }
+  // Text score is only available right after the $text match, so keep it as a field
+  const scoreStage = buildScoreStage(searchParams);
+  if (scoreStage) {
+    pipeline.push(scoreStage);
   }
 
-  if (minQuantity !== undefined || maxQuantity !== undefined) {
-    matchConditions.quantity = {};
-    if (minQuantity !== undefined) {
-      matchConditions.quantity.$gte = parseInt(minQuantity);
-    }
-    if (maxQuantity !== undefined) {
-      matchConditions.quantity.$lte = parseInt(maxQuantity);
-    }
+  const sortStage = buildSortStage(searchParams);
+  const branches = {
+    books: [
+      { $match: cursor ? { $and: [filtersExcept(), buildCursorFilter(sortStage, cursor)] } : filtersExcept() },
+      { $sort: cursorSort(sortStage, cursor) },
+      { $skip: cursor ? 0 : parseInt(page) * parseInt(limit) },
+      { $limit: parseInt(limit) },
+      HIDE_SEARCH_FIELDS
+    ],
+    total: [
+      { $match: filtersExcept() },
+      { $count: 'count' }
+    ]
+  };
+  names.forEach(name => {
+    branches[name] = [{ $match: filtersExcept(FACET_FILTERS[name]) }, ...FACET_STAGES[name]];
+  });
+  pipeline.push({ $facet: branches });
+
+  const [result] = await Book.aggregate(pipeline);
+  return {
+    books: result.books,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    facets: Object.fromEntries(names.map(name => [name, FACET_FORMATTERS[name](result[name])]))
+  };
+};
+
+/**
+ * Advanced search static method. Resolves to the page of books; with
+ * `searchParams.facets` (true for every facet, or a list of names from
+ * BOOK_FACETS) it resolves to { books, total, facets } instead.
+ * With `searchParams.cursor` (see utils/cursor) the books are those past the
+ * cursor instead of a page number, in cursorSort order.
+ */
+bookSchema.statics.advancedSearch = function(searchParams) {
+  if (searchParams.facets) {
+    return facetedSearch(this, searchParams);
   }
 
-  if (dateFrom || dateTo) {
-    matchConditions.createdAt = {};
-    if (dateFrom) {
-      matchConditions.createdAt.$gte = new Date(dateFrom);
-    }
-    if (dateTo) {
-      matchConditions.createdAt.$lte = new Date(dateTo);
+  const { page = 0, limit = 10, cursor } = searchParams;
+  const pipeline = buildSearchPipeline(searchParams);
+
+  // Pagination
+  const skip = cursor ? 0 : parseInt(page) * parseInt(limit);
+  pipeline.push({ $skip: skip });
+  pipeline.push({ $limit: parseInt(limit) });
+  pipeline.push(HIDE_SEARCH_FIELDS);
+
+  return this.aggregate(pipeline);
+};
+
+// Static method to get the sort of an advanced search, for encoding and reading its cursors
+bookSchema.statics.getSearchSort = function(searchParams) {
+  return buildSortStage(searchParams);
+};
+
+// Count documents for advanced search
+bookSchema.statics.countAdvancedSearch = function(searchParams) {
+  return this.countDocuments(buildSearchConditions(searchParams));
+};
+
+// Most books the fuzzy fallback scores, taken by the trigrams they share with the search
+const FUZZY_CANDIDATE_LIMIT = 500;
+
+// Lowest average word similarity (see wordSimilarity) for a fuzzy match
+const FUZZY_MIN_SCORE = 0.6;
+
+/**
+ * Find the books whose title and author words are closest to the words of a
+ * search term. Candidates sharing trigrams with the term are scored by how
+ * well each search word matches their best word, tolerating typos and
+ * unfinished words.
+ * @private
+ * @returns {Promise<Array<Object>>} [{ _id, score }], best match first
+ */
+const findFuzzyMatches = async (Book, searchTerm, matchConditions) => {
+  const searchWords = [...new Set(toSearchWords(searchTerm))];
+  if (searchWords.length === 0) return [];
+  const grams = [...new Set(searchWords.flatMap(toTrigrams))];
+
+  const candidates = await Book.aggregate([
+    { $match: { ...matchConditions, searchGrams: { $in: grams } } },
+    { $project: { searchText: 1, shared: { $size: { $setIntersection: ['$searchGrams', grams] } } } },
+    { $sort: { shared: -1, _id: 1 } },
+    { $limit: FUZZY_CANDIDATE_LIMIT }
+  ]);
+
+  return candidates
+    .map(({ _id, searchText }) => {
+      const words = toSearchWords(`${searchText.title} ${searchText.author}`);
+      const total = searchWords.reduce((sum, searchWord) =>
+        sum + Math.max(0, ...words.map(word => wordSimilarity(searchWord, word))), 0);
+      return { _id, score: Math.round((total / searchWords.length) * 1000) / 1000 };
+    })
+    .filter(({ score }) => score >= FUZZY_MIN_SCORE)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Fall back to typo-tolerant matching when a text search finds nothing. The
+ * text index only matches whole words, so "tolkein" or "harr pot" miss; the
+ * search term is then replaced by `fuzzyMatches`, the books whose title and
+ * author words come close to it, which the search matches and ranks by
+ * similarity. Parameters come back unchanged without a search term or when
+ * the term has hits. Faceted filters are left out of both checks, so facet
+ * counts still cover every match.
+ * @param {Object} searchParams - Search filters (see advancedSearch)
+ * @returns {Promise<Object>} Search parameters to run
+ */
+bookSchema.statics.withFuzzyFallback = async function(searchParams) {
+  const { q, search } = searchParams;
+  if (!(q || search)) return searchParams;
+
+  if (await this.exists(buildSearchConditions(omitParams(searchParams, FACETED_PARAMS)))) {
+    return searchParams;
+  }
+
+  const fuzzyParams = omitParams(searchParams, ['q', 'search']);
+  const fuzzyMatches = await findFuzzyMatches(
+    this,
+    q || search,
+    buildSearchConditions(omitParams(fuzzyParams, FACETED_PARAMS))
+  );
+  return { ...fuzzyParams, fuzzyMatches };
+};
+
+// Book fields compared by the numeric fields of the search query language
+const QUERY_NUMBER_FIELDS = { year: 'publicationYear', rating: 'averageRating' };
+
+// Fields a bare word or phrase of the search query language matches
+const QUERY_TEXT_FIELDS = ['title', 'author', 'category'];
+
+/**
+ * Compile a search query syntax tree (see utils/searchQuery) into match
+ * conditions, built by the same rules as the advanced search parameters so
+ * `author:tolkien` matches exactly what `?author=tolkien` does. Pass the
+ * result as `queryConditions` to advancedSearch.
+ * @param {Object} node - Syntax tree from parseSearchQuery
+ * @returns {Promise<Object>} MongoDB match conditions
+ */
+bookSchema.statics.compileSearchQuery = async function(node) {
+  switch (node.type) {
+    case 'and':
+      return { $and: await Promise.all(node.terms.map(term => this.compileSearchQuery(term))) };
+    case 'or':
+      return { $or: await Promise.all(node.terms.map(term => this.compileSearchQuery(term))) };
+    case 'not':
+      return { $nor: [await this.compileSearchQuery(node.term)] };
+    case 'flag':
+      return buildSearchConditions({ [node.name]: true });
+    case 'compare':
+      return { [QUERY_NUMBER_FIELDS[node.field]]: { [node.operator]: node.value } };
+    case 'range': {
+      const range = {};
+      if (node.from !== null) range.$gte = node.from;
+      if (node.to !== null) range.$lte = node.to;
+      return { [QUERY_NUMBER_FIELDS[node.field]]: range };
     }
+    case 'term':
+      if (!node.field) {
+        return { $or: QUERY_TEXT_FIELDS.map(field => ({ [`searchText.${field}`]: searchFieldCondition(node.value) })) };
+      }
+      if (node.field === 'author') {
+        const authorIds = await mongoose.model('Author').findIdsByName(node.value);
+        return buildSearchConditions({ author: node.value, authorIds });
+      }
+      return buildSearchConditions({ [node.field]: node.value });
+    default:
+      throw new Error(`Unknown search query node: ${node.type}`);
   }
+};
 
-  return this.countDocuments(matchConditions);
+/**
+ * Autocomplete suggestions for a partly typed search: titles, authors and
+ * categories with a word starting with each word typed, ignoring case and
+ * accents ("harr pot" suggests "Harry Potter and the Philosopher's Stone").
+ * Authors are matched on their name variants too.
+ * @param {string} term - Text typed so far
+ * @param {Object} options - { limit } suggestions of each kind
+ * @returns {Promise<Object>} { titles: [{ bookId, title, author }],
+ *   authors: [{ authorId, name }], categories: [{ name, count }] }
+ */
+bookSchema.statics.suggest = async function(term, { limit = 5 } = {}) {
+  const words = toSearchWords(term);
+  if (words.length === 0) {
+    return { titles: [], authors: [], categories: [] };
+  }
+  const pattern = buildWordPrefixPattern(words);
+
+  const [titles, authors, categories] = await Promise.all([
+    // One suggestion per title and author, however many editions share them
+    this.aggregate([
+      { $match: { 'searchText.title': pattern } },
+      { $sort: { totalReviews: -1, _id: 1 } },
+      {
+        $group: {
+          _id: { title: '$searchText.title', author: '$searchText.author' },
+          bookId: { $first: '$_id' },
+          title: { $first: '$title' },
+          author: { $first: '$author' },
+          reviews: { $sum: '$totalReviews' }
+        }
+      },
+      { $sort: { reviews: -1, title: 1 } },
+      { $limit: limit }
+    ]),
+    mongoose.model('Author').find({ nameKeys: pattern })
+      .sort({ sortName: 1 })
+      .limit(limit)
+      .select('name'),
+    this.aggregate([
+      { $match: { 'searchText.category': pattern } },
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit }
+    ])
+  ]);
+
+  return {
+    titles: titles.map(({ bookId, title, author }) => ({ bookId, title, author })),
+    authors: authors.map(author => ({ authorId: author._id, name: author.name })),
+    categories: categories.map(({ _id, count }) => ({ name: _id, count }))
+  };
+};
+
+/**
+ * Open a cursor over every book matching advanced search filters, in the
+ * search's sort order. Books are read in batches, so the full result is
+ * never held in memory.
+ */
+bookSchema.statics.searchCursor = function(searchParams, { batchSize = 200 } = {}) {
+  const pipeline = buildSearchPipeline(searchParams);
+  return this.aggregate(pipeline).cursor({ batchSize });
 };
 
 // Instance method to check if book is available
@@ -404,24 +969,42 @@ bookSchema.methods.isAvailable = function() {
   return this.available > 0;
 };
 
+// Static method to atomically take one copy off the shelf (resolves to null when none are left)
+bookSchema.statics.claimCopy = function(bookId) {
+  return this.findOneAndUpdate(
+    { _id: bookId, available: { $gt: 0 } },
+    { $inc: { available: -1 } },
+    { new: true }
+  );
+};
+
+// Static method to atomically put one copy back on the shelf (resolves to null when all copies are in)
+bookSchema.statics.releaseCopy = function(bookId) {
+  return this.findOneAndUpdate(
+    { _id: bookId, $expr: { $lt: ['$available', '$quantity'] } },
+    { $inc: { available: 1 } },
+    { new: true }
+  );
+};
+
 // Instance method to borrow book (decrease available count)
-bookSchema.methods.borrowBook = function() {
-  if (this.available > 0) {
-    this.available -= 1;
-    return this.save();
-  } else {
+bookSchema.methods.borrowBook = async function() {
+  const updated = await this.constructor.claimCopy(this._id);
+  if (!updated) {
     throw new Error('Book is not available for borrowing');
   }
+  this.available = updated.available;
+  return this;
 };
 
 // Instance method to return book (increase available count)
-bookSchema.methods.returnBook = function() {
-  if (this.available < this.quantity) {
-    this.available += 1;
-    return this.save();
-  } else {
+bookSchema.methods.returnBook = async function() {
+  const updated = await this.constructor.releaseCopy(this._id);
+  if (!updated) {
     throw new Error('Cannot return more books than the total quantity');
   }
+  this.available = updated.available;
+  return this;
 };
 
 // Instance method to update rating data from review aggregation
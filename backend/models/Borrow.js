@@ -1,4 +1,74 @@
 const mongoose = require('mongoose');
+const { BUSINESS_RULES, OPEN_BORROW_STATUSES } = require('../utils/constants');
+
+// Status changes librarians may record (returns go through markAsReturned)
+const STATUS_TRANSITIONS = {
+  active: ['lost', 'damaged', 'claimed_returned'],
+  overdue: ['lost', 'damaged', 'claimed_returned'],
+  claimed_returned: ['returned', 'lost', 'damaged'],
+  lost: ['returned'],
+  damaged: [],
+  returned: []
+};
+
+const renewalSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: {
+      values: ['renewal', 'extension'],
+      message: 'Renewal type must be either renewal or extension'
+    },
+    default: 'renewal'
+  },
+  renewedAt: {
+    type: Date,
+    default: Date.now
+  },
+  previousDueDate: {
+    type: Date,
+    required: true
+  },
+  newDueDate: {
+    type: Date,
+    required: true
+  },
+  renewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Replacement or damage charge added to the borrow's fine
+  charge: {
+    type: Number,
+    default: 0
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: null
+  }
+}, { _id: false });
 
 const borrowSchema = new mongoose.Schema({
   userId: {
@@ -48,11 +118,44 @@ const borrowSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Status is required'],
     enum: {
-      values: ['active', 'returned', 'overdue'],
-      message: 'Status must be either active, returned, or overdue'
+      values: ['active', 'returned', 'overdue', 'lost', 'damaged', 'claimed_returned'],
+      message: 'Status must be one of: active, returned, overdue, lost, damaged, claimed_returned'
     },
     default: 'active'
   },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    default: null
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    default: null
+  },
+  // Branch the copy was checked out at and the one it came back to
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  returnBranchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  renewalCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Renewal count cannot be negative']
+  },
+  renewals: [renewalSchema],
+  // Date the patron said the item was returned (fines stop accruing from then)
+  claimedReturnedAt: {
+    type: Date,
+    default: null
+  },
+  statusChanges: [statusChangeSchema],
   createdAt: {
     type: Date,
     default: Date.now
@@ -81,6 +184,9 @@ borrowSchema.index({ dueDate: 1 });
 borrowSchema.index({ returnDate: 1 });
 borrowSchema.index({ status: 1 });
 borrowSchema.index({ createdAt: -1 });
+borrowSchema.index({ itemId: 1 });
+borrowSchema.index({ 'statusChanges.to': 1, 'statusChanges.changedAt': -1 });
+borrowSchema.index({ branchId: 1, borrowDate: -1 });
 
 // Compound indexes for common queries
 borrowSchema.index({ userId: 1, status: 1 }); // For finding borrows by user and status
@@ -90,12 +196,12 @@ borrowSchema.index({ status: 1, dueDate: 1 }); // For finding overdue books
 borrowSchema.index({ userId: 1, returnDate: 1 }); // For finding active borrows by user (legacy)
 borrowSchema.index({ bookId: 1, returnDate: 1 }); // For finding active borrows by book (legacy)
 
-// Prevent duplicate active borrows (same user borrowing same book)
+// Prevent duplicate open borrows (same user borrowing same book)
 borrowSchema.index(
   { userId: 1, bookId: 1, status: 1 },
   {
     unique: true,
-    partialFilterExpression: { status: 'active' }
+    partialFilterExpression: { status: { $in: OPEN_BORROW_STATUSES } }
   }
 );
 
@@ -141,9 +247,9 @@ borrowSchema.statics.findActiveByUser = function(userId) {
   return this.find({ userId, status: 'active' }).populate('bookId', 'title author isbn');
 };
 
-// Static method to find active borrows by book
+// Static method to find the loans of a book still out (active, overdue or claimed returned)
 borrowSchema.statics.findActiveByBook = function(bookId) {
-  return this.find({ bookId, status: 'active' }).populate('userId', 'name email');
+  return this.find({ bookId, status: { $in: OPEN_BORROW_STATUSES } }).populate('userId', 'name email');
 };
 
 // Static method to find overdue borrows
@@ -175,26 +281,84 @@ borrowSchema.statics.findHistoryByBook = function(bookId) {
 
 // Static method to check if user has already borrowed a specific book (and not returned)
 borrowSchema.statics.hasActiveBorrow = function(userId, bookId) {
-  return this.findOne({ userId, bookId, status: 'active' });
+  return this.findOne({ userId, bookId, status: { $in: OPEN_BORROW_STATUSES } });
 };
 
-// Static method to count active borrows by user
+// Static method to count loans a user still has out (active, overdue or claimed returned)
 borrowSchema.statics.countActiveByUser = function(userId) {
-  return this.countDocuments({ userId, status: 'active' });
+  return this.countDocuments({ userId, status: { $in: OPEN_BORROW_STATUSES } });
 };
 
-// Static method to calculate due date (default 14 days from borrow date)
-borrowSchema.statics.calculateDueDate = function(borrowDate = new Date(), borrowPeriodDays = 14) {
+// Static method to count active borrows that count towards a loan policy's item limit
+borrowSchema.statics.countActiveForPolicy = async function(userId, policy) {
+  if (!policy.matchedOn.category) {
+    return this.countActiveByUser(userId);
+  }
+
+  // Category policies only limit loans from their own category
+  const bookIds = await mongoose.model('Book')
+    .find({ category: policy.matchedOn.category })
+    .distinct('_id');
+  return this.countDocuments({ userId, status: { $in: OPEN_BORROW_STATUSES }, bookId: { $in: bookIds } });
+};
+
+// Static method to calculate due date (default 14 days from borrow date, rolled to an open day when a calendar is given)
+borrowSchema.statics.calculateDueDate = function(borrowDate = new Date(), borrowPeriodDays = 14, calendar = null) {
+  if (calendar) {
+    return calendar.calculateDueDate(borrowDate, borrowPeriodDays);
+  }
   const dueDate = new Date(borrowDate);
   dueDate.setDate(dueDate.getDate() + borrowPeriodDays);
   return dueDate;
 };
 
-// Instance method to mark as returned
-borrowSchema.methods.markAsReturned = function() {
-  this.returnDate = new Date();
+/**
+ * Mark the borrow as returned, at `branchId` when the return desk is known.
+ * The status change is conditional so that two concurrent returns cannot both
+ * succeed; resolves to null if the borrow was already closed by another request.
+ */
+borrowSchema.methods.markAsReturned = async function({ branchId = null } = {}) {
+  const returnDate = new Date();
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: OPEN_BORROW_STATUSES } },
+    { $set: { status: 'returned', returnDate, returnBranchId: branchId } },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  this.returnDate = returnDate;
+  this.returnBranchId = branchId;
   this.status = 'returned';
-  return this.save();
+  return this;
+};
+
+// Instance method to check whether a librarian may move the borrow to a status
+borrowSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Record a librarian status change. The update is conditional on the status
+ * the borrow was read with, so concurrent changes cannot both apply; resolves
+ * to null if the borrow changed in the meantime.
+ */
+borrowSchema.methods.recordStatusChange = async function(status, { changedBy = null, charge = 0, note = null, returnDate } = {}) {
+  const from = this.status;
+  const set = { status };
+  if (returnDate !== undefined) set.returnDate = returnDate;
+  if (status === 'claimed_returned') set.claimedReturnedAt = new Date();
+
+  const change = { from, to: status, changedAt: new Date(), changedBy, charge, note };
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: from },
+    { $set: set, $push: { statusChanges: change } },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  this.set(set);
+  this.statusChanges = updated.statusChanges;
+  return this;
 };
 
 // Instance method to mark as overdue
@@ -206,37 +370,135 @@ borrowSchema.methods.markAsOverdue = function() {
   return Promise.resolve(this);
 };
 
-// Instance method to extend due date
-borrowSchema.methods.extendDueDate = function(additionalDays = 7) {
+// Instance method to extend due date (the new date rolls forward to an open day)
+borrowSchema.methods.extendDueDate = async function(additionalDays = 7, extendedBy = null) {
   if (this.status === 'active' || this.status === 'overdue') {
-    const newDueDate = new Date(this.dueDate);
-    newDueDate.setDate(newDueDate.getDate() + additionalDays);
+    const calendar = await mongoose.model('LibraryCalendar').getCalendar();
+    const previousDueDate = new Date(this.dueDate);
+    const newDueDate = this.constructor.calculateDueDate(this.dueDate, additionalDays, calendar);
     this.dueDate = newDueDate;
     if (this.status === 'overdue' && new Date() <= newDueDate) {
       this.status = 'active';
     }
+    this.renewals.push({ type: 'extension', previousDueDate, newDueDate, renewedBy: extendedBy });
     return this.save();
   }
   throw new Error('Cannot extend due date for returned books');
 };
 
+// Static method to get the renewal rules of a resolved loan policy
+borrowSchema.statics.getRenewalRules = function(policy) {
+  const overdueLimit = parseInt(process.env.RENEWAL_OVERDUE_LIMIT_DAYS);
+  return {
+    maxRenewals: policy.maxRenewals,
+    renewalPeriodDays: policy.loanPeriodDays,
+    overdueLimitDays: isNaN(overdueLimit) ? BUSINESS_RULES.RENEWAL_OVERDUE_LIMIT_DAYS : overdueLimit
+  };
+};
+
+/**
+ * Check whether the borrower may renew this loan themselves.
+ * Resolves to { eligible, reasons, rules } where each reason carries a
+ * machine-readable code so clients can explain a denial.
+ */
+borrowSchema.methods.getRenewalEligibility = async function() {
+  const loanPolicy = await mongoose.model('LoanPolicy').resolveForBorrow(this);
+  const rules = this.constructor.getRenewalRules(loanPolicy);
+  const reasons = [];
+
+  if (this.status !== 'active' && this.status !== 'overdue') {
+    reasons.push({ code: 'BORROW_NOT_ACTIVE', message: 'Only active borrows can be renewed' });
+    return { eligible: false, reasons, rules, loanPolicy };
+  }
+
+  if (this.renewalCount >= rules.maxRenewals) {
+    reasons.push({
+      code: 'RENEWAL_LIMIT_REACHED',
+      message: `This borrow has already been renewed the maximum of ${rules.maxRenewals} times`
+    });
+  }
+
+  const calendar = await mongoose.model('LibraryCalendar').getCalendar();
+  const daysOverdue = calendar.countOpenDaysLate(this.dueDate);
+  if (daysOverdue > rules.overdueLimitDays) {
+    reasons.push({
+      code: 'OVERDUE_TOO_LONG',
+      message: `Items more than ${rules.overdueLimitDays} days overdue cannot be renewed`
+    });
+  }
+
+  const bookId = this.bookId._id || this.bookId;
+  const Book = mongoose.model('Book');
+  const Reservation = mongoose.model('Reservation');
+  const [book, waitingHolds] = await Promise.all([
+    Book.findById(bookId).select('available'),
+    Reservation.countDocuments({ bookId, status: 'waiting' })
+  ]);
+
+  if (waitingHolds > 0) {
+    reasons.push({
+      code: 'HOLDS_PENDING',
+      message: 'Other patrons are waiting for this title'
+    });
+  } else if (!book || book.available <= 0) {
+    reasons.push({
+      code: 'NO_COPIES_AVAILABLE',
+      message: 'No other copies of this title are available'
+    });
+  }
+
+  return { eligible: reasons.length === 0, reasons, rules, loanPolicy };
+};
+
+/**
+ * Renew the borrow for another loan period under the given renewal rules.
+ * The renewal limit is checked in the same conditional update that records
+ * the renewal, so concurrent renewals cannot both pass it; resolves to null
+ * if the borrow is no longer renewable.
+ */
+borrowSchema.methods.renew = async function({ renewalPeriodDays, maxRenewals }, renewedBy = null) {
+  const calendar = await mongoose.model('LibraryCalendar').getCalendar();
+  const previousDueDate = new Date(this.dueDate);
+  const base = new Date() > previousDueDate ? new Date() : previousDueDate;
+  const newDueDate = this.constructor.calculateDueDate(base, renewalPeriodDays, calendar);
+
+  const renewal = { type: 'renewal', previousDueDate, newDueDate, renewedBy };
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: ['active', 'overdue'] }, renewalCount: { $lt: maxRenewals } },
+    { $inc: { renewalCount: 1 }, $set: { dueDate: newDueDate, status: 'active' }, $push: { renewals: renewal } },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  this.dueDate = updated.dueDate;
+  this.status = updated.status;
+  this.renewalCount = updated.renewalCount;
+  this.renewals = updated.renewals;
+  return this;
+};
+
 // Pre-save middleware to validate business rules
 borrowSchema.pre('save', async function(next) {
   try {
     // If this is a new borrow (not an update)
     if (this.isNew) {
-      // Set due date if not provided (14 days from borrow date)
+      const loanPolicy = this.$locals.loanPolicy ||
+        await mongoose.model('LoanPolicy').resolveForBorrow(this);
+
+      // Set due date if not provided (the policy's loan period, ending on an open day)
       if (!this.dueDate) {
-        this.dueDate = this.constructor.calculateDueDate(this.borrowDate);
+        const calendar = await mongoose.model('LibraryCalendar').getCalendar();
+        this.dueDate = this.constructor.calculateDueDate(this.borrowDate, loanPolicy.loanPeriodDays, calendar);
       }
 
-      // Check borrowing limits (max 5 active borrows per user)
-      const MAX_ACTIVE_BORROWS = parseInt(process.env.MAX_ACTIVE_BORROWS) || 5;
-      const activeCount = await this.constructor.countActiveByUser(this.userId);
-      if (activeCount >= MAX_ACTIVE_BORROWS) {
-        const error = new Error(`Cannot borrow more than ${MAX_ACTIVE_BORROWS} books at once`);
-        error.name = 'ValidationError';
-        return next(error);
+      // Check borrowing limits of the applicable loan policy (unless waived at the desk)
+      if (!this.$locals.overrideLimits) {
+        const activeCount = await this.constructor.countActiveForPolicy(this.userId, loanPolicy);
+        if (activeCount >= loanPolicy.maxItems) {
+          const error = new Error(`Cannot borrow more than ${loanPolicy.maxItems} books at once under the ${loanPolicy.name} loan policy`);
+          error.name = 'ValidationError';
+          return next(error);
+        }
       }
 
       // Check if user already has an active borrow for this book
@@ -256,7 +518,8 @@ borrowSchema.pre('save', async function(next) {
         return next(error);
       }
       
-      if (book.available <= 0) {
+      // A copy collected from the hold shelf is already out of Book.available
+      if (!this.reservationId && book.available <= 0) {
         const error = new Error('Book is not available for borrowing');
         error.name = 'ValidationError';
         return next(error);
@@ -271,10 +534,14 @@ borrowSchema.pre('save', async function(next) {
 
 // Static method to update overdue statuses (should be run periodically)
 borrowSchema.statics.updateOverdueStatuses = async function() {
-  const overdueBooks = await this.find({
-    status: 'active',
-    dueDate: { $lt: new Date() }
-  });
+  const now = new Date();
+  const [pastDueDate, calendar] = await Promise.all([
+    this.find({ status: 'active', dueDate: { $lt: now } }),
+    mongoose.model('LibraryCalendar').getCalendar()
+  ]);
+
+  // Loans due on a day the library is closed are not overdue until the next open day ends
+  const overdueBooks = pastDueDate.filter(borrow => calendar.isPastDue(borrow.dueDate, now));
 
   const updatePromises = overdueBooks.map(borrow => {
     borrow.status = 'overdue';
@@ -284,6 +551,21 @@ borrowSchema.statics.updateOverdueStatuses = async function() {
   return Promise.all(updatePromises);
 };
 
+// Static method to count loans per book, all time and still open
+borrowSchema.statics.countByBook = async function(bookIds) {
+  const counts = await this.aggregate([
+    { $match: { bookId: { $in: bookIds } } },
+    {
+      $group: {
+        _id: '$bookId',
+        total: { $sum: 1 },
+        open: { $sum: { $cond: [{ $in: ['$status', OPEN_BORROW_STATUSES] }, 1, 0] } }
+      }
+    }
+  ]);
+  return new Map(counts.map(({ _id, total, open }) => [_id.toString(), { total, open }]));
+};
+
 // Static method to get borrowing statistics
 borrowSchema.statics.getBorrowingStats = async function() {
   const stats = await this.aggregate([
@@ -299,14 +581,134 @@ borrowSchema.statics.getBorrowingStats = async function() {
   const activeBorrows = await this.countDocuments({ status: 'active' });
   const overdueBorrows = await this.countDocuments({ status: 'overdue' });
   const returnedBorrows = await this.countDocuments({ status: 'returned' });
+  const count = (status) => (stats.find(entry => entry._id === status) || { count: 0 }).count;
 
   return {
     total: totalBorrows,
     active: activeBorrows,
     overdue: overdueBorrows,
     returned: returnedBorrows,
+    lost: count('lost'),
+    damaged: count('damaged'),
+    claimedReturned: count('claimed_returned'),
     breakdown: stats
   };
 };
 
+/**
+ * Count circulation events per report period for the analytics endpoint.
+ * Checkouts fall in the period of their borrow date, returns in that of
+ * their return date and overdues in that of the due date they were not
+ * back by. Each count can be split by book category, borrower role or
+ * branch (returns count at the branch the copy came back to).
+ * @param {Object} options - { from, to, format, timezone, breakdown, branchId, asOf }
+ * @returns {Promise<Object>} { rows: [{ period, key, checkouts, returns, overdues, uniqueBorrowers }],
+ *   borrowers: [{ key, uniqueBorrowers }] } with key null without a breakdown
+ */
+borrowSchema.statics.getCirculationSeries = async function({
+  from,
+  to,
+  format,
+  timezone,
+  breakdown = null,
+  branchId = null,
+  asOf = new Date()
+}) {
+  const inRange = { $gte: from, $lte: to };
+  const checkoutBranch = '$branchId';
+  const returnBranch = { $ifNull: ['$returnBranchId', '$branchId'] };
+
+  const keyFor = (branchField) => {
+    if (breakdown === 'category') return { $ifNull: ['$book.category', 'Unknown'] };
+    if (breakdown === 'role') return { $ifNull: ['$user.role', 'unknown'] };
+    if (breakdown === 'branch') return branchField;
+    return null;
+  };
+
+  // Match one kind of event in the range, optionally at a single branch
+  const eventMatch = (dateField, branchField, extra = {}) => {
+    const match = { [dateField]: inRange, ...extra };
+    if (branchId) {
+      const branch = new mongoose.Types.ObjectId(branchId);
+      match.$expr = match.$expr
+        ? { $and: [match.$expr, { $eq: [branchField, branch] }] }
+        : { $eq: [branchField, branch] };
+    }
+    return { $match: match };
+  };
+
+  const countPerPeriod = (dateField, branchField, extra) => [
+    eventMatch(dateField, branchField, extra),
+    {
+      $group: {
+        _id: {
+          period: { $dateToString: { format, date: `$${dateField}`, timezone } },
+          key: keyFor(branchField)
+        },
+        count: { $sum: 1 },
+        borrowers: { $addToSet: '$userId' }
+      }
+    },
+    { $project: { _id: 0, period: '$_id.period', key: '$_id.key', count: 1, borrowers: { $size: '$borrowers' } } }
+  ];
+
+  const pipeline = [
+    { $match: { $or: [{ borrowDate: inRange }, { returnDate: inRange }, { dueDate: inRange }] } }
+  ];
+  if (breakdown === 'category') {
+    pipeline.push(
+      { $lookup: { from: 'books', localField: 'bookId', foreignField: '_id', as: 'book' } },
+      { $unwind: { path: '$book', preserveNullAndEmptyArrays: true } }
+    );
+  }
+  if (breakdown === 'role') {
+    pipeline.push(
+      { $lookup: { from: 'users', localField: 'userId', foreignField: '_id', as: 'user' } },
+      { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } }
+    );
+  }
+  pipeline.push({
+    $facet: {
+      checkouts: countPerPeriod('borrowDate', checkoutBranch),
+      returns: countPerPeriod('returnDate', returnBranch),
+      // A loan went overdue if it was still out (or came back late) after its due date
+      overdues: countPerPeriod('dueDate', checkoutBranch, {
+        dueDate: { ...inRange, $lt: asOf },
+        $expr: { $gt: [{ $ifNull: ['$returnDate', asOf] }, '$dueDate'] }
+      }),
+      borrowers: [
+        eventMatch('borrowDate', checkoutBranch),
+        { $group: { _id: keyFor(checkoutBranch), borrowers: { $addToSet: '$userId' } } },
+        { $project: { _id: 0, key: '$_id', uniqueBorrowers: { $size: '$borrowers' } } }
+      ]
+    }
+  });
+
+  const [result] = await this.aggregate(pipeline);
+
+  // Merge the three event counts into one row per period and key
+  const rows = new Map();
+  const rowFor = ({ period, key }) => {
+    const id = `${period}|${key}`;
+    if (!rows.has(id)) {
+      rows.set(id, { period, key, checkouts: 0, returns: 0, overdues: 0, uniqueBorrowers: 0 });
+    }
+    return rows.get(id);
+  };
+  result.checkouts.forEach(entry => {
+    const row = rowFor(entry);
+    row.checkouts = entry.count;
+    row.uniqueBorrowers = entry.borrowers;
+  });
+  result.returns.forEach(entry => { rowFor(entry).returns = entry.count; });
+  result.overdues.forEach(entry => { rowFor(entry).overdues = entry.count; });
+
+  return {
+    rows: [...rows.values()],
+    borrowers: result.borrowers
+  };
+};
+
+borrowSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 module.exports = mongoose.model('Borrow', borrowSchema);
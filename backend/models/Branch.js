@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const branchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Branch name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Branch name cannot exceed 100 characters']
+  },
+  // Short code printed on transit slips and spine labels
+  code: {
+    type: String,
+    required: [true, 'Branch code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9]{2,10}$/, 'Branch code must be 2-10 letters or digits']
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Address cannot exceed 200 characters'],
+    default: null
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Phone cannot exceed 30 characters'],
+    default: null
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email'],
+    default: null
+  },
+  // Inactive branches keep their history but cannot receive copies or loans
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+branchSchema.index({ isActive: 1, name: 1 });
+
+// Static method to find an active branch by ID (resolves to null for unknown or inactive branches)
+branchSchema.statics.findActive = function(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return Promise.resolve(null);
+  return this.findOne({ _id: id, isActive: true });
+};
+
+// Instance method to check whether copies, loans or patrons still refer to the branch
+branchSchema.methods.isInUse = async function() {
+  const [items, borrows, users, transfers] = await Promise.all([
+    mongoose.model('Item').exists({ branchId: this._id }),
+    mongoose.model('Borrow').exists({ $or: [{ branchId: this._id }, { returnBranchId: this._id }] }),
+    mongoose.model('User').exists({ homeBranchId: this._id }),
+    mongoose.model('Transfer').exists({ $or: [{ fromBranchId: this._id }, { toBranchId: this._id }] })
+  ]);
+  return !!(items || borrows || users || transfers);
+};
+
+module.exports = mongoose.model('Branch', branchSchema);
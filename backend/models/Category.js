@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { buildMatchCondition, buildFieldMatch } = require('../utils/queryBuilder');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -32,21 +33,25 @@ const categorySchema = new mongoose.Schema({
 // Indexes for performance
 categorySchema.index({ createdAt: -1 });
 
-// Pre-save middleware to normalize category name
-categorySchema.pre('save', function(next) {
-  // Convert to title case (first letter of each word capitalized)
-  this.name = this.name
+// Static method to normalize a category name to title case (first letter of each word capitalized)
+categorySchema.statics.normalizeName = function(name) {
+  return String(name)
+    .trim()
     .toLowerCase()
     .split(' ')
     .map(word => word.charAt(0).toUpperCase() + word.slice(1))
     .join(' ');
-  
+};
+
+// Pre-save middleware to normalize category name
+categorySchema.pre('save', function(next) {
+  this.name = this.constructor.normalizeName(this.name);
   next();
 });
 
 // Static method to find category by name (case-insensitive)
 categorySchema.statics.findByName = function(name) {
-  return this.findOne({ name: new RegExp(`^${name}$`, 'i') });
+  return this.findOne({ name: buildMatchCondition(String(name), { mode: 'exact' }) });
 };
 
 // Static method to get all categories sorted by name
@@ -54,11 +59,9 @@ categorySchema.statics.getAllSorted = function() {
   return this.find({}).sort({ name: 1 });
 };
 
-// Static method to search categories by partial name match
-categorySchema.statics.searchByName = function(searchTerm) {
-  return this.find({ 
-    name: new RegExp(searchTerm, 'i') 
-  }).sort({ name: 1 });
+// Static method to search categories by name (partial match unless another mode is given)
+categorySchema.statics.searchByName = function(searchTerm, { mode = 'contains' } = {}) {
+  return this.find(buildFieldMatch('name', String(searchTerm), { mode }) || {}).sort({ name: 1 });
 };
 
 // Virtual to get book count for this category
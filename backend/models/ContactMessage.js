@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { buildAnyFieldMatch } = require('../utils/queryBuilder');
 
 const contactMessageSchema = new mongoose.Schema({
   name: {
@@ -194,15 +195,14 @@ contactMessageSchema.statics.findRecent = function(days = 30) {
   }).sort({ createdAt: -1 });
 };
 
+// Static method to build the filter for messages whose name or email contains a search term
+contactMessageSchema.statics.buildNameOrEmailQuery = function(searchTerm) {
+  return buildAnyFieldMatch(['name', 'email'], String(searchTerm)) || {};
+};
+
 // Static method to search messages by name or email
 contactMessageSchema.statics.searchByNameOrEmail = function(searchTerm) {
-  const regex = new RegExp(searchTerm, 'i');
-  return this.find({
-    $or: [
-      { name: regex },
-      { email: regex }
-    ]
-  }).sort({ createdAt: -1 });
+  return this.find(this.buildNameOrEmailQuery(searchTerm)).sort({ createdAt: -1 });
 };
 
 // Static method to get message statistics
@@ -0,0 +1,430 @@
+const mongoose = require('mongoose');
+const { BUSINESS_RULES, OPEN_BORROW_STATUSES } = require('../utils/constants');
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Round monetary values to whole cents
+const roundCurrency = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const transactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Transaction type is required'],
+    enum: {
+      values: ['charge', 'payment', 'waiver'],
+      message: 'Transaction type must be either charge, payment, or waiver'
+    }
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Transaction amount is required'],
+    set: roundCurrency
+  },
+  // What a charge is for: late return, or replacing/repairing the copy
+  category: {
+    type: String,
+    enum: ['overdue', 'replacement', 'damage', null],
+    default: null
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'online', 'other', null],
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: null
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const fineSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  borrowId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Borrow',
+    required: [true, 'Borrow ID is required'],
+    unique: true
+  },
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book ID is required']
+  },
+  dailyRate: {
+    type: Number,
+    required: [true, 'Daily rate is required'],
+    min: [0, 'Daily rate cannot be negative'],
+    set: roundCurrency
+  },
+  maxAmount: {
+    type: Number,
+    required: [true, 'Maximum amount is required'],
+    min: [0, 'Maximum amount cannot be negative'],
+    set: roundCurrency
+  },
+  graceDays: {
+    type: Number,
+    default: 0,
+    min: [0, 'Grace days cannot be negative']
+  },
+  daysLate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Replacement and damage charges, on top of the capped overdue amount
+  itemCharges: {
+    type: Number,
+    default: 0,
+    min: [0, 'Item charges cannot be negative'],
+    set: roundCurrency
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount cannot be negative'],
+    set: roundCurrency
+  },
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0,
+    set: roundCurrency
+  },
+  amountWaived: {
+    type: Number,
+    default: 0,
+    min: 0,
+    set: roundCurrency
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['outstanding', 'partially_paid', 'paid', 'waived'],
+      message: 'Status must be either outstanding, partially_paid, paid, or waived'
+    },
+    default: 'outstanding'
+  },
+  accruing: {
+    type: Boolean,
+    default: true
+  },
+  transactions: [transactionSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+fineSchema.index({ userId: 1, status: 1 });
+fineSchema.index({ status: 1, createdAt: -1 });
+fineSchema.index({ bookId: 1 });
+
+// Virtual for the overdue part of the amount
+fineSchema.virtual('overdueAmount').get(function() {
+  return roundCurrency(this.amount - this.itemCharges);
+});
+
+// Virtual for the amount still owed
+fineSchema.virtual('balance').get(function() {
+  return roundCurrency(this.amount - this.amountPaid - this.amountWaived);
+});
+
+// Static method to get the configured fine rules
+fineSchema.statics.getFineRules = function() {
+  const dailyRate = parseFloat(process.env.FINE_DAILY_RATE);
+  const maxAmount = parseFloat(process.env.FINE_MAX_AMOUNT);
+  return {
+    dailyRate: isNaN(dailyRate) ? BUSINESS_RULES.FINE_DAILY_RATE : dailyRate,
+    maxAmount: isNaN(maxAmount) ? BUSINESS_RULES.FINE_MAX_AMOUNT : maxAmount
+  };
+};
+
+// Static method to calculate the number of whole days a borrow is late (open days only when a calendar is given)
+fineSchema.statics.calculateDaysLate = function(dueDate, asOf = new Date(), calendar = null) {
+  if (calendar) {
+    return calendar.countOpenDaysLate(dueDate, asOf);
+  }
+  const diff = asOf - new Date(dueDate);
+  return diff > 0 ? Math.ceil(diff / MS_PER_DAY) : 0;
+};
+
+// Static method to calculate a capped fine amount
+fineSchema.statics.calculateAmount = function(daysLate, dailyRate, maxAmount) {
+  return roundCurrency(Math.min(daysLate * dailyRate, maxAmount));
+};
+
+/**
+ * Create or update the fine for a late borrow. Rates and grace days come from
+ * the borrow's loan policy and are fixed when the fine is opened. Charges are
+ * appended to the ledger as deltas so the transaction history always sums to
+ * `amount`. Days the library is closed are not charged, and a loan the patron
+ * claims to have returned stops accruing from the claim date. Returns null
+ * when the borrow is not late beyond its grace period.
+ */
+fineSchema.statics.accrueForBorrow = async function(borrow, calendar = null) {
+  calendar = calendar || await mongoose.model('LibraryCalendar').getCalendar();
+  let asOf = borrow.returnDate || new Date();
+  if (borrow.claimedReturnedAt && borrow.claimedReturnedAt < asOf) {
+    asOf = borrow.claimedReturnedAt;
+  }
+  const daysLate = this.calculateDaysLate(borrow.dueDate, asOf, calendar);
+
+  let fine = await this.findOne({ borrowId: borrow._id });
+  if (!fine && daysLate === 0) return null;
+
+  if (!fine) {
+    const policy = await mongoose.model('LoanPolicy').resolveForBorrow(borrow);
+    if (daysLate <= policy.graceDays) return null;
+    fine = this.openForBorrow(borrow, policy);
+  }
+
+  if (!fine.accruing) return fine;
+
+  const chargeableDays = Math.max(daysLate - fine.graceDays, 0);
+  const overdueAmount = this.calculateAmount(chargeableDays, fine.dailyRate, fine.maxAmount);
+  const delta = roundCurrency(overdueAmount - fine.overdueAmount);
+  if (delta > 0) {
+    fine.transactions.push({
+      type: 'charge',
+      category: 'overdue',
+      amount: delta,
+      note: `${daysLate} day(s) overdue`
+    });
+  }
+
+  fine.daysLate = daysLate;
+  fine.amount = roundCurrency(overdueAmount + fine.itemCharges);
+  if (borrow.returnDate) {
+    fine.accruing = false;
+  }
+  fine.refreshStatus();
+  return fine.save();
+};
+
+// Static method to build (unsaved) the fine for a borrow on its loan policy's rates
+fineSchema.statics.openForBorrow = function(borrow, policy) {
+  return new this({
+    userId: borrow.userId._id || borrow.userId,
+    borrowId: borrow._id,
+    bookId: borrow.bookId._id || borrow.bookId,
+    dailyRate: policy.fineDailyRate,
+    maxAmount: policy.fineMaxAmount,
+    graceDays: policy.graceDays
+  });
+};
+
+/**
+ * Add a replacement or damage charge to a borrow's fine, opening the fine if
+ * the borrow has none. Overdue charges stop accruing once a copy is charged
+ * for, so any late days up to now are accrued first.
+ */
+fineSchema.statics.chargeForItem = async function(borrow, { amount, category = 'replacement', note = null, recordedBy = null }) {
+  const value = roundCurrency(amount);
+  if (value < 0) {
+    throw new Error('Charge amount cannot be negative');
+  }
+
+  let fine = await this.accrueForBorrow(borrow);
+  if (!fine && value === 0) return null;
+  if (!fine) {
+    const policy = await mongoose.model('LoanPolicy').resolveForBorrow(borrow);
+    fine = this.openForBorrow(borrow, policy);
+  }
+
+  if (value > 0) {
+    fine.itemCharges = roundCurrency(fine.itemCharges + value);
+    fine.amount = roundCurrency(fine.amount + value);
+    fine.transactions.push({ type: 'charge', category, amount: value, note, recordedBy });
+  }
+  fine.accruing = false;
+  fine.refreshStatus();
+  return fine.save();
+};
+
+// Static method to accrue fines for every borrow that is currently past due (should be run periodically)
+fineSchema.statics.accrueOutstanding = async function() {
+  const Borrow = mongoose.model('Borrow');
+  const [overdueBorrows, calendar] = await Promise.all([
+    Borrow.find({
+      status: { $in: OPEN_BORROW_STATUSES },
+      dueDate: { $lt: new Date() }
+    }),
+    mongoose.model('LibraryCalendar').getCalendar()
+  ]);
+
+  const fines = [];
+  for (const borrow of overdueBorrows) {
+    const fine = await this.accrueForBorrow(borrow, calendar);
+    if (fine) fines.push(fine);
+  }
+  return fines;
+};
+
+// Static method to summarise fine totals for a query
+fineSchema.statics.getTotals = async function(filters = {}) {
+  // Aggregation $match does not cast strings to ObjectIds
+  const match = { ...filters };
+  ['userId', 'bookId'].forEach(field => {
+    if (match[field]) match[field] = new mongoose.Types.ObjectId(match[field]);
+  });
+
+  const [totals] = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        totalAccrued: { $sum: '$amount' },
+        totalPaid: { $sum: '$amountPaid' },
+        totalWaived: { $sum: '$amountWaived' }
+      }
+    }
+  ]);
+
+  if (!totals) {
+    return { count: 0, totalAccrued: 0, totalPaid: 0, totalWaived: 0, balance: 0 };
+  }
+
+  return {
+    count: totals.count,
+    totalAccrued: roundCurrency(totals.totalAccrued),
+    totalPaid: roundCurrency(totals.totalPaid),
+    totalWaived: roundCurrency(totals.totalWaived),
+    balance: roundCurrency(totals.totalAccrued - totals.totalPaid - totals.totalWaived)
+  };
+};
+
+// Instance method to derive status from the ledger amounts
+fineSchema.methods.refreshStatus = function() {
+  if (this.balance > 0) {
+    this.status = (this.amountPaid > 0 || this.amountWaived > 0) ? 'partially_paid' : 'outstanding';
+  } else if (this.amountPaid > 0) {
+    this.status = 'paid';
+  } else {
+    this.status = 'waived';
+  }
+  return this.status;
+};
+
+// Amount still owed, as an aggregation expression
+const BALANCE_EXPRESSION = {
+  $round: [{ $subtract: ['$amount', { $add: ['$amountPaid', '$amountWaived'] }] }, 2]
+};
+
+// Status derived from the ledger amounts, as an aggregation expression (see refreshStatus)
+const STATUS_EXPRESSION = {
+  $switch: {
+    branches: [
+      {
+        case: { $gt: [BALANCE_EXPRESSION, 0] },
+        then: {
+          $cond: [{ $or: [{ $gt: ['$amountPaid', 0] }, { $gt: ['$amountWaived', 0] }] }, 'partially_paid', 'outstanding']
+        }
+      },
+      { case: { $gt: ['$amountPaid', 0] }, then: 'paid' }
+    ],
+    default: 'waived'
+  }
+};
+
+/**
+ * Add a payment or waiver to a fine in one conditional update, so two that
+ * arrive together cannot both pass the balance check and overpay the fine.
+ * The loaded document is updated to match.
+ * @private
+ */
+const applyCredit = async (fine, field, value, entry) => {
+  const transaction = fine.transactions.create(entry);
+  const invalid = transaction.validateSync();
+  if (invalid) throw invalid;
+
+  const updated = await fine.constructor.findOneAndUpdate(
+    { _id: fine._id, $expr: { $gte: [BALANCE_EXPRESSION, value] } },
+    [
+      {
+        $set: {
+          [field]: { $round: [{ $add: [`$${field}`, value] }, 2] },
+          transactions: {
+            $concatArrays: ['$transactions', { $literal: [transaction.toObject({ transform: false, virtuals: false })] }]
+          }
+        }
+      },
+      { $set: { status: STATUS_EXPRESSION } }
+    ],
+    { new: true }
+  );
+  if (!updated) {
+    const latest = await fine.constructor.findById(fine._id);
+    throw new Error(`Amount cannot exceed the outstanding balance of ${latest ? latest.balance : 0}`);
+  }
+
+  fine.amountPaid = updated.amountPaid;
+  fine.amountWaived = updated.amountWaived;
+  fine.status = updated.status;
+  fine.transactions = updated.transactions;
+  return fine;
+};
+
+// Instance method to record a full or partial payment
+fineSchema.methods.recordPayment = async function(amount, { method = 'cash', note = null, recordedBy = null } = {}) {
+  const value = roundCurrency(amount);
+  if (value <= 0) {
+    throw new Error('Payment amount must be greater than zero');
+  }
+  if (value > this.balance) {
+    throw new Error(`Payment amount cannot exceed the outstanding balance of ${this.balance}`);
+  }
+
+  return applyCredit(this, 'amountPaid', value, { type: 'payment', amount: value, method, note, recordedBy });
+};
+
+// Instance method to waive part or all of the outstanding balance
+fineSchema.methods.waive = async function(amount, { reason, recordedBy = null } = {}) {
+  const value = roundCurrency(amount === undefined || amount === null ? this.balance : amount);
+  if (!reason) {
+    throw new Error('A reason is required to waive a fine');
+  }
+  if (value <= 0) {
+    throw new Error('Waiver amount must be greater than zero');
+  }
+  if (value > this.balance) {
+    throw new Error(`Waiver amount cannot exceed the outstanding balance of ${this.balance}`);
+  }
+
+  return applyCredit(this, 'amountWaived', value, { type: 'waiver', amount: value, note: reason, recordedBy });
+};
+
+module.exports = mongoose.model('Fine', fineSchema);
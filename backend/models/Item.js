@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { NON_CIRCULATING_ITEM_STATUSES, OPEN_BORROW_STATUSES } = require('../utils/constants');
+
+const BARCODE_PREFIX = 'LIB';
+
+const itemSchema = new mongoose.Schema({
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book ID is required']
+  },
+  barcode: {
+    type: String,
+    required: [true, 'Barcode is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9-]{4,32}$/, 'Barcode must be 4-32 letters, digits or hyphens']
+  },
+  // Branch the copy is shelved at (null until it is assigned to one)
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  shelfLocation: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Shelf location cannot exceed 100 characters'],
+    default: null
+  },
+  condition: {
+    type: String,
+    enum: {
+      values: ['new', 'good', 'fair', 'poor', 'damaged'],
+      message: 'Condition must be either new, good, fair, poor, or damaged'
+    },
+    default: 'good'
+  },
+  acquisitionDate: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    required: [true, 'Status is required'],
+    enum: {
+      values: ['available', 'on_loan', 'on_hold', 'in_transit', 'in_repair', 'lost', 'withdrawn'],
+      message: 'Status must be either available, on_loan, on_hold, in_transit, in_repair, lost, or withdrawn'
+    },
+    default: 'available'
+  },
+  currentBorrowId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Borrow',
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+itemSchema.index({ bookId: 1, status: 1 });
+itemSchema.index({ status: 1 });
+itemSchema.index({ currentBorrowId: 1 });
+itemSchema.index({ branchId: 1, status: 1, bookId: 1 });
+
+// Static method to generate a new copy barcode
+itemSchema.statics.generateBarcode = function() {
+  const suffix = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  return `${BARCODE_PREFIX}${Date.now().toString().slice(-7)}${suffix}`;
+};
+
+// Static method to find a copy by barcode
+itemSchema.statics.findByBarcode = function(barcode) {
+  return this.findOne({ barcode: String(barcode).trim().toUpperCase() });
+};
+
+// Static method to check whether a title has copy records
+itemSchema.statics.isTracked = async function(bookId) {
+  return !!(await this.exists({ bookId }));
+};
+
+/**
+ * Recompute Book.quantity and Book.available from the title's copies.
+ * Titles without copy records keep their stored counters and resolve to null.
+ */
+itemSchema.statics.syncBookAvailability = async function(bookId) {
+  const counts = await this.aggregate([
+    { $match: { bookId: new mongoose.Types.ObjectId(bookId) } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  if (counts.length === 0) return null;
+
+  const byStatus = {};
+  let total = 0;
+  counts.forEach(({ _id, count }) => {
+    byStatus[_id] = count;
+    total += count;
+  });
+
+  const retired = NON_CIRCULATING_ITEM_STATUSES.reduce((sum, status) => sum + (byStatus[status] || 0), 0);
+  const quantity = total - retired;
+  const available = byStatus.available || 0;
+
+  const Book = mongoose.model('Book');
+  await Book.updateOne({ _id: bookId }, { $set: { quantity, available } });
+
+  return { quantity, available, byStatus };
+};
+
+/**
+ * Count the holdings and available copies of titles at each branch.
+ * Copies that have left the collection are not counted, and copies in
+ * transit count towards the branch they were sent from until received.
+ * Returns { [bookId]: [{ branchId, quantity, available }] }.
+ */
+itemSchema.statics.getBranchAvailability = async function(bookIds, branchId = null) {
+  const match = {
+    bookId: { $in: bookIds.map(id => new mongoose.Types.ObjectId(id)) },
+    status: { $nin: NON_CIRCULATING_ITEM_STATUSES }
+  };
+  if (branchId) match.branchId = new mongoose.Types.ObjectId(branchId);
+
+  const counts = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { bookId: '$bookId', branchId: '$branchId' },
+        quantity: { $sum: 1 },
+        available: { $sum: { $cond: [{ $eq: ['$status', 'available'] }, 1, 0] } }
+      }
+    },
+    { $sort: { '_id.branchId': 1 } }
+  ]);
+
+  const byBook = {};
+  counts.forEach(({ _id, quantity, available }) => {
+    const key = _id.bookId.toString();
+    if (!byBook[key]) byBook[key] = [];
+    byBook[key].push({ branchId: _id.branchId, quantity, available });
+  });
+  return byBook;
+};
+
+// Static method to count the titles and copies (by status) a branch holds
+itemSchema.statics.summarizeBranch = async function(branchId) {
+  const [summary] = await this.aggregate([
+    {
+      $match: {
+        branchId: new mongoose.Types.ObjectId(branchId),
+        status: { $nin: NON_CIRCULATING_ITEM_STATUSES }
+      }
+    },
+    {
+      $facet: {
+        byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+        titles: [{ $group: { _id: '$bookId' } }, { $count: 'count' }]
+      }
+    }
+  ]);
+
+  const byStatus = {};
+  summary.byStatus.forEach(({ _id, count }) => {
+    byStatus[_id] = count;
+  });
+
+  return {
+    titles: summary.titles.length > 0 ? summary.titles[0].count : 0,
+    copies: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+    available: byStatus.available || 0,
+    byStatus
+  };
+};
+
+// Static method to list the titles with copies at a branch (only titles with a copy on the shelf when availableOnly)
+itemSchema.statics.findBookIdsAtBranch = function(branchId, { availableOnly = false } = {}) {
+  return this.distinct('bookId', {
+    branchId,
+    status: availableOnly ? 'available' : { $nin: NON_CIRCULATING_ITEM_STATUSES }
+  });
+};
+
+// Static method to register new copies of a title with generated barcodes
+itemSchema.statics.createCopies = async function(bookId, count, attributes = {}) {
+  const copies = Array.from({ length: count }, () => ({
+    ...attributes,
+    bookId,
+    barcode: this.generateBarcode()
+  }));
+
+  const items = await this.insertMany(copies);
+  await this.syncBookAvailability(bookId);
+  return items;
+};
+
+/**
+ * Create copy records for a title that is only tracked by its counters.
+ * One copy is linked to each active borrow and each hold awaiting pickup so
+ * the derived availability matches what is actually on the shelf.
+ */
+itemSchema.statics.migrateBook = async function(book) {
+  if (await this.isTracked(book._id)) return null;
+
+  const Borrow = mongoose.model('Borrow');
+  const Reservation = mongoose.model('Reservation');
+  const [activeBorrows, readyHolds] = await Promise.all([
+    Borrow.find({ bookId: book._id, status: { $in: OPEN_BORROW_STATUSES } }).sort({ borrowDate: 1 }),
+    Reservation.find({ bookId: book._id, status: 'ready' }).sort({ readyAt: 1 })
+  ]);
+
+  const total = Math.max(book.quantity, activeBorrows.length + readyHolds.length);
+  const copies = Array.from({ length: total }, (_, index) => {
+    const borrow = activeBorrows[index];
+    const hold = borrow ? null : readyHolds[index - activeBorrows.length];
+    return {
+      bookId: book._id,
+      barcode: this.generateBarcode(),
+      status: borrow ? 'on_loan' : hold ? 'on_hold' : 'available',
+      currentBorrowId: borrow ? borrow._id : null
+    };
+  });
+
+  const items = await this.insertMany(copies);
+
+  await Promise.all([
+    ...activeBorrows.map((borrow, index) =>
+      Borrow.updateOne({ _id: borrow._id }, { $set: { itemId: items[index]._id } })),
+    ...readyHolds.map((hold, index) =>
+      Reservation.updateOne({ _id: hold._id }, { $set: { itemId: items[activeBorrows.length + index]._id } }))
+  ]);
+
+  const counts = await this.syncBookAvailability(book._id);
+  return {
+    created: items.length,
+    previous: { quantity: book.quantity, available: book.available },
+    current: { quantity: counts.quantity, available: counts.available }
+  };
+};
+
+/**
+ * Atomically claim a copy of a title for a borrow. Pass `itemId` to take a
+ * specific copy (e.g. the one set aside for a hold) or `barcode` to take the
+ * copy handed over at the desk; otherwise the longest-held available copy is
+ * used, limited to `branchId` when given.
+ * Returns null when no matching copy could be claimed.
+ */
+itemSchema.statics.checkOut = async function(bookId, borrowId, { itemId = null, barcode = null, branchId = null } = {}) {
+  const query = { bookId };
+  if (itemId) {
+    query._id = itemId;
+    query.status = { $in: ['available', 'on_hold'] };
+  } else {
+    query.status = 'available';
+    if (barcode) {
+      query.barcode = String(barcode).trim().toUpperCase();
+    } else if (branchId) {
+      query.branchId = branchId;
+    }
+  }
+
+  const item = await this.findOneAndUpdate(
+    query,
+    { $set: { status: 'on_loan', currentBorrowId: borrowId } },
+    { sort: { acquisitionDate: 1 }, new: true }
+  );
+
+  if (item) {
+    await this.syncBookAvailability(bookId);
+  }
+  return item;
+};
+
+// Instance method to take the copy back from a borrow or hold (shelving it at `branchId` when given)
+itemSchema.methods.checkIn = function(nextStatus = 'available', branchId = null) {
+  this.status = nextStatus;
+  this.currentBorrowId = null;
+  if (branchId) this.branchId = branchId;
+  return this.save();
+};
+
+// Instance method to check if the copy can be lent out
+itemSchema.methods.isAvailable = function() {
+  return this.status === 'available';
+};
+
+// Keep the parent book's counters derived from copy status
+itemSchema.post('save', async function() {
+  await this.constructor.syncBookAvailability(this.bookId);
+});
+
+module.exports = mongoose.model('Item', itemSchema);
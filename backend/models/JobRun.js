@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const schedulerConfig = require('../config/scheduler');
+
+const jobRunSchema = new mongoose.Schema({
+  jobName: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+  trigger: {
+    type: String,
+    enum: {
+      values: ['schedule', 'manual'],
+      message: 'Trigger must be either schedule or manual'
+    },
+    required: [true, 'Trigger is required']
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  instanceId: {
+    type: String,
+    required: [true, 'Instance ID is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['running', 'succeeded', 'failed'],
+      message: 'Status must be either running, succeeded, or failed'
+    },
+    default: 'running'
+  },
+  scheduledFor: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1, startedAt: -1 });
+
+// Remove old run history automatically
+jobRunSchema.index(
+  { startedAt: 1 },
+  { expireAfterSeconds: schedulerConfig.historyRetentionDays * 24 * 60 * 60 }
+);
+
+// Instance method to record the outcome of the run
+jobRunSchema.methods.finish = function(status, { result = null, error = null } = {}) {
+  this.status = status;
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  this.result = result;
+  this.error = error;
+  return this.save();
+};
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const {
+  isValidTimezone,
+  toDateKey,
+  isValidDateKey,
+  isValidTime,
+  addDaysToKey,
+  getWeekday,
+  diffDateKeys,
+  zonedTimeToDate
+} = require('../utils/timezoneUtils');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Longest run of closed days searched when rolling a date forward
+const MAX_CLOSED_RUN_DAYS = 366;
+
+const timeField = (label) => ({
+  type: String,
+  default: null,
+  validate: {
+    validator: value => value === null || isValidTime(value),
+    message: `${label} must be in HH:mm format`
+  }
+});
+
+const dayHoursSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    required: [true, 'Day of week is required'],
+    min: [0, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Day of week must be between 0 (Sunday) and 6 (Saturday)']
+  },
+  closed: {
+    type: Boolean,
+    default: false
+  },
+  open: timeField('Opening time'),
+  close: timeField('Closing time')
+}, { _id: false });
+
+const exceptionSchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: [true, 'Exception date is required'],
+    validate: {
+      validator: isValidDateKey,
+      message: 'Exception date must be in YYYY-MM-DD format'
+    }
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Exception name cannot exceed 100 characters'],
+    default: null
+  },
+  // Holidays close the library; otherwise open/close give special hours
+  closed: {
+    type: Boolean,
+    default: true
+  },
+  open: timeField('Opening time'),
+  close: timeField('Closing time')
+}, { _id: false });
+
+// Every day open 09:00-18:00 until the calendar is configured
+const defaultOpeningHours = () => DAY_NAMES.map((name, dayOfWeek) => ({
+  dayOfWeek,
+  closed: false,
+  open: '09:00',
+  close: '18:00'
+}));
+
+const libraryCalendarSchema = new mongoose.Schema({
+  // Single calendar per deployment
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  timezone: {
+    type: String,
+    default: () => process.env.LIBRARY_TIMEZONE || 'UTC',
+    validate: {
+      validator: isValidTimezone,
+      message: 'Timezone must be a valid IANA timezone (e.g. Europe/London)'
+    }
+  },
+  openingHours: {
+    type: [dayHoursSchema],
+    default: defaultOpeningHours
+  },
+  exceptions: [exceptionSchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Pre-validate hook to check the weekly schedule and exceptions are consistent
+libraryCalendarSchema.pre('validate', function(next) {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return next(error);
+  };
+
+  const days = this.openingHours.map(hours => hours.dayOfWeek);
+  if (days.length !== 7 || new Set(days).size !== 7) {
+    return fail('Opening hours must list each day of the week exactly once');
+  }
+
+  const invalidHours = (hours) => !hours.closed && (!hours.open || !hours.close || hours.open >= hours.close);
+
+  const invalidDay = this.openingHours.find(invalidHours);
+  if (invalidDay) {
+    return fail(`Opening hours for ${DAY_NAMES[invalidDay.dayOfWeek]} need an opening time before the closing time`);
+  }
+
+  if (this.openingHours.every(hours => hours.closed)) {
+    return fail('The library must be open on at least one day of the week');
+  }
+
+  const dates = this.exceptions.map(exception => exception.date);
+  if (new Set(dates).size !== dates.length) {
+    return fail('Only one exception is allowed per date');
+  }
+
+  const invalidException = this.exceptions.find(invalidHours);
+  if (invalidException) {
+    return fail(`Special hours for ${invalidException.date} need an opening time before the closing time`);
+  }
+
+  this.exceptions.sort((a, b) => a.date.localeCompare(b.date));
+  next();
+});
+
+// Static method to get the library calendar (defaults if never configured)
+libraryCalendarSchema.statics.getCalendar = async function() {
+  const calendar = await this.findOne({ key: 'default' });
+  return calendar || new this();
+};
+
+// Instance method to get the opening hours for a day, or null when closed
+libraryCalendarSchema.methods.getHoursFor = function(dateKey) {
+  const exception = this.exceptions.find(entry => entry.date === dateKey);
+  if (exception) {
+    return exception.closed ? null : { open: exception.open, close: exception.close, name: exception.name };
+  }
+
+  const weekly = this.openingHours.find(hours => hours.dayOfWeek === getWeekday(dateKey));
+  return !weekly || weekly.closed ? null : { open: weekly.open, close: weekly.close, name: null };
+};
+
+// Instance method to check whether the library is open on a day
+libraryCalendarSchema.methods.isOpenOn = function(dateKey) {
+  return this.getHoursFor(dateKey) !== null;
+};
+
+// Instance method to find the first open day on or after a day
+libraryCalendarSchema.methods.getNextOpenDay = function(dateKey) {
+  let candidate = dateKey;
+  for (let i = 0; i <= MAX_CLOSED_RUN_DAYS; i++) {
+    if (this.isOpenOn(candidate)) return candidate;
+    candidate = addDaysToKey(candidate, 1);
+  }
+  throw new Error(`The library calendar has no open day within ${MAX_CLOSED_RUN_DAYS} days of ${dateKey}`);
+};
+
+// Instance method to get closing time on the first open day on or after a day
+libraryCalendarSchema.methods.getClosingTime = function(dateKey) {
+  const openDay = this.getNextOpenDay(dateKey);
+  return zonedTimeToDate(openDay, this.getHoursFor(openDay).close, this.timezone);
+};
+
+/**
+ * Calculate a due date a number of days after a date. Loans fall due at
+ * closing time, and a due day the library is closed rolls forward to the
+ * next open day.
+ */
+libraryCalendarSchema.methods.calculateDueDate = function(fromDate, days) {
+  const dueDay = addDaysToKey(toDateKey(fromDate, this.timezone), days);
+  return this.getClosingTime(dueDay);
+};
+
+/**
+ * Get the date a loan is actually due. Due dates recorded on a closed day
+ * (e.g. set before a holiday was added) move to closing time of the next
+ * open day; others are kept as recorded.
+ */
+libraryCalendarSchema.methods.getEffectiveDueDate = function(dueDate) {
+  const dueDay = toDateKey(dueDate, this.timezone);
+  return this.isOpenOn(dueDay) ? new Date(dueDate) : this.getClosingTime(dueDay);
+};
+
+// Instance method to check whether a due date has passed
+libraryCalendarSchema.methods.isPastDue = function(dueDate, asOf = new Date()) {
+  return asOf > this.getEffectiveDueDate(dueDate);
+};
+
+// Instance method to count the open days a loan is late (closed days are not counted)
+libraryCalendarSchema.methods.countOpenDaysLate = function(dueDate, asOf = new Date()) {
+  if (!this.isPastDue(dueDate, asOf)) return 0;
+
+  const dueDay = toDateKey(this.getEffectiveDueDate(dueDate), this.timezone);
+  const totalDays = diffDateKeys(dueDay, toDateKey(asOf, this.timezone));
+
+  let openDays = 0;
+  for (let offset = 1; offset <= totalDays; offset++) {
+    if (this.isOpenOn(addDaysToKey(dueDay, offset))) openDays++;
+  }
+  return openDays;
+};
+
+// Instance method to list the opening hours for each day in a range
+libraryCalendarSchema.methods.getSchedule = function(fromKey, toKey) {
+  const schedule = [];
+  for (let day = fromKey; day <= toKey; day = addDaysToKey(day, 1)) {
+    const hours = this.getHoursFor(day);
+    const exception = this.exceptions.find(entry => entry.date === day);
+    schedule.push({
+      date: day,
+      dayOfWeek: DAY_NAMES[getWeekday(day)],
+      closed: hours === null,
+      open: hours ? hours.open : null,
+      close: hours ? hours.close : null,
+      exception: exception ? exception.name || 'Special hours' : null
+    });
+  }
+  return schedule;
+};
+
+module.exports = mongoose.model('LibraryCalendar', libraryCalendarSchema);
@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const { BUSINESS_RULES } = require('../utils/constants');
+
+// Weight of each match criterion when choosing the most specific policy
+const SPECIFICITY = {
+  category: 4,
+  patronType: 2,
+  role: 1
+};
+
+// Read a numeric env var, falling back when unset (0 is a valid value)
+const envNumber = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+const loanPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Policy name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: null
+  },
+  // Match criteria (null matches any value)
+  role: {
+    type: String,
+    enum: {
+      values: ['borrower', 'librarian', 'admin', null],
+      message: 'Role must be either borrower, librarian, or admin'
+    },
+    default: null
+  },
+  patronType: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  category: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Loan rules
+  loanPeriodDays: {
+    type: Number,
+    required: [true, 'Loan period is required'],
+    min: [1, 'Loan period must be at least 1 day'],
+    max: [365, 'Loan period cannot exceed 365 days']
+  },
+  maxLoanPeriodDays: {
+    type: Number,
+    min: [1, 'Maximum loan period must be at least 1 day'],
+    max: [365, 'Maximum loan period cannot exceed 365 days'],
+    default: null
+  },
+  maxItems: {
+    type: Number,
+    required: [true, 'Maximum items is required'],
+    min: [0, 'Maximum items cannot be negative']
+  },
+  maxRenewals: {
+    type: Number,
+    required: [true, 'Maximum renewals is required'],
+    min: [0, 'Maximum renewals cannot be negative']
+  },
+  graceDays: {
+    type: Number,
+    min: [0, 'Grace days cannot be negative'],
+    default: 0
+  },
+  fineDailyRate: {
+    type: Number,
+    required: [true, 'Fine daily rate is required'],
+    min: [0, 'Fine daily rate cannot be negative']
+  },
+  fineMaxAmount: {
+    type: Number,
+    min: [0, 'Maximum fine cannot be negative'],
+    default: null
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+loanPolicySchema.index({ isActive: 1, role: 1, patronType: 1, category: 1 });
+
+// Pre-save validation to keep the default period within the maximum
+loanPolicySchema.pre('save', function(next) {
+  if (this.maxLoanPeriodDays && this.loanPeriodDays > this.maxLoanPeriodDays) {
+    const error = new Error('Loan period cannot exceed the maximum loan period');
+    error.name = 'ValidationError';
+    return next(error);
+  }
+  next();
+});
+
+// Static method to get the rules that apply when no policy matches
+loanPolicySchema.statics.getDefaultPolicy = function() {
+  const loanPeriodDays = envNumber('DEFAULT_BORROW_PERIOD_DAYS', 14);
+  const { dailyRate, maxAmount } = mongoose.model('Fine').getFineRules();
+  return {
+    id: null,
+    name: 'Default',
+    source: 'default',
+    matchedOn: { role: null, patronType: null, category: null },
+    loanPeriodDays,
+    maxLoanPeriodDays: Math.max(envNumber('MAX_BORROW_PERIOD_DAYS', 30), loanPeriodDays),
+    maxItems: envNumber('MAX_ACTIVE_BORROWS', 5),
+    maxRenewals: envNumber('MAX_RENEWAL_COUNT', BUSINESS_RULES.MAX_RENEWAL_COUNT),
+    graceDays: envNumber('FINE_GRACE_DAYS', 0),
+    fineDailyRate: dailyRate,
+    fineMaxAmount: maxAmount
+  };
+};
+
+/**
+ * Resolve the effective policy for a patron and a book category. Among the
+ * active policies whose criteria all match, the most specific one wins
+ * (category, then patron type, then role), with `priority` breaking ties.
+ * Rules a policy leaves unset fall back to the defaults.
+ */
+loanPolicySchema.statics.resolve = async function({ role = null, patronType = null, category = null } = {}) {
+  const candidates = await this.find({
+    isActive: true,
+    role: { $in: [role, null] },
+    patronType: { $in: [patronType ? patronType.toLowerCase() : null, null] },
+    category: { $in: [category, null] }
+  });
+
+  const defaults = this.getDefaultPolicy();
+  if (candidates.length === 0) return defaults;
+
+  const score = policy => Object.keys(SPECIFICITY)
+    .reduce((total, field) => total + (policy[field] ? SPECIFICITY[field] : 0), 0);
+  const [policy] = candidates.sort((a, b) => (score(b) - score(a)) || (b.priority - a.priority));
+
+  return policy.toEffectivePolicy(defaults);
+};
+
+// Static method to resolve the policy for a user borrowing a book
+loanPolicySchema.statics.resolveFor = function(user, book) {
+  return this.resolve({
+    role: user ? user.role : null,
+    patronType: user ? user.patronType : null,
+    category: book ? book.category : null
+  });
+};
+
+// Static method to resolve the policy that governs an existing borrow
+loanPolicySchema.statics.resolveForBorrow = async function(borrow) {
+  const User = mongoose.model('User');
+  const Book = mongoose.model('Book');
+  const [user, book] = await Promise.all([
+    User.findById(borrow.userId._id || borrow.userId).select('role patronType'),
+    Book.findById(borrow.bookId._id || borrow.bookId).select('category')
+  ]);
+  return this.resolveFor(user, book);
+};
+
+// Instance method to build the effective rules for this policy
+loanPolicySchema.methods.toEffectivePolicy = function(defaults = this.constructor.getDefaultPolicy()) {
+  return {
+    id: this._id,
+    name: this.name,
+    source: 'policy',
+    matchedOn: {
+      role: this.role,
+      patronType: this.patronType,
+      category: this.category
+    },
+    loanPeriodDays: this.loanPeriodDays,
+    maxLoanPeriodDays: this.maxLoanPeriodDays || Math.max(defaults.maxLoanPeriodDays, this.loanPeriodDays),
+    maxItems: this.maxItems,
+    maxRenewals: this.maxRenewals,
+    graceDays: this.graceDays,
+    fineDailyRate: this.fineDailyRate,
+    fineMaxAmount: this.fineMaxAmount === null ? defaults.fineMaxAmount : this.fineMaxAmount
+  };
+};
+
+module.exports = mongoose.model('LoanPolicy', loanPolicySchema);
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+// How long an unconfirmed import preview is kept
+const PREVIEW_TTL_HOURS = 24;
+
+const marcImportRecordSchema = new mongoose.Schema({
+  index: {
+    type: Number,
+    required: true
+  },
+  raw: {
+    type: Buffer,
+    required: true
+  },
+  controlNumber: {
+    type: String,
+    default: null
+  },
+  // Book fields mapped from the record
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  action: {
+    type: String,
+    enum: ['create', 'merge', 'error'],
+    required: true
+  },
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    default: null
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  issues: [String],
+  result: {
+    type: String,
+    enum: ['created', 'merged', 'skipped', 'error', null],
+    default: null
+  }
+}, { _id: false });
+
+const marcImportSchema = new mongoose.Schema({
+  format: {
+    type: String,
+    enum: {
+      values: ['marc21', 'marcxml'],
+      message: 'Format must be either marc21 or marcxml'
+    },
+    required: true
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'confirmed'],
+      message: 'Status must be either pending or confirmed'
+    },
+    default: 'pending'
+  },
+  records: [marcImportRecordSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  confirmedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + PREVIEW_TTL_HOURS * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      // Original records are large; they are downloaded from the book instead
+      (ret.records || []).forEach(record => delete record.raw);
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Remove previews once they expire; confirming clears expiresAt to keep the batch
+marcImportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+marcImportSchema.index({ createdBy: 1, createdAt: -1 });
+
+// Static method to claim a pending preview for confirmation, so it is only applied once
+marcImportSchema.statics.claimPending = function(id, userId) {
+  return this.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    { status: 'confirmed', confirmedBy: userId, confirmedAt: new Date(), expiresAt: null },
+    { new: true }
+  );
+};
+
+const MarcImport = mongoose.model('MarcImport', marcImportSchema);
+
+module.exports = MarcImport;
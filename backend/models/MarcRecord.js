@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// The original MARC record a book was catalogued from
+const marcRecordSchema = new mongoose.Schema({
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book ID is required'],
+    unique: true
+  },
+  format: {
+    type: String,
+    enum: {
+      values: ['marc21', 'marcxml'],
+      message: 'Format must be either marc21 or marcxml'
+    },
+    required: true
+  },
+  raw: {
+    type: Buffer,
+    required: true
+  },
+  controlNumber: {
+    type: String,
+    default: null
+  },
+  importId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MarcImport',
+    default: null
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.raw;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Static method to attach a record to a book, replacing the one from an earlier import
+marcRecordSchema.statics.attach = function(bookId, { format, raw, controlNumber = null, importId = null, importedBy = null }) {
+  return this.findOneAndUpdate(
+    { bookId },
+    { format, raw, controlNumber, importId, importedBy },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const MarcRecord = mongoose.model('MarcRecord', marcRecordSchema);
+
+module.exports = MarcRecord;
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+// Events patrons are notified about
+const NOTIFICATION_EVENTS = ['due_soon', 'overdue', 'hold_ready', 'account'];
+
+const deliverySchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['email'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'sent', 'failed'],
+      message: 'Delivery status must be either pending, sent, or failed'
+    },
+    default: 'pending'
+  },
+  transport: {
+    type: String,
+    default: null
+  },
+  recipient: {
+    type: String,
+    default: null
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  event: {
+    type: String,
+    required: [true, 'Notification event is required'],
+    enum: {
+      values: NOTIFICATION_EVENTS,
+      message: 'Event must be one of: due_soon, overdue, hold_ready, account'
+    }
+  },
+  // Presentation level, as used by the frontend's notification type
+  type: {
+    type: String,
+    enum: {
+      values: ['success', 'error', 'warning', 'info'],
+      message: 'Type must be either success, error, warning, or info'
+    },
+    default: 'info'
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    trim: true,
+    maxlength: [150, 'Title cannot exceed 150 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Notification message is required'],
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  // Related records, e.g. { borrowId, bookId } or { reservationId }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Identifies the occurrence an event was generated for so it is only sent once
+  dedupeKey: {
+    type: String,
+    default: null
+  },
+  // Shown in the in-app inbox (false when the patron only wants email for this event)
+  inApp: {
+    type: Boolean,
+    default: true
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  deliveries: [deliverySchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.dedupeKey;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+notificationSchema.index({ userId: 1, inApp: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } });
+notificationSchema.index({ 'deliveries.status': 1 });
+
+// Virtual for whether the patron has read the notification
+notificationSchema.virtual('read').get(function() {
+  return this.readAt !== null;
+});
+
+// Static method to build the inbox query for a user
+notificationSchema.statics.inboxQuery = function(userId, status = 'all') {
+  const query = { userId, inApp: true };
+  if (status === 'unread') query.readAt = null;
+  if (status === 'read') query.readAt = { $ne: null };
+  return query;
+};
+
+// Static method to count a user's unread in-app notifications
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments(this.inboxQuery(userId, 'unread'));
+};
+
+// Static method to mark every unread notification of a user as read
+notificationSchema.statics.markAllAsRead = function(userId) {
+  return this.updateMany(this.inboxQuery(userId, 'unread'), { $set: { readAt: new Date() } });
+};
+
+// Instance method to mark as read
+notificationSchema.methods.markAsRead = function() {
+  if (!this.readAt) this.readAt = new Date();
+  return this.save();
+};
+
+// Instance method to mark as unread
+notificationSchema.methods.markAsUnread = function() {
+  this.readAt = null;
+  return this.save();
+};
+
+notificationSchema.statics.EVENTS = NOTIFICATION_EVENTS;
+
+module.exports = mongoose.model('Notification', notificationSchema);
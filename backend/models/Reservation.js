@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const { BUSINESS_RULES } = require('../utils/constants');
+
+const reservationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book ID is required']
+  },
+  status: {
+    type: String,
+    required: [true, 'Status is required'],
+    enum: {
+      values: ['waiting', 'ready', 'fulfilled', 'cancelled', 'expired'],
+      message: 'Status must be either waiting, ready, fulfilled, cancelled, or expired'
+    },
+    default: 'waiting'
+  },
+  requestedAt: {
+    type: Date,
+    required: [true, 'Request date is required'],
+    default: Date.now
+  },
+  readyAt: {
+    type: Date,
+    default: null
+  },
+  pickupExpiresAt: {
+    type: Date,
+    default: null
+  },
+  fulfilledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  borrowId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Borrow',
+    default: null
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+reservationSchema.index({ userId: 1, status: 1 });
+reservationSchema.index({ bookId: 1, status: 1, requestedAt: 1 }); // FIFO queue per book
+reservationSchema.index({ status: 1, pickupExpiresAt: 1 }); // For expiring uncollected pickups
+
+// Prevent the same user from queueing twice for the same book
+reservationSchema.index(
+  { userId: 1, bookId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ['waiting', 'ready'] } }
+  }
+);
+
+// Virtual to check if the hold is still in the queue or on the pickup shelf
+reservationSchema.virtual('isOpen').get(function() {
+  return this.status === 'waiting' || this.status === 'ready';
+});
+
+// Static method to get the configured pickup window in days
+reservationSchema.statics.getPickupDays = function() {
+  return parseInt(process.env.HOLD_PICKUP_DAYS) || BUSINESS_RULES.HOLD_PICKUP_DAYS;
+};
+
+// Static method to find the open (waiting or ready) hold for a user and book
+reservationSchema.statics.findOpenHold = function(userId, bookId) {
+  return this.findOne({ userId, bookId, status: { $in: ['waiting', 'ready'] } });
+};
+
+// Static method to find a hold that is ready for pickup by a user
+reservationSchema.statics.findReadyHold = function(userId, bookId) {
+  return this.findOne({
+    userId,
+    bookId,
+    status: 'ready',
+    pickupExpiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to count open holds by user
+reservationSchema.statics.countOpenByUser = function(userId) {
+  return this.countDocuments({ userId, status: { $in: ['waiting', 'ready'] } });
+};
+
+// Static method to get the FIFO queue for a book (ready holds first, then waiting by request date)
+reservationSchema.statics.getQueue = function(bookId) {
+  return this.find({ bookId, status: { $in: ['waiting', 'ready'] } })
+    .populate('userId', 'name email')
+    .sort({ status: 1, requestedAt: 1 });
+};
+
+// Static method to get a waiting hold's position in the queue (1-based)
+reservationSchema.statics.getQueuePosition = async function(reservation) {
+  if (reservation.status !== 'waiting') return null;
+  const ahead = await this.countDocuments({
+    bookId: reservation.bookId,
+    status: 'waiting',
+    requestedAt: { $lt: reservation.requestedAt }
+  });
+  return ahead + 1;
+};
+
+/**
+ * Hand a copy that has just come back to the next patron in the queue.
+ * When the copy is tracked (`itemId`) it is set aside on the hold shelf for them.
+ * Returns the promoted reservation, or null when nobody is waiting (the
+ * caller is then responsible for putting the copy back on the shelf).
+ */
+reservationSchema.statics.promoteNext = async function(bookId, itemId = null) {
+  const readyAt = new Date();
+  const pickupExpiresAt = new Date(readyAt);
+  pickupExpiresAt.setDate(pickupExpiresAt.getDate() + this.getPickupDays());
+
+  const next = await this.findOneAndUpdate(
+    { bookId, status: 'waiting' },
+    { $set: { status: 'ready', readyAt, pickupExpiresAt, itemId } },
+    { sort: { requestedAt: 1 }, new: true }
+  );
+
+  if (next && itemId) {
+    const Item = mongoose.model('Item');
+    const item = await Item.findById(itemId);
+    if (item) await item.checkIn('on_hold');
+  }
+  return next;
+};
+
+/**
+ * Release a copy that was being held (cancelled or uncollected hold):
+ * roll it to the next patron in the queue, otherwise put it back on the shelf.
+ */
+reservationSchema.statics.releaseHeldCopy = async function(bookId, itemId = null) {
+  const next = await this.promoteNext(bookId, itemId);
+  if (next) return next;
+
+  if (itemId) {
+    const Item = mongoose.model('Item');
+    const item = await Item.findById(itemId);
+    if (item && item.status === 'on_hold') {
+      await item.checkIn('available');
+    }
+    return null;
+  }
+
+  const Book = mongoose.model('Book');
+  const book = await Book.findById(bookId);
+  if (book && book.available < book.quantity) {
+    await book.returnBook();
+  }
+  return null;
+};
+
+/**
+ * Expire uncollected pickups (should be run periodically). Each hold is
+ * claimed with a conditional update, so when runs overlap only one of them
+ * expires a given hold and releases its copy.
+ */
+reservationSchema.statics.expireStalePickups = async function() {
+  const stale = await this.find({
+    status: 'ready',
+    pickupExpiresAt: { $lte: new Date() }
+  }).sort({ pickupExpiresAt: 1 });
+
+  const results = [];
+  for (const { _id } of stale) {
+    const reservation = await this.findOneAndUpdate(
+      { _id, status: 'ready' },
+      { $set: { status: 'expired' } },
+      { new: true }
+    );
+    if (!reservation) continue;
+
+    const promoted = await this.releaseHeldCopy(reservation.bookId, reservation.itemId);
+    results.push({
+      expired: reservation._id,
+      bookId: reservation.bookId,
+      promoted: promoted ? promoted._id : null
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Cancel the hold. The status change is conditional on the hold still being
+ * open, and only the call that made it releases a held copy; resolves to null
+ * if the hold was closed by another request (collected, expired or cancelled).
+ */
+reservationSchema.methods.cancel = async function() {
+  const cancelledAt = new Date();
+  const previous = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: ['waiting', 'ready'] } },
+    { $set: { status: 'cancelled', cancelledAt } },
+    { new: false }
+  );
+  if (!previous) return null;
+
+  this.status = 'cancelled';
+  this.cancelledAt = cancelledAt;
+  if (previous.status === 'ready') {
+    await this.constructor.releaseHeldCopy(previous.bookId, previous.itemId);
+  }
+  return this;
+};
+
+// Instance method to mark the hold as collected
+reservationSchema.methods.markAsFulfilled = function(borrowId) {
+  this.status = 'fulfilled';
+  this.fulfilledAt = new Date();
+  this.borrowId = borrowId;
+  return this.save();
+};
+
+module.exports = mongoose.model('Reservation', reservationSchema);
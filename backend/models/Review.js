@@ -96,10 +96,10 @@ reviewSchema.statics.findByUser = function(userId, options = {}) {
     .skip(skip);
 };
 
-// Static method to get average rating for a book
-reviewSchema.statics.getAverageRating = async function(bookId) {
-  const result = await this.aggregate([
-    { $match: { bookId: new mongoose.Types.ObjectId(bookId) } },
+// Average, count and distribution of the ratings of reviews matching a filter
+const summarizeRatings = async (Review, match) => {
+  const result = await Review.aggregate([
+    { $match: match },
     {
       $group: {
         _id: null,
@@ -135,6 +135,17 @@ reviewSchema.statics.getAverageRating = async function(bookId) {
   };
 };
 
+// Static method to get average rating for a book
+reviewSchema.statics.getAverageRating = function(bookId) {
+  return summarizeRatings(this, { bookId: new mongoose.Types.ObjectId(bookId) });
+};
+
+// Static method to get the average rating over every edition of a work
+reviewSchema.statics.getWorkRating = async function(workId) {
+  const bookIds = await mongoose.model('Book').find({ workId }).distinct('_id');
+  return summarizeRatings(this, { bookId: { $in: bookIds } });
+};
+
 // Static method to check if user has already reviewed a book
 reviewSchema.statics.hasUserReviewed = function(userId, bookId) {
   return this.findOne({ userId, bookId });
@@ -218,15 +229,21 @@ reviewSchema.pre('save', async function(next) {
   }
 });
 
+// Recompute the stored ratings of a book and of the work it is an edition of
+const refreshRatings = async (bookId) => {
+  const Book = mongoose.model('Book');
+  const ratingStats = await mongoose.model('Review').getAverageRating(bookId);
+  const book = await Book.findById(bookId);
+  if (book) {
+    await book.updateRatingData(ratingStats);
+    await mongoose.model('Work').refreshRating(book.workId);
+  }
+};
+
 // Post-save middleware to update book rating data
 reviewSchema.post('save', async function(doc) {
   try {
-    const Book = mongoose.model('Book');
-    const ratingStats = await this.constructor.getAverageRating(doc.bookId);
-    const book = await Book.findById(doc.bookId);
-    if (book) {
-      await book.updateRatingData(ratingStats);
-    }
+    await refreshRatings(doc.bookId);
   } catch (error) {
     console.error('Error updating book rating data:', error);
   }
@@ -236,12 +253,7 @@ reviewSchema.post('save', async function(doc) {
 reviewSchema.post('findOneAndDelete', async function(doc) {
   if (doc) {
     try {
-      const Book = mongoose.model('Book');
-      const ratingStats = await mongoose.model('Review').getAverageRating(doc.bookId);
-      const book = await Book.findById(doc.bookId);
-      if (book) {
-        await book.updateRatingData(ratingStats);
-      }
+      await refreshRatings(doc.bookId);
     } catch (error) {
       console.error('Error updating book rating data after deletion:', error);
     }
@@ -252,12 +264,7 @@ reviewSchema.post('findOneAndDelete', async function(doc) {
 reviewSchema.post('findOneAndUpdate', async function(doc) {
   if (doc) {
     try {
-      const Book = mongoose.model('Book');
-      const ratingStats = await mongoose.model('Review').getAverageRating(doc.bookId);
-      const book = await Book.findById(doc.bookId);
-      if (book) {
-        await book.updateRatingData(ratingStats);
-      }
+      await refreshRatings(doc.bookId);
     } catch (error) {
       console.error('Error updating book rating data after update:', error);
     }
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    unique: true,
+    trim: true
+  },
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  pausedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  pausedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastScheduledFor: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed', null],
+    default: null
+  },
+  nextRunAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Virtual for whether a run currently holds the lock
+scheduledJobSchema.virtual('isLocked').get(function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+});
+
+// Static method to make sure a state document exists for every registered job
+scheduledJobSchema.statics.ensureJobs = function(names) {
+  return this.bulkWrite(names.map(name => ({
+    updateOne: {
+      filter: { name },
+      update: { $setOnInsert: { name } },
+      upsert: true
+    }
+  })));
+};
+
+/**
+ * Acquire the run lock for a job. Only one instance can hold an unexpired lock;
+ * scheduled runs also claim their slot (`scheduledFor`) so another instance
+ * cannot run the same slot again after the first one has finished.
+ * Resolves to the job state, or null when the lock could not be acquired.
+ */
+scheduledJobSchema.statics.acquireLock = function(name, instanceId, lockTimeoutMinutes, scheduledFor = null) {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + lockTimeoutMinutes * 60 * 1000);
+
+  const filter = {
+    name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  };
+  const update = { lockedBy: instanceId, lockedUntil };
+
+  if (scheduledFor) {
+    filter.paused = false;
+    filter.$and = [{
+      $or: [{ lastScheduledFor: null }, { lastScheduledFor: { $lt: scheduledFor } }]
+    }];
+    update.lastScheduledFor = scheduledFor;
+  }
+
+  return this.findOneAndUpdate(filter, { $set: update }, { new: true });
+};
+
+// Static method to release a job lock and record the outcome of the run
+scheduledJobSchema.statics.releaseLock = function(name, instanceId, { status, finishedAt, nextRunAt }) {
+  return this.findOneAndUpdate(
+    { name, lockedBy: instanceId },
+    {
+      $set: {
+        lockedBy: null,
+        lockedUntil: null,
+        lastRunAt: finishedAt,
+        lastStatus: status,
+        nextRunAt
+      }
+    },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const seriesSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Series name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [200, 'Series name cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+module.exports = mongoose.model('Series', seriesSchema);
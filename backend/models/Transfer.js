@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const transferSchema = new mongoose.Schema({
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: [true, 'Copy ID is required']
+  },
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book ID is required']
+  },
+  fromBranchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  toBranchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Destination branch is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['in_transit', 'received', 'cancelled'],
+      message: 'Status must be either in_transit, received, or cancelled'
+    },
+    default: 'in_transit'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: null
+  },
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  receivedAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+transferSchema.index({ status: 1, toBranchId: 1, sentAt: 1 });
+transferSchema.index({ status: 1, fromBranchId: 1, sentAt: 1 });
+transferSchema.index({ itemId: 1, sentAt: -1 });
+// A copy can only be on its way to one branch at a time
+transferSchema.index({ itemId: 1 }, { unique: true, partialFilterExpression: { status: 'in_transit' } });
+
+/**
+ * Close an open transfer as received or cancelled. The update is conditional
+ * on the transfer still being in transit so a copy cannot be received twice;
+ * resolves to null if another request closed it first.
+ */
+transferSchema.methods.close = async function(status, userId = null) {
+  const at = new Date();
+  const set = status === 'received'
+    ? { status, receivedBy: userId, receivedAt: at }
+    : { status, cancelledBy: userId, cancelledAt: at };
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'in_transit' },
+    { $set: set },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  this.set(set);
+  return this;
+};
+
+module.exports = mongoose.model('Transfer', transferSchema);
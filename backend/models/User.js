@@ -1,6 +1,57 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const channelPreferences = () => ({
+  inApp: {
+    type: Boolean,
+    default: true
+  },
+  email: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Borrowing block placed on an account by a librarian
+const accountBlockSchema = new mongoose.Schema({
+  note: {
+    type: String,
+    required: [true, 'A note explaining the block is required'],
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  placedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  placedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Null blocks until lifted
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  liftedAt: {
+    type: Date,
+    default: null
+  },
+  liftedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  liftNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: null
+  }
+});
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -34,6 +85,37 @@ const userSchema = new mongoose.Schema({
     },
     default: 'borrower'
   },
+  // Patron classification used to match loan policies (e.g. student, staff)
+  patronType: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Patron type cannot exceed 50 characters'],
+    default: 'standard'
+  },
+  // Branch the patron normally borrows from
+  homeBranchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  // Library card number used to identify the patron at the circulation desk
+  cardNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9-]{4,32}$/, 'Card number must be 4-32 letters, digits or hyphens']
+  },
+  // Channels each notification event is delivered on
+  notificationPreferences: {
+    due_soon: channelPreferences(),
+    overdue: channelPreferences(),
+    hold_ready: channelPreferences(),
+    account: channelPreferences()
+  },
+  accountBlocks: [accountBlockSchema],
   profilePicture: {
     type: String,
     default: null,
@@ -107,6 +189,14 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ role: 1 });
 userSchema.index({ createdAt: -1 });
 
+// Pre-save middleware to issue a library card to new users
+userSchema.pre('save', function(next) {
+  if (this.isNew && !this.cardNumber) {
+    this.cardNumber = this.constructor.generateCardNumber();
+  }
+  next();
+});
+
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
@@ -131,9 +221,29 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Instance method to get the librarian blocks in force (not lifted and not expired)
+userSchema.methods.getActiveBlocks = function(asOf = new Date()) {
+  return (this.accountBlocks || []).filter(block =>
+    !block.liftedAt && (!block.expiresAt || block.expiresAt > asOf));
+};
+
 // Static method to find user by email with password
 userSchema.statics.findByEmailWithPassword = function(email) {
   return this.findOne({ email }).select('+password');
 };
 
+// Static method to generate a library card number
+userSchema.statics.generateCardNumber = function() {
+  const suffix = crypto.randomInt(0, 100000).toString().padStart(5, '0');
+  return `P${Date.now().toString().slice(-7)}${suffix}`;
+};
+
+// Static method to find a patron by email or library card number
+userSchema.statics.findByPatronIdentifier = function(identifier) {
+  const value = String(identifier).trim();
+  return value.includes('@')
+    ? this.findOne({ email: value.toLowerCase() })
+    : this.findOne({ cardNumber: value.toUpperCase() });
+};
+
 module.exports = mongoose.model('User', userSchema);
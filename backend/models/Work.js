@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// A work is a title independent of any printing; each Book is one edition of it
+const workSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Work title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  author: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Author name cannot exceed 100 characters'],
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: null
+  },
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Series',
+    default: null
+  },
+  // Position in the series; fractions allow novellas set between volumes (e.g. 2.5)
+  seriesVolume: {
+    type: Number,
+    min: [0, 'Series volume cannot be negative'],
+    default: null
+  },
+  // Ratings aggregated over the reviews of every edition
+  averageRating: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 5,
+    set: function(val) {
+      return Math.round(val * 10) / 10; // Round to 1 decimal place
+    }
+  },
+  totalReviews: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  ratingDistribution: {
+    1: { type: Number, default: 0 },
+    2: { type: Number, default: 0 },
+    3: { type: Number, default: 0 },
+    4: { type: Number, default: 0 },
+    5: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+workSchema.index({ title: 1 });
+workSchema.index({ seriesId: 1, seriesVolume: 1 });
+
+// Static method to recompute a work's ratings from the reviews of all its editions
+workSchema.statics.refreshRating = async function(workId) {
+  if (!workId) return null;
+  const ratingStats = await mongoose.model('Review').getWorkRating(workId);
+  return this.findByIdAndUpdate(workId, { $set: ratingStats }, { new: true });
+};
+
+// Static method to list the works in a series in reading order (unnumbered works last)
+workSchema.statics.findBySeries = function(seriesId) {
+  return this.aggregate([
+    { $match: { seriesId: new mongoose.Types.ObjectId(seriesId) } },
+    { $addFields: { unnumbered: { $eq: [{ $ifNull: ['$seriesVolume', null] }, null] } } },
+    { $sort: { unnumbered: 1, seriesVolume: 1, title: 1 } },
+    { $project: { unnumbered: 0, __v: 0 } }
+  ]);
+};
+
+// Static method to total copies and availability over each work's editions
+workSchema.statics.getEditionCounts = async function(workIds) {
+  const counts = await mongoose.model('Book').aggregate([
+    { $match: { workId: { $in: workIds } } },
+    {
+      $group: {
+        _id: '$workId',
+        editions: { $sum: 1 },
+        quantity: { $sum: '$quantity' },
+        available: { $sum: '$available' }
+      }
+    }
+  ]);
+  return new Map(counts.map(({ _id, ...entry }) => [_id.toString(), entry]));
+};
+
+module.exports = mongoose.model('Work', workSchema);
@@ -5,6 +5,21 @@ const Borrow = require('./Borrow');
 const Category = require('./Category');
 const ContactMessage = require('./ContactMessage');
 const Review = require('./Review');
+const Reservation = require('./Reservation');
+const Fine = require('./Fine');
+const Item = require('./Item');
+const ScheduledJob = require('./ScheduledJob');
+const JobRun = require('./JobRun');
+const LoanPolicy = require('./LoanPolicy');
+const LibraryCalendar = require('./LibraryCalendar');
+const Notification = require('./Notification');
+const Branch = require('./Branch');
+const Transfer = require('./Transfer');
+const MarcImport = require('./MarcImport');
+const MarcRecord = require('./MarcRecord');
+const Author = require('./Author');
+const Work = require('./Work');
+const Series = require('./Series');
 
 // Export all models
 module.exports = {
@@ -13,5 +28,20 @@ module.exports = {
   Borrow,
   Category,
   ContactMessage,
-  Review
+  Review,
+  Reservation,
+  Fine,
+  Item,
+  ScheduledJob,
+  JobRun,
+  LoanPolicy,
+  LibraryCalendar,
+  Notification,
+  Branch,
+  Transfer,
+  MarcImport,
+  MarcRecord,
+  Author,
+  Work,
+  Series
 };
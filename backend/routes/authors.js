@@ -0,0 +1,265 @@
+const express = require('express');
+const {
+  authenticate,
+  requirePermission
+} = require('../middleware/auth');
+const { validationMiddleware } = require('../services/validationService');
+const { PERMISSIONS } = require('../services/rbacService');
+const auditService = require('../services/auditService');
+const authorsController = require('../controllers/authorsController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Author:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: objectId
+ *         name:
+ *           type: string
+ *           example: J. R. R. Tolkien
+ *         sortName:
+ *           type: string
+ *           description: Form used in alphabetical lists (derived from the name when not given)
+ *           example: Tolkien, J. R. R.
+ *         variants:
+ *           type: array
+ *           description: Other spellings the author is catalogued or searched under
+ *           items:
+ *             type: string
+ *           example: [John Ronald Reuel Tolkien, J.R.R. Tolkien]
+ *         birthYear:
+ *           type: integer
+ *           nullable: true
+ *         deathYear:
+ *           type: integer
+ *           nullable: true
+ *         bio:
+ *           type: string
+ *           nullable: true
+ *
+ *     Contributor:
+ *       type: object
+ *       description: A person credited on a book. Requests give an authorId or a name; names are matched against known authors and their variants, and unknown names become new authors.
+ *       properties:
+ *         authorId:
+ *           type: string
+ *           format: objectId
+ *         name:
+ *           type: string
+ *           description: Name as credited on the book
+ *           example: Christopher Tolkien
+ *         role:
+ *           type: string
+ *           enum: [author, editor, translator, illustrator, contributor]
+ *           default: author
+ */
+
+/**
+ * @swagger
+ * /api/authors:
+ *   get:
+ *     summary: List authors
+ *     description: |
+ *       List authors alphabetically. `q` matches the name or any variant regardless of case,
+ *       accents, punctuation and word order, so `tolkien j r r` finds "J. R. R. Tolkien".
+ *     tags: [Authors]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Authors retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     authors:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Author'
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *   post:
+ *     summary: Create an author
+ *     description: |
+ *       **Required Permission:** `author:manage`
+ *     tags: [Authors]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Author'
+ *           example:
+ *             name: J. R. R. Tolkien
+ *             variants: [John Ronald Reuel Tolkien]
+ *             birthYear: 1892
+ *             deathYear: 1973
+ *     responses:
+ *       201:
+ *         description: Author created successfully
+ *       400:
+ *         description: Invalid input, or an author is already known by one of the names (AUTHOR_EXISTS)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', validationMiddleware.authorQuery, authorsController.getAuthors);
+router.post('/',
+  authenticate,
+  requirePermission(PERMISSIONS.AUTHOR_MANAGE),
+  validationMiddleware.createAuthor,
+  auditService.createAuditMiddleware('AUTHOR_CREATE', 'Author', 'LOW'),
+  authorsController.createAuthor
+);
+
+/**
+ * @swagger
+ * /api/authors/{id}:
+ *   get:
+ *     summary: Get author by ID
+ *     description: |
+ *       Retrieve an author with every book crediting them (in any role) and how often each
+ *       has been borrowed: `borrowCount` counts all loans, `onLoan` those still out.
+ *     tags: [Authors]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Author retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     author:
+ *                       $ref: '#/components/schemas/Author'
+ *                     works:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           roles:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                           borrowCount:
+ *                             type: integer
+ *                           onLoan:
+ *                             type: integer
+ *                     stats:
+ *                       type: object
+ *                       properties:
+ *                         works:
+ *                           type: integer
+ *                         totalBorrows:
+ *                           type: integer
+ *                         onLoan:
+ *                           type: integer
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   put:
+ *     summary: Update an author
+ *     description: |
+ *       Update an author's name, variants or details. Adding a variant makes searches by that
+ *       spelling find the author's books.
+ *
+ *       **Required Permission:** `author:manage`
+ *     tags: [Authors]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Author'
+ *     responses:
+ *       200:
+ *         description: Author updated successfully
+ *       400:
+ *         description: Invalid input, or another author is already known by one of the names (AUTHOR_EXISTS)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   delete:
+ *     summary: Delete an author
+ *     description: |
+ *       Only authors no book credits can be deleted (AUTHOR_IN_USE).
+ *
+ *       **Required Permission:** `author:manage`
+ *     tags: [Authors]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Author deleted successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id', authorsController.getAuthorById);
+router.put('/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.AUTHOR_MANAGE),
+  validationMiddleware.updateAuthor,
+  auditService.createAuditMiddleware('AUTHOR_UPDATE', 'Author', 'LOW'),
+  authorsController.updateAuthor
+);
+router.delete('/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.AUTHOR_MANAGE),
+  auditService.createAuditMiddleware('AUTHOR_DELETE', 'Author', 'MEDIUM'),
+  authorsController.deleteAuthor
+);
+
+module.exports = router;
@@ -40,10 +40,23 @@ const router = express.Router();
  *           pattern: '^[a-zA-Z\s\-\.\'']+$'
  *           description: Book author (letters, spaces, hyphens, periods, apostrophes only)
  *           example: F. Scott Fitzgerald
+ *         contributors:
+ *           type: array
+ *           description: Authors, editors, translators and illustrators; defaults to the author field as sole author
+ *           items:
+ *             $ref: '#/components/schemas/Contributor'
+ *         workId:
+ *           type: string
+ *           format: objectId
+ *           nullable: true
+ *           description: Work this book is an edition of (see /api/works)
+ *         format:
+ *           type: string
+ *           nullable: true
+ *           enum: [hardcover, paperback, ebook, audiobook, large_print, other]
  *         isbn:
  *           type: string
- *           pattern: '^[0-9X-]{10,17}$'
- *           description: International Standard Book Number
+ *           description: ISBN-10 or ISBN-13, with or without hyphens; the check digit must be correct
  *           example: 978-0-7432-7356-5
  *         category:
  *           type: string
@@ -117,6 +130,8 @@ const router = express.Router();
  *                 $ref: '#/components/schemas/Book'
  *             pagination:
  *               $ref: '#/components/schemas/Pagination'
+ *             facets:
+ *               $ref: '#/components/schemas/BookFacets'
  *             filters:
  *               type: object
  *               properties:
@@ -128,6 +143,123 @@ const router = express.Router();
  *                   type: string
  *                 available:
  *                   type: boolean
+ *
+ *     FacetValue:
+ *       type: object
+ *       properties:
+ *         value:
+ *           description: Value to pass back as the matching search parameter
+ *         count:
+ *           type: integer
+ *
+ *     BookFacets:
+ *       type: object
+ *       description: |
+ *         Counts returned with `facets`. Each facet applies every active filter except its own,
+ *         so the other values of a facet stay selectable (picking Fiction still shows how many
+ *         books History would give).
+ *       properties:
+ *         category:
+ *           type: array
+ *           description: Up to 50 categories, most books first
+ *           items:
+ *             $ref: '#/components/schemas/FacetValue'
+ *           example: [{ value: Fiction, count: 42 }, { value: History, count: 12 }]
+ *         availability:
+ *           type: array
+ *           description: Books with a copy on the shelf (`true`) and without (`false`)
+ *           items:
+ *             $ref: '#/components/schemas/FacetValue'
+ *           example: [{ value: 'true', count: 17 }, { value: 'false', count: 25 }]
+ *         rating:
+ *           type: array
+ *           description: Books rated at least 4, 3, 2 and 1 on average (use as `minRating`)
+ *           items:
+ *             $ref: '#/components/schemas/FacetValue'
+ *           example: [{ value: 4, count: 9 }, { value: 3, count: 20 }, { value: 2, count: 24 }, { value: 1, count: 25 }]
+ *         publicationYear:
+ *           type: object
+ *           properties:
+ *             min:
+ *               type: integer
+ *               nullable: true
+ *             max:
+ *               type: integer
+ *               nullable: true
+ *             unknown:
+ *               type: integer
+ *               description: Books without a publication year
+ *             decades:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FacetValue'
+ *           example: { min: 1925, max: 2021, unknown: 3, decades: [{ value: 1920, count: 2 }, { value: 2010, count: 30 }] }
+ *         language:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/FacetValue'
+ *           example: [{ value: eng, count: 38 }, { value: fre, count: 4 }]
+ *
+ *   parameters:
+ *     SearchQueryParam:
+ *       name: query
+ *       in: query
+ *       schema:
+ *         type: string
+ *         maxLength: 500
+ *       description: |
+ *         Filters written in the search query language, combined with the other parameters:
+ *         - `field:value` or `field:"quoted phrase"` on `title`, `author`, `category`, `isbn`, `language`
+ *         - `year` and `rating` take `>`, `>=`, `<`, `<=`, an exact value or a range (`year:1950..1960`)
+ *         - `available` (or `available:false`) for books with copies on the shelf
+ *         - a bare word or phrase matches the title, author or category
+ *         - terms side by side must all match; `OR` needs either, `-term` or `NOT term` excludes,
+ *           parentheses group
+ *
+ *         A query that does not parse is rejected with code `INVALID_SEARCH_QUERY` and the
+ *         `position` (0-based character offset) of the problem.
+ *       example: author:tolkien category:fantasy year>1950 -available
+ *     MatchParam:
+ *       name: match
+ *       in: query
+ *       schema:
+ *         type: string
+ *         enum: [exact, prefix, contains]
+ *         default: contains
+ *       description: |
+ *         How `title`, `author` and `category` are compared: the whole value, its start, or any
+ *         part. Comparison ignores case and accents, and the input is matched literally
+ *         (characters such as `*` or `(` have no special meaning).
+ *     FacetsParam:
+ *       name: facets
+ *       in: query
+ *       schema:
+ *         type: string
+ *       description: |
+ *         Return facet counts with the results: `true` for all facets, or a comma-separated list
+ *         of `category`, `availability`, `rating`, `publicationYear` and `language`
+ *       example: category,availability
+ *     LanguageParam:
+ *       name: language
+ *       in: query
+ *       schema:
+ *         type: string
+ *       description: Filter by ISO 639 language code (repeat for several)
+ *       example: eng
+ *     YearFromParam:
+ *       name: yearFrom
+ *       in: query
+ *       schema:
+ *         type: integer
+ *       description: Earliest publication year
+ *       example: 1990
+ *     YearToParam:
+ *       name: yearTo
+ *       in: query
+ *       schema:
+ *         type: integer
+ *       description: Latest publication year
+ *       example: 2020
  */
 
 /**
@@ -140,8 +272,16 @@ const router = express.Router();
  *
  *       **Search Features:**
  *       - Search by title, author, or description
+ *       - Search terms with no exact hits (e.g. `tolkein`, `harr pot`) fall back to typo-tolerant,
+ *         accent-insensitive matching on titles and authors; `search.searchTerms.fuzzyMatch` is then true
  *       - Filter by category, author, or availability
+ *       - Filter by branch holdings, language, minimum rating and publication year
+ *       - Facet counts for a filter sidebar with `facets`; with `branchId`, availability counts
+ *         refer to copies anywhere rather than at the branch
  *       - Sort by title, author, createdAt, or averageRating
+ *       - Page by number, or by cursor with `after` / `before` set to the `nextCursor` /
+ *         `prevCursor` of a previous page; cursors keep their place as books are added, and one
+ *         made for another sort is rejected with `INVALID_CURSOR`
  *
  *       **Public Access:** No authentication required
  *     tags: [Books]
@@ -149,6 +289,8 @@ const router = express.Router();
  *     parameters:
  *       - $ref: '#/components/parameters/PageParam'
  *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *       - $ref: '#/components/parameters/BeforeParam'
  *       - $ref: '#/components/parameters/SearchParam'
  *       - name: category
  *         in: query
@@ -160,14 +302,35 @@ const router = express.Router();
  *         in: query
  *         schema:
  *           type: string
- *         description: Filter by book author
+ *         description: Filter by book author; also matches books crediting an author under any of their name variants
  *         example: F. Scott Fitzgerald
  *       - name: available
  *         in: query
  *         schema:
  *           type: boolean
- *         description: Filter by availability status
+ *         description: Filter by availability status (at the branch when branchId is given)
  *         example: true
+ *       - name: branchId
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: |
+ *           Only titles with copies at this branch; each book then carries its `branchAvailability`
+ *           there. Titles tracked only by counters have no branch holdings and are left out.
+ *       - $ref: '#/components/parameters/SearchQueryParam'
+ *       - $ref: '#/components/parameters/MatchParam'
+ *       - $ref: '#/components/parameters/LanguageParam'
+ *       - name: minRating
+ *         in: query
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
+ *         description: Minimum average rating
+ *       - $ref: '#/components/parameters/YearFromParam'
+ *       - $ref: '#/components/parameters/YearToParam'
+ *       - $ref: '#/components/parameters/FacetsParam'
  *       - name: sortBy
  *         in: query
  *         schema:
@@ -201,12 +364,19 @@ router.get('/', validationMiddleware.bookQuery, booksController.getAllBooks);
  * /api/books/search/advanced:
  *   get:
  *     summary: Advanced search books with comprehensive filtering
- *     description: Search books with advanced filtering options including title, author, category, rating range, and availability.
+ *     description: |
+ *       Search books with advanced filtering options including title, author, category, rating range, and availability.
+ *
+ *       A full-text search term with no hits falls back to typo-tolerant, accent-insensitive matching
+ *       on titles and authors, ranked by similarity (`searchScore`); `search.query.fuzzyMatch` is then true.
  *     tags: [Books]
  *     security: []
  *     parameters:
  *       - $ref: '#/components/parameters/PageParam'
  *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *       - $ref: '#/components/parameters/BeforeParam'
+ *       - $ref: '#/components/parameters/SearchParam'
  *       - name: title
  *         in: query
  *         schema:
@@ -217,8 +387,16 @@ router.get('/', validationMiddleware.bookQuery, booksController.getAllBooks);
  *         in: query
  *         schema:
  *           type: string
- *         description: Search by author name
+ *         description: Search by author name, including name variants and books the author edited, translated or illustrated
  *         example: fitzgerald
+ *       - name: isbn
+ *         in: query
+ *         schema:
+ *           type: string
+ *         description: |
+ *           A whole ISBN matches in any form (ISBN-10 or ISBN-13, any hyphenation); a partial
+ *           one matches books whose ISBN-13 contains its digits
+ *         example: 0-7432-7356-7
  *       - name: category
  *         in: query
  *         schema:
@@ -247,6 +425,12 @@ router.get('/', validationMiddleware.bookQuery, booksController.getAllBooks);
  *           type: boolean
  *         description: Filter by availability
  *         example: true
+ *       - $ref: '#/components/parameters/SearchQueryParam'
+ *       - $ref: '#/components/parameters/MatchParam'
+ *       - $ref: '#/components/parameters/LanguageParam'
+ *       - $ref: '#/components/parameters/YearFromParam'
+ *       - $ref: '#/components/parameters/YearToParam'
+ *       - $ref: '#/components/parameters/FacetsParam'
  *     responses:
  *       200:
  *         description: Advanced search results
@@ -259,6 +443,203 @@ router.get('/', validationMiddleware.bookQuery, booksController.getAllBooks);
  */
 router.get('/search/advanced', validationMiddleware.advancedSearch, booksController.advancedSearchBooks);
 
+/**
+ * @swagger
+ * /api/books/suggest:
+ *   get:
+ *     summary: Autocomplete suggestions
+ *     description: |
+ *       Suggest titles, authors and categories as the user types. Each word typed must start a
+ *       word of the suggestion, in any order and ignoring case and accents, so `harr pot`
+ *       suggests "Harry Potter and the Philosopher's Stone" and `garcia` suggests "Gabriel García
+ *       Márquez". Authors also match on their name variants. Editions sharing a title and author
+ *       give one title suggestion.
+ *     tags: [Books]
+ *     security: []
+ *     parameters:
+ *       - name: q
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         example: harr pot
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *           default: 5
+ *         description: Suggestions of each kind
+ *     responses:
+ *       200:
+ *         description: Suggestions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     query:
+ *                       type: string
+ *                     titles:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           bookId:
+ *                             type: string
+ *                             format: objectId
+ *                           title:
+ *                             type: string
+ *                           author:
+ *                             type: string
+ *                     authors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           authorId:
+ *                             type: string
+ *                             format: objectId
+ *                           name:
+ *                             type: string
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+router.get('/suggest', validationMiddleware.bookSuggest, booksController.getSuggestions);
+
+/**
+ * @swagger
+ * /api/books/export:
+ *   get:
+ *     summary: Export the catalog
+ *     description: |
+ *       Download every book matching the advanced search filters, streamed as it is read so
+ *       exports of any size are supported. Each book includes its copies, available copies,
+ *       copies on loan, average rating and number of reviews.
+ *
+ *       - `csv`: one row per book with a header line
+ *       - `jsonl`: JSON Lines, one book object per line
+ *       - `marc`: MARC 21 records in ISO 2709 binary
+ *       - `marcxml`: MARC 21 records in a MARCXML collection
+ *
+ *       MARC records map the ISBN to 020, language to 041, author to 100, title to 245, edition to 250,
+ *       publisher and year to 264, physical description to 300, description to 520 and
+ *       subjects and category to 650. Availability and ratings go in local field 999: `$a` copies,
+ *       `$b` available, `$c` on loan, `$d` average rating and `$e` number of reviews.
+ *
+ *       **Required Permission:** `book:export`
+ *     tags: [Books]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl, marc, marcxml]
+ *           default: csv
+ *       - $ref: '#/components/parameters/SearchParam'
+ *       - in: query
+ *         name: title
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isbn
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: available
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: minQuantity
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: maxQuantity
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/SearchQueryParam'
+ *       - $ref: '#/components/parameters/MatchParam'
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [title, author, createdAt, category, quantity, available, isbn]
+ *           default: title
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *     responses:
+ *       200:
+ *         description: Catalog export (streamed as a file download)
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/marc:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/marcxml+xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/export',
+  authenticate,
+  requirePermission(PERMISSIONS.BOOK_EXPORT),
+  validationMiddleware.exportBooks,
+  booksController.exportBooks
+);
+
 /**
  * @swagger
  * /api/books/available/list:
@@ -348,7 +729,9 @@ router.get('/category/:category', booksController.getBooksByCategory);
  * /api/books/{id}:
  *   get:
  *     summary: Get book by ID with reviews
- *     description: Retrieve detailed information about a specific book including its reviews and ratings.
+ *     description: |
+ *       Retrieve detailed information about a specific book including its reviews and ratings, and
+ *       `branchAvailability` listing the copies held and on the shelf at each branch.
  *     tags: [Books]
  *     security: []
  *     parameters:
@@ -437,6 +820,465 @@ router.post('/',
   booksController.createBook
 );
 
+/**
+ * @swagger
+ * /api/books/import:
+ *   post:
+ *     summary: Import books in bulk
+ *     description: |
+ *       Create or update up to 1000 books from CSV (`Content-Type: text/csv`, header line
+ *       required) or JSON (an array of rows, or `{ "books": [...] }`). Columns are `isbn`,
+ *       `title`, `author`, `category`, `description`, `quantity`, `replacementCost` and
+ *       `coverImage`; unknown columns are ignored.
+ *
+ *       Rows are matched to existing books by ISBN: new ISBNs create a book with `quantity`
+ *       copies, known ISBNs update the fields given. Each row is checked with the same rules
+ *       as a single book; rows with errors are skipped and the others imported.
+ *
+ *       - `dryRun=true` checks every row and reports `would_create`, `would_update`,
+ *         `unchanged` or `error` per row without writing anything
+ *       - `createCategories=true` creates categories that do not exist yet; otherwise such
+ *         rows are errors
+ *
+ *       Imports (not dry runs) are recorded in the audit log with their summary.
+ *
+ *       **Required Permission:** `book:bulk:import`
+ *     tags: [Books]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: createCategories
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: "isbn,title,author,category,quantity\n9780061120084,To Kill a Mockingbird,Harper Lee,Fiction,3\n"
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               properties:
+ *                 isbn:
+ *                   type: string
+ *                 title:
+ *                   type: string
+ *                 author:
+ *                   type: string
+ *                 category:
+ *                   type: string
+ *                 description:
+ *                   type: string
+ *                 quantity:
+ *                   type: integer
+ *                 replacementCost:
+ *                   type: number
+ *                 coverImage:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Import checked or finished
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     dryRun:
+ *                       type: boolean
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         created:
+ *                           type: integer
+ *                         updated:
+ *                           type: integer
+ *                         unchanged:
+ *                           type: integer
+ *                         errors:
+ *                           type: integer
+ *                     categoriesCreated:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     rows:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           row:
+ *                             type: integer
+ *                             description: Position among the data rows, starting at 1
+ *                           isbn:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           status:
+ *                             type: string
+ *                             enum: [would_create, would_update, created, updated, unchanged, error]
+ *                           bookId:
+ *                             type: string
+ *                             nullable: true
+ *                           changes:
+ *                             type: array
+ *                             description: Fields an update changes
+ *                             items:
+ *                               type: string
+ *                           errors:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 field:
+ *                                   type: string
+ *                                 message:
+ *                                   type: string
+ *       400:
+ *         description: The import could not be read (INVALID_IMPORT) or has invalid parameters
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/import',
+  authenticate,
+  requirePermission(PERMISSIONS.BOOK_BULK_IMPORT),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  validationMiddleware.importBooks,
+  booksController.importBooks
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MarcImport:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: objectId
+ *         format:
+ *           type: string
+ *           enum: [marc21, marcxml]
+ *         status:
+ *           type: string
+ *           enum: [pending, confirmed]
+ *         records:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: integer
+ *                 description: Position of the record in the upload, starting at 0
+ *               controlNumber:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Vendor control number (001)
+ *               data:
+ *                 type: object
+ *                 description: Book fields mapped from the record
+ *               action:
+ *                 type: string
+ *                 enum: [create, merge, error]
+ *                 description: What confirming does by default; records with errors are skipped
+ *               bookId:
+ *                 type: string
+ *                 format: objectId
+ *                 nullable: true
+ *                 description: Book with the same ISBN, or the book created on confirmation
+ *               changes:
+ *                 type: array
+ *                 description: Fields a merge overwrites
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     field:
+ *                       type: string
+ *                     from: {}
+ *                     to: {}
+ *               issues:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               result:
+ *                 type: string
+ *                 enum: [created, merged, skipped, error]
+ *                 nullable: true
+ *         createdBy:
+ *           type: string
+ *           format: objectId
+ *         confirmedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Unconfirmed previews are removed after 24 hours
+ */
+
+/**
+ * @swagger
+ * /api/books/import/marc:
+ *   post:
+ *     summary: Preview a MARC import
+ *     description: |
+ *       Read up to 500 MARC 21 bibliographic records, as ISO 2709 (`application/marc`) or
+ *       MARCXML, and show how each maps onto the catalog without changing anything. The
+ *       format is detected from the content. Fields are mapped as follows:
+ *
+ *       - `020 $a` ISBN, used to match an existing book
+ *       - `041 $a` language (falling back to positions 35-37 of 008)
+ *       - `100 $a` author (falling back to 110 or 111), `245 $a $b` title
+ *       - `250 $a` edition
+ *       - `264` (second indicator 1) or `260`: `$b` publisher, `$c` publication year
+ *       - `300` physical description and page count
+ *       - `520 $a` description
+ *       - `650` subject headings; the first one naming a category shelves a new book there,
+ *         otherwise `defaultCategory` is used
+ *
+ *       Records whose ISBN is already catalogued are merged (the preview lists the fields
+ *       that change); others create a book. The preview is kept for 24 hours for
+ *       confirmation.
+ *
+ *       **Required Permission:** `book:marc:import`
+ *     tags: [Books]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: defaultCategory
+ *         schema:
+ *           type: string
+ *         description: Existing category for new books whose subjects match none
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/marc:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         application/marcxml+xml:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       201:
+ *         description: Import ready to confirm
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     marcImport:
+ *                       $ref: '#/components/schemas/MarcImport'
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         create:
+ *                           type: integer
+ *                         merge:
+ *                           type: integer
+ *                         errors:
+ *                           type: integer
+ *       400:
+ *         description: The records could not be read or the default category does not exist (INVALID_IMPORT)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/import/marc',
+  authenticate,
+  requirePermission(PERMISSIONS.BOOK_MARC_IMPORT),
+  express.raw({ type: ['application/marc', 'application/octet-stream'], limit: '10mb' }),
+  express.text({ type: ['application/marcxml+xml', 'application/xml', 'text/xml'], limit: '10mb' }),
+  validationMiddleware.previewMarcImport,
+  booksController.previewMarcImport
+);
+
+/**
+ * @swagger
+ * /api/books/import/marc/{id}:
+ *   get:
+ *     summary: Get a MARC import
+ *     description: |
+ *       Retrieve an import preview, or the outcome of each record once confirmed.
+ *
+ *       **Required Permission:** `book:marc:import`
+ *     tags: [Books]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Import retrieved successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Import not found or its preview expired
+ */
+router.get('/import/marc/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.BOOK_MARC_IMPORT),
+  booksController.getMarcImport
+);
+
+/**
+ * @swagger
+ * /api/books/import/marc/{id}/confirm:
+ *   post:
+ *     summary: Confirm a MARC import
+ *     description: |
+ *       Apply a previewed import. Each record is created or merged as previewed unless
+ *       `records` says otherwise; records with errors are skipped unless fixed, e.g. by
+ *       choosing a category for a new book. ISBNs are checked again, so books catalogued
+ *       since the preview are not duplicated.
+ *
+ *       New books get `quantity` copies. Merges overwrite only bibliographic fields (title,
+ *       author, description, edition, publisher, publication year, language, physical description,
+ *       page count and subjects), never copies or category. The original record is kept
+ *       with each book and can be downloaded from `/api/books/{id}/marc`.
+ *
+ *       **Required Permission:** `book:marc:import`
+ *     tags: [Books]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 default: 1
+ *                 description: Copies registered for each new book
+ *               records:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - index
+ *                   properties:
+ *                     index:
+ *                       type: integer
+ *                     action:
+ *                       type: string
+ *                       enum: [create, merge, skip]
+ *                     category:
+ *                       type: string
+ *                       description: Existing category for a new book
+ *           example:
+ *             quantity: 2
+ *             records:
+ *               - index: 3
+ *                 action: skip
+ *               - index: 5
+ *                 category: Fiction
+ *     responses:
+ *       200:
+ *         description: Import finished
+ *       400:
+ *         description: Invalid request, or the import was already confirmed (IMPORT_CONFIRMED)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Import not found or its preview expired
+ *       409:
+ *         description: Import was confirmed by another request (IMPORT_CONFIRMED)
+ */
+router.post('/import/marc/:id/confirm',
+  authenticate,
+  requirePermission(PERMISSIONS.BOOK_MARC_IMPORT),
+  validationMiddleware.confirmMarcImport,
+  booksController.confirmMarcImport
+);
+
+/**
+ * @swagger
+ * /api/books/{id}/marc:
+ *   get:
+ *     summary: Download the original MARC record of a book
+ *     description: |
+ *       Download the record a book was imported from, in the format it was received.
+ *
+ *       **Required Permission:** `book:marc:import`
+ *     tags: [Books]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Original record
+ *         content:
+ *           application/marc:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/marcxml+xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: No MARC record is attached to the book
+ */
+router.get('/:id/marc',
+  authenticate,
+  requirePermission(PERMISSIONS.BOOK_MARC_IMPORT),
+  booksController.getBookMarcRecord
+);
+
 /**
  * @swagger
  * /api/books/{id}:
@@ -763,4 +1605,104 @@ router.post('/cleanup-orphaned-images',
   booksController.cleanupOrphanedImages
 );
 
+/**
+ * @swagger
+ * /api/books/reconcile-inventory:
+ *   post:
+ *     summary: Reconcile book availability
+ *     description: |
+ *       Recompute `available` for every book (or a single book) from its active borrows and
+ *       holds awaiting pickup, and repair copy records whose loan status disagrees with the
+ *       borrow records. Every discrepancy is reported; pass `dryRun` to report without fixing.
+ *
+ *       **Discrepancy codes:** `AVAILABLE_MISMATCH`, `QUANTITY_MISMATCH`, `COPY_NOT_ON_LOAN`,
+ *       `LOAN_NOT_RECORDED`, `BORROW_WITHOUT_COPY`
+ *
+ *       **Required Permission:** `system:maintenance`
+ *     tags: [Books]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               bookId:
+ *                 type: string
+ *                 format: objectId
+ *                 description: Limit reconciliation to one book
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Inventory reconciled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     dryRun:
+ *                       type: boolean
+ *                     booksChecked:
+ *                       type: integer
+ *                       example: 16
+ *                     booksAffected:
+ *                       type: integer
+ *                       example: 1
+ *                     fixed:
+ *                       type: integer
+ *                       description: Discrepancies repaired (0 on a dry run)
+ *                       example: 1
+ *                     skipped:
+ *                       type: array
+ *                       description: |
+ *                         Discrepancies that cannot be repaired automatically (`repairable: false`),
+ *                         such as an active borrow with no copy left to assign
+ *                       items:
+ *                         type: object
+ *                     discrepancies:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           bookId:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           code:
+ *                             type: string
+ *                             example: AVAILABLE_MISMATCH
+ *                           message:
+ *                             type: string
+ *                           previous:
+ *                             oneOf:
+ *                               - type: integer
+ *                               - type: string
+ *                           expected:
+ *                             oneOf:
+ *                               - type: integer
+ *                               - type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/reconcile-inventory',
+  authenticate,
+  requirePermission(PERMISSIONS.SYSTEM_MAINTENANCE),
+  auditService.createAuditMiddleware('INVENTORY_RECONCILE', 'Book', 'HIGH'),
+  booksController.reconcileInventory
+);
+
 module.exports = router;
@@ -9,6 +9,7 @@ const { validationMiddleware } = require('../services/validationService');
 const { PERMISSIONS } = require('../services/rbacService');
 const auditService = require('../services/auditService');
 const borrowsController = require('../controllers/borrowsController');
+const reservationsController = require('../controllers/reservationsController');
 
 const router = express.Router();
 
@@ -26,6 +27,10 @@ const router = express.Router();
  *           format: objectId
  *           description: ID of the book to borrow
  *           example: 507f1f77bcf86cd799439012
+ *         branchId:
+ *           type: string
+ *           format: objectId
+ *           description: Borrow a copy shelved at this branch (defaults to any branch, home branch first)
  *
  *     BorrowResponse:
  *       type: object
@@ -63,6 +68,13 @@ const router = express.Router();
  *                           type: string
  *                         isbn:
  *                           type: string
+ *             dueDate:
+ *               type: string
+ *               format: date-time
+ *             borrowPeriodDays:
+ *               type: integer
+ *             loanPolicy:
+ *               $ref: '#/components/schemas/EffectiveLoanPolicy'
  *
  *     BorrowsListResponse:
  *       type: object
@@ -90,6 +102,70 @@ const router = express.Router();
  *                   type: integer
  *                 overdueBorrows:
  *                   type: integer
+ *
+ *     Reservation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: objectId
+ *         userId:
+ *           type: string
+ *           format: objectId
+ *         bookId:
+ *           type: string
+ *           format: objectId
+ *         status:
+ *           type: string
+ *           enum: [waiting, ready, fulfilled, cancelled, expired]
+ *           description: Hold lifecycle state
+ *         requestedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Position in the FIFO queue is ordered by this timestamp
+ *         readyAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         pickupExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: After this date an uncollected copy rolls to the next patron
+ *         borrowId:
+ *           type: string
+ *           format: objectId
+ *           nullable: true
+ *
+ *     RenewalDenialReason:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           enum: [BORROW_NOT_ACTIVE, RENEWAL_LIMIT_REACHED, OVERDUE_TOO_LONG, HOLDS_PENDING, NO_COPIES_AVAILABLE]
+ *         message:
+ *           type: string
+ *
+ *     CirculationCounts:
+ *       type: object
+ *       properties:
+ *         checkouts:
+ *           type: integer
+ *         returns:
+ *           type: integer
+ *         overdues:
+ *           type: integer
+ *         uniqueBorrowers:
+ *           type: integer
+ *
+ *     CirculationPeriod:
+ *       allOf:
+ *         - type: object
+ *           properties:
+ *             period:
+ *               type: string
+ *               description: Day (2024-03-07), ISO week (2024-W10) or month (2024-03)
+ *         - $ref: '#/components/schemas/CirculationCounts'
  */
 
 // All routes require authentication
@@ -104,10 +180,19 @@ router.use(authenticate);
  *       Create a new borrow record for a book. The user must be authenticated and have borrowing permissions.
  *
  *       **Business Rules:**
- *       - User can borrow maximum 5 books at a time
- *       - Book must be available (available > 0)
+ *       - The loan policy matching the user's role, patron type and the book's category
+ *         sets the loan period, the maximum period and the number of active loans allowed
+ *       - Book must be available (available > 0); with `branchId`, a copy must be on the shelf
+ *         at that branch (`BOOK_NOT_AVAILABLE_AT_BRANCH`)
+ *       - Without `branchId`, a copy at the patron's home branch is taken before any other
  *       - User cannot borrow the same book twice while it's still borrowed
- *       - Due date is automatically set to 30 days from borrow date
+ *       - With `workId` instead of `bookId`, any available edition of the work is lent (one the
+ *         patron has a ready hold on first, then the one with most copies on the shelf),
+ *         optionally limited to a `format`. Fails with `NO_EDITIONS` when the work has none, and
+ *         with `WORK_ALREADY_BORROWED` when the patron has an edition of it on loan. When no
+ *         edition can be lent, the checks of one edition are reported along with its `bookId`,
+ *         on which a hold can be placed
+ *       - Due date defaults to the policy's loan period, at closing time on the next open day
  *
  *       **Required Permission:** `borrow:create`
  *     tags: [Borrowing]
@@ -176,7 +261,21 @@ router.use(authenticate);
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       403:
- *         $ref: '#/components/responses/Forbidden'
+ *         description: |
+ *           Missing permission, or the account is blocked (`ACCOUNT_BLOCKED`). Block reasons:
+ *           `OVERDUE_LIMIT_REACHED`, `LONG_OVERDUE`, `LATE_RETURN_HISTORY`, `MANUAL_BLOCK`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: error
+ *               message: Your account is blocked from borrowing
+ *               code: ACCOUNT_BLOCKED
+ *               reasons:
+ *                 - code: OVERDUE_LIMIT_REACHED
+ *                   message: 3 loans are overdue; borrowing is blocked at 3
+ *                   overridable: true
  *       404:
  *         description: Book not found
  *         content:
@@ -195,6 +294,118 @@ router.post('/',
   borrowsController.borrowBook
 );
 
+/**
+ * @swagger
+ * /api/borrows/desk-checkout:
+ *   post:
+ *     summary: Check out a book to a patron at the desk
+ *     description: |
+ *       Check out a book on behalf of a patron identified by email or library card number.
+ *       The book is identified by ISBN, or by the barcode of the exact copy being handed over.
+ *
+ *       The same checks as self-service borrowing apply. Staff with `borrow:override:limits`
+ *       may waive the borrowing limit (`BORROW_LIMIT_EXCEEDED`), maximum loan period
+ *       (`BORROW_PERIOD_TOO_LONG`) and automatic account standing blocks (`OVERDUE_LIMIT_REACHED`,
+ *       `LONG_OVERDUE`, `LATE_RETURN_HISTORY`) by listing them in `overrides` with an
+ *       `overrideReason`; each override is recorded in the audit log. Availability, duplicate
+ *       loans and librarian blocks (`MANUAL_BLOCK`) cannot be overridden.
+ *
+ *       **Required Permission:** `borrow:desk:checkout`
+ *     tags: [Borrowing]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patron
+ *               - book
+ *             properties:
+ *               patron:
+ *                 type: string
+ *                 description: Patron email or library card number
+ *                 example: P123456700042
+ *               book:
+ *                 type: string
+ *                 description: Book ISBN or copy barcode
+ *                 example: LIB1234567000123
+ *               borrowPeriodDays:
+ *                 type: integer
+ *               branchId:
+ *                 type: string
+ *                 format: objectId
+ *                 description: Branch of the desk; an ISBN checkout takes a copy shelved there
+ *               overrides:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [BORROW_LIMIT_EXCEEDED, BORROW_PERIOD_TOO_LONG, OVERDUE_LIMIT_REACHED, LONG_OVERDUE, LATE_RETURN_HISTORY]
+ *               overrideReason:
+ *                 type: string
+ *                 description: Required when overrides are given
+ *     responses:
+ *       201:
+ *         description: Book checked out successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     borrow:
+ *                       $ref: '#/components/schemas/Borrow'
+ *                     receipt:
+ *                       type: object
+ *                       properties:
+ *                         receiptNumber:
+ *                           type: string
+ *                         checkedOutAt:
+ *                           type: string
+ *                           format: date-time
+ *                         checkedOutBy:
+ *                           type: string
+ *                         patron:
+ *                           type: object
+ *                         item:
+ *                           type: object
+ *                         dueDate:
+ *                           type: string
+ *                           format: date-time
+ *                         timezone:
+ *                           type: string
+ *                         loanPolicy:
+ *                           type: string
+ *                         renewalsAllowed:
+ *                           type: integer
+ *                         overrides:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *       400:
+ *         description: Checkout denied (`CHECKOUT_DENIED` lists the violations) or validation error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Patron or book not found
+ */
+router.post('/desk-checkout',
+  requirePermission(PERMISSIONS.BORROW_DESK_CHECKOUT),
+  validationMiddleware.deskCheckout,
+  auditService.createAuditMiddleware('BORROW_DESK_CHECKOUT', 'Borrow', 'MEDIUM'),
+  borrowsController.deskCheckout
+);
+
 /**
  * @swagger
  * /api/borrows/{id}/return:
@@ -202,6 +413,8 @@ router.post('/',
  *     summary: Return a book
  *     description: |
  *       Mark a borrowed book as returned. Users can return their own borrows, librarians can return any borrow.
+ *       Give the `branchId` the copy was handed back at: it is shelved there (or held there for the next
+ *       patron in the queue) until it is transferred, even if it was checked out elsewhere.
  *
  *       **Required Permission:** `borrow:update:own` (own borrows) or `borrow:update:any` (librarian)
  *     tags: [Borrowing]
@@ -210,6 +423,15 @@ router.post('/',
  *       - CookieAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               branchId:
+ *                 type: string
+ *                 format: objectId
  *     responses:
  *       200:
  *         description: Book returned successfully
@@ -248,6 +470,7 @@ router.post('/',
  */
 router.put('/:id/return',
   requireResourceOwnership('id', PERMISSIONS.BORROW_UPDATE_OWN, PERMISSIONS.BORROW_UPDATE_ANY),
+  validationMiddleware.returnBook,
   auditService.createAuditMiddleware('BORROW_RETURN', 'Borrow', 'MEDIUM'),
   borrowsController.returnBook
 );
@@ -259,6 +482,7 @@ router.put('/:id/return',
  *     summary: Extend due date for a borrow
  *     description: |
  *       Extend the due date for a borrowed book. Only librarians and admins can extend due dates.
+ *       A single extension cannot exceed the maximum loan period of the borrow's loan policy.
  *
  *       **Required Permission:** `borrow:extend`
  *     tags: [Borrowing]
@@ -274,14 +498,12 @@ router.put('/:id/return',
  *           schema:
  *             type: object
  *             properties:
- *               days:
+ *               additionalDays:
  *                 type: integer
  *                 minimum: 1
- *                 maximum: 30
- *                 description: Number of days to extend
+ *                 default: 7
+ *                 description: Number of days to extend (at most the policy's maximum loan period)
  *                 example: 14
- *             required:
- *               - days
  *     responses:
  *       200:
  *         description: Due date extended successfully
@@ -301,16 +523,26 @@ router.put('/:id/return',
  *                   properties:
  *                     borrow:
  *                       $ref: '#/components/schemas/Borrow'
- *                     newDueDate:
- *                       type: string
- *                       format: date-time
- *                       example: '2023-03-15T10:30:00.000Z'
+ *                     extension:
+ *                       type: object
+ *                       properties:
+ *                         oldDueDate:
+ *                           type: string
+ *                           format: date-time
+ *                         newDueDate:
+ *                           type: string
+ *                           format: date-time
+ *                           example: '2023-03-15T10:30:00.000Z'
+ *                         additionalDays:
+ *                           type: integer
+ *                     loanPolicy:
+ *                       $ref: '#/components/schemas/EffectiveLoanPolicy'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       403:
- *         $ref: '#/components/responses/Forbidden'
+ *         description: Missing permission, or the patron's account is blocked (`ACCOUNT_BLOCKED` with its reasons)
  *       404:
  *         $ref: '#/components/responses/NotFound'
  */
@@ -321,6 +553,181 @@ router.put('/:id/extend',
   borrowsController.extendDueDate
 );
 
+/**
+ * @swagger
+ * /api/borrows/{id}/status:
+ *   put:
+ *     summary: Record a lost, damaged or claimed-returned loan
+ *     description: |
+ *       Record what happened to a loan that did not come back normally, or resolve it.
+ *
+ *       - `lost`: the copy leaves the collection and its replacement cost is charged
+ *         (the book's `replacementCost`, otherwise `DEFAULT_REPLACEMENT_COST`)
+ *       - `damaged`: the copy is back but sent for repair or withdrawn; withdrawn copies
+ *         are charged the replacement cost, repairs only the `amount` given
+ *       - `claimed_returned`: the patron says it was returned; fines stop at the claim date
+ *         while the copy is searched for
+ *       - `returned`: confirm a claimed return, or record that a lost copy was found
+ *         (any unpaid replacement charge is waived)
+ *
+ *       Overdue fines up to the change are kept. Every change is kept in `statusChanges`.
+ *
+ *       **Required Permission:** `borrow:status:manage`
+ *     tags: [Borrowing]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [lost, damaged, claimed_returned, returned]
+ *               amount:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Charge instead of the replacement cost
+ *               disposition:
+ *                 type: string
+ *                 enum: [repair, withdraw]
+ *                 default: withdraw
+ *                 description: What happens to a damaged copy
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *           example:
+ *             status: damaged
+ *             disposition: repair
+ *             amount: 8
+ *             note: Water damage to cover
+ *     responses:
+ *       200:
+ *         description: Borrow status updated successfully
+ *       400:
+ *         description: Validation error or a change not allowed from the current status (`INVALID_STATUS_TRANSITION`)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The loan changed while the request was processed (`BORROW_STATUS_CONFLICT`)
+ */
+router.put('/:id/status',
+  requirePermission(PERMISSIONS.BORROW_STATUS_MANAGE),
+  validationMiddleware.borrowStatus,
+  auditService.createAuditMiddleware('BORROW_STATUS_CHANGE', 'Borrow', 'HIGH'),
+  borrowsController.updateBorrowStatus
+);
+
+/**
+ * @swagger
+ * /api/borrows/{id}/renewal-eligibility:
+ *   get:
+ *     summary: Check renewal eligibility
+ *     description: |
+ *       Report whether a borrow can be renewed and, if not, every reason it would be denied.
+ *
+ *       **Denial codes:** `BORROW_NOT_ACTIVE`, `RENEWAL_LIMIT_REACHED`, `OVERDUE_TOO_LONG`,
+ *       `HOLDS_PENDING`, `NO_COPIES_AVAILABLE`
+ *     tags: [Borrowing]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Renewal eligibility retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     eligible:
+ *                       type: boolean
+ *                     reasons:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RenewalDenialReason'
+ *                     renewalCount:
+ *                       type: integer
+ *                     renewalsRemaining:
+ *                       type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/renewal-eligibility', borrowsController.getRenewalEligibility);
+
+/**
+ * @swagger
+ * /api/borrows/{id}/renew:
+ *   post:
+ *     summary: Renew a borrow
+ *     description: |
+ *       Self-service renewal for the borrower. Extends the due date by the default loan period
+ *       (from today or the current due date, whichever is later).
+ *
+ *       **Business Rules:**
+ *       - At most `MAX_RENEWAL_COUNT` renewals per borrow (default 2)
+ *       - Items more than `RENEWAL_OVERDUE_LIMIT_DAYS` overdue cannot be renewed (default 3)
+ *       - Titles with patrons in the hold queue or no other copies available cannot be renewed
+ *
+ *       **Required Permission:** `borrow:update:own` (own borrows) or `borrow:update:any` (librarian)
+ *     tags: [Borrowing]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Borrow renewed successfully
+ *       400:
+ *         description: Renewal denied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: error
+ *               message: Renewal denied
+ *               code: RENEWAL_DENIED
+ *               reasons:
+ *                 - code: RENEWAL_LIMIT_REACHED
+ *                   message: This borrow has already been renewed the maximum of 2 times
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/renew',
+  requireResourceOwnership('id', PERMISSIONS.BORROW_UPDATE_OWN, PERMISSIONS.BORROW_UPDATE_ANY),
+  auditService.createAuditMiddleware('BORROW_RENEW', 'Borrow', 'LOW'),
+  borrowsController.renewBorrow
+);
+
 /**
  * @swagger
  * /api/borrows/my-borrows:
@@ -406,11 +813,19 @@ router.get('/my-overdue', borrowsController.getMyOverdueBorrows);
  * /api/borrows/stats/overview:
  *   get:
  *     summary: Get borrow statistics
- *     description: Retrieve comprehensive borrowing statistics for librarians and admins.
+ *     description: |
+ *       Retrieve comprehensive borrowing statistics for librarians and admins, with checkouts
+ *       per branch. Pass `branchId` to count only loans checked out at that branch.
  *     tags: [Borrowing]
  *     security:
  *       - BearerAuth: []
  *       - CookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: objectId
  *     responses:
  *       200:
  *         description: Borrow statistics retrieved successfully
@@ -447,6 +862,173 @@ router.get('/my-overdue', borrowsController.getMyOverdueBorrows);
  */
 router.get('/stats/overview', requireLibrarian, borrowsController.getBorrowStats);
 
+/**
+ * @swagger
+ * /api/borrows/reports/lost:
+ *   get:
+ *     summary: Lost items report
+ *     description: |
+ *       Copies recorded as lost per day, week or month (in the library's timezone), with
+ *       replacement charges, how many are still lost, and a breakdown by category.
+ *
+ *       **Required Permission:** `borrow:stats`
+ *     tags: [Borrowing]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: month
+ *     responses:
+ *       200:
+ *         description: Lost items report retrieved successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/reports/lost', requirePermission(PERMISSIONS.BORROW_STATS), borrowsController.getLostItemsReport);
+
+/**
+ * @swagger
+ * /api/borrows/reports/circulation:
+ *   get:
+ *     summary: Circulation analytics
+ *     description: |
+ *       Checkouts, returns, loans going overdue and unique borrowers per day, week or month
+ *       (in the library's timezone). Checkouts count in the period of their borrow date, returns
+ *       in that of their return date and overdues in that of the due date a loan was not back by.
+ *       Every period in the range is listed, including those without activity.
+ *
+ *       Use `breakdown` to split each series by book category, borrower role or branch (returns
+ *       count at the branch the copy came back to), and `format=csv` to download the series.
+ *       Without `from` the report covers the last 30 days, 12 weeks or 12 months.
+ *
+ *       **Required Permission:** `borrow:stats`
+ *     tags: [Borrowing]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: week
+ *       - in: query
+ *         name: breakdown
+ *         schema:
+ *           type: string
+ *           enum: [category, role, branch]
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: Only count loans checked out (or returned) at this branch
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Circulation report retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     groupBy:
+ *                       type: string
+ *                     breakdown:
+ *                       type: string
+ *                       nullable: true
+ *                     timezone:
+ *                       type: string
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                     totals:
+ *                       $ref: '#/components/schemas/CirculationCounts'
+ *                     periods:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CirculationPeriod'
+ *                     groups:
+ *                       type: array
+ *                       nullable: true
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           key:
+ *                             type: string
+ *                             nullable: true
+ *                           label:
+ *                             type: string
+ *                           totals:
+ *                             $ref: '#/components/schemas/CirculationCounts'
+ *                           periods:
+ *                             type: array
+ *                             items:
+ *                               $ref: '#/components/schemas/CirculationPeriod'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               example: "period,checkouts,returns,overdues,unique_borrowers\r\n2024-W10,42,38,3,29\r\n"
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/reports/circulation',
+  requirePermission(PERMISSIONS.BORROW_STATS),
+  validationMiddleware.circulationReport,
+  borrowsController.getCirculationReport
+);
+
 /**
  * @swagger
  * /api/borrows/overdue:
@@ -576,12 +1158,183 @@ router.post('/update-overdue', requireLibrarian, borrowsController.updateOverdue
  */
 router.get('/book/:bookId/active', requireLibrarian, borrowsController.getActiveBorrowsByBook);
 
+/**
+ * @swagger
+ * /api/borrows/holds:
+ *   post:
+ *     summary: Place a hold on a book
+ *     description: |
+ *       Join the FIFO hold queue for a book that currently has no available copies.
+ *       When a copy is returned it is set aside for the first patron in the queue, who then
+ *       has `HOLD_PICKUP_DAYS` (default 3) days to borrow it before it rolls to the next patron.
+ *
+ *       **Required Permission:** `borrow:create`
+ *     tags: [Borrowing]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BorrowRequest'
+ *     responses:
+ *       201:
+ *         description: Hold placed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reservation:
+ *                       $ref: '#/components/schemas/Reservation'
+ *                     queuePosition:
+ *                       type: integer
+ *                       example: 2
+ *       400:
+ *         description: Book is available, already borrowed, already held, or hold limit reached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/holds',
+  requirePermission(PERMISSIONS.BORROW_CREATE),
+  validationMiddleware.placeHold,
+  auditService.createAuditMiddleware('HOLD_CREATE', 'Reservation', 'LOW'),
+  reservationsController.placeHold
+);
+
+/**
+ * @swagger
+ * /api/borrows/holds/my:
+ *   get:
+ *     summary: Get user's holds
+ *     description: Retrieve the authenticated user's holds with their current queue position.
+ *     tags: [Borrowing]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [open, all, waiting, ready, fulfilled, cancelled, expired]
+ *           default: open
+ *     responses:
+ *       200:
+ *         description: Holds retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/holds/my', reservationsController.getMyHolds);
+
+/**
+ * @swagger
+ * /api/borrows/holds/book/{bookId}:
+ *   get:
+ *     summary: Get the hold queue for a book
+ *     description: Retrieve the FIFO hold queue for a book. Uncollected pickups are expired by the maintenance job or POST /api/borrows/holds/expire.
+ *     tags: [Borrowing]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - name: bookId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *     responses:
+ *       200:
+ *         description: Hold queue retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/holds/book/:bookId', requireLibrarian, reservationsController.getBookQueue);
+
+/**
+ * @swagger
+ * /api/borrows/holds/expire:
+ *   post:
+ *     summary: Expire uncollected pickups
+ *     description: Mark ready holds past their pickup date as expired and roll each copy to the next patron in the queue.
+ *     tags: [Borrowing]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Expired pickups processed successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/holds/expire',
+  requireLibrarian,
+  auditService.createAuditMiddleware('HOLD_EXPIRE', 'Reservation', 'LOW'),
+  reservationsController.expireStalePickups
+);
+
+/**
+ * @swagger
+ * /api/borrows/holds/{id}:
+ *   delete:
+ *     summary: Cancel a hold
+ *     description: |
+ *       Cancel a waiting or ready hold. Cancelling a ready hold passes the copy to the next patron in the queue.
+ *
+ *       **Required Permission:** `borrow:update:own` (own holds) or `borrow:update:any` (librarian)
+ *     tags: [Borrowing]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Hold cancelled successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The hold was closed by another request (HOLD_CONFLICT)
+ */
+router.delete('/holds/:id',
+  requireResourceOwnership('id', PERMISSIONS.BORROW_UPDATE_OWN, PERMISSIONS.BORROW_UPDATE_ANY),
+  auditService.createAuditMiddleware('HOLD_CANCEL', 'Reservation', 'LOW'),
+  reservationsController.cancelHold
+);
+
 /**
  * @swagger
  * /api/borrows:
  *   get:
  *     summary: Get all borrows
- *     description: Retrieve all borrows in the system with pagination (Librarian only).
+ *     description: Retrieve all borrows in the system, newest first, by page number or cursor (Librarian only).
  *     tags: [Borrowing]
  *     security:
  *       - BearerAuth: []
@@ -589,6 +1342,14 @@ router.get('/book/:bookId/active', requireLibrarian, borrowsController.getActive
  *     parameters:
  *       - $ref: '#/components/parameters/PageParam'
  *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *       - $ref: '#/components/parameters/BeforeParam'
+ *       - in: query
+ *         name: branchId
+ *         description: Only loans checked out at this branch
+ *         schema:
+ *           type: string
+ *           format: objectId
  *     responses:
  *       200:
  *         description: All borrows retrieved successfully
@@ -612,12 +1373,14 @@ router.get('/book/:bookId/active', requireLibrarian, borrowsController.getActive
  *                         $ref: '#/components/schemas/Borrow'
  *                     pagination:
  *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters, or a cursor that is malformed or made for another sort (INVALID_CURSOR)
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       403:
  *         $ref: '#/components/responses/Forbidden'
  */
-router.get('/', requireLibrarian, validationMiddleware.pagination, borrowsController.getAllBorrows);
+router.get('/', requireLibrarian, validationMiddleware.cursorPagination, borrowsController.getAllBorrows);
 
 /**
  * @swagger
@@ -0,0 +1,432 @@
+const express = require('express');
+const {
+  authenticate,
+  requirePermission
+} = require('../middleware/auth');
+const { validationMiddleware } = require('../services/validationService');
+const { PERMISSIONS } = require('../services/rbacService');
+const auditService = require('../services/auditService');
+const branchesController = require('../controllers/branchesController');
+const transfersController = require('../controllers/transfersController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Branch:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: objectId
+ *         name:
+ *           type: string
+ *           example: Eastside Library
+ *         code:
+ *           type: string
+ *           description: Short code printed on transit slips
+ *           example: EAST
+ *         address:
+ *           type: string
+ *           nullable: true
+ *         phone:
+ *           type: string
+ *           nullable: true
+ *         email:
+ *           type: string
+ *           format: email
+ *           nullable: true
+ *         isActive:
+ *           type: boolean
+ *           description: Inactive branches cannot receive copies or lend them out
+ *
+ *     Transfer:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: objectId
+ *         itemId:
+ *           type: string
+ *           format: objectId
+ *         bookId:
+ *           type: string
+ *           format: objectId
+ *         fromBranchId:
+ *           type: string
+ *           format: objectId
+ *           nullable: true
+ *           description: Null for copies that had not been assigned to a branch
+ *         toBranchId:
+ *           type: string
+ *           format: objectId
+ *         status:
+ *           type: string
+ *           enum: [in_transit, received, cancelled]
+ *         note:
+ *           type: string
+ *           nullable: true
+ *         sentBy:
+ *           type: string
+ *           format: objectId
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *         receivedBy:
+ *           type: string
+ *           format: objectId
+ *           nullable: true
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *
+ *     BranchAvailability:
+ *       type: object
+ *       description: Copies of a title at one branch (copies in transit count at the branch they left)
+ *       properties:
+ *         branchId:
+ *           type: string
+ *           format: objectId
+ *           nullable: true
+ *           description: Null for copies not yet assigned to a branch
+ *         quantity:
+ *           type: integer
+ *         available:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /api/branches:
+ *   get:
+ *     summary: List branches
+ *     description: List active library branches, e.g. to choose a home branch or where to borrow.
+ *     tags: [Branches]
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Branches retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     branches:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Branch'
+ *                     count:
+ *                       type: integer
+ *   post:
+ *     summary: Create a branch
+ *     description: |
+ *       **Required Permission:** `branch:manage`
+ *     tags: [Branches]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Branch'
+ *           example:
+ *             name: Eastside Library
+ *             code: EAST
+ *             address: 12 Market Street
+ *     responses:
+ *       201:
+ *         description: Branch created successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', branchesController.getBranches);
+router.post('/',
+  authenticate,
+  requirePermission(PERMISSIONS.BRANCH_MANAGE),
+  validationMiddleware.branch,
+  auditService.createAuditMiddleware('BRANCH_CREATE', 'Branch', 'MEDIUM'),
+  branchesController.createBranch
+);
+
+/**
+ * @swagger
+ * /api/branches/transfers:
+ *   get:
+ *     summary: List copy transfers
+ *     description: |
+ *       List transfers between branches, oldest first while in transit. Filter by `branchId`
+ *       with `direction=incoming` for copies to receive or `direction=outgoing` for copies sent.
+ *
+ *       **Required Permission:** `item:read`
+ *     tags: [Branches]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [in_transit, received, cancelled]
+ *           default: in_transit
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [incoming, outgoing]
+ *     responses:
+ *       200:
+ *         description: Transfers retrieved successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Send a copy to another branch
+ *     description: |
+ *       Take a copy off the shelf and put it in transit to another branch. Only copies that are
+ *       `available` can be sent; the copy stops counting as available until it is received.
+ *
+ *       **Required Permission:** `item:transfer`
+ *     tags: [Branches]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - toBranchId
+ *             properties:
+ *               itemId:
+ *                 type: string
+ *                 format: objectId
+ *               barcode:
+ *                 type: string
+ *                 description: Alternative to itemId
+ *               toBranchId:
+ *                 type: string
+ *                 format: objectId
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Copy sent in transit
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Copy was lent out or sent elsewhere meanwhile (COPY_NOT_AVAILABLE)
+ */
+router.get('/transfers',
+  authenticate,
+  requirePermission(PERMISSIONS.ITEM_READ),
+  validationMiddleware.transferQuery,
+  transfersController.getTransfers
+);
+router.post('/transfers',
+  authenticate,
+  requirePermission(PERMISSIONS.ITEM_TRANSFER),
+  validationMiddleware.createTransfer,
+  auditService.createAuditMiddleware('ITEM_TRANSFER_SEND', 'Transfer', 'LOW'),
+  transfersController.createTransfer
+);
+
+/**
+ * @swagger
+ * /api/branches/transfers/{id}/receive:
+ *   put:
+ *     summary: Receive a copy
+ *     description: |
+ *       Record a copy as arrived at its destination branch. It joins that branch's holdings
+ *       and goes straight to the hold shelf if a patron is waiting for the title.
+ *
+ *       **Required Permission:** `item:transfer`
+ *     tags: [Branches]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Copy received
+ *       400:
+ *         description: Transfer is not in transit (TRANSFER_CLOSED)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Transfer was closed by another request
+ */
+router.put('/transfers/:id/receive',
+  authenticate,
+  requirePermission(PERMISSIONS.ITEM_TRANSFER),
+  auditService.createAuditMiddleware('ITEM_TRANSFER_RECEIVE', 'Transfer', 'LOW'),
+  transfersController.receiveTransfer
+);
+
+/**
+ * @swagger
+ * /api/branches/transfers/{id}/cancel:
+ *   put:
+ *     summary: Cancel a transfer
+ *     description: |
+ *       Recall a copy in transit; it goes back into circulation at the branch it was sent from.
+ *
+ *       **Required Permission:** `item:transfer`
+ *     tags: [Branches]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled
+ *       400:
+ *         description: Transfer is not in transit (TRANSFER_CLOSED)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Transfer was closed by another request
+ */
+router.put('/transfers/:id/cancel',
+  authenticate,
+  requirePermission(PERMISSIONS.ITEM_TRANSFER),
+  auditService.createAuditMiddleware('ITEM_TRANSFER_CANCEL', 'Transfer', 'LOW'),
+  transfersController.cancelTransfer
+);
+
+/**
+ * @swagger
+ * /api/branches/{id}:
+ *   get:
+ *     summary: Get branch by ID
+ *     description: |
+ *       Retrieve a branch with a summary of its holdings (titles, copies by status, copies in
+ *       transit to and from it), its open loans and the number of patrons based there.
+ *     tags: [Branches]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Branch retrieved successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   put:
+ *     summary: Update a branch
+ *     description: |
+ *       Update branch details or deactivate it. A branch cannot be deactivated while copies
+ *       are in transit to it.
+ *
+ *       **Required Permission:** `branch:manage`
+ *     tags: [Branches]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Branch'
+ *     responses:
+ *       200:
+ *         description: Branch updated successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   delete:
+ *     summary: Delete a branch
+ *     description: |
+ *       Only branches that no copy, loan, patron or transfer refers to can be deleted;
+ *       deactivate others instead (BRANCH_IN_USE).
+ *
+ *       **Required Permission:** `branch:manage`
+ *     tags: [Branches]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Branch deleted successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id', branchesController.getBranchById);
+router.put('/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.BRANCH_MANAGE),
+  validationMiddleware.branch,
+  auditService.createAuditMiddleware('BRANCH_UPDATE', 'Branch', 'MEDIUM'),
+  branchesController.updateBranch
+);
+router.delete('/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.BRANCH_MANAGE),
+  auditService.createAuditMiddleware('BRANCH_DELETE', 'Branch', 'HIGH'),
+  branchesController.deleteBranch
+);
+
+module.exports = router;
@@ -0,0 +1,253 @@
+const express = require('express');
+const {
+  authenticate,
+  requirePermission
+} = require('../middleware/auth');
+const { validationMiddleware } = require('../services/validationService');
+const { PERMISSIONS } = require('../services/rbacService');
+const auditService = require('../services/auditService');
+const calendarController = require('../controllers/calendarController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OpeningHours:
+ *       type: object
+ *       properties:
+ *         dayOfWeek:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 6
+ *           description: 0 = Sunday, 6 = Saturday
+ *         closed:
+ *           type: boolean
+ *         open:
+ *           type: string
+ *           example: '09:00'
+ *           nullable: true
+ *         close:
+ *           type: string
+ *           example: '18:00'
+ *           nullable: true
+ *
+ *     CalendarException:
+ *       type: object
+ *       required:
+ *         - date
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *           example: '2026-12-25'
+ *         name:
+ *           type: string
+ *           example: Christmas Day
+ *         closed:
+ *           type: boolean
+ *           default: true
+ *           description: Closed all day, or open with the special hours below
+ *         open:
+ *           type: string
+ *           nullable: true
+ *         close:
+ *           type: string
+ *           nullable: true
+ *
+ *     LibraryCalendar:
+ *       type: object
+ *       properties:
+ *         timezone:
+ *           type: string
+ *           example: Europe/London
+ *         openingHours:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OpeningHours'
+ *         exceptions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CalendarException'
+ */
+
+/**
+ * @swagger
+ * /api/calendar:
+ *   get:
+ *     summary: Get the library calendar
+ *     description: |
+ *       Weekly opening hours, upcoming holidays and special hours, and today's hours.
+ *       Loans fall due at closing time; due days the library is closed roll forward to the
+ *       next open day, and closed days are not charged as late.
+ *     tags: [Calendar]
+ *     responses:
+ *       200:
+ *         description: Library calendar retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     calendar:
+ *                       $ref: '#/components/schemas/LibraryCalendar'
+ *                     today:
+ *                       type: object
+ *   put:
+ *     summary: Update the library calendar
+ *     description: |
+ *       Change the timezone and weekly opening hours. Days left out of `openingHours` keep
+ *       their current hours.
+ *
+ *       **Required Permission:** `calendar:manage`
+ *     tags: [Calendar]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               timezone:
+ *                 type: string
+ *               openingHours:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/OpeningHours'
+ *           example:
+ *             timezone: Europe/London
+ *             openingHours:
+ *               - dayOfWeek: 0
+ *                 closed: true
+ *               - dayOfWeek: 6
+ *                 open: '10:00'
+ *                 close: '16:00'
+ *     responses:
+ *       200:
+ *         description: Library calendar updated successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', calendarController.getCalendar);
+router.put('/',
+  authenticate,
+  requirePermission(PERMISSIONS.CALENDAR_MANAGE),
+  validationMiddleware.updateCalendar,
+  auditService.createAuditMiddleware('CALENDAR_UPDATE', 'System', 'MEDIUM'),
+  calendarController.updateCalendar
+);
+
+/**
+ * @swagger
+ * /api/calendar/schedule:
+ *   get:
+ *     summary: Get opening hours by day
+ *     description: Opening hours for each day in a range of up to 92 days (defaults to the next two weeks).
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Library schedule retrieved successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+router.get('/schedule', calendarController.getSchedule);
+
+/**
+ * @swagger
+ * /api/calendar/exceptions:
+ *   post:
+ *     summary: Add a holiday or special hours
+ *     description: |
+ *       Close the library on a date or set special hours for it. Replaces any existing
+ *       exception for the same date.
+ *
+ *       **Required Permission:** `calendar:manage`
+ *     tags: [Calendar]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CalendarException'
+ *     responses:
+ *       201:
+ *         description: Calendar exception saved successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/exceptions',
+  authenticate,
+  requirePermission(PERMISSIONS.CALENDAR_MANAGE),
+  validationMiddleware.calendarException,
+  auditService.createAuditMiddleware('CALENDAR_UPDATE', 'System', 'MEDIUM'),
+  calendarController.upsertException
+);
+
+/**
+ * @swagger
+ * /api/calendar/exceptions/{date}:
+ *   delete:
+ *     summary: Remove a holiday or special hours
+ *     description: |
+ *       **Required Permission:** `calendar:manage`
+ *     tags: [Calendar]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Calendar exception removed successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete('/exceptions/:date',
+  authenticate,
+  requirePermission(PERMISSIONS.CALENDAR_MANAGE),
+  auditService.createAuditMiddleware('CALENDAR_UPDATE', 'System', 'MEDIUM'),
+  calendarController.deleteException
+);
+
+module.exports = router;
@@ -0,0 +1,352 @@
+const express = require('express');
+const {
+  authenticate,
+  requirePermission
+} = require('../middleware/auth');
+const { validationMiddleware } = require('../services/validationService');
+const { PERMISSIONS } = require('../services/rbacService');
+const auditService = require('../services/auditService');
+const finesController = require('../controllers/finesController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FineTransaction:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [charge, payment, waiver]
+ *         amount:
+ *           type: number
+ *           example: 0.75
+ *         method:
+ *           type: string
+ *           enum: [cash, card, online, other]
+ *           nullable: true
+ *         note:
+ *           type: string
+ *           nullable: true
+ *           description: Payment note, waiver reason, or accrual description
+ *         recordedBy:
+ *           type: string
+ *           format: objectId
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     Fine:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: objectId
+ *         userId:
+ *           type: string
+ *           format: objectId
+ *         borrowId:
+ *           type: string
+ *           format: objectId
+ *         bookId:
+ *           type: string
+ *           format: objectId
+ *         dailyRate:
+ *           type: number
+ *           example: 0.25
+ *         maxAmount:
+ *           type: number
+ *           example: 10
+ *         daysLate:
+ *           type: integer
+ *           example: 3
+ *         amount:
+ *           type: number
+ *           description: Total accrued charge
+ *           example: 0.75
+ *         amountPaid:
+ *           type: number
+ *           example: 0.5
+ *         amountWaived:
+ *           type: number
+ *           example: 0
+ *         balance:
+ *           type: number
+ *           example: 0.25
+ *         status:
+ *           type: string
+ *           enum: [outstanding, partially_paid, paid, waived]
+ *         accruing:
+ *           type: boolean
+ *           description: True while the borrow is still out and the charge keeps growing
+ *         transactions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/FineTransaction'
+ *
+ *     FineTotals:
+ *       type: object
+ *       properties:
+ *         count:
+ *           type: integer
+ *         totalAccrued:
+ *           type: number
+ *         totalPaid:
+ *           type: number
+ *         totalWaived:
+ *           type: number
+ *         balance:
+ *           type: number
+ */
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/fines/my:
+ *   get:
+ *     summary: Get user's fines
+ *     description: Retrieve the authenticated user's overdue fines together with balance totals.
+ *     tags: [Fines]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [all, open, outstanding, partially_paid, paid, waived]
+ *           default: all
+ *     responses:
+ *       200:
+ *         description: Fines retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     fines:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Fine'
+ *                     totals:
+ *                       $ref: '#/components/schemas/FineTotals'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/my', requirePermission(PERMISSIONS.FINE_READ_OWN), finesController.getMyFines);
+
+/**
+ * @swagger
+ * /api/fines/accrue:
+ *   post:
+ *     summary: Accrue fines for overdue borrows
+ *     description: |
+ *       Create or update fines for every borrow currently past its due date using the configured
+ *       `FINE_DAILY_RATE` and `FINE_MAX_AMOUNT`.
+ *
+ *       **Required Permission:** `borrow:overdue:manage`
+ *     tags: [Fines]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Fines accrued successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/accrue',
+  requirePermission(PERMISSIONS.BORROW_OVERDUE_MANAGE),
+  auditService.createAuditMiddleware('FINE_ACCRUE', 'Fine', 'LOW'),
+  finesController.accrueFines
+);
+
+/**
+ * @swagger
+ * /api/fines:
+ *   get:
+ *     summary: Get all fines
+ *     description: |
+ *       Retrieve fines across all patrons with pagination and balance totals for the filtered set.
+ *
+ *       **Required Permission:** `fine:read:all`
+ *     tags: [Fines]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [all, open, outstanding, partially_paid, paid, waived]
+ *       - name: userId
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *       - name: bookId
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *     responses:
+ *       200:
+ *         description: Fines retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/',
+  requirePermission(PERMISSIONS.FINE_READ_ALL),
+  validationMiddleware.pagination,
+  finesController.getAllFines
+);
+
+/**
+ * @swagger
+ * /api/fines/{id}:
+ *   get:
+ *     summary: Get fine by ID
+ *     description: Retrieve a fine with its full transaction ledger. Borrowers can only view their own fines.
+ *     tags: [Fines]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Fine retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id', finesController.getFineById);
+
+/**
+ * @swagger
+ * /api/fines/{id}/payments:
+ *   post:
+ *     summary: Record a payment
+ *     description: |
+ *       Record a full or partial payment against a fine. The amount cannot exceed the outstanding balance.
+ *
+ *       **Required Permission:** `fine:payment:record`
+ *     tags: [Fines]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 2.5
+ *               method:
+ *                 type: string
+ *                 enum: [cash, card, online, other]
+ *                 default: cash
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Payment recorded successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/payments',
+  requirePermission(PERMISSIONS.FINE_PAYMENT_RECORD),
+  validationMiddleware.recordFinePayment,
+  auditService.createAuditMiddleware('FINE_PAYMENT', 'Fine', 'MEDIUM'),
+  finesController.recordPayment
+);
+
+/**
+ * @swagger
+ * /api/fines/{id}/waive:
+ *   post:
+ *     summary: Waive a fine
+ *     description: |
+ *       Waive part or all of a fine's outstanding balance. A reason is required and is recorded
+ *       in both the fine ledger and the audit log. Omit `amount` to waive the full balance.
+ *
+ *       **Required Permission:** `fine:waive`
+ *     tags: [Fines]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 1.5
+ *               reason:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 500
+ *                 example: Patron was hospitalised during the loan period
+ *     responses:
+ *       200:
+ *         description: Fine waived successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/waive',
+  requirePermission(PERMISSIONS.FINE_WAIVE),
+  validationMiddleware.waiveFine,
+  auditService.createAuditMiddleware('FINE_WAIVE', 'Fine', 'HIGH'),
+  finesController.waiveFine
+);
+
+module.exports = router;
@@ -7,10 +7,19 @@
  */
 
 const authRoutes = require('./auth');
+const authorsRoutes = require('./authors');
+const worksRoutes = require('./works');
 const booksRoutes = require('./books');
+const branchesRoutes = require('./branches');
 const borrowsRoutes = require('./borrows');
+const calendarRoutes = require('./calendar');
 const categoriesRoutes = require('./categories');
 const contactRoutes = require('./contact');
+const finesRoutes = require('./fines');
+const itemsRoutes = require('./items');
+const jobsRoutes = require('./jobs');
+const loanPoliciesRoutes = require('./loanPolicies');
+const notificationsRoutes = require('./notifications');
 const reviewsRoutes = require('./reviews');
 const usersRoutes = require('./users');
 const rbacRoutes = require('./rbac');
@@ -22,10 +31,19 @@ const seedRoutes = require('./seed');
  */
 module.exports = {
   authRoutes,
+  authorsRoutes,
+  worksRoutes,
   booksRoutes,
+  branchesRoutes,
   borrowsRoutes,
+  calendarRoutes,
   categoriesRoutes,
   contactRoutes,
+  finesRoutes,
+  itemsRoutes,
+  jobsRoutes,
+  loanPoliciesRoutes,
+  notificationsRoutes,
   reviewsRoutes,
   usersRoutes,
   rbacRoutes,
@@ -0,0 +1,303 @@
+const express = require('express');
+const {
+  authenticate,
+  requirePermission
+} = require('../middleware/auth');
+const { validationMiddleware } = require('../services/validationService');
+const { PERMISSIONS } = require('../services/rbacService');
+const auditService = require('../services/auditService');
+const itemsController = require('../controllers/itemsController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Item:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: objectId
+ *         bookId:
+ *           type: string
+ *           format: objectId
+ *         barcode:
+ *           type: string
+ *           example: LIB4821937052611
+ *         branchId:
+ *           type: string
+ *           format: objectId
+ *           nullable: true
+ *           description: Branch currently holding the copy (for copies in transit, the branch it left)
+ *         shelfLocation:
+ *           type: string
+ *           nullable: true
+ *           example: FIC LEE
+ *         condition:
+ *           type: string
+ *           enum: [new, good, fair, poor, damaged]
+ *         acquisitionDate:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [available, on_loan, on_hold, in_transit, in_repair, lost, withdrawn]
+ *           description: |
+ *             Book.available counts copies that are `available`; Book.quantity counts every copy
+ *             except `lost` and `withdrawn`.
+ *         currentBorrowId:
+ *           type: string
+ *           format: objectId
+ *           nullable: true
+ *         notes:
+ *           type: string
+ *           nullable: true
+ */
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/items:
+ *   get:
+ *     summary: Get copies
+ *     description: |
+ *       List physical copies with optional filters.
+ *
+ *       **Required Permission:** `item:read`
+ *     tags: [Copies]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - name: bookId
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *       - name: branchId
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [available, on_loan, on_hold, in_transit, in_repair, lost, withdrawn]
+ *       - name: condition
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [new, good, fair, poor, damaged]
+ *     responses:
+ *       200:
+ *         description: Copies retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/',
+  requirePermission(PERMISSIONS.ITEM_READ),
+  validationMiddleware.itemQuery,
+  itemsController.getAllItems
+);
+
+/**
+ * @swagger
+ * /api/items:
+ *   post:
+ *     summary: Add copies of a book
+ *     description: |
+ *       Register new physical copies. Give a `barcode` to register a single pre-labelled copy,
+ *       or a `count` to generate barcodes. Books still tracked only by their counters get copy
+ *       records for their existing stock first.
+ *
+ *       **Required Permission:** `item:create`
+ *     tags: [Copies]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bookId
+ *             properties:
+ *               bookId:
+ *                 type: string
+ *                 format: objectId
+ *               branchId:
+ *                 type: string
+ *                 format: objectId
+ *                 description: Branch the new copies are shelved at
+ *               barcode:
+ *                 type: string
+ *               count:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 default: 1
+ *               shelfLocation:
+ *                 type: string
+ *               condition:
+ *                 type: string
+ *                 enum: [new, good, fair, poor, damaged]
+ *               acquisitionDate:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Copies added successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/',
+  requirePermission(PERMISSIONS.ITEM_CREATE),
+  validationMiddleware.createItem,
+  auditService.createAuditMiddleware('ITEM_CREATE', 'Item', 'MEDIUM'),
+  itemsController.createItems
+);
+
+/**
+ * @swagger
+ * /api/items/barcode/{barcode}:
+ *   get:
+ *     summary: Get copy by barcode
+ *     description: |
+ *       Look up a copy by its barcode, including the borrow it is currently out on.
+ *
+ *       **Required Permission:** `item:read`
+ *     tags: [Copies]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - name: barcode
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Copy retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/barcode/:barcode',
+  requirePermission(PERMISSIONS.ITEM_READ),
+  itemsController.getItemByBarcode
+);
+
+/**
+ * @swagger
+ * /api/items/{id}:
+ *   get:
+ *     summary: Get copy by ID
+ *     description: |
+ *       Retrieve a copy with its current borrow and its 20 most recent loans.
+ *
+ *       **Required Permission:** `item:read`
+ *     tags: [Copies]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Copy retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id',
+  requirePermission(PERMISSIONS.ITEM_READ),
+  itemsController.getItemById
+);
+
+/**
+ * @swagger
+ * /api/items/{id}:
+ *   put:
+ *     summary: Update a copy
+ *     description: |
+ *       Update shelf location, condition or notes, or move a copy between `available`,
+ *       `in_repair` and `withdrawn`. Copies on loan, on the hold shelf or in transit change
+ *       status through circulation only. `branchId` can only be set on copies not yet assigned
+ *       to a branch; move other copies with a transfer (TRANSFER_REQUIRED).
+ *
+ *       **Required Permission:** `item:update`
+ *     tags: [Copies]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               branchId:
+ *                 type: string
+ *                 format: objectId
+ *               shelfLocation:
+ *                 type: string
+ *               condition:
+ *                 type: string
+ *                 enum: [new, good, fair, poor, damaged]
+ *               acquisitionDate:
+ *                 type: string
+ *                 format: date
+ *               status:
+ *                 type: string
+ *                 enum: [available, in_repair, withdrawn]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Copy updated successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put('/:id',
+  requirePermission(PERMISSIONS.ITEM_UPDATE),
+  validationMiddleware.updateItem,
+  auditService.createAuditMiddleware('ITEM_UPDATE', 'Item', 'LOW'),
+  itemsController.updateItem
+);
+
+module.exports = router;
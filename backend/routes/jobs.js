@@ -0,0 +1,283 @@
+const express = require('express');
+const {
+  authenticate,
+  requirePermission
+} = require('../middleware/auth');
+const { validationMiddleware } = require('../services/validationService');
+const { PERMISSIONS } = require('../services/rbacService');
+const auditService = require('../services/auditService');
+const jobsController = require('../controllers/jobsController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScheduledJob:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: overdue-sweep
+ *         description:
+ *           type: string
+ *         schedule:
+ *           type: string
+ *           description: Five-field cron expression (server local time)
+ *           example: '*\/15 * * * *'
+ *         options:
+ *           type: object
+ *         paused:
+ *           type: boolean
+ *         pausedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         running:
+ *           type: boolean
+ *         lockedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Instance currently running the job
+ *         lastRunAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastStatus:
+ *           type: string
+ *           enum: [succeeded, failed]
+ *           nullable: true
+ *         nextRunAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     JobRun:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: objectId
+ *         jobName:
+ *           type: string
+ *         trigger:
+ *           type: string
+ *           enum: [schedule, manual]
+ *         triggeredBy:
+ *           type: string
+ *           format: objectId
+ *           nullable: true
+ *         instanceId:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [running, succeeded, failed]
+ *         scheduledFor:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *         durationMs:
+ *           type: integer
+ *           example: 184
+ *         result:
+ *           type: object
+ *           nullable: true
+ *         error:
+ *           type: string
+ *           nullable: true
+ *
+ *   parameters:
+ *     JobNameParam:
+ *       name: name
+ *       in: path
+ *       required: true
+ *       schema:
+ *         type: string
+ *         enum: [overdue-sweep, hold-pickup-expiry, audit-retention, orphaned-image-cleanup]
+ */
+
+// All job routes require authentication and maintenance permission
+router.use(authenticate, requirePermission(PERMISSIONS.SYSTEM_MAINTENANCE));
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: List scheduled jobs
+ *     description: |
+ *       List maintenance jobs with their schedule, paused state, lock holder and last outcome.
+ *
+ *       **Required Permission:** `system:maintenance`
+ *     tags: [Jobs]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Jobs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     jobs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ScheduledJob'
+ *                     count:
+ *                       type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', jobsController.getJobs);
+
+/**
+ * @swagger
+ * /api/jobs/{name}/runs:
+ *   get:
+ *     summary: Get job run history
+ *     description: |
+ *       Retrieve past runs of a job with duration and outcome, newest first.
+ *
+ *       **Required Permission:** `system:maintenance`
+ *     tags: [Jobs]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/JobNameParam'
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *     responses:
+ *       200:
+ *         description: Job runs retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:name/runs', validationMiddleware.pagination, jobsController.getJobRuns);
+
+/**
+ * @swagger
+ * /api/jobs/{name}/run:
+ *   post:
+ *     summary: Run a job now
+ *     description: |
+ *       Run a job immediately and wait for it to finish. Manual runs are allowed while the job
+ *       is paused, but not while another instance holds its lock.
+ *
+ *       **Required Permission:** `system:maintenance`
+ *     tags: [Jobs]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/JobNameParam'
+ *     responses:
+ *       200:
+ *         description: Job run finished (check `run.status` for the outcome)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     run:
+ *                       $ref: '#/components/schemas/JobRun'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Job is already running
+ */
+router.post('/:name/run',
+  auditService.createAuditMiddleware('JOB_TRIGGER', 'System', 'MEDIUM'),
+  jobsController.triggerJob
+);
+
+/**
+ * @swagger
+ * /api/jobs/{name}/pause:
+ *   post:
+ *     summary: Pause a job
+ *     description: |
+ *       Stop scheduled runs of a job on every instance until it is resumed.
+ *
+ *       **Required Permission:** `system:maintenance`
+ *     tags: [Jobs]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/JobNameParam'
+ *     responses:
+ *       200:
+ *         description: Job paused successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:name/pause',
+  auditService.createAuditMiddleware('JOB_PAUSE', 'System', 'MEDIUM'),
+  jobsController.pauseJob
+);
+
+/**
+ * @swagger
+ * /api/jobs/{name}/resume:
+ *   post:
+ *     summary: Resume a job
+ *     description: |
+ *       Resume scheduled runs of a paused job.
+ *
+ *       **Required Permission:** `system:maintenance`
+ *     tags: [Jobs]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/JobNameParam'
+ *     responses:
+ *       200:
+ *         description: Job resumed successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:name/resume',
+  auditService.createAuditMiddleware('JOB_RESUME', 'System', 'MEDIUM'),
+  jobsController.resumeJob
+);
+
+module.exports = router;
@@ -0,0 +1,380 @@
+const express = require('express');
+const {
+  authenticate,
+  requirePermission
+} = require('../middleware/auth');
+const { validationMiddleware } = require('../services/validationService');
+const { PERMISSIONS } = require('../services/rbacService');
+const auditService = require('../services/auditService');
+const loanPoliciesController = require('../controllers/loanPoliciesController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LoanPolicy:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: objectId
+ *         name:
+ *           type: string
+ *           example: Student reference loans
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         role:
+ *           type: string
+ *           enum: [borrower, librarian, admin]
+ *           nullable: true
+ *           description: Role to match (null matches any role)
+ *         patronType:
+ *           type: string
+ *           nullable: true
+ *           description: Patron type to match (null matches any patron type)
+ *           example: student
+ *         category:
+ *           type: string
+ *           nullable: true
+ *           description: Book category to match (null matches any category)
+ *           example: Reference
+ *         loanPeriodDays:
+ *           type: integer
+ *           example: 7
+ *         maxLoanPeriodDays:
+ *           type: integer
+ *           nullable: true
+ *           example: 14
+ *         maxItems:
+ *           type: integer
+ *           description: Active loans allowed (counted within the category for category policies)
+ *           example: 2
+ *         maxRenewals:
+ *           type: integer
+ *           example: 1
+ *         graceDays:
+ *           type: integer
+ *           description: Days past due before fines start
+ *           example: 1
+ *         fineDailyRate:
+ *           type: number
+ *           example: 0.5
+ *         fineMaxAmount:
+ *           type: number
+ *           nullable: true
+ *           example: 20
+ *         priority:
+ *           type: integer
+ *           description: Breaks ties between equally specific policies
+ *         isActive:
+ *           type: boolean
+ *
+ *     EffectiveLoanPolicy:
+ *       type: object
+ *       description: Rules applied to a loan, from the most specific matching policy or the defaults
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: objectId
+ *           nullable: true
+ *         name:
+ *           type: string
+ *         source:
+ *           type: string
+ *           enum: [policy, default]
+ *         matchedOn:
+ *           type: object
+ *           properties:
+ *             role:
+ *               type: string
+ *               nullable: true
+ *             patronType:
+ *               type: string
+ *               nullable: true
+ *             category:
+ *               type: string
+ *               nullable: true
+ *         loanPeriodDays:
+ *           type: integer
+ *         maxLoanPeriodDays:
+ *           type: integer
+ *         maxItems:
+ *           type: integer
+ *         maxRenewals:
+ *           type: integer
+ *         graceDays:
+ *           type: integer
+ *         fineDailyRate:
+ *           type: number
+ *         fineMaxAmount:
+ *           type: number
+ */
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/loan-policies:
+ *   get:
+ *     summary: List loan policies
+ *     description: |
+ *       List configured loan policies together with the default rules used when none match.
+ *
+ *       **Required Permission:** `loan_policy:read`
+ *     tags: [Loan Policies]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [borrower, librarian, admin]
+ *       - in: query
+ *         name: patronType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Loan policies retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     policies:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LoanPolicy'
+ *                     count:
+ *                       type: integer
+ *                     defaultPolicy:
+ *                       $ref: '#/components/schemas/EffectiveLoanPolicy'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Create a loan policy
+ *     description: |
+ *       Create a policy matched on any combination of role, patron type and book category.
+ *       The most specific active match wins (category, then patron type, then role).
+ *
+ *       **Required Permission:** `loan_policy:manage`
+ *     tags: [Loan Policies]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoanPolicy'
+ *           example:
+ *             name: Student reference loans
+ *             patronType: student
+ *             category: Reference
+ *             loanPeriodDays: 7
+ *             maxItems: 2
+ *             maxRenewals: 1
+ *             graceDays: 1
+ *             fineDailyRate: 0.5
+ *     responses:
+ *       201:
+ *         description: Loan policy created successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/',
+  requirePermission(PERMISSIONS.LOAN_POLICY_READ),
+  loanPoliciesController.getLoanPolicies
+);
+router.post('/',
+  requirePermission(PERMISSIONS.LOAN_POLICY_MANAGE),
+  validationMiddleware.loanPolicy,
+  auditService.createAuditMiddleware('LOAN_POLICY_CREATE', 'LoanPolicy', 'MEDIUM'),
+  loanPoliciesController.createLoanPolicy
+);
+
+/**
+ * @swagger
+ * /api/loan-policies/resolve:
+ *   get:
+ *     summary: Preview the effective loan policy
+ *     description: |
+ *       Show which policy applies to a patron borrowing a book. Give `userId` and `bookId`,
+ *       or the raw `role`, `patronType` and `category` criteria.
+ *
+ *       **Required Permission:** `loan_policy:read`
+ *     tags: [Loan Policies]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *       - in: query
+ *         name: bookId
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: patronType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Loan policy resolved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     criteria:
+ *                       type: object
+ *                     loanPolicy:
+ *                       $ref: '#/components/schemas/EffectiveLoanPolicy'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/resolve',
+  requirePermission(PERMISSIONS.LOAN_POLICY_READ),
+  loanPoliciesController.resolveLoanPolicy
+);
+
+/**
+ * @swagger
+ * /api/loan-policies/{id}:
+ *   get:
+ *     summary: Get loan policy by ID
+ *     description: |
+ *       **Required Permission:** `loan_policy:read`
+ *     tags: [Loan Policies]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Loan policy retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   put:
+ *     summary: Update a loan policy
+ *     description: |
+ *       Changes apply to new loans, renewals and newly opened fines; fines already
+ *       accruing keep the rates they were opened with.
+ *
+ *       **Required Permission:** `loan_policy:manage`
+ *     tags: [Loan Policies]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoanPolicy'
+ *     responses:
+ *       200:
+ *         description: Loan policy updated successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   delete:
+ *     summary: Delete a loan policy
+ *     description: |
+ *       **Required Permission:** `loan_policy:manage`
+ *     tags: [Loan Policies]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Loan policy deleted successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id',
+  requirePermission(PERMISSIONS.LOAN_POLICY_READ),
+  loanPoliciesController.getLoanPolicyById
+);
+router.put('/:id',
+  requirePermission(PERMISSIONS.LOAN_POLICY_MANAGE),
+  validationMiddleware.loanPolicy,
+  auditService.createAuditMiddleware('LOAN_POLICY_UPDATE', 'LoanPolicy', 'MEDIUM'),
+  loanPoliciesController.updateLoanPolicy
+);
+router.delete('/:id',
+  requirePermission(PERMISSIONS.LOAN_POLICY_MANAGE),
+  auditService.createAuditMiddleware('LOAN_POLICY_DELETE', 'LoanPolicy', 'HIGH'),
+  loanPoliciesController.deleteLoanPolicy
+);
+
+module.exports = router;
@@ -0,0 +1,278 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { validationMiddleware } = require('../services/validationService');
+const notificationsController = require('../controllers/notificationsController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: objectId
+ *         event:
+ *           type: string
+ *           enum: [due_soon, overdue, hold_ready, account]
+ *         type:
+ *           type: string
+ *           enum: [success, error, warning, info]
+ *         title:
+ *           type: string
+ *           example: Book due soon
+ *         message:
+ *           type: string
+ *           example: '"Dune" is due back by 14 Mar 2026, 18:00. Return or renew it to avoid a late fine.'
+ *         data:
+ *           type: object
+ *           description: Related records, e.g. borrowId and bookId
+ *         read:
+ *           type: boolean
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     ChannelPreferences:
+ *       type: object
+ *       properties:
+ *         inApp:
+ *           type: boolean
+ *           default: true
+ *         email:
+ *           type: boolean
+ *           default: true
+ *
+ *     NotificationPreferences:
+ *       type: object
+ *       properties:
+ *         due_soon:
+ *           $ref: '#/components/schemas/ChannelPreferences'
+ *         overdue:
+ *           $ref: '#/components/schemas/ChannelPreferences'
+ *         hold_ready:
+ *           $ref: '#/components/schemas/ChannelPreferences'
+ *         account:
+ *           $ref: '#/components/schemas/ChannelPreferences'
+ */
+
+// All routes require authentication and act on the current user's notifications
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get my notifications
+ *     description: |
+ *       In-app notifications for due-soon loans, overdue loans, holds ready for pickup and
+ *       account changes, newest first.
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [all, unread, read]
+ *           default: all
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           enum: [due_soon, overdue, hold_ready, account]
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     notifications:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Notification'
+ *                     unreadCount:
+ *                       type: integer
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/', validationMiddleware.notificationQuery, notificationsController.getMyNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Get my unread notification count
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/unread-count', notificationsController.getUnreadCount);
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Get my notification preferences
+ *     description: The channels (in-app, email) each notification event is delivered on.
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification preferences retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     preferences:
+ *                       $ref: '#/components/schemas/NotificationPreferences'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   put:
+ *     summary: Update my notification preferences
+ *     description: Only the events and channels given are changed.
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferences'
+ *           example:
+ *             due_soon:
+ *               email: false
+ *             account:
+ *               inApp: true
+ *               email: true
+ *     responses:
+ *       200:
+ *         description: Notification preferences updated successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/preferences', notificationsController.getPreferences);
+router.put('/preferences', validationMiddleware.notificationPreferences, notificationsController.updatePreferences);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   put:
+ *     summary: Mark all my notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     responses:
+ *       200:
+ *         description: All notifications marked as read
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.put('/read-all', notificationsController.markAllAsRead);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   put:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put('/:id/read', notificationsController.markAsRead);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/unread:
+ *   put:
+ *     summary: Mark a notification as unread
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Notification marked as unread
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put('/:id/unread', notificationsController.markAsUnread);
+
+/**
+ * @swagger
+ * /api/notifications/{id}:
+ *   delete:
+ *     summary: Delete a notification
+ *     description: Removes the notification from the inbox.
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Notification deleted successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete('/:id', notificationsController.deleteNotification);
+
+module.exports = router;
@@ -5,6 +5,7 @@ const {
   requireMinimumRole
 } = require('../middleware/auth');
 const { PERMISSIONS } = require('../services/rbacService');
+const { validationMiddleware } = require('../services/validationService');
 const rbacController = require('../controllers/rbacController');
 
 const router = express.Router();
@@ -398,7 +399,8 @@ router.get('/api-documentation',
  *   get:
  *     summary: Get audit logs
  *     description: |
- *       Retrieve system audit logs for security monitoring and compliance.
+ *       Retrieve system audit logs for security monitoring and compliance, newest first,
+ *       by page number or cursor.
  *
  *       **Required Permission:** `system:audit:log`
  *     tags: [RBAC]
@@ -408,6 +410,8 @@ router.get('/api-documentation',
  *     parameters:
  *       - $ref: '#/components/parameters/PageParam'
  *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/AfterParam'
+ *       - $ref: '#/components/parameters/BeforeParam'
  *       - name: action
  *         in: query
  *         schema:
@@ -484,6 +488,8 @@ router.get('/api-documentation',
  *                             example: { "title": "New Book Added" }
  *                     pagination:
  *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters, or a cursor that is malformed or made for another sort (INVALID_CURSOR)
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       403:
@@ -491,6 +497,7 @@ router.get('/api-documentation',
  */
 router.get('/audit-logs',
   requirePermission(PERMISSIONS.SYSTEM_AUDIT_LOG),
+  validationMiddleware.cursorPagination,
   rbacController.getAuditLogs
 );
 
@@ -268,6 +268,62 @@ router.get('/insights/books', authenticate, requireLibrarian, reviewsController.
  */
 router.get('/book/:bookId', validationMiddleware.pagination, reviewsController.getBookReviews);
 
+/**
+ * @swagger
+ * /api/reviews/work/{workId}:
+ *   get:
+ *     summary: Get reviews for a work
+ *     description: |
+ *       Retrieve the reviews of every edition of a work with pagination. Each review names the
+ *       edition it was written for; `reviewStats` aggregates ratings across all editions.
+ *     tags: [Reviews]
+ *     security: []
+ *     parameters:
+ *       - name: workId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: Work ID
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *     responses:
+ *       200:
+ *         description: Work reviews retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reviews:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Review'
+ *                     reviewStats:
+ *                       type: object
+ *                       properties:
+ *                         averageRating:
+ *                           type: number
+ *                         totalReviews:
+ *                           type: integer
+ *                         ratingDistribution:
+ *                           type: object
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/work/:workId', validationMiddleware.pagination, reviewsController.getWorkReviews);
+
 // @desc    Get reviews by user ID (Librarian only)
 // @route   GET /api/reviews/user/:userId
 // @access  Private (Librarian only)
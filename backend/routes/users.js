@@ -61,6 +61,115 @@ router.delete('/profile/image',
   usersController.deleteProfilePicture
 );
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StandingReason:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           enum: [OVERDUE_LIMIT_REACHED, LONG_OVERDUE, LATE_RETURN_HISTORY, MANUAL_BLOCK]
+ *         message:
+ *           type: string
+ *         overridable:
+ *           type: boolean
+ *           description: Staff may override the reason at the circulation desk (librarian blocks must be lifted)
+ *         details:
+ *           type: object
+ *
+ *     AccountStanding:
+ *       type: object
+ *       properties:
+ *         standing:
+ *           type: string
+ *           enum: [good, blocked]
+ *         canBorrow:
+ *           type: boolean
+ *         reasons:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/StandingReason'
+ *         metrics:
+ *           type: object
+ *           properties:
+ *             overdueCount:
+ *               type: integer
+ *             oldestOverdueDays:
+ *               type: integer
+ *               description: Open days the oldest overdue loan is late
+ *             lateReturns:
+ *               type: integer
+ *             lateReturnWindowDays:
+ *               type: integer
+ *         blocks:
+ *           type: array
+ *           description: Librarian blocks in force
+ *           items:
+ *             $ref: '#/components/schemas/AccountBlock'
+ *
+ *     AccountBlock:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: objectId
+ *         note:
+ *           type: string
+ *         placedBy:
+ *           type: string
+ *           format: objectId
+ *         placedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         liftedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         liftNote:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/users/standing:
+ *   get:
+ *     summary: Get my account standing
+ *     description: |
+ *       Whether the current user may borrow, with every reason borrowing is blocked:
+ *       too many overdue loans, a loan overdue for too long, repeated late returns in the
+ *       recent window, or a block placed by a librarian.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Account standing retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     standing:
+ *                       $ref: '#/components/schemas/AccountStanding'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/standing', usersController.getMyStanding);
+
 // All remaining routes require librarian role or higher
 router.use(requireMinimumRole('librarian'));
 
@@ -88,6 +197,12 @@ router.use(requireMinimumRole('librarian'));
  *           enum: [borrower, librarian, admin]
  *         description: Filter by user role
  *         example: borrower
+ *       - name: branchId
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: Filter by home branch
  *     responses:
  *       200:
  *         description: Users retrieved successfully
@@ -164,7 +279,7 @@ router.use(requireMinimumRole('librarian'));
  */
 router.get('/',
   requirePermission(PERMISSIONS.USER_READ_ALL),
-  validationMiddleware.pagination,
+  validationMiddleware.userQuery,
   usersController.getAllUsers
 );
 
@@ -365,6 +480,138 @@ router.get('/:id',
   requirePermission(PERMISSIONS.USER_READ),
   usersController.getUserById
 );
+
+/**
+ * @swagger
+ * /api/users/{id}/standing:
+ *   get:
+ *     summary: Get a user's account standing
+ *     description: |
+ *       Account standing with the full history of librarian blocks.
+ *
+ *       **Required Permission:** `user:read`
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Account standing retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/standing',
+  requirePermission(PERMISSIONS.USER_READ),
+  usersController.getUserStanding
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/blocks:
+ *   post:
+ *     summary: Block a user from borrowing
+ *     description: |
+ *       Place a borrowing block with a note, optionally expiring at a given time. Blocked
+ *       patrons cannot borrow or have loans extended until the block expires or is lifted.
+ *
+ *       **Required Permission:** `user:block:manage`
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 minLength: 5
+ *                 maxLength: 500
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *           example:
+ *             note: Three replacement charges unpaid
+ *             expiresAt: '2026-12-31T00:00:00.000Z'
+ *     responses:
+ *       201:
+ *         description: Block placed successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/blocks',
+  requirePermission(PERMISSIONS.USER_BLOCK_MANAGE),
+  validationMiddleware.placeBlock,
+  usersController.placeBlock
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/blocks/{blockId}/lift:
+ *   post:
+ *     summary: Lift a block
+ *     description: |
+ *       Lift a librarian block. The block stays in the account's history.
+ *
+ *       **Required Permission:** `user:block:manage`
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *       - in: path
+ *         name: blockId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Block lifted successfully
+ *       400:
+ *         description: Block already lifted (`BLOCK_ALREADY_LIFTED`)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/blocks/:blockId/lift',
+  requirePermission(PERMISSIONS.USER_BLOCK_MANAGE),
+  validationMiddleware.liftBlock,
+  usersController.liftBlock
+);
 router.post('/', validationMiddleware.register, usersController.createUser);
 router.put('/:id', validationMiddleware.updateProfile, usersController.updateUser);
 router.delete('/:id', usersController.deleteUser);
@@ -0,0 +1,415 @@
+const express = require('express');
+const {
+  authenticate,
+  requirePermission
+} = require('../middleware/auth');
+const { validationMiddleware } = require('../services/validationService');
+const { PERMISSIONS } = require('../services/rbacService');
+const auditService = require('../services/auditService');
+const worksController = require('../controllers/worksController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Work:
+ *       type: object
+ *       description: A title independent of any printing. Books are its editions; they share work-level ratings and can be borrowed interchangeably.
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: objectId
+ *         title:
+ *           type: string
+ *           example: The Fellowship of the Ring
+ *         author:
+ *           type: string
+ *           nullable: true
+ *           example: J. R. R. Tolkien
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         seriesId:
+ *           type: string
+ *           format: objectId
+ *           nullable: true
+ *         seriesVolume:
+ *           type: number
+ *           nullable: true
+ *           description: Position in the series (fractions for works between volumes)
+ *           example: 1
+ *         averageRating:
+ *           type: number
+ *           description: Average over the reviews of every edition
+ *         totalReviews:
+ *           type: integer
+ *         ratingDistribution:
+ *           type: object
+ *
+ *     WorkRequest:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *         author:
+ *           type: string
+ *         description:
+ *           type: string
+ *         seriesId:
+ *           type: string
+ *           format: objectId
+ *           nullable: true
+ *         seriesVolume:
+ *           type: number
+ *           nullable: true
+ *         bookIds:
+ *           type: array
+ *           description: Books to group under the work as editions (moved from any other work)
+ *           items:
+ *             type: string
+ *             format: objectId
+ *
+ *     Series:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: objectId
+ *         name:
+ *           type: string
+ *           example: The Lord of the Rings
+ *         description:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/works:
+ *   get:
+ *     summary: List works
+ *     description: |
+ *       List works with the number of editions and copies across them. `q` matches the title
+ *       or author; `seriesId` lists a series' works in volume order.
+ *     tags: [Works]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: seriesId
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *     responses:
+ *       200:
+ *         description: Works retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     works:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Work'
+ *                           - type: object
+ *                             properties:
+ *                               editions:
+ *                                 type: integer
+ *                               quantity:
+ *                                 type: integer
+ *                               available:
+ *                                 type: integer
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *   post:
+ *     summary: Create a work
+ *     description: |
+ *       Create a work, optionally grouping existing books under it as editions.
+ *
+ *       **Required Permission:** `work:manage`
+ *     tags: [Works]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WorkRequest'
+ *           example:
+ *             title: The Fellowship of the Ring
+ *             author: J. R. R. Tolkien
+ *             seriesId: 507f1f77bcf86cd799439020
+ *             seriesVolume: 1
+ *             bookIds: [507f1f77bcf86cd799439012, 507f1f77bcf86cd799439013]
+ *     responses:
+ *       201:
+ *         description: Work created successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Series (SERIES_NOT_FOUND) or books (BOOK_NOT_FOUND) not found
+ */
+router.get('/', validationMiddleware.workQuery, worksController.getWorks);
+router.post('/',
+  authenticate,
+  requirePermission(PERMISSIONS.WORK_MANAGE),
+  validationMiddleware.createWork,
+  auditService.createAuditMiddleware('WORK_CREATE', 'Work', 'LOW'),
+  worksController.createWork
+);
+
+/**
+ * @swagger
+ * /api/works/series:
+ *   get:
+ *     summary: List series
+ *     tags: [Works]
+ *     responses:
+ *       200:
+ *         description: Series retrieved successfully
+ *   post:
+ *     summary: Create a series
+ *     description: |
+ *       **Required Permission:** `work:manage`
+ *     tags: [Works]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Series'
+ *           example:
+ *             name: The Lord of the Rings
+ *     responses:
+ *       201:
+ *         description: Series created successfully
+ *       400:
+ *         description: Invalid input, or a series with this name exists (SERIES_EXISTS)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/series', worksController.getSeries);
+router.post('/series',
+  authenticate,
+  requirePermission(PERMISSIONS.WORK_MANAGE),
+  validationMiddleware.createSeries,
+  auditService.createAuditMiddleware('SERIES_CREATE', 'Series', 'LOW'),
+  worksController.createSeries
+);
+
+/**
+ * @swagger
+ * /api/works/series/{id}:
+ *   get:
+ *     summary: Get a series with its works
+ *     description: Works are listed in volume order, unnumbered works last, each with edition and copy counts.
+ *     tags: [Works]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Series retrieved successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   put:
+ *     summary: Update a series
+ *     description: |
+ *       **Required Permission:** `work:manage`
+ *     tags: [Works]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Series'
+ *     responses:
+ *       200:
+ *         description: Series updated successfully
+ *       400:
+ *         description: Invalid input, or a series with this name exists (SERIES_EXISTS)
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   delete:
+ *     summary: Delete a series
+ *     description: |
+ *       The series' works are kept, without a series or volume number.
+ *
+ *       **Required Permission:** `work:manage`
+ *     tags: [Works]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Series deleted successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/series/:id', worksController.getSeriesById);
+router.put('/series/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.WORK_MANAGE),
+  validationMiddleware.updateSeries,
+  auditService.createAuditMiddleware('SERIES_UPDATE', 'Series', 'LOW'),
+  worksController.updateSeries
+);
+router.delete('/series/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.WORK_MANAGE),
+  auditService.createAuditMiddleware('SERIES_DELETE', 'Series', 'MEDIUM'),
+  worksController.deleteSeries
+);
+
+/**
+ * @swagger
+ * /api/works/{id}:
+ *   get:
+ *     summary: Get work by ID
+ *     description: |
+ *       Retrieve a work with its editions (those with copies on the shelf first) and the copies
+ *       available across them. Ratings on the work aggregate the reviews of every edition;
+ *       each edition keeps its own rating too.
+ *     tags: [Works]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Work retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     work:
+ *                       $ref: '#/components/schemas/Work'
+ *                     editions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Book'
+ *                     availability:
+ *                       type: object
+ *                       properties:
+ *                         editions:
+ *                           type: integer
+ *                         quantity:
+ *                           type: integer
+ *                         available:
+ *                           type: integer
+ *                         formats:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   put:
+ *     summary: Update a work
+ *     description: |
+ *       Update a work's details. Books listed in `bookIds` are added as editions; to detach
+ *       an edition, set its `workId` to null through PUT /api/books/{id}.
+ *
+ *       **Required Permission:** `work:manage`
+ *     tags: [Works]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WorkRequest'
+ *     responses:
+ *       200:
+ *         description: Work updated successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   delete:
+ *     summary: Delete a work
+ *     description: |
+ *       Delete a work. Its editions become standalone books and keep their own reviews.
+ *
+ *       **Required Permission:** `work:manage`
+ *     tags: [Works]
+ *     security:
+ *       - BearerAuth: []
+ *       - CookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Work deleted successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id', worksController.getWorkById);
+router.put('/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.WORK_MANAGE),
+  validationMiddleware.updateWork,
+  auditService.createAuditMiddleware('WORK_UPDATE', 'Work', 'LOW'),
+  worksController.updateWork
+);
+router.delete('/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.WORK_MANAGE),
+  auditService.createAuditMiddleware('WORK_DELETE', 'Work', 'MEDIUM'),
+  worksController.deleteWork
+);
+
+module.exports = router;
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * Index Search Script
+ * Fills in the normalized search fields (accent- and case-free text and
+ * trigrams) that autocomplete and typo-tolerant search rely on, for books
+ * catalogued before those fields existed or changed by bulk updates.
+ *
+ * Usage: node scripts/index-search.js [--all]
+ */
+
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { Book } = require('../models');
+const consoleUtils = require('../utils/consoleUtils');
+
+/**
+ * Connect to database
+ */
+async function connectDatabase() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/library-management';
+    await mongoose.connect(mongoUri);
+    consoleUtils.logSuccess('✅ Connected to database');
+  } catch (error) {
+    consoleUtils.logError('❌ Failed to connect to database:', error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Disconnect from database
+ */
+async function disconnectDatabase() {
+  try {
+    await mongoose.disconnect();
+    consoleUtils.logInfo('📤 Disconnected from database');
+  } catch (error) {
+    consoleUtils.logError('❌ Error disconnecting from database:', error);
+  }
+}
+
+/**
+ * Recompute the search fields of books
+ * @param {boolean} all - Reindex every book, not only those never indexed
+ * @returns {Promise<number>} Number of books indexed
+ */
+async function indexBooks(all) {
+  const query = all ? {} : { $or: [{ searchGrams: { $exists: false } }, { searchGrams: { $size: 0 } }] };
+  const cursor = Book.find(query).select('title author category').lean().cursor();
+  let indexed = 0;
+
+  for await (const book of cursor) {
+    await Book.updateOne({ _id: book._id }, { $set: Book.toSearchFields(book) });
+    indexed += 1;
+  }
+
+  return indexed;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const all = process.argv.includes('--all');
+
+  try {
+    console.log(`\n🔎 Indexing books for search${all ? ' (all books)' : ''}\n`);
+
+    await connectDatabase();
+
+    const indexed = await indexBooks(all);
+
+    consoleUtils.logSuccess(`✅ Indexed ${indexed} books`);
+
+    await disconnectDatabase();
+    process.exit(0);
+
+  } catch (error) {
+    consoleUtils.logError('❌ Migration failed:', error);
+    await disconnectDatabase();
+    process.exit(1);
+  }
+}
+
+// Handle process termination
+process.on('SIGINT', async () => {
+  console.log('\n⚠️ Process interrupted');
+  await disconnectDatabase();
+  process.exit(1);
+});
+
+// Run the script
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Link Authors Script
+ * Gives books catalogued before authors were tracked a contributor entry for
+ * their author, creating author records as needed. Names that differ only in
+ * case, accents, punctuation or word order ("J.R.R. Tolkien", "Tolkien,
+ * J. R. R.") are linked to the same author.
+ *
+ * Usage: node scripts/link-authors.js [--dry-run]
+ */
+
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { Author, Book } = require('../models');
+const consoleUtils = require('../utils/consoleUtils');
+
+/**
+ * Connect to database
+ */
+async function connectDatabase() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/library-management';
+    await mongoose.connect(mongoUri);
+    consoleUtils.logSuccess('✅ Connected to database');
+  } catch (error) {
+    consoleUtils.logError('❌ Failed to connect to database:', error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Disconnect from database
+ */
+async function disconnectDatabase() {
+  try {
+    await mongoose.disconnect();
+    consoleUtils.logInfo('📤 Disconnected from database');
+  } catch (error) {
+    consoleUtils.logError('❌ Error disconnecting from database:', error);
+  }
+}
+
+/**
+ * Link every book without contributors to an author record for its author
+ * @param {boolean} dryRun - Report what would change without writing
+ */
+async function linkAuthors(dryRun) {
+  const books = await Book.find({
+    $or: [{ contributors: { $exists: false } }, { contributors: { $size: 0 } }]
+  }).select('title author').lean();
+  const summary = { total: books.length, linked: 0, newAuthors: new Set() };
+
+  for (const book of books) {
+    if (!(await Author.findByName(book.author))) {
+      summary.newAuthors.add(Author.toNameKey(book.author));
+    }
+    if (!dryRun) {
+      const contributors = await Author.resolveContributors([{ name: book.author }]);
+      await Book.updateOne({ _id: book._id }, { $set: { contributors } });
+    }
+    summary.linked += 1;
+  }
+
+  return summary;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log(`\n✍️ Linking books to authors${dryRun ? ' (dry run)' : ''}\n`);
+
+    await connectDatabase();
+
+    const summary = await linkAuthors(dryRun);
+
+    consoleUtils.logSuccess(`✅ ${dryRun ? 'Would link' : 'Linked'} ${summary.linked} of ${summary.total} unlinked books`);
+    consoleUtils.logInfo(`${summary.newAuthors.size} authors ${dryRun ? 'would be' : 'were'} created`);
+
+    await disconnectDatabase();
+    process.exit(0);
+
+  } catch (error) {
+    consoleUtils.logError('❌ Migration failed:', error);
+    await disconnectDatabase();
+    process.exit(1);
+  }
+}
+
+// Handle process termination
+process.on('SIGINT', async () => {
+  console.log('\n⚠️ Process interrupted');
+  await disconnectDatabase();
+  process.exit(1);
+});
+
+// Run the script
+if (require.main === module) {
+  main();
+}
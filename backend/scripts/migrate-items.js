@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Migrate Items Script
+ * Creates barcoded copy records for books that are still tracked only by their
+ * quantity/available counters, linking copies to active borrows and ready holds
+ */
+
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { Book, Item } = require('../models');
+const consoleUtils = require('../utils/consoleUtils');
+
+/**
+ * Connect to database
+ */
+async function connectDatabase() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/library-management';
+    await mongoose.connect(mongoUri);
+    consoleUtils.logSuccess('✅ Connected to database');
+  } catch (error) {
+    consoleUtils.logError('❌ Failed to connect to database:', error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Disconnect from database
+ */
+async function disconnectDatabase() {
+  try {
+    await mongoose.disconnect();
+    consoleUtils.logInfo('📤 Disconnected from database');
+  } catch (error) {
+    consoleUtils.logError('❌ Error disconnecting from database:', error);
+  }
+}
+
+/**
+ * Create copy records for every untracked book
+ */
+async function migrateBooks() {
+  const books = await Book.find({});
+  const summary = { migrated: 0, skipped: 0, copiesCreated: 0, adjusted: [] };
+
+  for (const book of books) {
+    const result = await Item.migrateBook(book);
+    if (!result) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    summary.migrated += 1;
+    summary.copiesCreated += result.created;
+
+    // Report books whose stored counters disagreed with their borrows and holds
+    if (result.previous.quantity !== result.current.quantity ||
+        result.previous.available !== result.current.available) {
+      summary.adjusted.push({ title: book.title, isbn: book.isbn, ...result });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  try {
+    console.log('\n📦 Creating copy records for counter-tracked books\n');
+
+    await connectDatabase();
+
+    const summary = await migrateBooks();
+
+    consoleUtils.logSuccess(`✅ Migrated ${summary.migrated} books (${summary.copiesCreated} copies created)`);
+    consoleUtils.logInfo(`Skipped ${summary.skipped} books that already have copy records`);
+
+    if (summary.adjusted.length > 0) {
+      consoleUtils.logWarning(`⚠️ ${summary.adjusted.length} books had counters that did not match their borrows and holds:`);
+      summary.adjusted.forEach(({ title, isbn, previous, current }) => {
+        console.log(`  - ${title} (${isbn}): quantity ${previous.quantity} → ${current.quantity}, available ${previous.available} → ${current.available}`);
+      });
+    }
+
+    await disconnectDatabase();
+    process.exit(0);
+
+  } catch (error) {
+    consoleUtils.logError('❌ Migration failed:', error);
+    await disconnectDatabase();
+    process.exit(1);
+  }
+}
+
+// Handle process termination
+process.on('SIGINT', async () => {
+  console.log('\n⚠️ Process interrupted');
+  await disconnectDatabase();
+  process.exit(1);
+});
+
+// Run the script
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * Normalize ISBNs Script
+ * Rewrites stored ISBNs in canonical ISBN-13 form (keeping the original for
+ * display) and reports books that cannot be converted: invalid ISBNs, and
+ * collisions where several books turn out to share one ISBN. Collisions are
+ * left untouched for a cataloger to merge or correct.
+ *
+ * Usage: node scripts/normalize-isbns.js [--dry-run]
+ */
+
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { Book } = require('../models');
+const { normalizeIsbn } = require('../utils/isbn');
+const consoleUtils = require('../utils/consoleUtils');
+
+/**
+ * Connect to database
+ */
+async function connectDatabase() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/library-management';
+    await mongoose.connect(mongoUri);
+    consoleUtils.logSuccess('✅ Connected to database');
+  } catch (error) {
+    consoleUtils.logError('❌ Failed to connect to database:', error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Disconnect from database
+ */
+async function disconnectDatabase() {
+  try {
+    await mongoose.disconnect();
+    consoleUtils.logInfo('📤 Disconnected from database');
+  } catch (error) {
+    consoleUtils.logError('❌ Error disconnecting from database:', error);
+  }
+}
+
+/**
+ * Normalize every book's ISBN, skipping invalid ISBNs and collisions
+ * @param {boolean} dryRun - Report what would change without writing
+ */
+async function normalizeIsbns(dryRun) {
+  // Lean documents hold the ISBNs exactly as stored
+  const books = await Book.find({}).select('title isbn isbnDisplay').lean();
+  const summary = { total: books.length, normalized: 0, unchanged: 0, invalid: [], collisions: [] };
+
+  const byIsbn13 = new Map();
+  books.forEach(book => {
+    const isbn13 = normalizeIsbn(book.isbn);
+    if (!isbn13) {
+      summary.invalid.push(book);
+      return;
+    }
+    if (!byIsbn13.has(isbn13)) byIsbn13.set(isbn13, []);
+    byIsbn13.get(isbn13).push(book);
+  });
+
+  for (const [isbn13, group] of byIsbn13) {
+    if (group.length > 1) {
+      summary.collisions.push({ isbn13, books: group });
+      continue;
+    }
+
+    const [book] = group;
+    if (book.isbn === isbn13 && book.isbnDisplay) {
+      summary.unchanged += 1;
+      continue;
+    }
+
+    if (!dryRun) {
+      await Book.updateOne(
+        { _id: book._id },
+        { $set: { isbn: isbn13, isbnDisplay: book.isbnDisplay || book.isbn } }
+      );
+    }
+    summary.normalized += 1;
+  }
+
+  return summary;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log(`\n📚 Normalizing ISBNs to ISBN-13${dryRun ? ' (dry run)' : ''}\n`);
+
+    await connectDatabase();
+
+    const summary = await normalizeIsbns(dryRun);
+
+    consoleUtils.logSuccess(`✅ ${dryRun ? 'Would normalize' : 'Normalized'} ${summary.normalized} of ${summary.total} books`);
+    consoleUtils.logInfo(`${summary.unchanged} books were already normalized`);
+
+    if (summary.invalid.length > 0) {
+      consoleUtils.logWarning(`⚠️ ${summary.invalid.length} books have an invalid ISBN and were left unchanged:`);
+      summary.invalid.forEach(book => {
+        console.log(`  - ${book.title} (${book._id}): "${book.isbn}"`);
+      });
+    }
+
+    if (summary.collisions.length > 0) {
+      consoleUtils.logWarning(`⚠️ ${summary.collisions.length} ISBNs are shared by several books and were left unchanged:`);
+      summary.collisions.forEach(({ isbn13, books }) => {
+        console.log(`  - ${isbn13}:`);
+        books.forEach(book => console.log(`      ${book.title} (${book._id}): "${book.isbn}"`));
+      });
+    }
+
+    await disconnectDatabase();
+    process.exit(summary.collisions.length > 0 || summary.invalid.length > 0 ? 2 : 0);
+
+  } catch (error) {
+    consoleUtils.logError('❌ Migration failed:', error);
+    await disconnectDatabase();
+    process.exit(1);
+  }
+}
+
+// Handle process termination
+process.on('SIGINT', async () => {
+  console.log('\n⚠️ Process interrupted');
+  await disconnectDatabase();
+  process.exit(1);
+});
+
+// Run the script
+if (require.main === module) {
+  main();
+}
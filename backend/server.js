@@ -18,6 +18,7 @@ console.log = originalConsoleLog;
 const connectDB = require('./config/database');
 const { applyMiddleware, applyErrorHandling } = require('./config/middleware');
 const { swaggerSpec, swaggerUi, swaggerUiOptions } = require('./config/swagger');
+const schedulerConfig = require('./config/scheduler');
 const { DEFAULTS } = require('./utils/constants');
 
 // Import console utilities for professional output
@@ -27,12 +28,18 @@ const startupDisplay = require('./utils/startupDisplay');
 // Import models to ensure they are registered
 require('./models');
 
+// Import the maintenance job scheduler
+const schedulerService = require('./services/schedulerService');
+
 const app = express();
 
 // Connect to database with enhanced logging
 connectDB()
   .then(() => {
     consoleUtils.logSuccess('Database connected successfully');
+    if (schedulerConfig.enabled) {
+      return schedulerService.start();
+    }
   })
   .catch((error) => {
     consoleUtils.logError('Database connection failed', error);
@@ -96,10 +103,19 @@ app.get('/security/stats', (req, res) => {
 const {
   authRoutes,
   usersRoutes,
+  authorsRoutes,
+  worksRoutes,
   booksRoutes,
+  branchesRoutes,
   borrowsRoutes,
+  calendarRoutes,
   categoriesRoutes,
   contactRoutes,
+  finesRoutes,
+  itemsRoutes,
+  jobsRoutes,
+  loanPoliciesRoutes,
+  notificationsRoutes,
   reviewsRoutes,
   rbacRoutes
 } = require('./routes');
@@ -118,10 +134,19 @@ app.get('/', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', usersRoutes);
+app.use('/api/authors', authorsRoutes);
+app.use('/api/works', worksRoutes);
 app.use('/api/books', booksRoutes);
+app.use('/api/branches', branchesRoutes);
 app.use('/api/borrows', borrowsRoutes);
+app.use('/api/calendar', calendarRoutes);
 app.use('/api/categories', categoriesRoutes);
 app.use('/api/contact', contactRoutes);
+app.use('/api/fines', finesRoutes);
+app.use('/api/items', itemsRoutes);
+app.use('/api/jobs', jobsRoutes);
+app.use('/api/loan-policies', loanPoliciesRoutes);
+app.use('/api/notifications', notificationsRoutes);
 app.use('/api/reviews', reviewsRoutes);
 app.use('/api/rbac', rbacRoutes);
 app.use('/api/seed', seedRoutes);
@@ -158,11 +183,13 @@ app.listen(PORT, async () => {
 
 // Graceful shutdown handling
 process.on('SIGINT', () => {
+  schedulerService.stop();
   startupDisplay.displayShutdown();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
+  schedulerService.stop();
   startupDisplay.displayShutdown();
   process.exit(0);
 });
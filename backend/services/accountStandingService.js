@@ -0,0 +1,127 @@
+const { User, Borrow, LibraryCalendar } = require('../models');
+const { BUSINESS_RULES } = require('../utils/constants');
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Read a threshold from the environment, falling back to the business rule
+const readRule = (name) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? BUSINESS_RULES[name] : value;
+};
+
+/**
+ * Account Standing Service
+ * Decides whether a patron may borrow or extend loans from their current
+ * overdue loans, recent late-return history and any librarian blocks. Each
+ * reason an account is blocked is reported with a machine-readable code;
+ * automatic reasons are `overridable` at the circulation desk, librarian
+ * blocks have to be lifted.
+ */
+class AccountStandingService {
+  /**
+   * Get the configured standing thresholds (0 turns a check off)
+   * @returns {Object} Thresholds
+   */
+  getRules() {
+    return {
+      maxOverdueItems: readRule('STANDING_MAX_OVERDUE_ITEMS'),
+      maxOverdueDays: readRule('STANDING_MAX_OVERDUE_DAYS'),
+      maxLateReturns: readRule('STANDING_MAX_LATE_RETURNS'),
+      lateReturnWindowDays: readRule('STANDING_LATE_RETURN_WINDOW_DAYS')
+    };
+  }
+
+  /**
+   * Evaluate a patron's account standing
+   * @param {Object|string} user - User document or ID
+   * @param {Object} options - { asOf, calendar }
+   * @returns {Promise<Object>} { standing, canBorrow, reasons, metrics, blocks, rules }
+   */
+  async evaluate(user, { asOf = new Date(), calendar = null } = {}) {
+    if (!user || !user.accountBlocks) {
+      user = await User.findById(user && user._id ? user._id : user).select('name email accountBlocks');
+      if (!user) throw new Error('User not found');
+    }
+
+    const rules = this.getRules();
+    const windowStart = new Date(asOf.getTime() - rules.lateReturnWindowDays * MS_PER_DAY);
+
+    const [openLoans, returnedLate, libraryCalendar] = await Promise.all([
+      Borrow.find({ userId: user._id, status: { $in: ['active', 'overdue'] }, dueDate: { $lt: asOf } })
+        .select('dueDate bookId'),
+      Borrow.find({
+        userId: user._id,
+        status: 'returned',
+        returnDate: { $gte: windowStart, $lte: asOf },
+        $expr: { $gt: ['$returnDate', '$dueDate'] }
+      }).select('dueDate returnDate'),
+      calendar || LibraryCalendar.getCalendar()
+    ]);
+
+    // Loans due on a closed day are not late until the next open day ends, for returns too
+    const overdueLoans = openLoans.filter(borrow => libraryCalendar.isPastDue(borrow.dueDate, asOf));
+    const lateReturns = returnedLate.filter(borrow => libraryCalendar.isPastDue(borrow.dueDate, borrow.returnDate)).length;
+    const oldestOverdueDays = overdueLoans.reduce(
+      (oldest, borrow) => Math.max(oldest, libraryCalendar.countOpenDaysLate(borrow.dueDate, asOf)), 0);
+
+    const reasons = [];
+
+    if (rules.maxOverdueItems > 0 && overdueLoans.length >= rules.maxOverdueItems) {
+      reasons.push({
+        code: 'OVERDUE_LIMIT_REACHED',
+        message: `${overdueLoans.length} loans are overdue; borrowing is blocked at ${rules.maxOverdueItems}`,
+        overridable: true,
+        details: { overdueCount: overdueLoans.length, limit: rules.maxOverdueItems }
+      });
+    }
+
+    if (rules.maxOverdueDays > 0 && oldestOverdueDays >= rules.maxOverdueDays) {
+      reasons.push({
+        code: 'LONG_OVERDUE',
+        message: `A loan has been overdue for ${oldestOverdueDays} days; borrowing is blocked at ${rules.maxOverdueDays}`,
+        overridable: true,
+        details: { oldestOverdueDays, limit: rules.maxOverdueDays }
+      });
+    }
+
+    if (rules.maxLateReturns > 0 && lateReturns >= rules.maxLateReturns) {
+      reasons.push({
+        code: 'LATE_RETURN_HISTORY',
+        message: `${lateReturns} late returns in the last ${rules.lateReturnWindowDays} days; ` +
+          `borrowing is blocked at ${rules.maxLateReturns}`,
+        overridable: true,
+        details: { lateReturns, windowDays: rules.lateReturnWindowDays, limit: rules.maxLateReturns }
+      });
+    }
+
+    const blocks = user.getActiveBlocks(asOf);
+    blocks.forEach(block => {
+      reasons.push({
+        code: 'MANUAL_BLOCK',
+        message: block.expiresAt
+          ? `Account blocked by the library until ${block.expiresAt.toISOString()}: ${block.note}`
+          : `Account blocked by the library: ${block.note}`,
+        overridable: false,
+        details: { blockId: block._id, note: block.note, placedAt: block.placedAt, expiresAt: block.expiresAt }
+      });
+    });
+
+    return {
+      standing: reasons.length > 0 ? 'blocked' : 'good',
+      canBorrow: reasons.length === 0,
+      reasons,
+      metrics: {
+        overdueCount: overdueLoans.length,
+        oldestOverdueDays,
+        lateReturns,
+        lateReturnWindowDays: rules.lateReturnWindowDays
+      },
+      blocks,
+      rules
+    };
+  }
+}
+
+// Export singleton instance
+const accountStandingService = new AccountStandingService();
+module.exports = accountStandingService;
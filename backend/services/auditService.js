@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { cursorSort, buildCursorFilter, buildCursorPage, buildPageCursors } = require('../utils/cursor');
 
 /**
  * Audit Log Schema for tracking administrative actions
@@ -23,13 +24,37 @@ const auditLogSchema = new mongoose.Schema({
     enum: [
       // User Management
       'USER_CREATE', 'USER_UPDATE', 'USER_DELETE', 'USER_ROLE_CHANGE',
+      'USER_BLOCK_PLACE', 'USER_BLOCK_LIFT',
       
       // Book Management
-      'BOOK_CREATE', 'BOOK_UPDATE', 'BOOK_DELETE', 'BOOK_BULK_IMPORT',
+      'BOOK_CREATE', 'BOOK_UPDATE', 'BOOK_DELETE', 'BOOK_BULK_IMPORT', 'BOOK_MARC_IMPORT', 'INVENTORY_RECONCILE',
+      'AUTHOR_CREATE', 'AUTHOR_UPDATE', 'AUTHOR_DELETE',
+      'WORK_CREATE', 'WORK_UPDATE', 'WORK_DELETE',
+      'SERIES_CREATE', 'SERIES_UPDATE', 'SERIES_DELETE',
       
       // Borrowing Management
-      'BORROW_CREATE', 'BORROW_UPDATE', 'BORROW_RETURN', 'BORROW_EXTEND',
-      'BORROW_OVERDUE_UPDATE',
+      'BORROW_CREATE', 'BORROW_UPDATE', 'BORROW_RETURN', 'BORROW_EXTEND', 'BORROW_RENEW',
+      'BORROW_OVERDUE_UPDATE', 'BORROW_DESK_CHECKOUT', 'BORROW_LIMIT_OVERRIDE',
+      'BORROW_STATUS_CHANGE',
+      
+      // Hold Management
+      'HOLD_CREATE', 'HOLD_CANCEL', 'HOLD_EXPIRE',
+      
+      // Fine Management
+      'FINE_PAYMENT', 'FINE_WAIVE', 'FINE_ACCRUE',
+      
+      // Copy Management
+      'ITEM_CREATE', 'ITEM_UPDATE',
+      'ITEM_TRANSFER_SEND', 'ITEM_TRANSFER_RECEIVE', 'ITEM_TRANSFER_CANCEL',
+      
+      // Branch Management
+      'BRANCH_CREATE', 'BRANCH_UPDATE', 'BRANCH_DELETE',
+      
+      // Loan Policy Management
+      'LOAN_POLICY_CREATE', 'LOAN_POLICY_UPDATE', 'LOAN_POLICY_DELETE',
+      
+      // Library Calendar Management
+      'CALENDAR_UPDATE',
       
       // Review Management
       'REVIEW_UPDATE_OTHER', 'REVIEW_DELETE_OTHER',
@@ -42,6 +67,7 @@ const auditLogSchema = new mongoose.Schema({
       
       // System Operations
       'SYSTEM_MAINTENANCE', 'SYSTEM_BULK_OPERATION', 'SYSTEM_SECURITY_EVENT',
+      'JOB_TRIGGER', 'JOB_PAUSE', 'JOB_RESUME',
       
       // File Management
       'FILE_DELETE_OTHER', 'FILE_CLEANUP',
@@ -54,7 +80,7 @@ const auditLogSchema = new mongoose.Schema({
   resourceType: {
     type: String,
     required: true,
-    enum: ['User', 'Book', 'Borrow', 'Review', 'Category', 'Contact', 'System', 'File', 'Auth']
+    enum: ['User', 'Book', 'Author', 'Work', 'Series', 'Borrow', 'Reservation', 'Fine', 'Item', 'Transfer', 'Branch', 'LoanPolicy', 'Review', 'Category', 'Contact', 'System', 'File', 'Auth']
   },
   resourceId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -102,7 +128,7 @@ const auditLogSchema = new mongoose.Schema({
 auditLogSchema.index({ userId: 1, timestamp: -1 });
 auditLogSchema.index({ action: 1, timestamp: -1 });
 auditLogSchema.index({ resourceType: 1, resourceId: 1 });
-auditLogSchema.index({ timestamp: -1 });
+auditLogSchema.index({ timestamp: -1, _id: -1 });
 auditLogSchema.index({ severity: 1, timestamp: -1 });
 
 const AuditLog = mongoose.model('AuditLog', auditLogSchema);
@@ -235,10 +261,21 @@ class AuditService {
     };
   }
 
+  /**
+   * Get the sort of an audit log listing; logs with equal values are ordered by ID
+   * @param {Object} pagination - { sortBy, sortOrder }
+   * @returns {Object} Sort, for reading and encoding listing cursors
+   */
+  getLogSort({ sortBy = 'timestamp', sortOrder = 'desc' } = {}) {
+    const direction = sortOrder === 'desc' ? -1 : 1;
+    return { [sortBy]: direction, _id: direction };
+  }
+
   /**
    * Get audit logs with filtering and pagination
    * @param {Object} filters - Filter options
-   * @param {Object} pagination - Pagination options
+   * @param {Object} pagination - Pagination options: page, or a decoded cursor
+   *   (see utils/cursor) to read the logs past it instead
    * @returns {Promise<Object>} Audit logs and metadata
    */
   async getAuditLogs(filters = {}, pagination = {}) {
@@ -256,8 +293,7 @@ class AuditService {
     const {
       page = 1,
       limit = 50,
-      sortBy = 'timestamp',
-      sortOrder = 'desc'
+      cursor
     } = pagination;
 
     // Build query
@@ -276,28 +312,39 @@ class AuditService {
       if (endDate) query.timestamp.$lte = new Date(endDate);
     }
 
-    // Execute query with pagination
-    const skip = (page - 1) * limit;
-    const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+    // Execute query with pagination; a cursor page reads one log more to tell whether more follow
+    const skip = cursor ? 0 : (page - 1) * limit;
+    const sort = this.getLogSort(pagination);
 
-    const [logs, total] = await Promise.all([
-      this.AuditLog.find(query)
+    const [rows, total] = await Promise.all([
+      this.AuditLog.find(cursor ? { $and: [query, buildCursorFilter(sort, cursor)] } : query)
         .populate('userId', 'name email role')
         .populate('targetUserId', 'name email role')
-        .sort(sort)
+        .sort(cursorSort(sort, cursor))
         .skip(skip)
-        .limit(limit)
+        .limit(cursor ? limit + 1 : limit)
         .lean(),
       this.AuditLog.countDocuments(query)
     ]);
 
+    const { items: logs, pagination: cursors } = cursor
+      ? buildCursorPage(rows, sort, cursor, limit)
+      : {
+        items: rows,
+        pagination: buildPageCursors(rows, sort, {
+          hasNextPage: skip + rows.length < total,
+          hasPrevPage: skip > 0
+        })
+      };
+
     return {
       logs,
       pagination: {
         total,
-        page: parseInt(page),
+        page: cursor ? null : parseInt(page),
         limit: parseInt(limit),
-        totalPages: Math.ceil(total / limit)
+        totalPages: Math.ceil(total / limit),
+        ...cursors
       }
     };
   }
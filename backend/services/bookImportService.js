@@ -0,0 +1,267 @@
+const { Book, Category, Item } = require('../models');
+const { parseCsv } = require('../utils/csv');
+const { normalizeIsbn } = require('../utils/isbn');
+
+// Book fields an import row may set
+const IMPORT_FIELDS = ['isbn', 'title', 'author', 'category', 'description', 'quantity', 'replacementCost', 'coverImage'];
+
+// Fields read as numbers from CSV cells
+const NUMERIC_FIELDS = ['quantity', 'replacementCost'];
+
+// Most rows accepted in one import
+const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Book Import Service
+ * Creates and updates books in bulk from CSV or JSON rows. Rows are matched
+ * to existing books by ISBN and checked with the Book model's own validators;
+ * a dry run checks every row without writing anything, so its report shows
+ * exactly what the import would do.
+ */
+class BookImportService {
+  /**
+   * Read import rows from CSV text (with a header line) or an array of objects
+   * @param {string|Array<Object>} input - CSV document or JSON rows
+   * @returns {Array<Object>} Rows holding only the import fields
+   * @throws {Error} If the input cannot be read, is empty or has too many rows
+   */
+  parseRows(input) {
+    let records;
+
+    if (typeof input === 'string') {
+      const [header, ...lines] = parseCsv(input);
+      if (!header) {
+        throw new Error('The CSV document is empty');
+      }
+
+      // Match header names to fields case-insensitively; unknown columns are ignored
+      const columns = header.map(name => IMPORT_FIELDS.find(field => field.toLowerCase() === name.trim().toLowerCase()) || null);
+      if (!columns.includes('isbn')) {
+        throw new Error('The CSV header must include an isbn column');
+      }
+
+      records = lines.map(cells => {
+        const record = {};
+        columns.forEach((field, index) => {
+          if (field && cells[index] !== undefined) record[field] = cells[index].trim();
+        });
+        return record;
+      });
+    } else if (Array.isArray(input)) {
+      records = input.map(entry => (entry && typeof entry === 'object' && !Array.isArray(entry) ? entry : {}));
+    } else {
+      throw new Error('Send the books as CSV text or a JSON array');
+    }
+
+    if (records.length === 0) {
+      throw new Error('There are no rows to import');
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      throw new Error(`At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+    }
+
+    return records.map(record => {
+      const row = {};
+      IMPORT_FIELDS.forEach(field => {
+        const value = record[field];
+        if (value === undefined || value === null || value === '') return;
+        row[field] = NUMERIC_FIELDS.includes(field) && typeof value === 'string' ? Number(value) : value;
+      });
+      return row;
+    });
+  }
+
+  /**
+   * Create books for new ISBNs and update the books of known ones
+   * @param {Array<Object>} rows - Rows from parseRows
+   * @param {Object} options - { dryRun, createCategories }
+   * @returns {Promise<Object>} { dryRun, summary, categoriesCreated, rows }
+   */
+  async importBooks(rows, { dryRun = false, createCategories = false } = {}) {
+    const isbns = rows.map(row => row.isbn).filter(Boolean).map(String);
+    const [existingBooks, categories] = await Promise.all([
+      Book.find({ isbn: { $in: isbns } }),
+      Category.find({}).select('name')
+    ]);
+    const trackedIds = new Set((await Item.distinct('bookId', {
+      bookId: { $in: existingBooks.map(book => book._id) }
+    })).map(id => id.toString()));
+
+    const context = {
+      booksByIsbn: new Map(existingBooks.map(book => [book.isbn, book])),
+      trackedIds,
+      categoryNames: new Map(categories.map(category => [category.name.toLowerCase(), category.name])),
+      newCategories: new Map(),
+      seenIsbns: new Map(),
+      createCategories
+    };
+
+    const prepared = rows.map((row, index) => this.prepareRow(row, index + 1, context));
+
+    // Only categories of rows that pass validation are created
+    const usedCategories = new Set(prepared.filter(entry => entry.book).map(entry => entry.book.category));
+    const categoriesCreated = [...context.newCategories.values()].filter(name => usedCategories.has(name));
+
+    if (!dryRun) {
+      await this.createCategories(categoriesCreated);
+      for (const entry of prepared) {
+        if (entry.book) await this.saveRow(entry);
+      }
+    }
+
+    const status = (action) => {
+      if (action === 'error' || action === 'unchanged') return action;
+      if (dryRun) return `would_${action}`;
+      return action === 'create' ? 'created' : 'updated';
+    };
+    const report = prepared.map(({ result }) => ({ ...result, status: status(result.status) }));
+    const count = (action) => prepared.filter(({ result }) => result.status === action).length;
+
+    return {
+      dryRun,
+      summary: {
+        total: rows.length,
+        created: count('create'),
+        updated: count('update'),
+        unchanged: count('unchanged'),
+        errors: count('error')
+      },
+      categoriesCreated,
+      rows: report
+    };
+  }
+
+  /**
+   * Validate one row and build the book it creates or updates
+   * @private
+   * @param {Object} row - Import row
+   * @param {number} rowNumber - 1-based position among the data rows
+   * @param {Object} context - Lookups shared by all rows of the import
+   * @returns {Object} { book, result } with book null for rows that change nothing
+   */
+  prepareRow(row, rowNumber, context) {
+    const isbn = row.isbn ? String(row.isbn).trim() : null;
+    const result = { row: rowNumber, isbn, title: row.title || null, status: 'error', bookId: null, changes: [], errors: [] };
+    const fail = (field, message) => {
+      result.errors.push({ field, message });
+      return { book: null, result };
+    };
+
+    if (!isbn) {
+      return fail('isbn', 'ISBN is required');
+    }
+
+    // Books are keyed by ISBN-13, so the ISBN-10 or another hyphenation of a known ISBN matches too
+    const key = normalizeIsbn(isbn) || isbn;
+    if (context.seenIsbns.has(key)) {
+      return fail('isbn', `ISBN already appears in row ${context.seenIsbns.get(key)}`);
+    }
+    context.seenIsbns.set(key, rowNumber);
+
+    const data = { ...row, isbn };
+
+    // Use the existing spelling of a known category; new ones are created only on request
+    if (data.category) {
+      const name = Category.normalizeName(data.category);
+      const known = context.categoryNames.get(name.toLowerCase()) || context.newCategories.get(name.toLowerCase());
+      if (known) {
+        data.category = known;
+      } else if (context.createCategories) {
+        context.newCategories.set(name.toLowerCase(), name);
+        data.category = name;
+      } else {
+        return fail('category', `Category "${data.category}" does not exist`);
+      }
+    }
+
+    const existing = context.booksByIsbn.get(key);
+    let book;
+
+    if (existing) {
+      result.bookId = existing._id;
+      result.title = result.title || existing.title;
+
+      const changes = IMPORT_FIELDS.filter(field => field !== 'isbn' && data[field] !== undefined &&
+        String(data[field]) !== String(existing[field]));
+      if (changes.length === 0) {
+        result.status = 'unchanged';
+        return { book: null, result };
+      }
+
+      if (changes.includes('quantity')) {
+        if (context.trackedIds.has(existing._id.toString())) {
+          return fail('quantity', 'Quantity is derived from copy records; add or withdraw copies instead');
+        }
+        if (Number(data.quantity) < existing.available) {
+          return fail('quantity', 'Cannot reduce quantity below current available count');
+        }
+      }
+
+      book = existing;
+      changes.forEach(field => book.set(field, data[field]));
+      result.changes = changes;
+      result.status = 'update';
+    } else {
+      book = new Book(data);
+      book.available = book.quantity;
+      result.status = 'create';
+    }
+
+    const validationError = book.validateSync();
+    if (validationError) {
+      Object.values(validationError.errors).forEach(error => {
+        result.errors.push({
+          field: error.path,
+          message: error.name === 'CastError' ? `${error.path} must be a ${error.kind.toLowerCase()}` : error.message
+        });
+      });
+      result.status = 'error';
+      result.changes = [];
+      return { book: null, result };
+    }
+
+    return { book, result };
+  }
+
+  /**
+   * Create the categories an import introduces
+   * @private
+   * @param {Array<string>} names - Normalized category names
+   */
+  async createCategories(names) {
+    for (const name of names) {
+      try {
+        await Category.create({ name });
+      } catch (error) {
+        // Created by someone else since the import started
+        if (error.code !== 11000) throw error;
+      }
+    }
+  }
+
+  /**
+   * Save a prepared row, registering copy records for new books
+   * @private
+   * @param {Object} entry - { book, result } from prepareRow
+   */
+  async saveRow({ book, result }) {
+    const isNew = book.isNew;
+    try {
+      await book.save();
+      result.bookId = book._id;
+      if (isNew) {
+        await Item.createCopies(book._id, book.quantity);
+      }
+    } catch (error) {
+      result.status = 'error';
+      result.changes = [];
+      result.errors.push({
+        field: error.code === 11000 ? 'isbn' : null,
+        message: error.code === 11000 ? 'A book with this ISBN was added while importing' : error.message
+      });
+    }
+  }
+}
+
+const bookImportService = new BookImportService();
+module.exports = bookImportService;
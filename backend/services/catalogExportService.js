@@ -0,0 +1,200 @@
+const { Book } = require('../models');
+const { toCsvRow } = require('../utils/csv');
+const { MARCXML_NAMESPACE, toMarc21, toMarcXml } = require('../utils/marc');
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  'id', 'isbn', 'title', 'author', 'category', 'description', 'edition', 'publisher', 'publicationYear', 'language',
+  'physicalDescription', 'pageCount', 'subjects', 'quantity', 'available', 'onLoan',
+  'averageRating', 'totalReviews', 'replacementCost', 'coverImage', 'createdAt', 'updatedAt'
+];
+
+// Flatten a book into the fields every export format is built from
+const toExportRecord = (book) => ({
+  id: book._id.toString(),
+  isbn: book.isbn,
+  title: book.title,
+  author: book.author,
+  category: book.category,
+  description: book.description || null,
+  edition: book.edition || null,
+  publisher: book.publisher || null,
+  publicationYear: book.publicationYear || null,
+  language: book.language || null,
+  physicalDescription: book.physicalDescription || null,
+  pageCount: book.pageCount || null,
+  subjects: book.subjects || [],
+  quantity: book.quantity,
+  available: book.available,
+  onLoan: Math.max(0, book.quantity - book.available),
+  averageRating: book.averageRating || 0,
+  totalReviews: book.totalReviews || 0,
+  ratingDistribution: book.ratingDistribution || null,
+  replacementCost: book.replacementCost === undefined ? null : book.replacementCost,
+  coverImage: book.coverImage || null,
+  createdAt: book.createdAt || null,
+  updatedAt: book.updatedAt || null
+});
+
+// MARC 005 timestamp: yyyymmddhhmmss.f
+const toMarcTimestamp = (date) => new Date(date).toISOString().replace(/[-T:]/g, '').slice(0, 14) + '.0';
+
+/**
+ * Map a book to MARC 21 fields. Availability and ratings go in the local
+ * field 999 ($a copies, $b available, $c on loan, $d average rating,
+ * $e number of reviews) so they survive a round trip through other systems.
+ */
+const toMarcFields = (record) => {
+  const fields = [{ tag: '001', value: record.id }];
+  if (record.updatedAt) fields.push({ tag: '005', value: toMarcTimestamp(record.updatedAt) });
+
+  fields.push({ tag: '020', ind1: ' ', ind2: ' ', subfields: [['a', record.isbn]] });
+  if (record.language) {
+    fields.push({ tag: '041', ind1: ' ', ind2: ' ', subfields: [['a', record.language]] });
+  }
+  fields.push(
+    { tag: '100', ind1: '1', ind2: ' ', subfields: [['a', record.author]] },
+    { tag: '245', ind1: '1', ind2: '0', subfields: [['a', record.title]] }
+  );
+  if (record.edition) {
+    fields.push({ tag: '250', ind1: ' ', ind2: ' ', subfields: [['a', record.edition]] });
+  }
+  if (record.publisher || record.publicationYear) {
+    const subfields = [];
+    if (record.publisher) subfields.push(['b', record.publisher]);
+    if (record.publicationYear) subfields.push(['c', String(record.publicationYear)]);
+    fields.push({ tag: '264', ind1: ' ', ind2: '1', subfields });
+  }
+  if (record.physicalDescription || record.pageCount) {
+    fields.push({
+      tag: '300',
+      ind1: ' ',
+      ind2: ' ',
+      subfields: [['a', record.physicalDescription || `${record.pageCount} pages`]]
+    });
+  }
+  if (record.description) {
+    fields.push({ tag: '520', ind1: ' ', ind2: ' ', subfields: [['a', record.description]] });
+  }
+  // Subject headings keep their subdivisions ("Rich people -- Fiction") in $a
+  record.subjects.forEach(subject => {
+    fields.push({ tag: '650', ind1: ' ', ind2: '4', subfields: [['a', subject]] });
+  });
+  if (!record.subjects.includes(record.category)) {
+    fields.push({ tag: '650', ind1: ' ', ind2: '4', subfields: [['a', record.category]] });
+  }
+  fields.push({
+    tag: '999',
+    ind1: ' ',
+    ind2: ' ',
+    subfields: [
+      ['a', String(record.quantity)],
+      ['b', String(record.available)],
+      ['c', String(record.onLoan)],
+      ['d', String(record.averageRating)],
+      ['e', String(record.totalReviews)]
+    ]
+  });
+
+  return fields;
+};
+
+// Output formats: response headers plus how to write the start, each book and the end
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => toCsvRow(CSV_COLUMNS),
+    // Subject headings share one cell, separated by semicolons
+    write: (record) => toCsvRow(CSV_COLUMNS.map(column => (column === 'subjects' ? record.subjects.join('; ') : record[column]))),
+    footer: () => ''
+  },
+  jsonl: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'jsonl',
+    header: () => '',
+    write: (record) => `${JSON.stringify(record)}\n`,
+    footer: () => ''
+  },
+  marc: {
+    contentType: 'application/marc',
+    extension: 'mrc',
+    header: () => '',
+    write: (record) => toMarc21(toMarcFields(record)),
+    footer: () => ''
+  },
+  marcxml: {
+    contentType: 'application/marcxml+xml; charset=utf-8',
+    extension: 'xml',
+    header: () => `<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="${MARCXML_NAMESPACE}">\n`,
+    write: (record) => toMarcXml(toMarcFields(record)),
+    footer: () => '</collection>\n'
+  }
+};
+
+// Write a chunk, waiting for the stream to drain (or close) when its buffer is full
+const writeChunk = (out, chunk) => {
+  if (!chunk.length || out.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      out.off('drain', done);
+      out.off('close', done);
+      resolve();
+    };
+    out.on('drain', done);
+    out.on('close', done);
+  });
+};
+
+/**
+ * Catalog Export Service
+ * Streams the books matching advanced search filters as CSV, JSON Lines,
+ * MARC 21 (ISO 2709) or MARCXML. Books are read through a cursor and
+ * written one at a time, so exports of any size use constant memory.
+ */
+class CatalogExportService {
+  /**
+   * Get the names of the supported export formats
+   * @returns {string[]} Format names
+   */
+  getFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  /**
+   * Get the content type and file extension of an export format
+   * @param {string} format - Format name
+   * @returns {Object|null} { contentType, extension }, or null for unknown formats
+   */
+  getFormat(format) {
+    const entry = FORMATS[format];
+    return entry ? { contentType: entry.contentType, extension: entry.extension } : null;
+  }
+
+  /**
+   * Write every book matching the filters to a stream
+   * @param {Object} out - Writable stream (e.g. the Express response)
+   * @param {string} format - Format name
+   * @param {Object} searchParams - Book.advancedSearch filters and sort
+   * @returns {Promise<number>} Number of books written (stops early if the stream closes)
+   */
+  async writeCatalog(out, format, searchParams = {}) {
+    const writer = FORMATS[format];
+    let count = 0;
+
+    await writeChunk(out, writer.header());
+    for await (const book of Book.searchCursor(searchParams)) {
+      if (out.destroyed) break;
+      await writeChunk(out, writer.write(toExportRecord(book)));
+      count++;
+    }
+    if (!out.destroyed) {
+      await writeChunk(out, writer.footer());
+    }
+
+    return count;
+  }
+}
+
+const catalogExportService = new CatalogExportService();
+module.exports = catalogExportService;
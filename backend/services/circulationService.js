@@ -0,0 +1,602 @@
+const { Book, Borrow, Reservation, Item, Fine, LoanPolicy, LibraryCalendar, Transfer } = require('../models');
+const { NON_CIRCULATING_ITEM_STATUSES, OPEN_BORROW_STATUSES, BUSINESS_RULES } = require('../utils/constants');
+const accountStandingService = require('./accountStandingService');
+
+// Borrow statuses that hold a copy off the shelf
+const ACTIVE_BORROW_STATUSES = OPEN_BORROW_STATUSES;
+
+// Copy status for each way a damaged copy can be dealt with
+const DAMAGE_DISPOSITIONS = {
+  repair: 'in_repair',
+  withdraw: 'withdrawn'
+};
+
+/**
+ * Circulation Service
+ * Moves copies between the shelf and patrons, and between branches, with
+ * conditional updates so that concurrent checkouts and returns cannot drive
+ * Book.available out of sync, and reconciles stored counters against active borrows.
+ */
+class CirculationService {
+  /**
+   * Run the checkout checks for a patron and book and resolve the loan terms.
+   * Every failed check is reported with a machine-readable code; checks
+   * marked `overridable` are limits staff may waive at the circulation desk.
+   * Account standing reasons come first. When a branch is given, a title
+   * with copy records must have a copy on the shelf at that branch.
+   * @param {Object} user - Patron
+   * @param {Object} book - Book document
+   * @param {Object} options - { borrowPeriodDays, branchId }
+   * @returns {Promise<Object>} { loanPolicy, readyHold, borrowPeriodDays, standing, violations }
+   */
+  async checkEligibility(user, book, { borrowPeriodDays = null, branchId = null } = {}) {
+    const loanPolicy = await LoanPolicy.resolveFor(user, book);
+    const period = borrowPeriodDays || loanPolicy.loanPeriodDays;
+
+    // A patron collecting a hold takes the copy set aside for them
+    const [readyHold, existingBorrow, activeCount, standing] = await Promise.all([
+      Reservation.findReadyHold(user._id, book._id),
+      Borrow.hasActiveBorrow(user._id, book._id),
+      Borrow.countActiveForPolicy(user._id, loanPolicy),
+      accountStandingService.evaluate(user)
+    ]);
+
+    const violations = standing.reasons.map(({ code, message, overridable }) => ({ code, message, overridable }));
+
+    if (period > loanPolicy.maxLoanPeriodDays) {
+      violations.push({
+        code: 'BORROW_PERIOD_TOO_LONG',
+        message: `Borrow period cannot exceed ${loanPolicy.maxLoanPeriodDays} days`,
+        overridable: true
+      });
+    }
+
+    if (!readyHold && !book.isAvailable()) {
+      violations.push({
+        code: 'BOOK_NOT_AVAILABLE',
+        message: 'Book is not available for borrowing',
+        overridable: false
+      });
+    } else if (!readyHold && branchId && await Item.isTracked(book._id) &&
+        !(await Item.exists({ bookId: book._id, branchId, status: 'available' }))) {
+      violations.push({
+        code: 'BOOK_NOT_AVAILABLE_AT_BRANCH',
+        message: 'Book is not available at this branch',
+        overridable: false
+      });
+    }
+
+    if (activeCount >= loanPolicy.maxItems) {
+      violations.push({
+        code: 'BORROW_LIMIT_EXCEEDED',
+        message: `Cannot borrow more than ${loanPolicy.maxItems} books at once`,
+        overridable: true
+      });
+    }
+
+    if (existingBorrow) {
+      violations.push({
+        code: 'BOOK_ALREADY_BORROWED',
+        message: 'This book is already on loan to the patron',
+        overridable: false
+      });
+    }
+
+    return { loanPolicy, readyHold, borrowPeriodDays: period, standing, violations };
+  }
+
+  /**
+   * Pick the edition of a work to lend when a patron asks for "any available
+   * edition". Editions are checked with checkEligibility: one the patron has
+   * a ready hold on wins, then the one with the most copies on the shelf.
+   * When no edition can be lent, the first edition is returned with its
+   * violations so the caller can report why. A patron who already has any
+   * edition of the work on loan gets WORK_ALREADY_BORROWED.
+   * @param {Object} user - Patron
+   * @param {Object} work - Work document
+   * @param {Object} options - { borrowPeriodDays, branchId, format }
+   * @returns {Promise<Object>} { book, terms }, with book null when the work has no editions (in that format)
+   */
+  async chooseEdition(user, work, { borrowPeriodDays = null, branchId = null, format = null } = {}) {
+    const editions = await Book.findEditions(work._id, { format });
+    if (editions.length === 0) return { book: null, terms: null };
+
+    const onLoan = await Borrow.exists({
+      userId: user._id,
+      bookId: { $in: editions.map(edition => edition._id) },
+      status: { $in: ACTIVE_BORROW_STATUSES }
+    });
+
+    const candidates = [];
+    for (const book of editions) {
+      const terms = await this.checkEligibility(user, book, { borrowPeriodDays, branchId });
+      if (onLoan) {
+        terms.violations.push({
+          code: 'WORK_ALREADY_BORROWED',
+          message: 'An edition of this work is already on loan to the patron',
+          overridable: false
+        });
+      }
+      candidates.push({ book, terms });
+    }
+
+    const lendable = candidates.filter(({ terms }) => terms.violations.length === 0);
+    return lendable.find(({ terms }) => terms.readyHold) || lendable[0] || candidates[0];
+  }
+
+  /**
+   * Create a borrow on the terms resolved by checkEligibility and take a copy
+   * off the shelf. The borrow is removed again if another request took the
+   * last copy in the meantime. The loan is recorded at the given branch, or
+   * else at the branch the copy was shelved at.
+   * @param {Object} user - Patron
+   * @param {Object} book - Book document
+   * @param {Object} terms - { loanPolicy, readyHold, borrowPeriodDays }
+   * @param {Object} options - { barcode, branchId, overrideLimits }
+   * @returns {Promise<Object|null>} { borrow, item }, or null when no copy could be claimed
+   */
+  async createLoan(user, book, { loanPolicy, readyHold, borrowPeriodDays }, { barcode = null, branchId = null, overrideLimits = false } = {}) {
+    const calendar = await LibraryCalendar.getCalendar();
+    const borrowDate = new Date();
+
+    const borrow = new Borrow({
+      userId: user._id,
+      bookId: book._id,
+      borrowDate,
+      // Closing time, moved to the next open day if the library is closed
+      dueDate: Borrow.calculateDueDate(borrowDate, borrowPeriodDays, calendar),
+      status: 'active',
+      reservationId: readyHold ? readyHold._id : null,
+      branchId
+    });
+    borrow.$locals.loanPolicy = loanPolicy;
+    borrow.$locals.overrideLimits = overrideLimits;
+
+    await borrow.save();
+
+    // Claim the copy atomically: the one set aside on the hold shelf, otherwise the next one available
+    const checkout = await this.checkOut(borrow, {
+      reservation: readyHold,
+      barcode,
+      branchId,
+      preferredBranchId: user.homeBranchId || null
+    });
+    if (!checkout.success) {
+      await borrow.deleteOne();
+      return null;
+    }
+
+    return { borrow, item: checkout.item };
+  }
+
+  /**
+   * Take a copy off the shelf for a borrow that has just been saved.
+   * Copies are claimed with a conditional update (copy status for tracked
+   * titles, `available > 0` for counter-tracked titles), so only one request
+   * can win the last copy. A copy is taken from `branchId` only; without one,
+   * a copy at the patron's preferred (home) branch is tried before any other.
+   * @param {Object} borrow - Saved borrow document
+   * @param {Object} options - { reservation, barcode, branchId, preferredBranchId }
+   * @returns {Promise<Object>} { success, item }
+   */
+  async checkOut(borrow, { reservation = null, barcode = null, branchId = null, preferredBranchId = null } = {}) {
+    const bookId = borrow.bookId._id || borrow.bookId;
+    let item = null;
+
+    if (await Item.isTracked(bookId)) {
+      const itemId = reservation ? reservation.itemId : null;
+      item = await Item.checkOut(bookId, borrow._id, { itemId, barcode, branchId: branchId || preferredBranchId });
+      if (!item && !branchId && preferredBranchId && !itemId && !barcode) {
+        item = await Item.checkOut(bookId, borrow._id);
+      }
+      if (!item) return { success: false, item: null };
+
+      borrow.itemId = item._id;
+      if (!borrow.branchId) borrow.branchId = item.branchId;
+      await borrow.save();
+    } else if (!reservation) {
+      // Held copies were already taken off the shelf when the hold became ready
+      const book = await Book.claimCopy(bookId);
+      if (!book) return { success: false, item: null };
+    }
+
+    if (reservation) {
+      await reservation.markAsFulfilled(borrow._id);
+    }
+
+    return { success: true, item };
+  }
+
+  /**
+   * Put the copy of a returned borrow back into circulation: hand it to the
+   * next patron in the hold queue, otherwise back on the shelf. A copy
+   * returned at another branch stays there until it is transferred back.
+   * @param {Object} borrow - Borrow that has just been marked as returned
+   * @param {Object} options - { branchId } Branch the copy was returned to
+   * @returns {Promise<Object|null>} Promoted reservation, or null
+   */
+  async checkIn(borrow, { branchId = null } = {}) {
+    const bookId = borrow.bookId._id || borrow.bookId;
+    const itemId = borrow.itemId ? (borrow.itemId._id || borrow.itemId) : null;
+
+    if (itemId) {
+      return this.shelveCopy(bookId, itemId, branchId);
+    }
+
+    const nextHold = await Reservation.promoteNext(bookId, null);
+    if (nextHold) return nextHold;
+
+    await Book.releaseCopy(bookId);
+    return null;
+  }
+
+  /**
+   * Put a copy back into circulation at a branch: onto the hold shelf for
+   * the next patron in the queue, otherwise back on the open shelf
+   * @private
+   */
+  async shelveCopy(bookId, itemId, branchId = null) {
+    if (branchId) {
+      await Item.updateOne({ _id: itemId }, { $set: { branchId } });
+    }
+
+    const nextHold = await Reservation.promoteNext(bookId, itemId);
+    if (nextHold) return nextHold;
+
+    const item = await Item.findById(itemId);
+    if (item) await item.checkIn();
+    return null;
+  }
+
+  /**
+   * Send a copy from the shelf to another branch. The copy is taken off the
+   * shelf with a conditional update, so a copy that was lent out or sent
+   * elsewhere in the meantime cannot be put in transit.
+   * @param {Object} item - Copy to send
+   * @param {Object} toBranch - Destination branch
+   * @param {Object} options - { sentBy, note }
+   * @returns {Promise<Object|null>} { transfer, item }, or null if the copy is no longer on the shelf
+   */
+  async sendTransfer(item, toBranch, { sentBy = null, note = null } = {}) {
+    const claimed = await Item.findOneAndUpdate(
+      { _id: item._id, status: 'available' },
+      { $set: { status: 'in_transit' } },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    let transfer;
+    try {
+      transfer = await Transfer.create({
+        itemId: claimed._id,
+        bookId: claimed.bookId,
+        fromBranchId: claimed.branchId,
+        toBranchId: toBranch._id,
+        note,
+        sentBy
+      });
+    } catch (error) {
+      await Item.updateOne({ _id: claimed._id, status: 'in_transit' }, { $set: { status: 'available' } });
+      throw error;
+    }
+
+    await Item.syncBookAvailability(claimed.bookId);
+    return { transfer, item: claimed };
+  }
+
+  /**
+   * Receive a copy at the end of its transfer. It joins the destination
+   * branch's holdings and goes to the next patron waiting for the title, if any.
+   * @param {Object} transfer - Transfer in transit
+   * @param {Object} options - { receivedBy }
+   * @returns {Promise<Object|null>} { transfer, item, nextHold }, or null if the transfer was already closed
+   */
+  async receiveTransfer(transfer, { receivedBy = null } = {}) {
+    const closed = await transfer.close('received', receivedBy);
+    if (!closed) return null;
+
+    const nextHold = await this.shelveCopy(transfer.bookId, transfer.itemId, transfer.toBranchId);
+    return { transfer, item: await Item.findById(transfer.itemId), nextHold };
+  }
+
+  /**
+   * Cancel a transfer and put the copy back into circulation at the branch it was sent from
+   * @param {Object} transfer - Transfer in transit
+   * @param {Object} options - { cancelledBy }
+   * @returns {Promise<Object|null>} { transfer, item, nextHold }, or null if the transfer was already closed
+   */
+  async cancelTransfer(transfer, { cancelledBy = null } = {}) {
+    const closed = await transfer.close('cancelled', cancelledBy);
+    if (!closed) return null;
+
+    const nextHold = await this.shelveCopy(transfer.bookId, transfer.itemId);
+    return { transfer, item: await Item.findById(transfer.itemId), nextHold };
+  }
+
+  /**
+   * Get the amount charged for replacing a copy of a book
+   * @param {Object} book - Book document
+   * @returns {number} Replacement cost
+   */
+  getReplacementCost(book) {
+    if (book && book.replacementCost !== null && book.replacementCost !== undefined) {
+      return book.replacementCost;
+    }
+    const configured = parseFloat(process.env.DEFAULT_REPLACEMENT_COST);
+    return isNaN(configured) ? BUSINESS_RULES.DEFAULT_REPLACEMENT_COST : configured;
+  }
+
+  /**
+   * Move a loan to a new status recorded by a librarian. The borrow's status
+   * is changed with a conditional update, then the copy and the patron's
+   * fine are brought in line:
+   *   - lost: the copy leaves the collection and the replacement cost is charged
+   *   - damaged: the copy is back but sent for repair or withdrawn, with a damage charge
+   *   - claimed_returned: the copy stays out while staff search; fines stop at the claim date
+   *   - returned: a claimed return is confirmed, or a lost copy was found
+   *     (the unpaid replacement charge is waived)
+   * Counter-tracked titles are given copy records first so the lost or
+   * damaged copy can be taken out of circulation individually.
+   * @param {Object} borrow - Borrow document
+   * @param {string} status - New status
+   * @param {Object} options - { changedBy, amount, disposition, note }
+   * @returns {Promise<Object|null>} { borrow, fine, item, nextHold }, or null if the borrow changed meanwhile
+   */
+  async changeLoanStatus(borrow, status, { changedBy = null, amount = null, disposition = 'withdraw', note = null } = {}) {
+    const bookId = borrow.bookId._id || borrow.bookId;
+    const book = await Book.findById(bookId);
+
+    if ((status === 'lost' || status === 'damaged') && !borrow.itemId && book) {
+      await Item.migrateBook(book);
+      const migrated = await Borrow.findById(borrow._id).select('itemId');
+      borrow.itemId = migrated ? migrated.itemId : null;
+    }
+
+    let charge = 0;
+    if (status === 'lost' || (status === 'damaged' && disposition === 'withdraw')) {
+      charge = amount !== null && amount !== undefined ? amount : this.getReplacementCost(book);
+    } else if (status === 'damaged') {
+      charge = amount || 0;
+    }
+
+    const wasLost = borrow.status === 'lost';
+    const returnDate = status === 'damaged' || status === 'returned'
+      ? (status === 'returned' && borrow.claimedReturnedAt) || new Date()
+      : undefined;
+
+    const updated = await borrow.recordStatusChange(status, { changedBy, charge, note, returnDate });
+    if (!updated) return null;
+
+    const item = borrow.itemId ? await Item.findById(borrow.itemId._id || borrow.itemId) : null;
+    let fine = null;
+    let nextHold = null;
+
+    if (status === 'lost') {
+      if (item) await item.checkIn('lost');
+      fine = await Fine.chargeForItem(borrow, {
+        amount: charge,
+        category: 'replacement',
+        note: note || 'Replacement for lost copy',
+        recordedBy: changedBy
+      });
+    } else if (status === 'damaged') {
+      if (item) await item.checkIn(DAMAGE_DISPOSITIONS[disposition]);
+      fine = await Fine.chargeForItem(borrow, {
+        amount: charge,
+        category: disposition === 'withdraw' ? 'replacement' : 'damage',
+        note: note || (disposition === 'withdraw' ? 'Replacement for damaged copy' : 'Repair of damaged copy'),
+        recordedBy: changedBy
+      });
+    } else if (status === 'claimed_returned') {
+      fine = await Fine.accrueForBorrow(borrow);
+    } else if (status === 'returned') {
+      nextHold = await this.checkIn(borrow);
+      fine = wasLost ? await this.waiveReplacement(borrow, changedBy) : await Fine.accrueForBorrow(borrow);
+    }
+
+    return { borrow, fine, item: item ? await Item.findById(item._id) : null, nextHold };
+  }
+
+  /**
+   * Waive whatever is still owed of the replacement charge once a lost copy turns up
+   * @private
+   */
+  async waiveReplacement(borrow, recordedBy) {
+    const fine = await Fine.findOne({ borrowId: borrow._id });
+    if (!fine) return null;
+
+    const amount = Math.min(fine.itemCharges, fine.balance);
+    if (amount <= 0) return fine;
+    return fine.waive(amount, { reason: 'Lost copy was found', recordedBy });
+  }
+
+  /**
+   * Recompute Book.available (and copy statuses for tracked titles) from
+   * active borrows and holds awaiting pickup.
+   * @param {Object} options - { bookId, dryRun }
+   * @returns {Promise<Object>} Report of every discrepancy found, fixed unless dryRun or
+   *   `repairable` is false (those are also listed in `skipped`)
+   */
+  async reconcileInventory({ bookId = null, dryRun = false } = {}) {
+    const books = await Book.find(bookId ? { _id: bookId } : {})
+      .select('title isbn quantity available')
+      .sort({ title: 1 });
+    const bookIds = books.map(book => book._id);
+
+    const [activeBorrows, readyHoldCounts, trackedBookIds] = await Promise.all([
+      Borrow.find({ bookId: { $in: bookIds }, status: { $in: ACTIVE_BORROW_STATUSES } })
+        .select('bookId itemId borrowDate')
+        .sort({ borrowDate: 1 }),
+      Reservation.aggregate([
+        { $match: { bookId: { $in: bookIds }, status: 'ready' } },
+        { $group: { _id: '$bookId', count: { $sum: 1 } } }
+      ]),
+      Item.distinct('bookId', { bookId: { $in: bookIds } })
+    ]);
+
+    const borrowsByBook = new Map();
+    activeBorrows.forEach(borrow => {
+      const key = borrow.bookId.toString();
+      if (!borrowsByBook.has(key)) borrowsByBook.set(key, []);
+      borrowsByBook.get(key).push(borrow);
+    });
+    const readyHoldsByBook = new Map(readyHoldCounts.map(({ _id, count }) => [_id.toString(), count]));
+    const tracked = new Set(trackedBookIds.map(id => id.toString()));
+
+    const discrepancies = [];
+    for (const book of books) {
+      const key = book._id.toString();
+      const borrows = borrowsByBook.get(key) || [];
+      const readyHolds = readyHoldsByBook.get(key) || 0;
+
+      const found = tracked.has(key)
+        ? await this.reconcileCopies(book, borrows, dryRun)
+        : await this.reconcileCounters(book, borrows.length, readyHolds, dryRun);
+
+      found.forEach(discrepancy => discrepancies.push({
+        bookId: book._id,
+        title: book.title,
+        isbn: book.isbn,
+        ...discrepancy
+      }));
+    }
+
+    const skipped = discrepancies.filter(discrepancy => discrepancy.repairable === false);
+
+    return {
+      dryRun,
+      booksChecked: books.length,
+      booksAffected: new Set(discrepancies.map(discrepancy => discrepancy.bookId.toString())).size,
+      discrepancies,
+      fixed: dryRun ? 0 : discrepancies.length - skipped.length,
+      skipped
+    };
+  }
+
+  /**
+   * Reconcile a counter-tracked title: available = quantity - active borrows - ready holds
+   * @private
+   */
+  async reconcileCounters(book, activeCount, readyHolds, dryRun) {
+    const expected = Math.min(Math.max(book.quantity - activeCount - readyHolds, 0), book.quantity);
+    if (book.available === expected) return [];
+
+    if (!dryRun) {
+      await Book.updateOne({ _id: book._id }, { $set: { available: expected } });
+    }
+
+    return [{
+      code: 'AVAILABLE_MISMATCH',
+      message: `Available count was ${book.available}, expected ${expected} ` +
+        `(${book.quantity} copies, ${activeCount} on loan, ${readyHolds} on the hold shelf)`,
+      field: 'available',
+      previous: book.available,
+      expected
+    }];
+  }
+
+  /**
+   * Reconcile a title with copy records: repair copy loan links, then derive the counters
+   * @private
+   */
+  async reconcileCopies(book, activeBorrows, dryRun) {
+    const items = await Item.find({ bookId: book._id }).select('barcode status currentBorrowId');
+    const itemsById = new Map(items.map(item => [item._id.toString(), item]));
+    const activeById = new Map(activeBorrows.map(borrow => [borrow._id.toString(), borrow]));
+    const statuses = new Map(items.map(item => [item._id.toString(), item.status]));
+    const discrepancies = [];
+    const fixes = [];
+
+    // Copies marked on loan to a borrow that is no longer active
+    items.forEach(item => {
+      if (item.status === 'on_loan' &&
+          (!item.currentBorrowId || !activeById.has(item.currentBorrowId.toString()))) {
+        fixes.push({ item, update: { status: 'available', currentBorrowId: null } });
+        statuses.set(item._id.toString(), 'available');
+        discrepancies.push({
+          code: 'COPY_NOT_ON_LOAN',
+          message: `Copy ${item.barcode} was marked on loan without an active borrow`,
+          itemId: item._id,
+          barcode: item.barcode,
+          previous: 'on_loan',
+          expected: 'available'
+        });
+      }
+    });
+
+    // Active borrows whose copy is not recorded as lent to them
+    activeBorrows.forEach(borrow => {
+      const item = borrow.itemId ? itemsById.get(borrow.itemId.toString()) : null;
+      if (item) {
+        const linked = item.currentBorrowId && item.currentBorrowId.toString() === borrow._id.toString();
+        if (statuses.get(item._id.toString()) !== 'on_loan' || !linked) {
+          fixes.push({ item, update: { status: 'on_loan', currentBorrowId: borrow._id } });
+          discrepancies.push({
+            code: 'LOAN_NOT_RECORDED',
+            message: `Copy ${item.barcode} was ${statuses.get(item._id.toString())} but is out on an active borrow`,
+            itemId: item._id,
+            barcode: item.barcode,
+            borrowId: borrow._id,
+            previous: statuses.get(item._id.toString()),
+            expected: 'on_loan'
+          });
+          statuses.set(item._id.toString(), 'on_loan');
+        }
+        return;
+      }
+
+      // Borrow has no copy assigned: assign an available one
+      const spare = items.find(candidate => statuses.get(candidate._id.toString()) === 'available');
+      discrepancies.push({
+        code: 'BORROW_WITHOUT_COPY',
+        message: spare
+          ? `Active borrow had no copy assigned; assigned copy ${spare.barcode}`
+          : 'Active borrow has no copy assigned and no available copy remains',
+        borrowId: borrow._id,
+        itemId: spare ? spare._id : null,
+        barcode: spare ? spare.barcode : null,
+        // Nothing to assign: left for a librarian to resolve
+        ...(spare ? {} : { repairable: false })
+      });
+      if (spare) {
+        fixes.push({ item: spare, update: { status: 'on_loan', currentBorrowId: borrow._id }, borrow });
+        statuses.set(spare._id.toString(), 'on_loan');
+      }
+    });
+
+    // Derive the counters the copies imply once the fixes above are applied
+    const counts = [...statuses.values()];
+    const expected = {
+      quantity: counts.filter(status => !NON_CIRCULATING_ITEM_STATUSES.includes(status)).length,
+      available: counts.filter(status => status === 'available').length
+    };
+    ['quantity', 'available'].forEach(field => {
+      if (book[field] !== expected[field]) {
+        discrepancies.push({
+          code: field === 'available' ? 'AVAILABLE_MISMATCH' : 'QUANTITY_MISMATCH',
+          message: `${field === 'available' ? 'Available count' : 'Quantity'} was ${book[field]}, ` +
+            `copy records give ${expected[field]}`,
+          field,
+          previous: book[field],
+          expected: expected[field]
+        });
+      }
+    });
+
+    if (!dryRun && discrepancies.length > 0) {
+      for (const { item, update, borrow } of fixes) {
+        await Item.updateOne({ _id: item._id }, { $set: update });
+        if (borrow) {
+          await Borrow.updateOne({ _id: borrow._id }, { $set: { itemId: item._id } });
+        }
+      }
+      await Item.syncBookAvailability(book._id);
+    }
+
+    return discrepancies;
+  }
+}
+
+// Export singleton instance
+const circulationService = new CirculationService();
+module.exports = circulationService;
@@ -0,0 +1,109 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Email Transports
+ * Every transport implements `send(message)` where message is
+ * { from, to, subject, text, html } and resolves to { messageId }.
+ * Delivery failures are thrown so the caller can record them.
+ */
+
+/**
+ * Base transport: documents the interface every transport implements
+ */
+class EmailTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { from, to, subject, text, html }
+   * @returns {Promise<Object>} { messageId }
+   */
+  async send() {
+    throw new Error(`Transport "${this.name}" does not implement send()`);
+  }
+}
+
+/**
+ * Sends mail through an SMTP server
+ */
+class SmtpTransport extends EmailTransport {
+  constructor({ host, port, secure, user, pass }) {
+    super('smtp');
+    const nodemailer = require('nodemailer');
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+/**
+ * Writes each message to a JSON file in an outbox directory instead of
+ * sending it, for local development and testing
+ */
+class OutboxTransport extends EmailTransport {
+  constructor({ directory }) {
+    super('outbox');
+    this.directory = directory;
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(
+      path.join(this.directory, `${messageId}.json`),
+      JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2)
+    );
+    return { messageId };
+  }
+}
+
+/**
+ * Discards every message (email delivery disabled)
+ */
+class NullTransport extends EmailTransport {
+  constructor() {
+    super('none');
+  }
+
+  async send() {
+    return { messageId: null };
+  }
+}
+
+/**
+ * Create the transport named in the email configuration
+ * @param {Object} emailConfig - Email section of the notification configuration
+ * @returns {EmailTransport} Transport instance
+ */
+const createEmailTransport = (emailConfig) => {
+  switch (emailConfig.transport) {
+    case 'smtp':
+      return new SmtpTransport(emailConfig.smtp);
+    case 'outbox':
+      return new OutboxTransport({ directory: emailConfig.outboxDir });
+    case 'none':
+      return new NullTransport();
+    default:
+      throw new Error(`Unknown email transport "${emailConfig.transport}" (expected smtp, outbox or none)`);
+  }
+};
+
+module.exports = {
+  EmailTransport,
+  SmtpTransport,
+  OutboxTransport,
+  NullTransport,
+  createEmailTransport
+};
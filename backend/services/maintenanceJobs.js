@@ -0,0 +1,58 @@
+/**
+ * Maintenance Job Definitions
+ * Jobs run by the scheduler. Each handler receives the job's configured
+ * options and resolves to a small summary that is stored in the run history.
+ */
+
+const { Borrow, Fine, Reservation } = require('../models');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+
+const maintenanceJobs = [
+  {
+    name: 'overdue-sweep',
+    description: 'Mark borrows past their due date as overdue and accrue their fines',
+    handler: async () => {
+      const markedOverdue = await Borrow.updateOverdueStatuses();
+      const fines = await Fine.accrueOutstanding();
+      return {
+        markedOverdue: markedOverdue.length,
+        finesAccrued: fines.length
+      };
+    }
+  },
+  {
+    name: 'hold-pickup-expiry',
+    description: 'Expire uncollected hold pickups and pass copies to the next patron',
+    handler: async () => {
+      const results = await Reservation.expireStalePickups();
+      return {
+        expired: results.length,
+        promoted: results.filter(result => result.promoted).length
+      };
+    }
+  },
+  {
+    name: 'patron-notifications',
+    description: 'Send due-soon, overdue and hold-ready notices and retry failed emails',
+    handler: () => notificationService.runScheduledNotices()
+  },
+  {
+    name: 'audit-retention',
+    description: 'Delete audit log entries older than the retention period',
+    handler: async ({ daysToKeep }) => {
+      const deleted = await auditService.cleanupOldLogs(daysToKeep);
+      return { daysToKeep, deleted };
+    }
+  },
+  {
+    name: 'orphaned-image-cleanup',
+    description: 'Remove uploaded images no longer referenced by any book or user',
+    handler: async () => {
+      const { cleanupOrphanedFiles } = require('../middleware/upload');
+      return cleanupOrphanedFiles();
+    }
+  }
+];
+
+module.exports = maintenanceJobs;
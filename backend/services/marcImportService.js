@@ -0,0 +1,437 @@
+const { Book, Category, Item, MarcImport, MarcRecord } = require('../models');
+const { MARCXML_NAMESPACE, parseMarc21, parseMarcXml, getSubfieldValues } = require('../utils/marc');
+const { normalizeIsbn } = require('../utils/isbn');
+
+// Most records accepted in one import
+const MAX_MARC_RECORDS = 500;
+
+// Book fields a record overwrites when merged into an existing book
+const MERGE_FIELDS = [
+  'title', 'author', 'description', 'edition', 'publisher', 'publicationYear', 'language', 'physicalDescription', 'pageCount',
+  'subjects'
+];
+
+/**
+ * Remove the ISBD punctuation catalogers put between elements
+ * ("The great Gatsby /" becomes "The great Gatsby"). A final period is kept
+ * after an initial, as in "Fitzgerald, F."
+ */
+const cleanValue = (value) => {
+  const cleaned = String(value).trim().replace(/[\s/:;,=]+$/, '');
+  return /(?:^|\s)[A-Z]\.$/.test(cleaned) ? cleaned : cleaned.replace(/\.$/, '');
+};
+
+// First field with a tag, optionally with a given second indicator
+const findField = (fields, tag, ind2) => fields.find(field =>
+  field.tag === tag && field.subfields && (ind2 === undefined || field.ind2 === ind2));
+
+// Value of the first subfield with a code, cleaned
+const subfield = (field, code) => {
+  const entry = field && field.subfields.find(([subfieldCode]) => subfieldCode === code);
+  return entry && entry[1].trim() ? cleanValue(entry[1]) : null;
+};
+
+// Valid ISBNs from 020 $a as ISBN-13s, e.g. "0-7432-7356-7 (pbk.)" gives "9780743273565"
+const getIsbns = (fields) => [...new Set(getSubfieldValues(fields, '020', 'a')
+  .map(value => normalizeIsbn((value.trim().match(/^[\dXx-]+/) || [''])[0]))
+  .filter(Boolean))];
+
+// Personal names entered surname first (first indicator 1) are turned around: "Fitzgerald, F. Scott" -> "F. Scott Fitzgerald"
+const getAuthor = (fields) => {
+  const personal = findField(fields, '100');
+  if (personal) {
+    const name = subfield(personal, 'a');
+    const parts = name ? name.split(',').map(part => part.trim()) : [];
+    return personal.ind1 === '1' && parts.length === 2 && parts[1] ? `${parts[1]} ${parts[0]}` : name;
+  }
+  return subfield(findField(fields, '110'), 'a') || subfield(findField(fields, '111'), 'a');
+};
+
+/**
+ * Map the fields of a MARC record onto Book fields
+ * @param {Array<Object>} fields - Parsed record fields
+ * @returns {Object} { data, isbns } with only the fields the record provides
+ */
+const mapRecord = (fields) => {
+  const data = {};
+  const set = (name, value) => {
+    if (value !== null && value !== undefined && value !== '') data[name] = value;
+  };
+
+  const title = findField(fields, '245');
+  if (title) {
+    const main = subfield(title, 'a');
+    const remainder = subfield(title, 'b');
+    set('title', main && remainder ? `${main}: ${remainder}` : main || remainder);
+  }
+
+  set('author', getAuthor(fields));
+  set('edition', subfield(findField(fields, '250'), 'a'));
+
+  // RDA records use 264 with second indicator 1 for publication; older ones use 260
+  const publication = findField(fields, '264', '1') || findField(fields, '260');
+  if (publication) {
+    set('publisher', subfield(publication, 'b'));
+    const year = (subfield(publication, 'c') || '').match(/\d{4}/);
+    set('publicationYear', year ? parseInt(year[0], 10) : null);
+  }
+
+  const physical = findField(fields, '300');
+  if (physical) {
+    const extent = physical.subfields.map(([, value]) => value.trim()).filter(Boolean).join(' ');
+    set('physicalDescription', extent ? cleanValue(extent) : null);
+    const pages = [...(subfield(physical, 'a') || '').matchAll(/(\d+)\s*(?:pages|p\b)/g)].pop();
+    set('pageCount', pages ? parseInt(pages[1], 10) : null);
+  }
+
+  set('description', subfield(findField(fields, '520'), 'a'));
+
+  // Language from 041 $a, else positions 35-37 of the 008 fixed field
+  const fixedData = fields.find(field => field.tag === '008' && field.value);
+  const language = subfield(findField(fields, '041'), 'a') || (fixedData ? fixedData.value.slice(35, 38) : null);
+  set('language', language && /^[a-z]{3}$/i.test(language.trim()) ? language.trim().toLowerCase() : null);
+
+  // Subject headings with their subdivisions: "Rich people -- Fiction"
+  const subjects = fields
+    .filter(field => field.tag === '650' && field.subfields)
+    .map(field => field.subfields
+      .filter(([code]) => ['a', 'v', 'x', 'y', 'z'].includes(code))
+      .map(([, value]) => cleanValue(value))
+      .filter(Boolean)
+      .join(' -- '))
+    .filter(Boolean);
+  if (subjects.length > 0) data.subjects = [...new Set(subjects)];
+
+  return { data, isbns: getIsbns(fields) };
+};
+
+// Give a MARCXML record its namespace so it still parses when stored on its own
+const withNamespace = (record) => {
+  const start = record.match(/^<(?:([\w-]+):)?record\b[^>]*>/);
+  if (!start || start[0].includes('xmlns')) return record;
+  const attribute = start[1] ? `xmlns:${start[1]}` : 'xmlns';
+  return record.replace(/^<((?:[\w-]+:)?record)\b/, `<$1 ${attribute}="${MARCXML_NAMESPACE}"`);
+};
+
+// Same value, comparing arrays and numbers by content
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Messages of a Mongoose validation error
+const validationMessages = (error) => Object.values(error.errors).map(entry =>
+  (entry.name === 'CastError' ? `${entry.path} must be a ${entry.kind.toLowerCase()}` : entry.message));
+
+/**
+ * MARC Import Service
+ * Imports MARC 21 records (ISO 2709 or MARCXML) from vendors in two steps.
+ * A preview parses and maps every record, matches it to an existing book by
+ * ISBN and stores the result for 24 hours without touching the catalog;
+ * confirming the preview then creates new books or merges the bibliographic
+ * fields into existing ones. Each book keeps the original record it came from.
+ */
+class MarcImportService {
+  /**
+   * Read records from an upload, detecting the format from its first character
+   * @param {Buffer|string} input - ISO 2709 data or a MARCXML document
+   * @returns {Object} { format, records } with records from the MARC parsers
+   * @throws {Error} If the upload is empty, unreadable or has too many records
+   */
+  parseRecords(input) {
+    const buffer = Buffer.isBuffer(input) ? input : Buffer.from(String(input || ''), 'utf8');
+    const text = buffer.toString('latin1').trimStart();
+    if (!text) {
+      throw new Error('The upload is empty');
+    }
+
+    const format = text.startsWith('<') ? 'marcxml' : 'marc21';
+    const records = format === 'marcxml'
+      ? parseMarcXml(buffer.toString('utf8')).map(record => ({ ...record, raw: Buffer.from(withNamespace(record.raw), 'utf8') }))
+      : parseMarc21(buffer);
+
+    if (records.length === 0) {
+      throw new Error('No MARC records were found');
+    }
+    if (records.length > MAX_MARC_RECORDS) {
+      throw new Error(`At most ${MAX_MARC_RECORDS} records can be imported at once`);
+    }
+
+    return { format, records };
+  }
+
+  /**
+   * Map records onto books and store the outcome as a pending import
+   * @param {Buffer|string} input - Uploaded records
+   * @param {Object} options - { userId, defaultCategory }
+   * @returns {Promise<Object>} The saved MarcImport
+   * @throws {Error} If the upload cannot be read or the default category does not exist
+   */
+  async preview(input, { userId, defaultCategory = null } = {}) {
+    const { format, records } = this.parseRecords(input);
+    const categoryNames = await this.getCategoryNames();
+
+    let fallbackCategory = null;
+    if (defaultCategory) {
+      fallbackCategory = categoryNames.get(Category.normalizeName(defaultCategory).toLowerCase());
+      if (!fallbackCategory) {
+        throw new Error(`Category "${defaultCategory}" does not exist`);
+      }
+    }
+
+    const mapped = records.map(record => (record.error ? record : { ...record, ...mapRecord(record.fields) }));
+    const booksByIsbn = await this.findBooksByIsbn(mapped.flatMap(record => record.isbns || []));
+    const seenIsbns = new Map();
+
+    const entries = mapped.map((record, index) => {
+      const entry = {
+        index,
+        raw: record.raw,
+        controlNumber: null,
+        data: {},
+        action: 'error',
+        bookId: null,
+        changes: [],
+        issues: []
+      };
+
+      if (record.error) {
+        entry.issues.push(`Record could not be read: ${record.error}`);
+        return entry;
+      }
+
+      entry.issues.push(...record.warnings);
+      const controlField = record.fields.find(field => field.tag === '001');
+      entry.controlNumber = controlField ? controlField.value.trim() : null;
+
+      // Prefer the ISBN of a book already in the catalog
+      const isbn = record.isbns.find(candidate => booksByIsbn.has(candidate)) || record.isbns[0];
+      if (!isbn) {
+        entry.issues.push('No valid ISBN in field 020');
+        return entry;
+      }
+      if (seenIsbns.has(isbn)) {
+        entry.issues.push(`ISBN ${isbn} already appears in record ${seenIsbns.get(isbn)}`);
+        return entry;
+      }
+      seenIsbns.set(isbn, index);
+
+      entry.data = { ...record.data, isbn };
+      const existing = booksByIsbn.get(isbn);
+
+      if (existing) {
+        entry.bookId = existing._id;
+        entry.action = 'merge';
+        entry.changes = this.diff(existing, entry.data);
+        const messages = this.checkMerge(existing, entry.data);
+        if (messages.length > 0) {
+          entry.issues.push(...messages);
+          entry.action = 'error';
+          entry.changes = [];
+        }
+        return entry;
+      }
+
+      // The first subject naming a known category decides where a new book is shelved
+      const subjectCategory = getSubfieldValues(record.fields, '650', 'a')
+        .map(subject => categoryNames.get(Category.normalizeName(cleanValue(subject)).toLowerCase()))
+        .find(Boolean);
+      entry.data.category = subjectCategory || fallbackCategory || undefined;
+      if (!entry.data.category) {
+        entry.issues.push('No subject matches a category; choose one when confirming or pass defaultCategory');
+      }
+
+      const messages = this.checkCreate(entry.data, 1);
+      entry.issues.push(...messages);
+      entry.action = messages.length > 0 ? 'error' : 'create';
+      return entry;
+    });
+
+    return MarcImport.create({ format, records: entries, createdBy: userId });
+  }
+
+  /**
+   * Apply a pending import. Records are created or merged as previewed
+   * unless a decision overrides them; previewed errors are skipped.
+   * @param {string} importId - MarcImport ID
+   * @param {Object} options - { userId, quantity, decisions: [{ index, action, category }] }
+   * @returns {Promise<Object|null>} { marcImport, summary }, or null if the import is no longer pending
+   */
+  async confirm(importId, { userId, quantity = 1, decisions = [] } = {}) {
+    const marcImport = await MarcImport.claimPending(importId, userId);
+    if (!marcImport) return null;
+
+    const overrides = new Map(decisions.map(decision => [Number(decision.index), decision]));
+    const categoryNames = await this.getCategoryNames();
+
+    // Books may have been added or changed since the preview
+    const booksByIsbn = await this.findBooksByIsbn(marcImport.records.map(record => record.data && record.data.isbn).filter(Boolean));
+
+    for (const record of marcImport.records) {
+      const decision = overrides.get(record.index) || {};
+      const action = decision.action || (record.action === 'error' ? 'skip' : record.action);
+      const fail = (message) => {
+        record.result = 'error';
+        record.issues.push(message);
+      };
+
+      if (action === 'skip') {
+        record.result = 'skipped';
+        continue;
+      }
+      if (!record.data || !record.data.isbn) {
+        fail('Record has no usable ISBN');
+        continue;
+      }
+
+      const existing = booksByIsbn.get(record.data.isbn);
+      try {
+        if (action === 'merge') {
+          if (!existing) {
+            fail('No book with this ISBN to merge into');
+            continue;
+          }
+          const book = await this.mergeRecord(existing, record);
+          if (!book) continue;
+          record.bookId = book._id;
+          record.result = 'merged';
+        } else {
+          if (existing) {
+            fail('A book with this ISBN already exists; merge the record instead');
+            continue;
+          }
+          const data = { ...record.data };
+          if (decision.category) {
+            data.category = categoryNames.get(Category.normalizeName(decision.category).toLowerCase());
+            if (!data.category) {
+              fail(`Category "${decision.category}" does not exist`);
+              continue;
+            }
+          }
+          const book = await this.createRecord(data, quantity, record);
+          if (!book) continue;
+          record.bookId = book._id;
+          record.result = 'created';
+          booksByIsbn.set(book.isbn, book);
+        }
+
+        await MarcRecord.attach(record.bookId, {
+          format: marcImport.format,
+          raw: record.raw,
+          controlNumber: record.controlNumber,
+          importId: marcImport._id,
+          importedBy: userId
+        });
+      } catch (error) {
+        fail(error.code === 11000 ? 'A book with this ISBN was added while importing' : error.message);
+      }
+    }
+
+    marcImport.markModified('records');
+    await marcImport.save();
+
+    const count = (result) => marcImport.records.filter(record => record.result === result).length;
+    return {
+      marcImport,
+      summary: {
+        total: marcImport.records.length,
+        created: count('created'),
+        merged: count('merged'),
+        skipped: count('skipped'),
+        errors: count('error')
+      }
+    };
+  }
+
+  /**
+   * Map existing category names by their lowercase form
+   * @private
+   * @returns {Promise<Map<string, string>>}
+   */
+  async getCategoryNames() {
+    const categories = await Category.find({}).select('name');
+    return new Map(categories.map(category => [category.name.toLowerCase(), category.name]));
+  }
+
+  /**
+   * Load the books with any of the given ISBNs
+   * @private
+   * @param {Array<string>} isbns - ISBNs without hyphens
+   * @returns {Promise<Map<string, Object>>} Books by ISBN
+   */
+  async findBooksByIsbn(isbns) {
+    const books = isbns.length > 0 ? await Book.find({ isbn: { $in: [...new Set(isbns)] } }) : [];
+    return new Map(books.map(book => [book.isbn, book]));
+  }
+
+  /**
+   * Fields a merge would change, with their current and new values
+   * @private
+   */
+  diff(book, data) {
+    return MERGE_FIELDS
+      .filter(field => data[field] !== undefined && !sameValue(field === 'subjects' ? [...book.subjects] : book[field], data[field]))
+      .map(field => ({ field, from: book[field] ?? null, to: data[field] }));
+  }
+
+  /**
+   * Validation problems of a new book built from mapped data
+   * @private
+   */
+  checkCreate(data, quantity) {
+    const error = new Book({ ...data, quantity, available: quantity }).validateSync();
+    return error ? validationMessages(error) : [];
+  }
+
+  /**
+   * Validation problems of merging mapped data into a book (the book is not changed)
+   * @private
+   */
+  checkMerge(book, data) {
+    const copy = Book.hydrate(book.toObject());
+    MERGE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) copy.set(field, data[field]);
+    });
+    const error = copy.validateSync(MERGE_FIELDS);
+    return error ? validationMessages(error) : [];
+  }
+
+  /**
+   * Create a book and its copies from a record
+   * @private
+   * @returns {Promise<Object|null>} The book, or null if it failed validation
+   */
+  async createRecord(data, quantity, record) {
+    const messages = this.checkCreate(data, quantity);
+    if (messages.length > 0) {
+      record.result = 'error';
+      record.issues.push(...messages);
+      return null;
+    }
+
+    const book = await Book.create({ ...data, quantity, available: quantity });
+    await Item.createCopies(book._id, quantity);
+    return book;
+  }
+
+  /**
+   * Overwrite the bibliographic fields of a book with those of a record
+   * @private
+   * @returns {Promise<Object|null>} The book, or null if it failed validation
+   */
+  async mergeRecord(book, record) {
+    const changes = this.diff(book, record.data);
+    changes.forEach(({ field, to }) => book.set(field, to));
+
+    const error = book.validateSync();
+    if (error) {
+      record.result = 'error';
+      record.issues.push(...validationMessages(error));
+      return null;
+    }
+
+    record.changes = changes;
+    await book.save();
+    return book;
+  }
+}
+
+const marcImportService = new MarcImportService();
+module.exports = marcImportService;
@@ -0,0 +1,306 @@
+const { Notification, User, Borrow, Reservation, LibraryCalendar } = require('../models');
+const notificationConfig = require('../config/notifications');
+const { createEmailTransport } = require('./emailTransports');
+const consoleUtils = require('../utils/consoleUtils');
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Fields needed to address and filter notifications for a patron
+const RECIPIENT_FIELDS = 'name email notificationPreferences';
+
+// Failed emails are retried by the scheduled run until this many attempts
+const MAX_EMAIL_ATTEMPTS = 3;
+
+/**
+ * Notification Service
+ * Generates patron notifications from borrow and hold state and delivers
+ * them in-app and by email, following each patron's channel preferences.
+ * Generated events carry a dedupe key (e.g. the borrow and its due date) so
+ * a scheduled run can be repeated without notifying anyone twice.
+ */
+class NotificationService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Get the email transport, creating it from the configuration on first use
+   * @returns {EmailTransport} Transport instance
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createEmailTransport(notificationConfig.email);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Replace the email transport (e.g. with another EmailTransport implementation)
+   * @param {EmailTransport} transport - Transport instance
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Get the channels a user wants for an event
+   * @param {Object} user - User document
+   * @param {string} event - Notification event
+   * @returns {Object} { inApp, email }
+   */
+  getChannels(user, event) {
+    const preferences = (user.notificationPreferences && user.notificationPreferences[event]) || {};
+    return {
+      inApp: preferences.inApp !== false,
+      email: preferences.email !== false && !!user.email
+    };
+  }
+
+  /**
+   * Create a notification for a user and send it on their chosen channels.
+   * The email is sent in the background unless `waitForEmail` is set, so a
+   * slow mail server does not hold up the request that caused the notice.
+   * @param {Object|string} user - User document (with email and preferences) or ID
+   * @param {string} event - due_soon, overdue, hold_ready or account
+   * @param {Object} content - { type, title, message, data, dedupeKey }
+   * @param {Object} [options] - { waitForEmail }: resolve only once the email was attempted
+   * @returns {Promise<Object|null>} Notification, or null if the user opted out or it was already sent
+   */
+  async notify(user, event, { type = 'info', title, message, data = {}, dedupeKey = null }, { waitForEmail = false } = {}) {
+    if (!user || !user.email || !user.notificationPreferences) {
+      user = await User.findById(user && user._id ? user._id : user).select(RECIPIENT_FIELDS);
+      if (!user) return null;
+    }
+
+    const channels = this.getChannels(user, event);
+    if (!channels.inApp && !channels.email) return null;
+
+    let notification;
+    try {
+      notification = await Notification.create({
+        userId: user._id,
+        event,
+        type,
+        title,
+        message,
+        data,
+        dedupeKey,
+        inApp: channels.inApp,
+        deliveries: channels.email ? [{ channel: 'email', recipient: user.email }] : []
+      });
+    } catch (error) {
+      // Already generated for this occurrence
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    if (channels.email && waitForEmail) {
+      await this.deliverEmail(notification);
+    } else if (channels.email) {
+      this.deliverEmail(notification).catch(error => {
+        consoleUtils.logWarning(`Notification email to ${user.email} could not be recorded: ${error.message}`);
+      });
+    }
+    return notification;
+  }
+
+  /**
+   * Send the email delivery of a notification and record the outcome.
+   * Transport failures are recorded on the delivery rather than thrown.
+   * @param {Object} notification - Notification document
+   * @returns {Promise<Object>} Updated notification
+   */
+  async deliverEmail(notification) {
+    const delivery = notification.deliveries.find(entry => entry.channel === 'email');
+    if (!delivery || delivery.status === 'sent') return notification;
+
+    delivery.transport = notificationConfig.email.transport;
+    delivery.attempts += 1;
+
+    try {
+      // An unknown or misconfigured transport fails here and is recorded like a failed send
+      const transport = this.getTransport();
+      delivery.transport = transport.name;
+      const { messageId } = await transport.send({
+        from: notificationConfig.email.from,
+        to: delivery.recipient,
+        subject: notification.title,
+        text: notification.message
+      });
+      delivery.status = 'sent';
+      delivery.messageId = messageId;
+      delivery.sentAt = new Date();
+      delivery.lastError = null;
+    } catch (error) {
+      delivery.status = 'failed';
+      delivery.lastError = error.message;
+      consoleUtils.logWarning(`Notification email to ${delivery.recipient} failed: ${error.message}`);
+    }
+
+    return notification.save();
+  }
+
+  /**
+   * Retry email deliveries that failed on an earlier attempt
+   * @returns {Promise<number>} Emails sent on this retry
+   */
+  async retryFailedEmails() {
+    const notifications = await Notification.find({
+      deliveries: { $elemMatch: { channel: 'email', status: 'failed', attempts: { $lt: MAX_EMAIL_ATTEMPTS } } }
+    }).limit(100);
+
+    let sent = 0;
+    for (const notification of notifications) {
+      await this.deliverEmail(notification);
+      if (notification.deliveries.some(entry => entry.channel === 'email' && entry.status === 'sent')) sent++;
+    }
+    return sent;
+  }
+
+  /**
+   * Format a date for a patron-facing message in the library's timezone
+   * @private
+   */
+  formatDate(date, calendar) {
+    return new Date(date).toLocaleString('en-GB', {
+      timeZone: calendar.timezone,
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    });
+  }
+
+  /**
+   * Remind patrons of loans falling due within the configured number of days.
+   * A renewed loan gets a fresh reminder for its new due date.
+   * @param {Object} options - { days }
+   * @returns {Promise<number>} Reminders created
+   */
+  async sendDueSoonReminders({ days = notificationConfig.dueSoonDays } = {}) {
+    const now = new Date();
+    const [borrows, calendar] = await Promise.all([
+      Borrow.find({
+        status: 'active',
+        dueDate: { $gt: now, $lte: new Date(now.getTime() + days * MS_PER_DAY) }
+      })
+        .populate('userId', RECIPIENT_FIELDS)
+        .populate('bookId', 'title'),
+      LibraryCalendar.getCalendar()
+    ]);
+
+    let created = 0;
+    for (const borrow of borrows) {
+      if (!borrow.userId || !borrow.bookId) continue;
+      const notification = await this.notify(borrow.userId, 'due_soon', {
+        type: 'info',
+        title: 'Book due soon',
+        message: `"${borrow.bookId.title}" is due back by ${this.formatDate(borrow.dueDate, calendar)}. ` +
+          'Return or renew it to avoid a late fine.',
+        data: { borrowId: borrow._id, bookId: borrow.bookId._id, dueDate: borrow.dueDate },
+        dedupeKey: `due_soon:${borrow._id}:${borrow.dueDate.getTime()}`
+      }, { waitForEmail: true });
+      if (notification) created++;
+    }
+    return created;
+  }
+
+  /**
+   * Tell patrons about loans that have become overdue (once per due date)
+   * @returns {Promise<number>} Notices created
+   */
+  async sendOverdueNotices() {
+    const [borrows, calendar] = await Promise.all([
+      Borrow.find({ status: 'overdue' })
+        .populate('userId', RECIPIENT_FIELDS)
+        .populate('bookId', 'title'),
+      LibraryCalendar.getCalendar()
+    ]);
+
+    let created = 0;
+    for (const borrow of borrows) {
+      if (!borrow.userId || !borrow.bookId) continue;
+      const notification = await this.notify(borrow.userId, 'overdue', {
+        type: 'warning',
+        title: 'Book overdue',
+        message: `"${borrow.bookId.title}" was due back by ${this.formatDate(borrow.dueDate, calendar)}. ` +
+          'Late fines are accruing until it is returned.',
+        data: { borrowId: borrow._id, bookId: borrow.bookId._id, dueDate: borrow.dueDate },
+        dedupeKey: `overdue:${borrow._id}:${borrow.dueDate.getTime()}`
+      }, { waitForEmail: true });
+      if (notification) created++;
+    }
+    return created;
+  }
+
+  /**
+   * Tell a patron their hold is waiting on the hold shelf
+   * @param {Object} reservation - Reservation that has just become ready
+   * @param {Object} calendar - Library calendar (loaded if not given)
+   * @param {Object} [options] - See notify
+   * @returns {Promise<Object|null>} Notification, or null
+   */
+  async notifyHoldReady(reservation, calendar = null, options = {}) {
+    calendar = calendar || await LibraryCalendar.getCalendar();
+    if (!reservation.populated('bookId')) {
+      await reservation.populate('bookId', 'title');
+    }
+    if (!reservation.bookId || !reservation.readyAt) return null;
+
+    const pickupBy = reservation.pickupExpiresAt
+      ? ` Please collect it by ${this.formatDate(reservation.pickupExpiresAt, calendar)}.`
+      : '';
+
+    return this.notify(reservation.userId, 'hold_ready', {
+      type: 'success',
+      title: 'Hold ready for pickup',
+      message: `"${reservation.bookId.title}" is waiting for you at the library.${pickupBy}`,
+      data: { reservationId: reservation._id, bookId: reservation.bookId._id, pickupExpiresAt: reservation.pickupExpiresAt },
+      dedupeKey: `hold_ready:${reservation._id}:${reservation.readyAt.getTime()}`
+    }, options);
+  }
+
+  /**
+   * Notify every patron whose hold is ready and who has not been told yet
+   * @returns {Promise<number>} Notices created
+   */
+  async sendHoldReadyNotices() {
+    const [reservations, calendar] = await Promise.all([
+      Reservation.find({ status: 'ready' })
+        .populate('userId', RECIPIENT_FIELDS)
+        .populate('bookId', 'title'),
+      LibraryCalendar.getCalendar()
+    ]);
+
+    let created = 0;
+    for (const reservation of reservations) {
+      if (!reservation.userId) continue;
+      if (await this.notifyHoldReady(reservation, calendar, { waitForEmail: true })) created++;
+    }
+    return created;
+  }
+
+  /**
+   * Send an account notice (password change, charges on the account, ...)
+   * @param {Object|string} user - User document or ID
+   * @param {Object} content - { type, title, message, data, dedupeKey }
+   * @returns {Promise<Object|null>} Notification, or null
+   */
+  async notifyAccount(user, content) {
+    return this.notify(user, 'account', content);
+  }
+
+  /**
+   * Generate every scheduled notice and retry failed emails
+   * @returns {Promise<Object>} Counts per event
+   */
+  async runScheduledNotices() {
+    const dueSoon = await this.sendDueSoonReminders();
+    const overdue = await this.sendOverdueNotices();
+    const holdReady = await this.sendHoldReadyNotices();
+    const emailsRetried = await this.retryFailedEmails();
+    return { dueSoon, overdue, holdReady, emailsRetried };
+  }
+}
+
+// Export singleton instance
+const notificationService = new NotificationService();
+module.exports = notificationService;
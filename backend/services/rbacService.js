@@ -12,6 +12,7 @@ const PERMISSIONS = {
   USER_DELETE: 'user:delete',
   USER_READ_ALL: 'user:read:all',
   USER_UPDATE_ROLE: 'user:update:role',
+  USER_BLOCK_MANAGE: 'user:block:manage',
   
   // Profile Management
   PROFILE_READ_OWN: 'profile:read:own',
@@ -26,8 +27,21 @@ const PERMISSIONS = {
   BOOK_DELETE: 'book:delete',
   BOOK_UPLOAD_COVER: 'book:upload:cover',
   BOOK_BULK_IMPORT: 'book:bulk:import',
+  BOOK_EXPORT: 'book:export',
+  BOOK_MARC_IMPORT: 'book:marc:import',
+  AUTHOR_MANAGE: 'author:manage',
+  WORK_MANAGE: 'work:manage',
   BOOK_CLEANUP_IMAGES: 'book:cleanup:images',
   
+  // Copy (Item) Management
+  ITEM_READ: 'item:read',
+  ITEM_CREATE: 'item:create',
+  ITEM_UPDATE: 'item:update',
+  ITEM_TRANSFER: 'item:transfer',
+  
+  // Branch Management
+  BRANCH_MANAGE: 'branch:manage',
+  
   // Borrowing Management
   BORROW_CREATE: 'borrow:create',
   BORROW_READ_OWN: 'borrow:read:own',
@@ -38,6 +52,22 @@ const PERMISSIONS = {
   BORROW_RETURN: 'borrow:return',
   BORROW_STATS: 'borrow:stats',
   BORROW_OVERDUE_MANAGE: 'borrow:overdue:manage',
+  BORROW_DESK_CHECKOUT: 'borrow:desk:checkout',
+  BORROW_OVERRIDE_LIMITS: 'borrow:override:limits',
+  BORROW_STATUS_MANAGE: 'borrow:status:manage',
+  
+  // Fine Management
+  FINE_READ_OWN: 'fine:read:own',
+  FINE_READ_ALL: 'fine:read:all',
+  FINE_PAYMENT_RECORD: 'fine:payment:record',
+  FINE_WAIVE: 'fine:waive',
+  
+  // Loan Policy Management
+  LOAN_POLICY_READ: 'loan_policy:read',
+  LOAN_POLICY_MANAGE: 'loan_policy:manage',
+  
+  // Library Calendar Management
+  CALENDAR_MANAGE: 'calendar:manage',
   
   // Review Management
   REVIEW_CREATE: 'review:create',
@@ -95,6 +125,9 @@ const ROLES = {
       PERMISSIONS.BORROW_EXTEND,
       PERMISSIONS.BORROW_RETURN,
       
+      // Fines
+      PERMISSIONS.FINE_READ_OWN,
+      
       // Reviews
       PERMISSIONS.REVIEW_CREATE,
       PERMISSIONS.REVIEW_READ,
@@ -124,6 +157,7 @@ const ROLES = {
       PERMISSIONS.USER_READ,
       PERMISSIONS.USER_READ_ALL,
       PERMISSIONS.USER_UPDATE,
+      PERMISSIONS.USER_BLOCK_MANAGE,
       PERMISSIONS.PROFILE_READ_ANY,
       PERMISSIONS.PROFILE_UPDATE_ANY,
       
@@ -133,12 +167,36 @@ const ROLES = {
       PERMISSIONS.BOOK_DELETE,
       PERMISSIONS.BOOK_UPLOAD_COVER,
       PERMISSIONS.BOOK_CLEANUP_IMAGES,
+      PERMISSIONS.BOOK_EXPORT,
+      PERMISSIONS.BOOK_MARC_IMPORT,
+      PERMISSIONS.AUTHOR_MANAGE,
+      PERMISSIONS.WORK_MANAGE,
+      
+      // Copy management
+      PERMISSIONS.ITEM_READ,
+      PERMISSIONS.ITEM_CREATE,
+      PERMISSIONS.ITEM_UPDATE,
+      PERMISSIONS.ITEM_TRANSFER,
       
       // Advanced borrowing management
       PERMISSIONS.BORROW_READ_ALL,
       PERMISSIONS.BORROW_UPDATE_ANY,
       PERMISSIONS.BORROW_STATS,
       PERMISSIONS.BORROW_OVERDUE_MANAGE,
+      PERMISSIONS.BORROW_DESK_CHECKOUT,
+      PERMISSIONS.BORROW_OVERRIDE_LIMITS,
+      PERMISSIONS.BORROW_STATUS_MANAGE,
+      
+      // Fine management
+      PERMISSIONS.FINE_READ_ALL,
+      PERMISSIONS.FINE_PAYMENT_RECORD,
+      PERMISSIONS.FINE_WAIVE,
+      
+      // Loan policy access
+      PERMISSIONS.LOAN_POLICY_READ,
+      
+      // Library calendar management
+      PERMISSIONS.CALENDAR_MANAGE,
       
       // Review management
       PERMISSIONS.REVIEW_UPDATE_ANY,
@@ -181,6 +239,12 @@ const ROLES = {
       // Advanced book management
       PERMISSIONS.BOOK_BULK_IMPORT,
       
+      // Loan policy management
+      PERMISSIONS.LOAN_POLICY_MANAGE,
+      
+      // Branch management
+      PERMISSIONS.BRANCH_MANAGE,
+      
       // System administration
       PERMISSIONS.SYSTEM_SECURITY_MONITOR,
       PERMISSIONS.SYSTEM_BULK_OPERATIONS,
@@ -195,6 +259,7 @@ ROLES.librarian.permissions = [
   PERMISSIONS.USER_READ,
   PERMISSIONS.USER_READ_ALL,
   PERMISSIONS.USER_UPDATE,
+  PERMISSIONS.USER_BLOCK_MANAGE,
   PERMISSIONS.PROFILE_READ_ANY,
   PERMISSIONS.PROFILE_UPDATE_ANY,
   PERMISSIONS.BOOK_CREATE,
@@ -202,10 +267,26 @@ ROLES.librarian.permissions = [
   PERMISSIONS.BOOK_DELETE,
   PERMISSIONS.BOOK_UPLOAD_COVER,
   PERMISSIONS.BOOK_CLEANUP_IMAGES,
+  PERMISSIONS.BOOK_EXPORT,
+  PERMISSIONS.BOOK_MARC_IMPORT,
+  PERMISSIONS.AUTHOR_MANAGE,
+  PERMISSIONS.WORK_MANAGE,
+  PERMISSIONS.ITEM_READ,
+  PERMISSIONS.ITEM_CREATE,
+  PERMISSIONS.ITEM_UPDATE,
+  PERMISSIONS.ITEM_TRANSFER,
   PERMISSIONS.BORROW_READ_ALL,
   PERMISSIONS.BORROW_UPDATE_ANY,
   PERMISSIONS.BORROW_STATS,
   PERMISSIONS.BORROW_OVERDUE_MANAGE,
+  PERMISSIONS.BORROW_DESK_CHECKOUT,
+  PERMISSIONS.BORROW_OVERRIDE_LIMITS,
+  PERMISSIONS.BORROW_STATUS_MANAGE,
+  PERMISSIONS.FINE_READ_ALL,
+  PERMISSIONS.FINE_PAYMENT_RECORD,
+  PERMISSIONS.FINE_WAIVE,
+  PERMISSIONS.LOAN_POLICY_READ,
+  PERMISSIONS.CALENDAR_MANAGE,
   PERMISSIONS.REVIEW_UPDATE_ANY,
   PERMISSIONS.REVIEW_DELETE_ANY,
   PERMISSIONS.REVIEW_ANALYTICS,
@@ -228,6 +309,8 @@ ROLES.admin.permissions = [
   PERMISSIONS.USER_DELETE,
   PERMISSIONS.USER_UPDATE_ROLE,
   PERMISSIONS.BOOK_BULK_IMPORT,
+  PERMISSIONS.LOAN_POLICY_MANAGE,
+  PERMISSIONS.BRANCH_MANAGE,
   PERMISSIONS.SYSTEM_SECURITY_MONITOR,
   PERMISSIONS.SYSTEM_BULK_OPERATIONS,
   PERMISSIONS.SYSTEM_MAINTENANCE
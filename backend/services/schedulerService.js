@@ -0,0 +1,220 @@
+const { ScheduledJob, JobRun } = require('../models');
+const schedulerConfig = require('../config/scheduler');
+const maintenanceJobs = require('./maintenanceJobs');
+const { parseCron, getNextRun } = require('../utils/cronUtils');
+const consoleUtils = require('../utils/consoleUtils');
+
+/**
+ * Scheduler Service
+ * Runs registered maintenance jobs in-process on cron-like schedules. Run
+ * state and locks live in MongoDB so that when several instances of the API
+ * are running, each scheduled slot is executed by exactly one of them.
+ */
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Register a job
+   * @param {Object} definition - { name, description, handler, schedule, options }
+   */
+  register({ name, description, handler, schedule, options = {} }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      description,
+      handler,
+      schedule: parseCron(schedule),
+      options,
+      nextRunAt: getNextRun(schedule)
+    });
+  }
+
+  /**
+   * Check whether a job is registered
+   * @param {string} name - Job name
+   * @returns {boolean} True if registered
+   */
+  hasJob(name) {
+    return this.jobs.has(name);
+  }
+
+  /**
+   * Start checking for due jobs
+   */
+  async start() {
+    if (this.timer) return;
+
+    await ScheduledJob.ensureJobs([...this.jobs.keys()]);
+
+    this.timer = setInterval(() => this.tick(), schedulerConfig.tickIntervalSeconds * 1000);
+    this.timer.unref();
+
+    consoleUtils.logInfo(`Job scheduler started with ${this.jobs.size} jobs (instance ${schedulerConfig.instanceId})`);
+  }
+
+  /**
+   * Stop checking for due jobs (runs in progress finish normally)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run every job whose next scheduled slot has passed
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const now = new Date();
+      for (const job of this.jobs.values()) {
+        if (job.nextRunAt > now) continue;
+
+        const scheduledFor = job.nextRunAt;
+        job.nextRunAt = getNextRun(job.schedule, now);
+
+        try {
+          await this.runJob(job.name, { trigger: 'schedule', scheduledFor });
+        } catch (error) {
+          consoleUtils.logError(`Scheduled job ${job.name} could not run`, error);
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Run a job now if its lock can be acquired
+   * @param {string} name - Job name
+   * @param {Object} options - { trigger, triggeredBy, scheduledFor }
+   * @returns {Promise<Object|null>} Run record, or null when another run holds the lock
+   *   (or the scheduled slot was already taken or the job is paused)
+   */
+  async runJob(name, { trigger = 'manual', triggeredBy = null, scheduledFor = null } = {}) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Job "${name}" is not registered`);
+    }
+
+    const { instanceId, lockTimeoutMinutes } = schedulerConfig;
+    const state = await ScheduledJob.acquireLock(name, instanceId, lockTimeoutMinutes, scheduledFor);
+    if (!state) return null;
+
+    const run = await JobRun.create({
+      jobName: name,
+      trigger,
+      triggeredBy,
+      instanceId,
+      scheduledFor
+    });
+
+    let status = 'succeeded';
+    try {
+      const result = await job.handler(job.options);
+      await run.finish('succeeded', { result });
+    } catch (error) {
+      status = 'failed';
+      consoleUtils.logError(`Job ${name} failed`, error);
+      await run.finish('failed', { error: error.message });
+    } finally {
+      await ScheduledJob.releaseLock(name, instanceId, {
+        status,
+        finishedAt: run.finishedAt || new Date(),
+        nextRunAt: job.nextRunAt
+      });
+    }
+
+    return run;
+  }
+
+  /**
+   * List registered jobs with their schedule and last run state
+   * @returns {Promise<Array>} Jobs
+   */
+  async listJobs() {
+    const states = await ScheduledJob.find({ name: { $in: [...this.jobs.keys()] } });
+    const stateByName = new Map(states.map(state => [state.name, state]));
+
+    return [...this.jobs.values()].map(job => {
+      const state = stateByName.get(job.name);
+      return {
+        name: job.name,
+        description: job.description,
+        schedule: job.schedule.expression,
+        options: job.options,
+        paused: state ? state.paused : false,
+        pausedAt: state ? state.pausedAt : null,
+        running: state ? state.isLocked : false,
+        lockedBy: state && state.isLocked ? state.lockedBy : null,
+        lastRunAt: state ? state.lastRunAt : null,
+        lastStatus: state ? state.lastStatus : null,
+        nextRunAt: job.nextRunAt
+      };
+    });
+  }
+
+  /**
+   * Pause or resume scheduled runs of a job (manual triggers are still allowed)
+   * @param {string} name - Job name
+   * @param {boolean} paused - New paused state
+   * @param {string} userId - User making the change
+   * @returns {Promise<Object>} Updated job state
+   */
+  async setPaused(name, paused, userId = null) {
+    if (!this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is not registered`);
+    }
+
+    return ScheduledJob.findOneAndUpdate(
+      { name },
+      {
+        $set: {
+          paused,
+          pausedBy: paused ? userId : null,
+          pausedAt: paused ? new Date() : null
+        }
+      },
+      { new: true, upsert: true }
+    );
+  }
+
+  /**
+   * Get run history for a job
+   * @param {string} name - Job name
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Promise<Object>} { runs, total }
+   */
+  async getRunHistory(name, { limit = 20, offset = 0 } = {}) {
+    const [runs, total] = await Promise.all([
+      JobRun.find({ jobName: name })
+        .populate('triggeredBy', 'name email')
+        .sort({ startedAt: -1 })
+        .limit(limit)
+        .skip(offset),
+      JobRun.countDocuments({ jobName: name })
+    ]);
+
+    return { runs, total };
+  }
+}
+
+// Export singleton instance with the maintenance jobs registered
+const schedulerService = new SchedulerService();
+maintenanceJobs.forEach(job => {
+  const config = schedulerConfig.jobs[job.name] || {};
+  schedulerService.register({ ...job, ...config });
+});
+
+module.exports = schedulerService;
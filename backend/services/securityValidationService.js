@@ -1,6 +1,7 @@
 const validator = require('validator');
 const { body, query, param, validationResult } = require('express-validator');
 const { sendError } = require('../utils/helpers');
+const { isValidIsbn } = require('../utils/isbn');
 
 /**
  * Enhanced Security Validation Service
@@ -101,13 +102,13 @@ class SecurityValidationService {
   }
 
   /**
-   * Validate ISBN format
-   * @param {string} isbn - ISBN to validate
+   * Validate an ISBN-10 or ISBN-13, including its check digit
+   * @param {string} isbn - ISBN to validate (hyphens and spaces allowed)
    * @returns {boolean} True if valid ISBN
    */
   isValidISBN(isbn) {
     if (!isbn) return false;
-    return validator.isISBN(isbn.replace(/[-\s]/g, ''));
+    return isValidIsbn(isbn);
   }
 
   /**
@@ -1,4 +1,4 @@
-const { User, Book, Category, Review, Borrow, ContactMessage } = require('../models');
+const { User, Book, Category, Review, Borrow, ContactMessage, Item } = require('../models');
 const { sendSuccess, sendError, asyncHandler } = require('../utils/helpers');
 const consoleUtils = require('../utils/consoleUtils');
 
@@ -582,7 +582,8 @@ class SeedService {
       for (const bookData of books) {
         const book = new Book(bookData);
         await book.save();
-        createdBooks.push(book);
+        await Item.createCopies(book._id, book.quantity);
+        createdBooks.push(await Book.findById(book._id));
       }
 
       consoleUtils.logSuccess(`✅ ${createdBooks.length} books created successfully`);
@@ -808,12 +809,13 @@ class SeedService {
         await borrow.save();
         createdBorrows.push(borrow);
 
-        // Update book availability for active/overdue borrows
+        // Check out a copy for active/overdue borrows (book availability follows copy status)
         if (borrow.status === 'active' || borrow.status === 'overdue') {
-          await Book.findByIdAndUpdate(
-            borrow.bookId,
-            { $inc: { available: -1 } }
-          );
+          const item = await Item.checkOut(borrow.bookId, borrow._id);
+          if (item) {
+            borrow.itemId = item._id;
+            await borrow.save();
+          }
         }
       }
 
@@ -1,5 +1,6 @@
 const { body, query, param, validationResult } = require('express-validator');
 const { sendError, isValidObjectId } = require('../utils/helpers');
+const { isValidTimezone, isValidDateKey, isValidTime } = require('../utils/timezoneUtils');
 const securityValidation = require('./securityValidationService');
 const validator = require('validator');
 const {
@@ -7,8 +8,15 @@ const {
   VALIDATION_PATTERNS,
   VALIDATION_LENGTHS,
   HTTP_STATUS,
-  ERROR_CODES
+  ERROR_CODES,
+  CONTRIBUTOR_ROLES,
+  BOOK_FORMATS,
+  BOOK_FACETS,
+  MATCH_MODES
 } = require('../utils/constants');
+const { MAX_QUERY_LENGTH } = require('../utils/searchQuery');
+const { MAX_CURSOR_LENGTH } = require('../utils/cursor');
+const catalogExportService = require('./catalogExportService');
 
 // Common validation rules
 const validationRules = {
@@ -96,16 +104,12 @@ const validationRules = {
       .trim()
       .custom((value) => {
         if (!securityValidation.isValidISBN(value)) {
-          throw new Error('Invalid ISBN format');
+          throw new Error('Invalid ISBN: expected an ISBN-10 or ISBN-13 with a correct check digit');
         }
         if (securityValidation.containsSuspiciousPatterns(value)) {
           throw new Error('ISBN contains invalid characters');
         }
         return true;
-      })
-      .customSanitizer((value) => {
-        // Normalize ISBN format
-        return value.replace(/[-\s]/g, '');
       }),
 
     category: body('category')
@@ -138,10 +142,91 @@ const validationRules = {
         return securityValidation.sanitizeInput(value);
       }),
 
+    edition: body('edition')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Edition cannot exceed 100 characters'),
+
+    publisher: body('publisher')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Publisher cannot exceed 200 characters'),
+
+    publicationYear: body('publicationYear')
+      .optional({ nullable: true })
+      .isInt({ min: 1000, max: 9999 })
+      .withMessage('Publication year must be a four-digit year'),
+
+    physicalDescription: body('physicalDescription')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Physical description cannot exceed 200 characters'),
+
+    pageCount: body('pageCount')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Page count must be a positive integer'),
+
+    language: body('language')
+      .optional({ nullable: true })
+      .trim()
+      .matches(/^[A-Za-z]{2,3}$/)
+      .withMessage('Language must be a two- or three-letter ISO 639 code'),
+
+    subjects: body('subjects')
+      .optional()
+      .isArray()
+      .withMessage('Subjects must be an array of strings')
+      .custom((value) => value.every(subject => typeof subject === 'string' && subject.trim().length <= 200))
+      .withMessage('Each subject must be text of at most 200 characters'),
+
+    contributors: body('contributors')
+      .optional()
+      .isArray({ min: 1, max: 20 })
+      .withMessage('Contributors must be a list of 1 to 20 entries'),
+
+    contributor: body('contributors.*')
+      .custom((entry) => !!entry && typeof entry === 'object' && !!(entry.authorId || entry.name))
+      .withMessage('Each contributor needs an authorId or a name'),
+
+    contributorAuthorId: body('contributors.*.authorId')
+      .optional()
+      .isMongoId()
+      .withMessage('Contributor author ID must be a valid ID'),
+
+    contributorName: body('contributors.*.name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Contributor name must be between 1 and 100 characters'),
+
+    contributorRole: body('contributors.*.role')
+      .optional()
+      .isIn(CONTRIBUTOR_ROLES)
+      .withMessage(`Contributor role must be one of: ${CONTRIBUTOR_ROLES.join(', ')}`),
+
+    workId: body('workId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Please provide a valid work ID'),
+
+    format: body('format')
+      .optional({ nullable: true })
+      .isIn(BOOK_FORMATS)
+      .withMessage(`Format must be one of: ${BOOK_FORMATS.join(', ')}`),
+
     quantity: body('quantity')
       .isInt({ min: 1, max: 10000 })
       .withMessage('Quantity must be a positive integer between 1 and 10000'),
 
+    replacementCost: body('replacementCost')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Replacement cost must be a non-negative number'),
+
     coverImage: body('coverImage')
       .optional()
       .custom((value) => {
@@ -251,19 +336,374 @@ const validationRules = {
       .withMessage('Notes cannot exceed 500 characters')
   },
 
+  // Branch validation rules (required fields are enforced by the model)
+  branch: {
+    name: body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Branch name must be between 1 and 100 characters'),
+    code: body('code')
+      .optional()
+      .trim()
+      .matches(/^[A-Za-z0-9]{2,10}$/)
+      .withMessage('Branch code must be 2-10 letters or digits'),
+    address: body('address')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Address cannot exceed 200 characters'),
+    phone: body('phone')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage('Phone cannot exceed 30 characters'),
+    email: body('email')
+      .optional({ nullable: true })
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email'),
+    isActive: body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+      .toBoolean()
+  },
+
+  // Author validation rules (the name is required by createAuthor)
+  author: {
+    name: body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Author name must be between 1 and 100 characters'),
+    sortName: body('sortName')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Sort name cannot exceed 100 characters'),
+    variants: body('variants')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('Variants must be a list of at most 50 names'),
+    variant: body('variants.*')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Each name variant must be between 1 and 100 characters'),
+    birthYear: body('birthYear')
+      .optional({ nullable: true })
+      .isInt({ min: -3000, max: 9999 })
+      .withMessage('Birth year must be a year'),
+    deathYear: body('deathYear')
+      .optional({ nullable: true })
+      .isInt({ min: -3000, max: 9999 })
+      .withMessage('Death year must be a year'),
+    bio: body('bio')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Biography cannot exceed 2000 characters')
+  },
+
+  // Work validation rules (required fields are enforced by the model)
+  work: {
+    title: body('title')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Title must be between 1 and 200 characters'),
+    author: body('author')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Author name cannot exceed 100 characters'),
+    description: body('description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description cannot exceed 1000 characters'),
+    seriesId: body('seriesId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Please provide a valid series ID'),
+    seriesVolume: body('seriesVolume')
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 10000 })
+      .withMessage('Series volume must be a number of at least 0')
+      .toFloat(),
+    bookIds: body('bookIds')
+      .optional()
+      .isArray({ max: 100 })
+      .withMessage('bookIds must be a list of at most 100 book IDs'),
+    bookId: body('bookIds.*')
+      .isMongoId()
+      .withMessage('Each book ID must be valid')
+  },
+
+  // Series validation rules
+  series: {
+    name: body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Series name must be between 1 and 200 characters'),
+    description: body('description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description cannot exceed 1000 characters')
+  },
+
+  // Copy transfer validation rules
+  transfer: {
+    copy: body()
+      .custom((value) => {
+        if (!value.itemId && !value.barcode) {
+          throw new Error('Provide the copy ID or barcode of the copy to send');
+        }
+        return true;
+      }),
+    itemId: body('itemId')
+      .optional()
+      .isMongoId()
+      .withMessage('Please provide a valid copy ID'),
+    barcode: body('barcode')
+      .optional()
+      .trim()
+      .matches(/^[A-Za-z0-9-]{4,32}$/)
+      .withMessage('Barcode must be 4-32 letters, digits or hyphens'),
+    toBranchId: body('toBranchId')
+      .isMongoId()
+      .withMessage('Please provide a valid destination branch ID'),
+    note: body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Note cannot exceed 500 characters')
+  },
+
   // Borrow validation rules
   borrow: {
     bookId: body('bookId')
       .isMongoId()
       .withMessage('Please provide a valid book ID'),
+    // Upper bounds are enforced by the applicable loan policy
     borrowPeriodDays: body('borrowPeriodDays')
       .optional()
-      .isInt({ min: 1, max: 30 })
-      .withMessage('Borrow period must be between 1 and 30 days'),
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Borrow period must be between 1 and 365 days'),
     additionalDays: body('additionalDays')
       .optional()
-      .isInt({ min: 1, max: 30 })
-      .withMessage('Additional days must be between 1 and 30')
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Additional days must be between 1 and 365'),
+    branchId: body('branchId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Please provide a valid branch ID'),
+    // Borrowing a work lends any available edition of it
+    target: body()
+      .custom((value) => {
+        if (!value.bookId && !value.workId) {
+          throw new Error('Provide the ID of the book or of the work to borrow');
+        }
+        return true;
+      }),
+    optionalBookId: body('bookId')
+      .optional()
+      .isMongoId()
+      .withMessage('Please provide a valid book ID'),
+    workId: body('workId')
+      .optional()
+      .isMongoId()
+      .withMessage('Please provide a valid work ID'),
+    format: body('format')
+      .optional()
+      .isIn(BOOK_FORMATS)
+      .withMessage(`Format must be one of: ${BOOK_FORMATS.join(', ')}`)
+  },
+
+  // Fine validation rules
+  fine: {
+    amount: body('amount')
+      .isFloat({ gt: 0, max: 100000 })
+      .withMessage('Amount must be a positive number'),
+    waiverAmount: body('amount')
+      .optional()
+      .isFloat({ gt: 0, max: 100000 })
+      .withMessage('Amount must be a positive number'),
+    method: body('method')
+      .optional()
+      .isIn(['cash', 'card', 'online', 'other'])
+      .withMessage('Method must be one of: cash, card, online, other'),
+    note: body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Note cannot exceed 500 characters'),
+    reason: body('reason')
+      .trim()
+      .isLength({ min: 3, max: 500 })
+      .withMessage('Reason must be between 3 and 500 characters')
+  },
+
+  // Item (physical copy) validation rules
+  item: {
+    bookId: body('bookId')
+      .notEmpty()
+      .withMessage('Book ID is required')
+      .custom(value => {
+        if (!isValidObjectId(value)) {
+          throw new Error('Invalid book ID');
+        }
+        return true;
+      }),
+    branchId: body('branchId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Please provide a valid branch ID'),
+    barcode: body('barcode')
+      .optional()
+      .trim()
+      .matches(/^[A-Za-z0-9-]{4,32}$/)
+      .withMessage('Barcode must be 4-32 letters, digits or hyphens'),
+    count: body('count')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Count must be between 1 and 100'),
+    shelfLocation: body('shelfLocation')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Shelf location cannot exceed 100 characters'),
+    condition: body('condition')
+      .optional()
+      .isIn(['new', 'good', 'fair', 'poor', 'damaged'])
+      .withMessage('Condition must be one of: new, good, fair, poor, damaged'),
+    acquisitionDate: body('acquisitionDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Acquisition date must be a valid date'),
+    status: body('status')
+      .optional()
+      .isIn(['available', 'in_repair', 'withdrawn'])
+      .withMessage('Status must be one of: available, in_repair, withdrawn'),
+    notes: body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters')
+  },
+
+  // Loan policy validation rules (required fields are enforced by the model)
+  loanPolicy: {
+    name: body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Policy name must be between 1 and 100 characters'),
+    description: body('description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters'),
+    role: body('role')
+      .optional({ nullable: true })
+      .isIn([USER_ROLES.BORROWER, USER_ROLES.LIBRARIAN, USER_ROLES.ADMIN])
+      .withMessage(`Role must be one of: ${USER_ROLES.BORROWER}, ${USER_ROLES.LIBRARIAN}, ${USER_ROLES.ADMIN}`),
+    patronType: body('patronType')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Patron type must be between 1 and 50 characters'),
+    category: body('category')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Category must be between 1 and 100 characters'),
+    loanPeriodDays: body('loanPeriodDays')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Loan period must be between 1 and 365 days'),
+    maxLoanPeriodDays: body('maxLoanPeriodDays')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Maximum loan period must be between 1 and 365 days'),
+    maxItems: body('maxItems')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Maximum items must be a non-negative integer'),
+    maxRenewals: body('maxRenewals')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Maximum renewals must be a non-negative integer'),
+    graceDays: body('graceDays')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Grace days must be a non-negative integer'),
+    fineDailyRate: body('fineDailyRate')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Fine daily rate must be a non-negative number'),
+    fineMaxAmount: body('fineMaxAmount')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Maximum fine must be a non-negative number'),
+    priority: body('priority')
+      .optional()
+      .isInt()
+      .withMessage('Priority must be an integer'),
+    isActive: body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+  },
+
+  // Library calendar validation rules
+  calendar: {
+    timezone: body('timezone')
+      .optional()
+      .custom(value => {
+        if (!isValidTimezone(value)) {
+          throw new Error('Timezone must be a valid IANA timezone (e.g. Europe/London)');
+        }
+        return true;
+      }),
+    openingHours: body('openingHours')
+      .optional()
+      .isArray({ min: 1, max: 7 })
+      .withMessage('Opening hours must be a list of up to 7 days'),
+    dayOfWeek: body('openingHours.*.dayOfWeek')
+      .isInt({ min: 0, max: 6 })
+      .withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)'),
+    dayOpen: body('openingHours.*.open')
+      .optional({ nullable: true })
+      .custom(isValidTime)
+      .withMessage('Opening time must be in HH:mm format'),
+    dayClose: body('openingHours.*.close')
+      .optional({ nullable: true })
+      .custom(isValidTime)
+      .withMessage('Closing time must be in HH:mm format'),
+    exceptionDate: body('date')
+      .custom(isValidDateKey)
+      .withMessage('Date must be in YYYY-MM-DD format'),
+    exceptionName: body('name')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Name cannot exceed 100 characters'),
+    exceptionClosed: body('closed')
+      .optional()
+      .isBoolean()
+      .withMessage('closed must be a boolean'),
+    exceptionOpen: body('open')
+      .optional({ nullable: true })
+      .custom(isValidTime)
+      .withMessage('Opening time must be in HH:mm format'),
+    exceptionClose: body('close')
+      .optional({ nullable: true })
+      .custom(isValidTime)
+      .withMessage('Closing time must be in HH:mm format')
   },
 
   // Review validation rules
@@ -373,6 +813,40 @@ const validationRules = {
       .optional()
       .isISO8601()
       .withMessage('Date to must be a valid ISO 8601 date'),
+    language: query('language')
+      .optional()
+      .custom((value) => (Array.isArray(value) ? value : [value]).every(code => /^[A-Za-z]{2,3}$/.test(code)))
+      .withMessage('Language must be a two- or three-letter ISO 639 code, or an array of them'),
+    minRating: query('minRating')
+      .optional()
+      .isFloat({ min: 0, max: 5 })
+      .withMessage('Minimum rating must be between 0 and 5'),
+    maxRating: query('maxRating')
+      .optional()
+      .isFloat({ min: 0, max: 5 })
+      .withMessage('Maximum rating must be between 0 and 5'),
+    yearFrom: query('yearFrom')
+      .optional()
+      .isInt({ min: 1000, max: 9999 })
+      .withMessage('Year from must be a four-digit year'),
+    yearTo: query('yearTo')
+      .optional()
+      .isInt({ min: 1000, max: 9999 })
+      .withMessage('Year to must be a four-digit year'),
+    facets: query('facets')
+      .optional()
+      .custom((value) => ['true', 'false'].includes(value) ||
+        String(value).split(',').every(name => BOOK_FACETS.includes(name.trim())))
+      .withMessage(`Facets must be true, false or a comma-separated list of: ${BOOK_FACETS.join(', ')}`),
+    searchQuery: query('query')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: MAX_QUERY_LENGTH })
+      .withMessage(`Search query must be between 1 and ${MAX_QUERY_LENGTH} characters`),
+    match: query('match')
+      .optional()
+      .isIn(MATCH_MODES)
+      .withMessage(`Match must be one of: ${MATCH_MODES.join(', ')}`),
     sortBy: query('sortBy')
       .optional()
       .isIn(['title', 'author', 'createdAt', 'category', 'rating', 'quantity', 'available', 'isbn'])
@@ -380,7 +854,21 @@ const validationRules = {
     sortOrder: query('sortOrder')
       .optional()
       .isIn(['asc', 'desc'])
-      .withMessage('SortOrder must be either asc or desc')
+      .withMessage('SortOrder must be either asc or desc'),
+    branchId: query('branchId')
+      .optional()
+      .isMongoId()
+      .withMessage('Branch ID must be a valid ID'),
+    after: query('after')
+      .optional()
+      .matches(new RegExp(`^[A-Za-z0-9_-]{1,${MAX_CURSOR_LENGTH}}$`))
+      .withMessage('After must be a cursor from a previous page'),
+    before: query('before')
+      .optional()
+      .matches(new RegExp(`^[A-Za-z0-9_-]{1,${MAX_CURSOR_LENGTH}}$`))
+      .withMessage('Before must be a cursor from a previous page')
+      .custom((value, { req }) => !req.query.after)
+      .withMessage('Use either after or before, not both')
   }
 };
 
@@ -427,7 +915,10 @@ const validationMiddleware = {
 
   updateProfile: createValidationMiddleware([
     body('name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
-    body('email').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email')
+    body('email').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+    body('patronType').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Patron type must be between 1 and 50 characters'),
+    body('cardNumber').optional().trim().matches(/^[A-Za-z0-9-]{4,32}$/).withMessage('Card number must be 4-32 letters, digits or hyphens'),
+    body('homeBranchId').optional({ nullable: true }).isMongoId().withMessage('Please provide a valid branch ID')
   ]),
 
   changePassword: createValidationMiddleware([
@@ -455,19 +946,50 @@ const validationMiddleware = {
     validationRules.book.isbn,
     validationRules.book.category,
     validationRules.book.description,
+    validationRules.book.edition,
+    validationRules.book.publisher,
+    validationRules.book.publicationYear,
+    validationRules.book.language,
+    validationRules.book.physicalDescription,
+    validationRules.book.pageCount,
+    validationRules.book.subjects,
+    validationRules.book.contributors,
+    validationRules.book.contributor,
+    validationRules.book.contributorAuthorId,
+    validationRules.book.contributorName,
+    validationRules.book.contributorRole,
+    validationRules.book.workId,
+    validationRules.book.format,
     validationRules.book.quantity,
-    validationRules.book.coverImage
+    validationRules.book.coverImage,
+    validationRules.book.replacementCost,
+    validationRules.item.shelfLocation
   ]),
 
   updateBook: createValidationMiddleware([
     body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
     body('author').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Author must be between 1 and 100 characters'),
-    body('isbn').optional().trim().matches(/^(?:ISBN(?:-1[03])?:? )?(?=[0-9X]{10}$|(?=(?:[0-9]+[- ]){3})[- 0-9X]{13}$|97[89][0-9]{10}$|(?=(?:[0-9]+[- ]){4})[- 0-9]{17}$)(?:97[89][- ]?)?[0-9]{1,5}[- ]?[0-9]+[- ]?[0-9]+[- ]?[0-9X]$/).withMessage('Please provide a valid ISBN'),
+    body('isbn').optional().trim().custom((value) => securityValidation.isValidISBN(value)).withMessage('Invalid ISBN: expected an ISBN-10 or ISBN-13 with a correct check digit'),
     validationRules.book.category.optional(),
     validationRules.book.description,
+    validationRules.book.edition,
+    validationRules.book.publisher,
+    validationRules.book.publicationYear,
+    validationRules.book.language,
+    validationRules.book.physicalDescription,
+    validationRules.book.pageCount,
+    validationRules.book.subjects,
+    validationRules.book.contributors,
+    validationRules.book.contributor,
+    validationRules.book.contributorAuthorId,
+    validationRules.book.contributorName,
+    validationRules.book.contributorRole,
+    validationRules.book.workId,
+    validationRules.book.format,
     body('quantity').optional().isInt({ min: 0 }).withMessage('Quantity must be at least 0'),
     body('available').optional().isInt({ min: 0 }).withMessage('Available must be at least 0'),
-    validationRules.book.coverImage
+    validationRules.book.coverImage,
+    validationRules.book.replacementCost
   ]),
 
   // Other validations
@@ -494,6 +1016,23 @@ const validationMiddleware = {
 
   // Query validations
   pagination: createValidationMiddleware([validationRules.query.page, validationRules.query.limit]),
+  cursorPagination: createValidationMiddleware([
+    validationRules.query.page,
+    validationRules.query.limit,
+    validationRules.query.after,
+    validationRules.query.before
+  ]),
+  itemQuery: createValidationMiddleware([
+    validationRules.query.page,
+    validationRules.query.limit,
+    validationRules.query.branchId
+  ]),
+  userQuery: createValidationMiddleware([
+    validationRules.query.page,
+    validationRules.query.limit,
+    validationRules.query.search,
+    validationRules.query.branchId
+  ]),
   bookQuery: createValidationMiddleware([
     validationRules.query.page,
     validationRules.query.limit,
@@ -503,13 +1042,24 @@ const validationMiddleware = {
     validationRules.query.author,
     validationRules.query.isbn,
     validationRules.query.category,
+    validationRules.query.match,
+    validationRules.query.searchQuery,
     validationRules.query.available,
     validationRules.query.minQuantity,
     validationRules.query.maxQuantity,
     validationRules.query.dateFrom,
     validationRules.query.dateTo,
+    validationRules.query.language,
+    validationRules.query.minRating,
+    validationRules.query.maxRating,
+    validationRules.query.yearFrom,
+    validationRules.query.yearTo,
     validationRules.query.sortBy,
     validationRules.query.sortOrder,
+    validationRules.query.branchId,
+    validationRules.query.facets,
+    validationRules.query.after,
+    validationRules.query.before,
     // Custom validation for quantity range
     query().custom((value, { req }) => {
       const { minQuantity, maxQuantity } = req.query;
@@ -525,6 +1075,14 @@ const validationMiddleware = {
         throw new Error('Date from cannot be later than date to');
       }
       return true;
+    }),
+    // Custom validation for publication year range
+    query().custom((value, { req }) => {
+      const { yearFrom, yearTo } = req.query;
+      if (yearFrom && yearTo && parseInt(yearFrom) > parseInt(yearTo)) {
+        throw new Error('Year from cannot be later than year to');
+      }
+      return true;
     })
   ]),
 
@@ -538,23 +1096,379 @@ const validationMiddleware = {
     validationRules.query.author,
     validationRules.query.isbn,
     validationRules.query.category,
+    validationRules.query.match,
+    validationRules.query.searchQuery,
     validationRules.query.available,
     validationRules.query.minQuantity,
     validationRules.query.maxQuantity,
     validationRules.query.dateFrom,
     validationRules.query.dateTo,
+    validationRules.query.language,
+    validationRules.query.minRating,
+    validationRules.query.maxRating,
+    validationRules.query.yearFrom,
+    validationRules.query.yearTo,
     validationRules.query.sortBy,
-    validationRules.query.sortOrder
+    validationRules.query.sortOrder,
+    validationRules.query.branchId,
+    validationRules.query.facets,
+    validationRules.query.after,
+    validationRules.query.before
+  ]),
+
+  bookSuggest: createValidationMiddleware([
+    query('q')
+      .exists({ checkFalsy: true })
+      .withMessage('Search term is required')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Search must be between 1 and 100 characters'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 20 })
+      .withMessage('Limit must be between 1 and 20')
+  ]),
+
+  exportBooks: createValidationMiddleware([
+    validationRules.query.search,
+    validationRules.query.q,
+    validationRules.query.title,
+    validationRules.query.author,
+    validationRules.query.isbn,
+    validationRules.query.category,
+    validationRules.query.match,
+    validationRules.query.searchQuery,
+    validationRules.query.available,
+    validationRules.query.minQuantity,
+    validationRules.query.maxQuantity,
+    validationRules.query.dateFrom,
+    validationRules.query.dateTo,
+    validationRules.query.language,
+    validationRules.query.minRating,
+    validationRules.query.maxRating,
+    validationRules.query.yearFrom,
+    validationRules.query.yearTo,
+    validationRules.query.sortBy,
+    validationRules.query.sortOrder,
+    query('format')
+      .optional()
+      .isString()
+      .withMessage(`Format must be one of: ${catalogExportService.getFormats().join(', ')}`)
+      .isIn(catalogExportService.getFormats())
+      .withMessage(`Format must be one of: ${catalogExportService.getFormats().join(', ')}`)
   ]),
 
   // Borrow validations
   borrowBook: createValidationMiddleware([
-    validationRules.borrow.bookId,
-    validationRules.borrow.borrowPeriodDays
+    validationRules.borrow.target,
+    validationRules.borrow.optionalBookId,
+    validationRules.borrow.workId,
+    validationRules.borrow.format,
+    validationRules.borrow.borrowPeriodDays,
+    validationRules.borrow.branchId
+  ]),
+
+  returnBook: createValidationMiddleware([
+    validationRules.borrow.branchId
   ]),
 
   extendDueDate: createValidationMiddleware([
     validationRules.borrow.additionalDays
+  ]),
+
+  borrowStatus: createValidationMiddleware([
+    body('status')
+      .isIn(['lost', 'damaged', 'claimed_returned', 'returned'])
+      .withMessage('Status must be one of: lost, damaged, claimed_returned, returned'),
+    body('amount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Amount must be a non-negative number'),
+    body('disposition')
+      .optional()
+      .isIn(['repair', 'withdraw'])
+      .withMessage('Disposition must be either repair or withdraw'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Note cannot exceed 500 characters')
+  ]),
+
+  deskCheckout: createValidationMiddleware([
+    body('patron')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Patron email or card number is required'),
+    body('book')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Book ISBN or copy barcode is required'),
+    validationRules.borrow.borrowPeriodDays,
+    validationRules.borrow.branchId,
+    body('overrides')
+      .optional()
+      .isArray()
+      .withMessage('Overrides must be a list of violation codes'),
+    body('overrides.*')
+      .isIn(['BORROW_LIMIT_EXCEEDED', 'BORROW_PERIOD_TOO_LONG', 'OVERDUE_LIMIT_REACHED', 'LONG_OVERDUE', 'LATE_RETURN_HISTORY'])
+      .withMessage('Only BORROW_LIMIT_EXCEEDED, BORROW_PERIOD_TOO_LONG, OVERDUE_LIMIT_REACHED, LONG_OVERDUE and LATE_RETURN_HISTORY can be overridden'),
+    body('overrideReason')
+      .if(body('overrides').isArray({ min: 1 }))
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('A reason of 5-500 characters is required when overriding limits')
+  ]),
+
+  circulationReport: createValidationMiddleware([
+    validationRules.query.branchId,
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('from must be a valid ISO 8601 date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('to must be a valid ISO 8601 date'),
+    query('groupBy')
+      .optional()
+      .isIn(['day', 'week', 'month'])
+      .withMessage('groupBy must be one of: day, week, month'),
+    query('breakdown')
+      .optional()
+      .isIn(['category', 'role', 'branch'])
+      .withMessage('breakdown must be one of: category, role, branch'),
+    query('format')
+      .optional()
+      .isIn(['json', 'csv'])
+      .withMessage('format must be either json or csv')
+  ]),
+
+  placeHold: createValidationMiddleware([
+    validationRules.borrow.bookId
+  ]),
+
+  // Fine validations
+  recordFinePayment: createValidationMiddleware([
+    validationRules.fine.amount,
+    validationRules.fine.method,
+    validationRules.fine.note
+  ]),
+
+  waiveFine: createValidationMiddleware([
+    validationRules.fine.waiverAmount,
+    validationRules.fine.reason
+  ]),
+
+  importBooks: createValidationMiddleware([
+    query('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be a boolean'),
+    query('createCategories')
+      .optional()
+      .isBoolean()
+      .withMessage('createCategories must be a boolean')
+  ]),
+
+  previewMarcImport: createValidationMiddleware([
+    query('defaultCategory')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Default category must be between 1 and 50 characters')
+  ]),
+
+  confirmMarcImport: createValidationMiddleware([
+    body('quantity')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Quantity must be between 1 and 100'),
+    body('records')
+      .optional()
+      .isArray()
+      .withMessage('Records must be an array'),
+    body('records.*.index')
+      .isInt({ min: 0 })
+      .withMessage('Record index must be a non-negative integer'),
+    body('records.*.action')
+      .optional()
+      .isIn(['create', 'merge', 'skip'])
+      .withMessage('Record action must be one of: create, merge, skip'),
+    body('records.*.category')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Record category must be between 1 and 50 characters')
+  ]),
+
+  // Item validations
+  createItem: createValidationMiddleware([
+    validationRules.item.bookId,
+    validationRules.item.branchId,
+    validationRules.item.barcode,
+    validationRules.item.count,
+    validationRules.item.shelfLocation,
+    validationRules.item.condition,
+    validationRules.item.acquisitionDate,
+    validationRules.item.notes
+  ]),
+
+  updateItem: createValidationMiddleware([
+    validationRules.item.branchId,
+    validationRules.item.shelfLocation,
+    validationRules.item.condition,
+    validationRules.item.acquisitionDate,
+    validationRules.item.status,
+    validationRules.item.notes
+  ]),
+
+  // Loan policy validations
+  loanPolicy: createValidationMiddleware(Object.values(validationRules.loanPolicy)),
+
+  // Branch validations
+  branch: createValidationMiddleware(Object.values(validationRules.branch)),
+
+  // Author validations
+  createAuthor: createValidationMiddleware([
+    body('name')
+      .exists({ checkFalsy: true })
+      .withMessage('Author name is required'),
+    ...Object.values(validationRules.author)
+  ]),
+
+  updateAuthor: createValidationMiddleware(Object.values(validationRules.author)),
+
+  // Work and series validations
+  createWork: createValidationMiddleware([
+    body('title')
+      .exists({ checkFalsy: true })
+      .withMessage('Work title is required'),
+    ...Object.values(validationRules.work)
+  ]),
+
+  updateWork: createValidationMiddleware(Object.values(validationRules.work)),
+
+  workQuery: createValidationMiddleware([
+    validationRules.query.page,
+    validationRules.query.limit,
+    query('q')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Search must be between 1 and 100 characters'),
+    query('seriesId')
+      .optional()
+      .isMongoId()
+      .withMessage('Please provide a valid series ID')
+  ]),
+
+  createSeries: createValidationMiddleware([
+    body('name')
+      .exists({ checkFalsy: true })
+      .withMessage('Series name is required'),
+    ...Object.values(validationRules.series)
+  ]),
+
+  updateSeries: createValidationMiddleware(Object.values(validationRules.series)),
+
+  authorQuery: createValidationMiddleware([
+    validationRules.query.page,
+    validationRules.query.limit,
+    query('q')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Search must be between 1 and 100 characters')
+  ]),
+
+  createTransfer: createValidationMiddleware(Object.values(validationRules.transfer)),
+
+  transferQuery: createValidationMiddleware([
+    validationRules.query.page,
+    validationRules.query.limit,
+    validationRules.query.branchId,
+    query('status')
+      .optional()
+      .isIn(['in_transit', 'received', 'cancelled'])
+      .withMessage('Status must be one of: in_transit, received, cancelled'),
+    query('direction')
+      .optional()
+      .isIn(['incoming', 'outgoing'])
+      .withMessage('Direction must be either incoming or outgoing')
+  ]),
+
+  // Library calendar validations
+  updateCalendar: createValidationMiddleware([
+    validationRules.calendar.timezone,
+    validationRules.calendar.openingHours,
+    validationRules.calendar.dayOfWeek,
+    validationRules.calendar.dayOpen,
+    validationRules.calendar.dayClose
+  ]),
+
+  calendarException: createValidationMiddleware([
+    validationRules.calendar.exceptionDate,
+    validationRules.calendar.exceptionName,
+    validationRules.calendar.exceptionClosed,
+    validationRules.calendar.exceptionOpen,
+    validationRules.calendar.exceptionClose
+  ]),
+
+  placeBlock: createValidationMiddleware([
+    body('note')
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('A note of 5-500 characters explaining the block is required'),
+    body('expiresAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Expiry must be a valid date')
+      .custom((value) => new Date(value) > new Date())
+      .withMessage('Expiry must be in the future')
+  ]),
+
+  liftBlock: createValidationMiddleware([
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Note cannot exceed 500 characters')
+  ]),
+
+  notificationPreferences: createValidationMiddleware([
+    body()
+      .custom((value) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value) || Object.keys(value).length === 0) {
+          throw new Error('Provide the channel preferences for at least one event');
+        }
+        Object.entries(value).forEach(([event, channels]) => {
+          if (!['due_soon', 'overdue', 'hold_ready', 'account'].includes(event)) {
+            throw new Error(`Unknown notification event "${event}" (expected due_soon, overdue, hold_ready or account)`);
+          }
+          if (!channels || typeof channels !== 'object' ||
+              Object.keys(channels).some(channel => !['inApp', 'email'].includes(channel)) ||
+              Object.values(channels).some(enabled => typeof enabled !== 'boolean')) {
+            throw new Error(`Preferences for ${event} must set inApp and/or email to true or false`);
+          }
+        });
+        return true;
+      })
+  ]),
+
+  notificationQuery: createValidationMiddleware([
+    validationRules.query.page,
+    validationRules.query.limit,
+    query('status')
+      .optional()
+      .isIn(['all', 'unread', 'read'])
+      .withMessage('Status must be one of: all, unread, read'),
+    query('event')
+      .optional()
+      .isIn(['due_soon', 'overdue', 'hold_ready', 'account'])
+      .withMessage('Event must be one of: due_soon, overdue, hold_ready, account')
   ])
 };
 
@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, isValidCron, getNextRun } = require('../utils/cronUtils');
+
+// Dates are built in local time, as the scheduler evaluates cron in the server's timezone
+const local = (year, month, day, hours = 0, minutes = 0) => new Date(year, month - 1, day, hours, minutes);
+
+describe('parseCron', () => {
+  it('expands wildcards, lists, ranges and steps', () => {
+    const schedule = parseCron('*/15 9-11 1,15 * 1-5');
+    assert.deepEqual([...schedule.minute], [0, 15, 30, 45]);
+    assert.deepEqual([...schedule.hour], [9, 10, 11]);
+    assert.deepEqual([...schedule.dayOfMonth], [1, 15]);
+    assert.equal(schedule.month.size, 12);
+    assert.deepEqual([...schedule.dayOfWeek], [1, 2, 3, 4, 5]);
+  });
+
+  it('treats a start with a step as running to the end of the range', () => {
+    assert.deepEqual([...parseCron('50/5 * * * *').minute], [50, 55]);
+  });
+
+  it('accepts 7 for Sunday', () => {
+    const schedule = parseCron('0 0 * * 7');
+    assert.deepEqual([...schedule.dayOfWeek], [0]);
+  });
+
+  it('expands aliases', () => {
+    assert.equal(parseCron('@daily').expression, '0 0 * * *');
+    assert.equal(parseCron(' @weekly ').expression, '0 0 * * 0');
+  });
+
+  it('records which day fields are restricted', () => {
+    const schedule = parseCron('0 0 1 * 1');
+    assert.equal(schedule.dayOfMonthRestricted, true);
+    assert.equal(schedule.dayOfWeekRestricted, true);
+    assert.equal(parseCron('0 0 * * *').dayOfWeekRestricted, false);
+  });
+
+  it('rejects malformed expressions', () => {
+    assert.throws(() => parseCron('* * * *'), /must have 5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /minute field/);
+    assert.throws(() => parseCron('* * * * */0'), /Invalid step/);
+    assert.throws(() => parseCron('5-1 * * * *'), /Invalid value/);
+    assert.throws(() => parseCron('a * * * *'), /Invalid value/);
+  });
+});
+
+describe('isValidCron', () => {
+  it('reports whether an expression parses', () => {
+    assert.equal(isValidCron('0 3 * * *'), true);
+    assert.equal(isValidCron('@monthly'), true);
+    assert.equal(isValidCron('0 24 * * *'), false);
+    assert.equal(isValidCron(''), false);
+  });
+});
+
+describe('getNextRun', () => {
+  it('returns the next matching minute after the start, exclusive', () => {
+    assert.deepEqual(getNextRun('*/15 * * * *', local(2024, 3, 10, 9, 15)), local(2024, 3, 10, 9, 30));
+    assert.deepEqual(getNextRun('0 3 * * *', local(2024, 3, 10, 2, 59)), local(2024, 3, 10, 3, 0));
+  });
+
+  it('rolls over to the next day, month and year', () => {
+    assert.deepEqual(getNextRun('0 3 * * *', local(2024, 3, 10, 3, 0)), local(2024, 3, 11, 3, 0));
+    assert.deepEqual(getNextRun('@monthly', local(2024, 12, 15)), local(2025, 1, 1));
+  });
+
+  it('runs on either day field when both are restricted', () => {
+    // 2024-03-04 is a Monday; the 15th comes later
+    assert.deepEqual(getNextRun('0 0 15 * 1', local(2024, 3, 1)), local(2024, 3, 4));
+  });
+
+  it('finds leap days', () => {
+    assert.deepEqual(getNextRun('0 0 29 2 *', local(2024, 3, 1)), local(2028, 2, 29));
+  });
+
+  it('accepts a parsed schedule', () => {
+    assert.deepEqual(getNextRun(parseCron('@hourly'), local(2024, 3, 10, 9, 5)), local(2024, 3, 10, 10, 0));
+  });
+
+  it('throws for schedules that never fire', () => {
+    assert.throws(() => getNextRun('0 0 31 2 *', local(2024, 1, 1)), /never fires/);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeCsvValue, toCsvRow, toCsv, parseCsv } = require('../utils/csv');
+
+describe('escapeCsvValue', () => {
+  it('writes empty cells for null and undefined', () => {
+    assert.equal(escapeCsvValue(null), '');
+    assert.equal(escapeCsvValue(undefined), '');
+  });
+
+  it('quotes cells with commas, quotes and line breaks', () => {
+    assert.equal(escapeCsvValue('plain'), 'plain');
+    assert.equal(escapeCsvValue('Smith, John'), '"Smith, John"');
+    assert.equal(escapeCsvValue('say "hi"'), '"say ""hi"""');
+    assert.equal(escapeCsvValue('two\nlines'), '"two\nlines"');
+  });
+
+  it('writes dates as ISO 8601', () => {
+    assert.equal(escapeCsvValue(new Date('2024-03-01T10:00:00Z')), '2024-03-01T10:00:00.000Z');
+  });
+
+  it('neutralises text a spreadsheet would run as a formula', () => {
+    assert.equal(escapeCsvValue('=SUM(A1:A2)'), "'=SUM(A1:A2)");
+    assert.equal(escapeCsvValue('+1'), "'+1");
+    assert.equal(escapeCsvValue('@cmd'), "'@cmd");
+    assert.equal(escapeCsvValue('=A1,B1'), `"'=A1,B1"`);
+  });
+
+  it('leaves numbers alone', () => {
+    assert.equal(escapeCsvValue(-5), '-5');
+    assert.equal(escapeCsvValue(0), '0');
+  });
+});
+
+describe('toCsvRow / toCsv', () => {
+  it('writes CRLF lines with a header', () => {
+    assert.equal(toCsvRow(['a', 1, null]), 'a,1,\r\n');
+    const csv = toCsv(
+      [{ key: 'title', header: 'Title' }, { key: 'copies', header: 'Copies' }],
+      [{ title: 'Dune', copies: 2 }, { title: 'Good Omens, 2nd ed.' }]
+    );
+    assert.equal(csv, 'Title,Copies\r\nDune,2\r\n"Good Omens, 2nd ed.",\r\n');
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads records with LF, CRLF and CR line endings', () => {
+    assert.deepEqual(parseCsv('a,b\nc,d\r\ne,f\rg,h'), [['a', 'b'], ['c', 'd'], ['e', 'f'], ['g', 'h']]);
+  });
+
+  it('reads quoted cells with commas, quotes and line breaks', () => {
+    assert.deepEqual(parseCsv('"Smith, John","say ""hi""","two\r\nlines"\n'), [
+      ['Smith, John', 'say "hi"', 'two\r\nlines']
+    ]);
+  });
+
+  it('keeps empty cells and skips blank lines', () => {
+    assert.deepEqual(parseCsv('a,,c\n\n,\n'), [['a', '', 'c'], ['', '']]);
+  });
+
+  it('ignores a byte order mark', () => {
+    assert.deepEqual(parseCsv('\uFEFFisbn,title\n1,Dune'), [['isbn', 'title'], ['1', 'Dune']]);
+  });
+
+  it('round-trips what toCsv writes', () => {
+    const rows = [{ a: 'x, "y"', b: 'multi\nline' }, { a: '', b: 'plain' }];
+    const columns = [{ key: 'a', header: 'A' }, { key: 'b', header: 'B' }];
+    assert.deepEqual(parseCsv(toCsv(columns, rows)), [['A', 'B'], ['x, "y"', 'multi\nline'], ['', 'plain']]);
+  });
+
+  it('rejects an unterminated quoted cell', () => {
+    assert.throws(() => parseCsv('a,"b\n'), /Unterminated quoted cell/);
+  });
+});
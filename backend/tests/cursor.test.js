@@ -0,0 +1,162 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  MAX_CURSOR_LENGTH,
+  encodeCursor,
+  decodeCursor,
+  readCursorParams,
+  cursorSort,
+  buildCursorFilter,
+  buildCursorPage
+} = require('../utils/cursor');
+
+const SORT = { dueDate: 1, _id: 1 };
+
+// Evaluate the subset of MongoDB filters buildCursorFilter produces, with
+// null and missing values sorting first
+const compare = (a, b) => {
+  if (a === null || a === undefined) return b === null || b === undefined ? 0 : -1;
+  if (b === null || b === undefined) return 1;
+  const left = a instanceof Date ? a.getTime() : String(a);
+  const right = b instanceof Date ? b.getTime() : String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+const matches = (row, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(branch => matches(row, branch));
+  if (key === '$and') return condition.every(branch => matches(row, branch));
+  const value = row[key];
+  if (condition === null || condition instanceof Date || condition instanceof mongoose.Types.ObjectId ||
+      typeof condition !== 'object') {
+    return compare(value, condition) === 0;
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operator === '$gt') return operand !== null && value != null && compare(value, operand) > 0;
+    if (operator === '$lt') return operand !== null && value != null && compare(value, operand) < 0;
+    if (operator === '$ne') return compare(value, operand) !== 0;
+    if (operator === '$in') return operand.some(item => compare(value, item) === 0);
+    throw new Error(`Unsupported operator ${operator}`);
+  });
+});
+
+const sortRows = (rows, sort) => [...rows].sort((a, b) => {
+  for (const [field, direction] of Object.entries(sort)) {
+    const order = compare(a[field], b[field]) * direction;
+    if (order !== 0) return order;
+  }
+  return 0;
+});
+
+// Page through rows the way the listings do: filter, sort, read limit + 1
+const readPage = (rows, sort, cursor, limit) => {
+  const filtered = cursor ? rows.filter(row => matches(row, buildCursorFilter(sort, cursor))) : rows;
+  const read = sortRows(filtered, cursorSort(sort, cursor)).slice(0, limit + 1);
+  return buildCursorPage(read, sort, cursor || { before: false }, limit);
+};
+
+const makeRows = () => {
+  const dates = [null, new Date('2024-03-01'), new Date('2024-03-01'), new Date('2024-03-02'), null, new Date('2024-03-05')];
+  return dates.map(dueDate => ({ _id: new mongoose.Types.ObjectId(), dueDate }));
+};
+
+describe('encodeCursor / decodeCursor', () => {
+  it('round-trips dates, ObjectIds, nested fields and nulls', () => {
+    const id = new mongoose.Types.ObjectId();
+    const sort = { 'book.title': 1, dueDate: -1, note: 1, _id: 1 };
+    const token = encodeCursor({ _id: id, book: { title: 'Dune' }, dueDate: new Date('2024-03-01T12:00:00Z') }, sort);
+
+    assert.match(token, /^[A-Za-z0-9_-]+$/);
+    const values = decodeCursor(token, sort);
+    assert.equal(values[0], 'Dune');
+    assert.deepEqual(values[1], new Date('2024-03-01T12:00:00Z'));
+    assert.equal(values[2], null);
+    assert.ok(values[3] instanceof mongoose.Types.ObjectId);
+    assert.ok(values[3].equals(id));
+  });
+
+  it('rejects cursors made for another sort', () => {
+    const token = encodeCursor({ _id: new mongoose.Types.ObjectId(), dueDate: new Date() }, SORT);
+    assert.equal(decodeCursor(token, { dueDate: -1, _id: -1 }), null);
+    assert.equal(decodeCursor(token, { _id: 1 }), null);
+  });
+
+  it('rejects malformed and oversized cursors', () => {
+    assert.equal(decodeCursor('not a cursor', SORT), null);
+    assert.equal(decodeCursor(undefined, SORT), null);
+    assert.equal(decodeCursor('a'.repeat(MAX_CURSOR_LENGTH + 1), SORT), null);
+    const tampered = Buffer.from(JSON.stringify({ k: ['dueDate', '_id'], v: [{ x: 1 }, null] })).toString('base64url');
+    assert.equal(decodeCursor(tampered, SORT), null);
+  });
+});
+
+describe('readCursorParams', () => {
+  it('reads after and before cursors', () => {
+    const token = encodeCursor({ _id: new mongoose.Types.ObjectId(), dueDate: null }, SORT);
+    assert.deepEqual(readCursorParams({}, SORT), {});
+    assert.equal(readCursorParams({ after: token }, SORT).cursor.before, false);
+    assert.equal(readCursorParams({ before: token }, SORT).cursor.before, true);
+  });
+
+  it('reports conflicting or invalid cursors', () => {
+    assert.match(readCursorParams({ after: 'x', before: 'y' }, SORT).error, /either after or before/);
+    assert.match(readCursorParams({ after: 'garbage' }, SORT).error, /Invalid or expired cursor/);
+  });
+});
+
+describe('cursorSort', () => {
+  it('reverses the sort only when paging backwards', () => {
+    assert.deepEqual(cursorSort(SORT), SORT);
+    assert.deepEqual(cursorSort(SORT, { before: false }), SORT);
+    assert.deepEqual(cursorSort(SORT, { before: true }), { dueDate: -1, _id: -1 });
+  });
+});
+
+describe('buildCursorFilter', () => {
+  it('matches nothing when paging backwards from the first possible row', () => {
+    const filter = buildCursorFilter({ dueDate: -1 }, { before: false, values: [null] });
+    assert.deepEqual(filter, { _id: { $in: [] } });
+  });
+
+  for (const sort of [{ dueDate: 1, _id: 1 }, { dueDate: -1, _id: -1 }, { dueDate: 1, _id: -1 }]) {
+    it(`pages forwards and back through every row with ties and nulls (${JSON.stringify(sort)})`, () => {
+      const rows = makeRows();
+      const expected = sortRows(rows, sort).map(row => row._id.toHexString());
+
+      const forwards = [];
+      let page = readPage(rows, sort, null, 2);
+      forwards.push(...page.items);
+      while (page.pagination.hasNextPage) {
+        page = readPage(rows, sort, readCursorParams({ after: page.pagination.nextCursor }, sort).cursor, 2);
+        forwards.push(...page.items);
+      }
+      assert.deepEqual(forwards.map(row => row._id.toHexString()), expected);
+
+      const backwards = [...page.items];
+      while (page.pagination.hasPrevPage) {
+        page = readPage(rows, sort, readCursorParams({ before: page.pagination.prevCursor }, sort).cursor, 2);
+        backwards.unshift(...page.items);
+      }
+      assert.deepEqual(backwards.map(row => row._id.toHexString()), expected);
+    });
+  }
+});
+
+describe('buildCursorPage', () => {
+  it('flags more rows after a forward page', () => {
+    const rows = [{ _id: 1 }, { _id: 2 }, { _id: 3 }];
+    const page = buildCursorPage(rows, { _id: 1 }, { before: false }, 2);
+    assert.deepEqual(page.items, [{ _id: 1 }, { _id: 2 }]);
+    assert.equal(page.pagination.hasNextPage, true);
+    assert.equal(page.pagination.hasPrevPage, true);
+    assert.ok(page.pagination.nextCursor);
+  });
+
+  it('restores listing order on a backward page', () => {
+    const page = buildCursorPage([{ _id: 2 }, { _id: 1 }], { _id: 1 }, { before: true }, 2);
+    assert.deepEqual(page.items, [{ _id: 1 }, { _id: 2 }]);
+    assert.equal(page.pagination.hasNextPage, true);
+    assert.equal(page.pagination.hasPrevPage, false);
+    assert.equal(page.pagination.prevCursor, null);
+  });
+});
@@ -0,0 +1,196 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Fine = require('../models/Fine');
+const LoanPolicy = require('../models/LoanPolicy');
+const LibraryCalendar = require('../models/LibraryCalendar');
+
+// Open every day but Sunday; Sunday 2024-03-03 and Monday 2024-03-04 are closed
+const calendar = new LibraryCalendar({
+  timezone: 'UTC',
+  openingHours: [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => (
+    dayOfWeek === 0 ? { dayOfWeek, closed: true } : { dayOfWeek, open: '09:00', close: '18:00' }
+  )),
+  exceptions: [{ date: '2024-03-04', name: 'Bank holiday' }]
+});
+
+const POLICY = { fineDailyRate: 0.5, fineMaxAmount: 5, graceDays: 0 };
+
+const makeBorrow = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  bookId: new mongoose.Types.ObjectId(),
+  dueDate: new Date('2024-03-02T18:00:00Z'),
+  returnDate: new Date('2024-03-06T10:00:00Z'),
+  claimedReturnedAt: null,
+  ...overrides
+});
+
+const makeFine = (fields = {}) => new Fine({
+  userId: new mongoose.Types.ObjectId(),
+  borrowId: new mongoose.Types.ObjectId(),
+  bookId: new mongoose.Types.ObjectId(),
+  dailyRate: 0.5,
+  maxAmount: 5,
+  ...fields
+});
+
+describe('Fine calculations', () => {
+  it('counts days late in whole days, or open days with a calendar', () => {
+    const dueDate = new Date('2024-03-02T18:00:00Z');
+    assert.equal(Fine.calculateDaysLate(dueDate, new Date('2024-03-02T17:00:00Z')), 0);
+    assert.equal(Fine.calculateDaysLate(dueDate, new Date('2024-03-02T19:00:00Z')), 1);
+    assert.equal(Fine.calculateDaysLate(dueDate, new Date('2024-03-06T10:00:00Z')), 4);
+    assert.equal(Fine.calculateDaysLate(dueDate, new Date('2024-03-06T10:00:00Z'), calendar), 2);
+  });
+
+  it('caps amounts and rounds to cents', () => {
+    assert.equal(Fine.calculateAmount(3, 0.1, 10), 0.3);
+    assert.equal(Fine.calculateAmount(100, 0.25, 10), 10);
+    assert.equal(Fine.calculateAmount(0, 0.25, 10), 0);
+  });
+
+  it('reads fine rules from the environment with defaults', (t) => {
+    const saved = { rate: process.env.FINE_DAILY_RATE, max: process.env.FINE_MAX_AMOUNT };
+    t.after(() => {
+      if (saved.rate === undefined) delete process.env.FINE_DAILY_RATE; else process.env.FINE_DAILY_RATE = saved.rate;
+      if (saved.max === undefined) delete process.env.FINE_MAX_AMOUNT; else process.env.FINE_MAX_AMOUNT = saved.max;
+    });
+
+    process.env.FINE_DAILY_RATE = '0.75';
+    process.env.FINE_MAX_AMOUNT = 'lots';
+    assert.deepEqual(Fine.getFineRules(), { dailyRate: 0.75, maxAmount: 10 });
+  });
+
+  it('derives balance and status from the ledger amounts', () => {
+    const fine = makeFine({ amount: 3, itemCharges: 1 });
+    assert.equal(fine.overdueAmount, 2);
+    assert.equal(fine.balance, 3);
+    assert.equal(fine.refreshStatus(), 'outstanding');
+
+    fine.amountPaid = 1.1;
+    assert.equal(fine.refreshStatus(), 'partially_paid');
+    fine.amountWaived = 1.9;
+    assert.equal(fine.balance, 0);
+    assert.equal(fine.refreshStatus(), 'paid');
+    fine.amountPaid = 0;
+    fine.amountWaived = 3;
+    assert.equal(fine.refreshStatus(), 'waived');
+  });
+});
+
+describe('Fine.accrueForBorrow', () => {
+  let existing;
+
+  beforeEach(() => {
+    existing = null;
+    mock.method(Fine, 'findOne', async () => existing);
+    mock.method(LoanPolicy, 'resolveForBorrow', async () => POLICY);
+    mock.method(Fine.prototype, 'save', async function() { return this; });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('opens a fine on the loan policy rates for open days late', async () => {
+    const borrow = makeBorrow();
+    const fine = await Fine.accrueForBorrow(borrow, calendar);
+
+    assert.ok(fine.borrowId.equals(borrow._id));
+    assert.equal(fine.dailyRate, 0.5);
+    assert.equal(fine.daysLate, 2);
+    assert.equal(fine.amount, 1);
+    assert.equal(fine.status, 'outstanding');
+    assert.equal(fine.accruing, false);
+    assert.deepEqual(fine.transactions.map(txn => [txn.type, txn.category, txn.amount]), [['charge', 'overdue', 1]]);
+  });
+
+  it('returns null within the grace period or when not late', async () => {
+    LoanPolicy.resolveForBorrow.mock.mockImplementation(async () => ({ ...POLICY, graceDays: 2 }));
+    assert.equal(await Fine.accrueForBorrow(makeBorrow(), calendar), null);
+    assert.equal(await Fine.accrueForBorrow(makeBorrow({ returnDate: new Date('2024-03-02T12:00:00Z') }), calendar), null);
+  });
+
+  it('charges only the days past the grace period', async () => {
+    LoanPolicy.resolveForBorrow.mock.mockImplementation(async () => ({ ...POLICY, graceDays: 1 }));
+    const fine = await Fine.accrueForBorrow(makeBorrow(), calendar);
+    assert.equal(fine.daysLate, 2);
+    assert.equal(fine.amount, 0.5);
+  });
+
+  it('appends only the increase to an existing fine and keeps item charges', async () => {
+    existing = makeFine({ daysLate: 1, itemCharges: 2, amount: 2.5 });
+    existing.transactions.push({ type: 'charge', category: 'overdue', amount: 0.5 });
+
+    const borrow = makeBorrow({ returnDate: null, dueDate: new Date('2024-03-05T18:00:00Z') });
+    mock.timers.enable({ apis: ['Date'], now: new Date('2024-03-08T10:00:00Z') });
+    const fine = await Fine.accrueForBorrow(borrow, calendar);
+    mock.timers.reset();
+
+    assert.equal(fine.daysLate, 3);
+    assert.equal(fine.amount, 3.5);
+    assert.equal(fine.accruing, true);
+    assert.deepEqual(fine.transactions.map(txn => txn.amount), [0.5, 1]);
+  });
+
+  it('stops at the maximum amount', async () => {
+    const fine = await Fine.accrueForBorrow(makeBorrow({ returnDate: new Date('2024-04-30T10:00:00Z') }), calendar);
+    assert.equal(fine.amount, 5);
+  });
+
+  it('stops accruing from a claimed return date', async () => {
+    const borrow = makeBorrow({ returnDate: null, claimedReturnedAt: new Date('2024-03-06T10:00:00Z') });
+    const fine = await Fine.accrueForBorrow(borrow, calendar);
+    assert.equal(fine.daysLate, 2);
+    assert.equal(fine.amount, 1);
+  });
+
+  it('leaves fines that no longer accrue alone', async () => {
+    existing = makeFine({ amount: 1, accruing: false });
+    const fine = await Fine.accrueForBorrow(makeBorrow({ returnDate: new Date('2024-04-30T10:00:00Z') }), calendar);
+    assert.equal(fine, existing);
+    assert.equal(fine.amount, 1);
+    assert.equal(Fine.prototype.save.mock.callCount(), 0);
+  });
+});
+
+describe('Fine payments and waivers', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('rejects credits above the balance before touching the database', async () => {
+    const update = mock.method(Fine, 'findOneAndUpdate', async () => null);
+    const fine = makeFine({ amount: 2 });
+
+    await assert.rejects(fine.recordPayment(0), /greater than zero/);
+    await assert.rejects(fine.recordPayment(2.01), /outstanding balance of 2/);
+    await assert.rejects(fine.waive(1), /reason is required/);
+    await assert.rejects(fine.recordPayment(1, { method: 'barter' }), /method/i);
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it('applies a payment only while the stored balance covers it', async () => {
+    const fine = makeFine({ amount: 2 });
+    const update = mock.method(Fine, 'findOneAndUpdate', async (filter, pipeline) => {
+      const stored = makeFine({ _id: fine._id, amount: 2, amountPaid: 1.5, status: 'partially_paid' });
+      stored.transactions = pipeline[0].$set.transactions.$concatArrays[1].$literal;
+      return stored;
+    });
+
+    await fine.recordPayment(1.5, { method: 'card' });
+
+    const [filter] = update.mock.calls[0].arguments;
+    assert.ok(filter._id.equals(fine._id));
+    assert.equal(filter.$expr.$gte[1], 1.5);
+    assert.equal(fine.amountPaid, 1.5);
+    assert.equal(fine.status, 'partially_paid');
+    assert.deepEqual(fine.transactions.map(txn => [txn.type, txn.amount, txn.method]), [['payment', 1.5, 'card']]);
+  });
+
+  it('reports the latest balance when another credit got there first', async () => {
+    const fine = makeFine({ amount: 2 });
+    mock.method(Fine, 'findOneAndUpdate', async () => null);
+    mock.method(Fine, 'findById', async () => makeFine({ _id: fine._id, amount: 2, amountWaived: 1.25 }));
+
+    await assert.rejects(fine.waive(null, { reason: 'Hardship' }), /outstanding balance of 0.75/);
+    assert.equal(fine.amountWaived, 0);
+  });
+});
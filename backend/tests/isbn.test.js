@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { compactIsbn, parseIsbn, normalizeIsbn, isValidIsbn } = require('../utils/isbn');
+
+describe('compactIsbn', () => {
+  it('removes labels, hyphens and spaces', () => {
+    assert.equal(compactIsbn('ISBN-10: 0-306-40615-2'), '0306406152');
+    assert.equal(compactIsbn(' isbn 978 0 306 40615 7 '), '9780306406157');
+    assert.equal(compactIsbn('0-8044-2957-x'), '080442957X');
+    assert.equal(compactIsbn(null), '');
+  });
+});
+
+describe('parseIsbn', () => {
+  it('converts an ISBN-10 to its ISBN-13', () => {
+    assert.deepEqual(parseIsbn('0-306-40615-2'), { isbn13: '9780306406157', isbn10: '0306406152' });
+  });
+
+  it('handles an X check digit', () => {
+    assert.deepEqual(parseIsbn('080442957X'), { isbn13: '9780804429573', isbn10: '080442957X' });
+  });
+
+  it('derives the ISBN-10 of a 978 ISBN-13', () => {
+    assert.deepEqual(parseIsbn('978-0-306-40615-7'), { isbn13: '9780306406157', isbn10: '0306406152' });
+  });
+
+  it('has no ISBN-10 for 979 ISBNs', () => {
+    assert.deepEqual(parseIsbn('979-10-90636-07-1'), { isbn13: '9791090636071', isbn10: null });
+  });
+
+  it('rejects wrong check digits and malformed input', () => {
+    assert.equal(parseIsbn('0-306-40615-3'), null);
+    assert.equal(parseIsbn('9780306406158'), null);
+    assert.equal(parseIsbn('9770306406157'), null);
+    assert.equal(parseIsbn('12345'), null);
+    assert.equal(parseIsbn('X306406152'), null);
+  });
+});
+
+describe('normalizeIsbn / isValidIsbn', () => {
+  it('gives every form of an edition the same key', () => {
+    const forms = ['0-306-40615-2', '0306406152', '978-0-306-40615-7', 'ISBN 9780306406157'];
+    assert.deepEqual(new Set(forms.map(normalizeIsbn)), new Set(['9780306406157']));
+  });
+
+  it('returns null or false for invalid ISBNs', () => {
+    assert.equal(normalizeIsbn('not an isbn'), null);
+    assert.equal(isValidIsbn('0306406152'), true);
+    assert.equal(isValidIsbn('0306406153'), false);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const LibraryCalendar = require('../models/LibraryCalendar');
+
+// Open 09:00-18:00 except Sundays, with a bank holiday on Monday 2024-03-04
+// and late opening on Wednesday 2024-03-06. London is on GMT (UTC+0) until
+// 2024-03-31.
+const makeCalendar = (overrides = {}) => new LibraryCalendar({
+  timezone: 'Europe/London',
+  openingHours: [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => (
+    dayOfWeek === 0 ? { dayOfWeek, closed: true } : { dayOfWeek, open: '09:00', close: '18:00' }
+  )),
+  exceptions: [
+    { date: '2024-03-04', name: 'Bank holiday' },
+    { date: '2024-03-06', closed: false, open: '12:00', close: '20:00' }
+  ],
+  ...overrides
+});
+
+describe('LibraryCalendar opening hours', () => {
+  it('combines the weekly schedule with exceptions', () => {
+    const calendar = makeCalendar();
+    assert.equal(calendar.isOpenOn('2024-03-02'), true);
+    assert.equal(calendar.isOpenOn('2024-03-03'), false);
+    assert.equal(calendar.isOpenOn('2024-03-04'), false);
+    assert.deepEqual(calendar.getHoursFor('2024-03-06'), { open: '12:00', close: '20:00', name: null });
+  });
+
+  it('finds the next open day', () => {
+    const calendar = makeCalendar();
+    assert.equal(calendar.getNextOpenDay('2024-03-03'), '2024-03-05');
+    assert.equal(calendar.getNextOpenDay('2024-03-05'), '2024-03-05');
+  });
+
+  it('rejects inconsistent schedules', async () => {
+    await assert.rejects(
+      makeCalendar({ openingHours: [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({ dayOfWeek, closed: true })) }).validate(),
+      /must be open on at least one day/
+    );
+    await assert.rejects(
+      makeCalendar({ exceptions: [{ date: '2024-03-04' }, { date: '2024-03-04' }] }).validate(),
+      /Only one exception is allowed per date/
+    );
+  });
+});
+
+describe('LibraryCalendar due dates', () => {
+  it('falls due at closing time, rolled past closed days', () => {
+    const calendar = makeCalendar();
+    // Friday + 2 days is Sunday, then the bank holiday, so Tuesday
+    assert.equal(calendar.calculateDueDate(new Date('2024-03-01T10:00:00Z'), 2).toISOString(), '2024-03-05T18:00:00.000Z');
+    assert.equal(calendar.calculateDueDate(new Date('2024-03-01T10:00:00Z'), 5).toISOString(), '2024-03-06T20:00:00.000Z');
+  });
+
+  it('counts the due day in the library timezone, across DST', () => {
+    const calendar = makeCalendar();
+    // Saturday + 1 is Sunday, so Monday 1 April, closing at 18:00 BST
+    assert.equal(calendar.calculateDueDate(new Date('2024-03-30T23:30:00Z'), 1).toISOString(), '2024-04-01T17:00:00.000Z');
+    // 23:30 UTC on 1 April is 00:30 BST on 2 April
+    assert.equal(calendar.calculateDueDate(new Date('2024-04-01T23:30:00Z'), 1).toISOString(), '2024-04-03T17:00:00.000Z');
+  });
+
+  it('moves due dates recorded on a closed day to the next open day', () => {
+    const calendar = makeCalendar();
+    const onHoliday = new Date('2024-03-04T18:00:00Z');
+    assert.equal(calendar.getEffectiveDueDate(onHoliday).toISOString(), '2024-03-05T18:00:00.000Z');
+    assert.equal(calendar.isPastDue(onHoliday, new Date('2024-03-04T20:00:00Z')), false);
+    assert.equal(calendar.isPastDue(onHoliday, new Date('2024-03-05T18:00:01Z')), true);
+  });
+
+  it('keeps due dates on open days as recorded', () => {
+    const calendar = makeCalendar();
+    const dueDate = new Date('2024-03-02T18:00:00Z');
+    assert.equal(calendar.getEffectiveDueDate(dueDate).getTime(), dueDate.getTime());
+    assert.equal(calendar.isPastDue(dueDate, new Date('2024-03-02T18:00:00Z')), false);
+    assert.equal(calendar.isPastDue(dueDate, new Date('2024-03-02T18:01:00Z')), true);
+  });
+
+  it('counts only open days late', () => {
+    const calendar = makeCalendar();
+    const dueDate = new Date('2024-03-02T18:00:00Z');
+    assert.equal(calendar.countOpenDaysLate(dueDate, new Date('2024-03-02T17:00:00Z')), 0);
+    // Returned after closing on the due day: late, but on no later day
+    assert.equal(calendar.countOpenDaysLate(dueDate, new Date('2024-03-02T19:00:00Z')), 0);
+    // Sunday and the bank holiday are skipped: Tuesday and Wednesday count
+    assert.equal(calendar.countOpenDaysLate(dueDate, new Date('2024-03-06T10:00:00Z')), 2);
+  });
+});
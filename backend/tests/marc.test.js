@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MARCXML_NAMESPACE,
+  buildLeader,
+  toMarc21,
+  toMarcXml,
+  parseMarc21,
+  parseMarcXml,
+  getSubfieldValues
+} = require('../utils/marc');
+
+const FIELDS = [
+  { tag: '001', value: 'bk-1' },
+  { tag: '020', ind1: ' ', ind2: ' ', subfields: [['a', '9780306406157']] },
+  { tag: '100', ind1: '1', ind2: ' ', subfields: [['a', 'Brontë, Emily']] },
+  { tag: '245', ind1: '1', ind2: '0', subfields: [['a', 'Wuthering <Heights> & "more"'], ['c', 'Emily Brontë']] },
+  { tag: '650', ind1: ' ', ind2: '0', subfields: [['a', 'Fiction']] },
+  { tag: '650', ind1: ' ', ind2: '0', subfields: [['a', 'Romance'], ['x', 'History']] }
+];
+
+describe('buildLeader', () => {
+  it('pads the record length and base address', () => {
+    const leader = buildLeader(1234, 97);
+    assert.equal(leader.length, 24);
+    assert.equal(leader, '01234nam a2200097   4500');
+  });
+});
+
+describe('toMarc21 / parseMarc21', () => {
+  it('round-trips a record, counting lengths in bytes', () => {
+    const buffer = toMarc21(FIELDS);
+    assert.equal(parseInt(buffer.toString('latin1', 0, 5), 10), buffer.length);
+    assert.equal(buffer[buffer.length - 1], 0x1D);
+
+    const [record] = parseMarc21(buffer);
+    assert.equal(record.error, undefined);
+    assert.deepEqual(record.warnings, []);
+    assert.deepEqual(record.fields, FIELDS);
+  });
+
+  it('strips control characters that would break the record', () => {
+    const [record] = parseMarc21(toMarc21([{ tag: '245', subfields: [['a', 'Bad\x1Etitle\x1F']] }]));
+    assert.deepEqual(record.fields[0].subfields, [['a', 'Badtitle']]);
+  });
+
+  it('reads several records and reports damaged ones on their own', () => {
+    const good = toMarc21(FIELDS);
+    const damaged = Buffer.from('garbage\x1D', 'latin1');
+    const records = parseMarc21(Buffer.concat([good, Buffer.from('\r\n'), damaged, good]));
+
+    assert.equal(records.length, 3);
+    assert.deepEqual(records[0].fields, FIELDS);
+    assert.equal(records[1].error, 'Invalid leader');
+    assert.deepEqual(records[2].fields, FIELDS);
+  });
+
+  it('reads records not flagged as UTF-8 as Latin-1 with a warning', () => {
+    const buffer = toMarc21([{ tag: '001', value: 'x' }]);
+    buffer[9] = 0x20;
+    const [record] = parseMarc21(buffer);
+    assert.equal(record.warnings.length, 1);
+    assert.deepEqual(record.fields, [{ tag: '001', value: 'x' }]);
+  });
+
+  it('rejects records over the format limit', () => {
+    const long = [{ tag: '520', subfields: [['a', 'x'.repeat(100000)]] }];
+    assert.throws(() => toMarc21(long), /the limit is 99999/);
+  });
+});
+
+describe('toMarcXml / parseMarcXml', () => {
+  it('round-trips a record with escaped text', () => {
+    const xml = toMarcXml(FIELDS);
+    assert.match(xml, /Wuthering &lt;Heights&gt; &amp; &quot;more&quot;/);
+
+    const [record] = parseMarcXml(`<collection xmlns="${MARCXML_NAMESPACE}">\n${xml}</collection>`);
+    assert.equal(record.leader, buildLeader());
+    assert.deepEqual(record.fields, FIELDS);
+  });
+
+  it('reads prefixed elements and numeric entities', () => {
+    const xml = `<marc:collection xmlns:marc="${MARCXML_NAMESPACE}">
+      <marc:record>
+        <marc:controlfield tag="001">42</marc:controlfield>
+        <marc:datafield tag="245" ind1="0" ind2="0">
+          <marc:subfield code="a">Caf&#xE9; &#233;t&#233;</marc:subfield>
+        </marc:datafield>
+      </marc:record>
+    </marc:collection>`;
+    const [record] = parseMarcXml(xml);
+    assert.equal(record.leader, null);
+    assert.deepEqual(record.fields, [
+      { tag: '001', value: '42' },
+      { tag: '245', ind1: '0', ind2: '0', subfields: [['a', 'Café été']] }
+    ]);
+  });
+
+  it('reports a record with a field missing its tag', () => {
+    const [bad, good] = parseMarcXml('<record><datafield ind1=" "></datafield></record><record><controlfield tag="001">1</controlfield></record>');
+    assert.equal(bad.error, 'Field without a valid tag');
+    assert.deepEqual(good.fields, [{ tag: '001', value: '1' }]);
+  });
+});
+
+describe('getSubfieldValues', () => {
+  it('collects a subfield across repeated fields in record order', () => {
+    assert.deepEqual(getSubfieldValues(FIELDS, '650', 'a'), ['Fiction', 'Romance']);
+    assert.deepEqual(getSubfieldValues(FIELDS, '001', 'a'), []);
+    assert.deepEqual(getSubfieldValues(FIELDS, '700', 'a'), []);
+  });
+});
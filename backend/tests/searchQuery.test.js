@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_QUERY_LENGTH, parseSearchQuery } = require('../utils/searchQuery');
+
+// Syntax trees without positions, for comparing shapes
+const strip = (node) => {
+  if (Array.isArray(node)) return node.map(strip);
+  if (!node || typeof node !== 'object') return node;
+  const { position, ...rest } = node;
+  return Object.fromEntries(Object.entries(rest).map(([key, value]) => [key, strip(value)]));
+};
+
+const parse = (query) => strip(parseSearchQuery(query));
+
+const word = (value, field = null) => ({ type: 'term', field, value, phrase: false });
+
+// Assert that a query fails to parse at a position
+const assertSyntaxError = (query, pattern, position) => {
+  assert.throws(() => parseSearchQuery(query), (error) => {
+    assert.match(error.message, pattern);
+    assert.equal(error.position, position);
+    return true;
+  });
+};
+
+describe('parseSearchQuery', () => {
+  it('parses bare words and phrases', () => {
+    assert.deepEqual(parse('dune'), word('dune'));
+    assert.deepEqual(parse('"the hobbit"'), { type: 'term', field: null, value: 'the hobbit', phrase: true });
+  });
+
+  it('parses field terms with quoted phrases', () => {
+    assert.deepEqual(parse('title:"the hobbit"'), { type: 'term', field: 'title', value: 'the hobbit', phrase: true });
+    assert.deepEqual(parse('Author:tolkien'), word('tolkien', 'author'));
+  });
+
+  it('binds OR looser than AND', () => {
+    assert.deepEqual(parse('a b OR c'), {
+      type: 'or',
+      terms: [{ type: 'and', terms: [word('a'), word('b')] }, word('c')]
+    });
+    assert.deepEqual(parse('a AND b'), { type: 'and', terms: [word('a'), word('b')] });
+  });
+
+  it('groups with parentheses', () => {
+    assert.deepEqual(parse('(a OR b) c'), {
+      type: 'and',
+      terms: [{ type: 'or', terms: [word('a'), word('b')] }, word('c')]
+    });
+  });
+
+  it('negates with NOT and a leading minus', () => {
+    assert.deepEqual(parse('NOT dune'), { type: 'not', term: word('dune') });
+    assert.deepEqual(parse('-fantasy'), { type: 'not', term: word('fantasy') });
+    assert.deepEqual(parse('a - b'), { type: 'and', terms: [word('a'), word('-'), word('b')] });
+  });
+
+  it('parses numeric comparisons, exact values and ranges', () => {
+    assert.deepEqual(parse('year>1950'), { type: 'compare', field: 'year', operator: '$gt', value: 1950 });
+    assert.deepEqual(parse('rating<=3.5'), { type: 'compare', field: 'rating', operator: '$lte', value: 3.5 });
+    assert.deepEqual(parse('year:1999'), { type: 'compare', field: 'year', operator: '$eq', value: 1999 });
+    assert.deepEqual(parse('year:1950..1960'), { type: 'range', field: 'year', from: 1950, to: 1960 });
+    assert.deepEqual(parse('year:..1960'), { type: 'range', field: 'year', from: null, to: 1960 });
+    assert.deepEqual(parse('rating:4..'), { type: 'range', field: 'rating', from: 4, to: null });
+  });
+
+  it('parses availability flags', () => {
+    assert.deepEqual(parse('available'), { type: 'flag', name: 'available' });
+    assert.deepEqual(parse('available:no'), { type: 'not', term: { type: 'flag', name: 'available' } });
+    assert.deepEqual(parse('"available"'), { type: 'term', field: null, value: 'available', phrase: true });
+  });
+
+  it('records term positions', () => {
+    const root = parseSearchQuery('title:"the hobbit" OR author:tolkien');
+    assert.deepEqual(root.terms.map(term => term.position), [0, 22]);
+  });
+
+  it('reports where a query fails to parse', () => {
+    assertSyntaxError('', /Query is empty/, 0);
+    assertSyntaxError('"unterminated', /Unterminated quoted phrase/, 0);
+    assertSyntaxError('a AND (b', /Unclosed "\("/, 6);
+    assertSyntaxError('OR a', /Unexpected "OR"/, 0);
+    assertSyntaxError('a )', /Unexpected "\)"/, 2);
+    assertSyntaxError('a NOT', /Expected a search term/, 5);
+    assertSyntaxError('dune foo:bar', /Unknown field "foo"/, 5);
+    assertSyntaxError('title:', /Missing value for title/, 6);
+    assertSyntaxError('year>old', /Expected a number for year/, 5);
+    assertSyntaxError('year:1950..x', /Expected a number for year/, 11);
+    assertSyntaxError('year:..', /needs a start or an end/, 5);
+    assertSyntaxError('title>a', /does not support ">"/, 5);
+    assertSyntaxError('available:maybe', /Expected true or false/, 10);
+    assertSyntaxError('a'.repeat(MAX_QUERY_LENGTH + 1), /longer than/, MAX_QUERY_LENGTH);
+  });
+});
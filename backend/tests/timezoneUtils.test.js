@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidTimezone,
+  getZonedParts,
+  toDateKey,
+  isValidDateKey,
+  isValidTime,
+  addDaysToKey,
+  getWeekday,
+  diffDateKeys,
+  zonedTimeToDate,
+  toPeriodKey,
+  listPeriodKeys
+} = require('../utils/timezoneUtils');
+
+describe('validation', () => {
+  it('checks timezones', () => {
+    assert.equal(isValidTimezone('Europe/London'), true);
+    assert.equal(isValidTimezone('UTC'), true);
+    assert.equal(isValidTimezone('Mars/Olympus_Mons'), false);
+    assert.equal(isValidTimezone(''), false);
+    assert.equal(isValidTimezone(42), false);
+  });
+
+  it('checks date keys, including impossible dates', () => {
+    assert.equal(isValidDateKey('2024-02-29'), true);
+    assert.equal(isValidDateKey('2023-02-29'), false);
+    assert.equal(isValidDateKey('2024-13-01'), false);
+    assert.equal(isValidDateKey('2024-3-1'), false);
+    assert.equal(isValidDateKey(null), false);
+  });
+
+  it('checks HH:mm times', () => {
+    assert.equal(isValidTime('00:00'), true);
+    assert.equal(isValidTime('23:59'), true);
+    assert.equal(isValidTime('24:00'), false);
+    assert.equal(isValidTime('9:00'), false);
+  });
+});
+
+describe('getZonedParts / toDateKey', () => {
+  it('reads the wall clock in a timezone', () => {
+    assert.deepEqual(getZonedParts(new Date('2024-07-01T23:30:00Z'), 'Europe/London'), {
+      year: 2024, month: 7, day: 2, hour: 0, minute: 30, second: 0
+    });
+  });
+
+  it('gives the calendar day in the timezone, not the server', () => {
+    const instant = new Date('2024-03-10T02:00:00Z');
+    assert.equal(toDateKey(instant, 'UTC'), '2024-03-10');
+    assert.equal(toDateKey(instant, 'America/Los_Angeles'), '2024-03-09');
+    assert.equal(toDateKey(instant, 'Asia/Tokyo'), '2024-03-10');
+    assert.equal(toDateKey('2024-12-31T23:00:00Z', 'Pacific/Auckland'), '2025-01-01');
+  });
+});
+
+describe('date key arithmetic', () => {
+  it('adds days across months, years and leap days', () => {
+    assert.equal(addDaysToKey('2024-02-28', 1), '2024-02-29');
+    assert.equal(addDaysToKey('2024-12-31', 1), '2025-01-01');
+    assert.equal(addDaysToKey('2024-03-01', -1), '2024-02-29');
+    assert.equal(addDaysToKey('2024-03-30', 2), '2024-04-01');
+  });
+
+  it('gets weekdays', () => {
+    assert.equal(getWeekday('2024-03-03'), 0);
+    assert.equal(getWeekday('2024-03-09'), 6);
+  });
+
+  it('counts days between keys', () => {
+    assert.equal(diffDateKeys('2024-03-01', '2024-03-31'), 30);
+    assert.equal(diffDateKeys('2024-03-31', '2024-03-01'), -30);
+    assert.equal(diffDateKeys('2023-12-31', '2024-12-31'), 366);
+  });
+});
+
+describe('zonedTimeToDate', () => {
+  it('converts wall-clock times to instants', () => {
+    assert.equal(zonedTimeToDate('2024-01-15', '18:00', 'Europe/London').toISOString(), '2024-01-15T18:00:00.000Z');
+    assert.equal(zonedTimeToDate('2024-07-15', '18:00', 'Europe/London').toISOString(), '2024-07-15T17:00:00.000Z');
+    assert.equal(zonedTimeToDate('2024-07-15', '09:00', 'Asia/Kolkata').toISOString(), '2024-07-15T03:30:00.000Z');
+  });
+
+  it('uses the offset in force on days of a DST change', () => {
+    assert.equal(zonedTimeToDate('2024-03-31', '18:00', 'Europe/London').toISOString(), '2024-03-31T17:00:00.000Z');
+    assert.equal(zonedTimeToDate('2024-03-31', '00:30', 'Europe/London').toISOString(), '2024-03-31T00:30:00.000Z');
+    assert.equal(zonedTimeToDate('2024-11-03', '12:00', 'America/New_York').toISOString(), '2024-11-03T17:00:00.000Z');
+  });
+
+  it('round-trips through toDateKey', () => {
+    for (const timeZone of ['Pacific/Auckland', 'America/Los_Angeles', 'Asia/Kathmandu']) {
+      assert.equal(toDateKey(zonedTimeToDate('2024-06-01', '23:59', timeZone), timeZone), '2024-06-01');
+      assert.equal(toDateKey(zonedTimeToDate('2024-06-01', '00:00', timeZone), timeZone), '2024-06-01');
+    }
+  });
+});
+
+describe('toPeriodKey / listPeriodKeys', () => {
+  it('keys days, months and ISO weeks', () => {
+    assert.equal(toPeriodKey('2024-03-07', 'day'), '2024-03-07');
+    assert.equal(toPeriodKey('2024-03-07', 'month'), '2024-03');
+    assert.equal(toPeriodKey('2024-03-07', 'week'), '2024-W10');
+  });
+
+  it('puts ISO weeks in the year of their Thursday', () => {
+    assert.equal(toPeriodKey('2021-01-03', 'week'), '2020-W53');
+    assert.equal(toPeriodKey('2024-12-30', 'week'), '2025-W01');
+    assert.equal(toPeriodKey('2024-01-01', 'week'), '2024-W01');
+  });
+
+  it('lists the periods covering a range in the given timezone', () => {
+    const from = new Date('2024-02-28T12:00:00Z');
+    const to = new Date('2024-03-02T01:00:00Z');
+    assert.deepEqual(listPeriodKeys(from, to, 'day', 'UTC'), ['2024-02-28', '2024-02-29', '2024-03-01', '2024-03-02']);
+    assert.deepEqual(listPeriodKeys(from, to, 'day', 'America/New_York'), ['2024-02-28', '2024-02-29', '2024-03-01']);
+    assert.deepEqual(listPeriodKeys(from, to, 'month', 'UTC'), ['2024-02', '2024-03']);
+    assert.deepEqual(listPeriodKeys(from, to, 'week', 'UTC'), ['2024-W09']);
+  });
+});
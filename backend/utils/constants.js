@@ -57,7 +57,11 @@ const ERROR_CODES = {
   BOOK_NOT_AVAILABLE: 'BOOK_NOT_AVAILABLE',
   BOOK_ALREADY_BORROWED: 'BOOK_ALREADY_BORROWED',
   BORROW_LIMIT_EXCEEDED: 'BORROW_LIMIT_EXCEEDED',
+  RENEWAL_DENIED: 'RENEWAL_DENIED',
   BOOK_NOT_BORROWED: 'BOOK_NOT_BORROWED',
+  BOOK_AVAILABLE: 'BOOK_AVAILABLE',
+  HOLD_ALREADY_EXISTS: 'HOLD_ALREADY_EXISTS',
+  HOLD_LIMIT_EXCEEDED: 'HOLD_LIMIT_EXCEEDED',
   REVIEW_ALREADY_EXISTS: 'REVIEW_ALREADY_EXISTS',
   REVIEW_NOT_ALLOWED: 'REVIEW_NOT_ALLOWED',
   
@@ -89,9 +93,30 @@ const USER_ROLES = {
 const BORROW_STATUS = {
   BORROWED: 'borrowed',
   RETURNED: 'returned',
-  OVERDUE: 'overdue'
+  OVERDUE: 'overdue',
+  LOST: 'lost',
+  DAMAGED: 'damaged',
+  CLAIMED_RETURNED: 'claimed_returned'
 };
 
+// Borrow statuses where the copy is still out with the patron
+const OPEN_BORROW_STATUSES = ['active', 'overdue', 'claimed_returned'];
+
+// Copy (Item) statuses that no longer count towards Book.quantity
+const NON_CIRCULATING_ITEM_STATUSES = ['lost', 'withdrawn'];
+
+// Roles a person can have on a book
+const CONTRIBUTOR_ROLES = ['author', 'editor', 'translator', 'illustrator', 'contributor'];
+
+// Physical or digital form of an edition
+const BOOK_FORMATS = ['hardcover', 'paperback', 'ebook', 'audiobook', 'large_print', 'other'];
+
+// Facet counts the book search can return alongside results
+const BOOK_FACETS = ['category', 'availability', 'rating', 'publicationYear', 'language'];
+
+// How a text filter is compared with a field (see utils/queryBuilder)
+const MATCH_MODES = ['exact', 'prefix', 'contains'];
+
 // Review Rating Range
 const REVIEW_RATING = {
   MIN: 1,
@@ -160,7 +185,18 @@ const BUSINESS_RULES = {
   MAX_BOOKS_PER_USER: 5,
   DEFAULT_BORROW_DAYS: 30,
   MAX_RENEWAL_COUNT: 2,
-  OVERDUE_GRACE_DAYS: 7
+  OVERDUE_GRACE_DAYS: 7,
+  RENEWAL_OVERDUE_LIMIT_DAYS: 3,
+  MAX_ACTIVE_HOLDS: 5,
+  HOLD_PICKUP_DAYS: 3,
+  FINE_DAILY_RATE: 0.25,
+  FINE_MAX_AMOUNT: 10,
+  DEFAULT_REPLACEMENT_COST: 25,
+  // Account standing: borrowing is blocked at these thresholds (0 turns a check off)
+  STANDING_MAX_OVERDUE_ITEMS: 3,
+  STANDING_MAX_OVERDUE_DAYS: 30,
+  STANDING_MAX_LATE_RETURNS: 5,
+  STANDING_LATE_RETURN_WINDOW_DAYS: 180
 };
 
 // Database Collection Names
@@ -168,6 +204,9 @@ const COLLECTIONS = {
   USERS: 'users',
   BOOKS: 'books',
   BORROWS: 'borrows',
+  RESERVATIONS: 'reservations',
+  FINES: 'fines',
+  ITEMS: 'items',
   REVIEWS: 'reviews',
   CATEGORIES: 'categories',
   CONTACT_MESSAGES: 'contactmessages',
@@ -239,6 +278,12 @@ module.exports = {
   ERROR_CODES,
   USER_ROLES,
   BORROW_STATUS,
+  OPEN_BORROW_STATUSES,
+  NON_CIRCULATING_ITEM_STATUSES,
+  CONTRIBUTOR_ROLES,
+  BOOK_FORMATS,
+  BOOK_FACETS,
+  MATCH_MODES,
   REVIEW_RATING,
   CONTACT_STATUS,
   AUDIT_SEVERITY,
@@ -0,0 +1,172 @@
+/**
+ * Cron Expression Utilities
+ * Minimal five-field cron parser (minute hour day-of-month month day-of-week)
+ * used by the job scheduler. Supports `*`, lists, ranges, steps and the
+ * common `@hourly`/`@daily`/`@weekly`/`@monthly` aliases. Times are evaluated
+ * in the server's local timezone.
+ */
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Longest span searched for the next matching minute (covers Feb 29 schedules)
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Parse a single cron field into the set of values it matches
+ * @param {string} field - Field text, e.g. "*\/15" or "1-5"
+ * @param {Object} spec - { name, min, max }
+ * @returns {Set<number>} Matching values
+ */
+const parseField = (field, { name, min, max }) => {
+  const values = new Set();
+
+  field.split(',').forEach(part => {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in cron ${name} field`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === '*') {
+      start = min;
+      end = max;
+    } else if (rangeText.includes('-')) {
+      [start, end] = rangeText.split('-').map(Number);
+    } else {
+      start = Number(rangeText);
+      end = stepText === undefined ? start : max;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid value "${part}" in cron ${name} field (allowed ${min}-${max})`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field cron expression or alias
+ * @returns {Object} Parsed schedule
+ */
+const parseCron = (expression) => {
+  const normalized = ALIASES[String(expression).trim()] || String(expression).trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" must have ${FIELDS.length} fields`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // Sunday may be written as 0 or 7
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.delete(7);
+    dayOfWeek.add(0);
+  }
+
+  return {
+    expression: normalized,
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Standard cron semantics: when both day fields are restricted, either may match
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+};
+
+/**
+ * Check whether a cron expression is valid
+ * @param {string} expression - Cron expression
+ * @returns {boolean} True if the expression parses
+ */
+const isValidCron = (expression) => {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Check whether a date falls on a day the schedule runs
+const matchesDay = (schedule, date) => {
+  const domMatch = schedule.dayOfMonth.has(date.getDate());
+  const dowMatch = schedule.dayOfWeek.has(date.getDay());
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+};
+
+/**
+ * Get the next time a cron expression fires after a given date
+ * @param {string|Object} expression - Cron expression or parsed schedule
+ * @param {Date} from - Start point (exclusive)
+ * @returns {Date} Next run time
+ */
+const getNextRun = (expression, from = new Date()) => {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+
+  const candidate = new Date(from);
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+
+  const limit = new Date(from);
+  limit.setDate(limit.getDate() + MAX_SEARCH_DAYS);
+
+  while (candidate <= limit) {
+    if (!schedule.month.has(candidate.getMonth() + 1)) {
+      candidate.setMonth(candidate.getMonth() + 1, 1);
+      candidate.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, candidate)) {
+      candidate.setDate(candidate.getDate() + 1);
+      candidate.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hour.has(candidate.getHours())) {
+      candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minute.has(candidate.getMinutes())) {
+      candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return candidate;
+  }
+
+  throw new Error(`Cron expression "${schedule.expression}" never fires`);
+};
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  getNextRun
+};
@@ -0,0 +1,101 @@
+/**
+ * CSV Utilities
+ * Helpers for reading and writing RFC 4180 CSV. Text cells a spreadsheet
+ * would treat as a formula are prefixed with an apostrophe on export so
+ * exported data cannot run in it.
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format a value as a CSV cell
+ * @param {*} value - Cell value (dates are written as ISO 8601)
+ * @returns {string} Escaped cell
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a list of values as one CSV line
+ * @param {Array} values - Cell values
+ * @returns {string} Line ending in CRLF
+ */
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+/**
+ * Build a CSV document from objects
+ * @param {Array<Object>} columns - [{ key, header }] in output order
+ * @param {Array<Object>} rows - Objects to write, one per line
+ * @returns {string} CSV with a header line
+ */
+const toCsv = (columns, rows) => [
+  toCsvRow(columns.map(column => column.header)),
+  ...rows.map(row => toCsvRow(columns.map(column => row[column.key])))
+].join('');
+
+/**
+ * Parse CSV text into records. Quoted cells may contain commas, quotes ("")
+ * and line breaks; a leading byte order mark and blank lines are ignored.
+ * @param {string} text - CSV document
+ * @returns {Array<Array<string>>} Records as arrays of cells
+ * @throws {Error} If a quoted cell is not closed
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+  const endRecord = () => {
+    record.push(cell);
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+    cell = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted cell');
+  }
+  if (cell !== '' || record.length > 0) endRecord();
+
+  return records;
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsvRow,
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,180 @@
+/**
+ * Opaque cursors for paging through a sorted listing without skip. A cursor
+ * holds the sort key values and _id of a row; the next page is the rows
+ * after it in sort order, so inserts and deletes never shift or repeat rows
+ * the way page offsets do.
+ *
+ * Sorts must end with _id so every row has a distinct position. Null and
+ * missing values sort before any other value, as they do in MongoDB.
+ */
+
+const mongoose = require('mongoose');
+
+// Longest cursor accepted; real cursors are far shorter
+const MAX_CURSOR_LENGTH = 1000;
+
+// Cursor values keep their type through JSON: dates and ObjectIds are tagged
+const toCursorValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toHexString() };
+  return value === undefined ? null : value;
+};
+
+const fromCursorValue = (value) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (typeof value.d === 'string' && !Number.isNaN(Date.parse(value.d))) return new Date(value.d);
+  if (typeof value.o === 'string' && mongoose.isObjectIdOrHexString(value.o)) {
+    return new mongoose.Types.ObjectId(value.o);
+  }
+  throw new Error('Unknown cursor value');
+};
+
+// Sort keys as stored in a cursor, descending ones prefixed with "-"
+const describeSort = (sort) => Object.entries(sort).map(([field, direction]) => (
+  direction === -1 ? `-${field}` : field
+));
+
+/**
+ * Encode the position of a row in a sorted listing
+ * @param {Object} row - Document or aggregation result
+ * @param {Object} sort - Sort of the listing, e.g. { borrowDate: -1, _id: -1 }
+ * @returns {string} URL-safe cursor
+ */
+const encodeCursor = (row, sort) => {
+  const fields = Object.keys(sort);
+  const payload = {
+    k: describeSort(sort),
+    v: fields.map(field => toCursorValue(field.split('.').reduce((value, key) => value?.[key], row)))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor made by encodeCursor for the same sort
+ * @param {string} token - Cursor
+ * @param {Object} sort - Sort of the listing
+ * @returns {Array|null} Sort key values, or null when the cursor is malformed or
+ *   was made for a different sort
+ */
+const decodeCursor = (token, sort) => {
+  if (typeof token !== 'string' || token.length > MAX_CURSOR_LENGTH) return null;
+  try {
+    const { k: keys, v: values } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    const expected = describeSort(sort);
+    if (!Array.isArray(keys) || !Array.isArray(values) || values.length !== expected.length ||
+        keys.join(',') !== expected.join(',')) {
+      return null;
+    }
+    return values.map(fromCursorValue);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read the `after` / `before` query parameters of a listing
+ * @param {Object} params - { after, before }
+ * @param {Object} sort - Sort of the listing
+ * @returns {Object} {} without a cursor, { cursor: { before, values } }, or { error }
+ */
+const readCursorParams = ({ after, before }, sort) => {
+  if (!after && !before) return {};
+  if (after && before) {
+    return { error: 'Use either after or before, not both' };
+  }
+  const values = decodeCursor(after || before, sort);
+  if (!values) {
+    return { error: 'Invalid or expired cursor; request the listing again without it' };
+  }
+  return { cursor: { before: Boolean(before), values } };
+};
+
+/**
+ * Sort to read a cursor page in: reversed when paging backwards, so the rows
+ * closest to the cursor come first
+ * @param {Object} sort - Sort of the listing
+ * @param {Object} [cursor] - From readCursorParams
+ * @returns {Object} Sort
+ */
+const cursorSort = (sort, cursor) => (cursor && cursor.before
+  ? Object.fromEntries(Object.entries(sort).map(([field, direction]) => [field, -direction]))
+  : sort);
+
+// Condition on a field for rows past a value in the given direction, or null
+// when no row can be (nothing sorts below null)
+const beyondValue = (field, value, direction) => {
+  if (direction === 1) {
+    return { [field]: value === null ? { $ne: null } : { $gt: value } };
+  }
+  if (value === null) return null;
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * Filter for the rows past a cursor: rows whose first sort key is beyond the
+ * cursor's, or equal to it with the second key beyond, and so on
+ * @param {Object} sort - Sort of the listing
+ * @param {Object} cursor - From readCursorParams
+ * @returns {Object} MongoDB filter; values keep their types, so it also works in $match
+ */
+const buildCursorFilter = (sort, cursor) => {
+  const entries = Object.entries(cursorSort(sort, cursor));
+  const branches = [];
+
+  entries.forEach(([field, direction], index) => {
+    const beyond = beyondValue(field, cursor.values[index], direction);
+    if (!beyond) return;
+    const equal = entries.slice(0, index).map(([previous], i) => ({ [previous]: cursor.values[i] }));
+    branches.push(equal.length > 0 ? { $and: [...equal, beyond] } : beyond);
+  });
+
+  return branches.length > 0 ? { $or: branches } : { _id: { $in: [] } };
+};
+
+/**
+ * Next and previous cursors of a page
+ * @param {Array} items - Rows of the page in listing order
+ * @param {Object} sort - Sort of the listing
+ * @param {Object} flags - { hasNextPage, hasPrevPage }
+ * @returns {Object} { hasNextPage, hasPrevPage, nextCursor, prevCursor }
+ */
+const buildPageCursors = (items, sort, { hasNextPage, hasPrevPage }) => ({
+  hasNextPage,
+  hasPrevPage,
+  nextCursor: hasNextPage && items.length > 0 ? encodeCursor(items[items.length - 1], sort) : null,
+  prevCursor: hasPrevPage && items.length > 0 ? encodeCursor(items[0], sort) : null
+});
+
+/**
+ * Turn the rows read for a cursor page into the page. Listings read one row
+ * more than the limit, in cursorSort order, to tell whether more follow.
+ * @param {Array} rows - Up to limit + 1 rows
+ * @param {Object} sort - Sort of the listing
+ * @param {Object} cursor - From readCursorParams
+ * @param {number} limit - Page size
+ * @returns {Object} { items, pagination } with items in listing order
+ */
+const buildCursorPage = (rows, sort, cursor, limit) => {
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  if (cursor.before) items.reverse();
+
+  return {
+    items,
+    pagination: buildPageCursors(items, sort, {
+      hasNextPage: cursor.before || hasMore,
+      hasPrevPage: !cursor.before || hasMore
+    })
+  };
+};
+
+module.exports = {
+  MAX_CURSOR_LENGTH,
+  encodeCursor,
+  decodeCursor,
+  readCursorParams,
+  cursorSort,
+  buildCursorFilter,
+  buildPageCursors,
+  buildCursorPage
+};
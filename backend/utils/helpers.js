@@ -5,6 +5,7 @@ const {
   VALIDATION_PATTERNS,
   VALIDATION_LENGTHS
 } = require('./constants');
+const { buildFieldMatch, buildAnyFieldMatch } = require('./queryBuilder');
 
 /**
  * Generate JWT token (legacy function for backward compatibility)
@@ -207,34 +208,26 @@ const buildTextSearchQuery = (searchTerm) => {
  * Build regex query for partial matching
  * @param {string} field - Field name
  * @param {string} value - Search value
+ * @param {Object} [options] - Match mode (see utils/queryBuilder), partial by default
  * @returns {Object|null} MongoDB regex query
  */
-const buildRegexQuery = (field, value) => {
+const buildRegexQuery = (field, value, options) => {
   if (!value || typeof value !== 'string' || !field) return null;
 
-  const sanitizedValue = sanitizeInput(value.trim(), 100);
-  if (!sanitizedValue) return null;
-
-  const escapedValue = sanitizedValue.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  return {
-    [field]: new RegExp(escapedValue, 'i')
-  };
+  return buildFieldMatch(field, sanitizeInput(value, 100), options);
 };
 
 /**
  * Build multiple field search query
  * @param {Array} fields - Array of field names
  * @param {string} value - Search value
+ * @param {Object} [options] - Match mode (see utils/queryBuilder), partial by default
  * @returns {Object|null} MongoDB $or query
  */
-const buildMultiFieldQuery = (fields, value) => {
-  if (!Array.isArray(fields) || !value) return null;
-
-  const queries = fields
-    .map(field => buildRegexQuery(field, value))
-    .filter(query => query !== null);
+const buildMultiFieldQuery = (fields, value, options) => {
+  if (!Array.isArray(fields) || fields.length === 0 || !value || typeof value !== 'string') return null;
 
-  return queries.length > 0 ? { $or: queries } : null;
+  return buildAnyFieldMatch(fields, sanitizeInput(value, 100), options);
 };
 
 /**
@@ -0,0 +1,77 @@
+/**
+ * ISBN Utilities
+ * Books are stored under their ISBN-13 without separators, so the same
+ * edition typed as "0-306-40615-2", "0306406152" or "978-0-306-40615-7"
+ * always has one key. ISBN-10s are converted by adding the 978 prefix and
+ * recomputing the check digit.
+ */
+
+// Optional "ISBN", "ISBN-10:" or "ISBN-13:" label in front of the number
+const LABEL_PATTERN = /^ISBN(?:-1[03])?:?\s*/i;
+
+/**
+ * Remove the label, hyphens and spaces from an ISBN as typed
+ * @param {string} value - ISBN in any form
+ * @returns {string} Digits (and a final X for ISBN-10s)
+ */
+const compactIsbn = (value) => String(value ?? '').trim().replace(LABEL_PATTERN, '').replace(/[-\s]/g, '').toUpperCase();
+
+// Check digit of the first nine digits of an ISBN-10 (10 is written as X)
+const isbn10CheckDigit = (digits) => {
+  const sum = [...digits.slice(0, 9)].reduce((total, digit, index) => total + Number(digit) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+// Check digit of the first twelve digits of an ISBN-13
+const isbn13CheckDigit = (digits) => {
+  const sum = [...digits.slice(0, 12)].reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Read an ISBN, checking its format and check digit
+ * @param {string} value - ISBN-10 or ISBN-13, with or without hyphens
+ * @returns {Object|null} { isbn13, isbn10 } (isbn10 is null for 979 ISBNs), or null if invalid
+ */
+const parseIsbn = (value) => {
+  const compact = compactIsbn(value);
+
+  if (/^\d{9}[\dX]$/.test(compact)) {
+    if (isbn10CheckDigit(compact) !== compact[9]) return null;
+    const base = `978${compact.slice(0, 9)}`;
+    return { isbn13: `${base}${isbn13CheckDigit(base)}`, isbn10: compact };
+  }
+
+  if (/^97[89]\d{10}$/.test(compact)) {
+    if (isbn13CheckDigit(compact) !== compact[12]) return null;
+    const isbn10 = compact.startsWith('978') ? `${compact.slice(3, 12)}${isbn10CheckDigit(compact.slice(3, 12))}` : null;
+    return { isbn13: compact, isbn10 };
+  }
+
+  return null;
+};
+
+/**
+ * Get the canonical (ISBN-13) form of an ISBN
+ * @param {string} value - ISBN in any form
+ * @returns {string|null} 13 digits, or null if the ISBN is invalid
+ */
+const normalizeIsbn = (value) => {
+  const parsed = parseIsbn(value);
+  return parsed ? parsed.isbn13 : null;
+};
+
+/**
+ * Check that a value is a valid ISBN-10 or ISBN-13
+ * @param {string} value - ISBN in any form
+ * @returns {boolean}
+ */
+const isValidIsbn = (value) => parseIsbn(value) !== null;
+
+module.exports = {
+  compactIsbn,
+  parseIsbn,
+  normalizeIsbn,
+  isValidIsbn
+};
@@ -0,0 +1,254 @@
+/**
+ * MARC Utilities
+ * Helpers for reading and writing MARC 21 bibliographic records as ISO 2709
+ * (binary) and MARCXML. A record is a list of fields: control fields are
+ * { tag, value } and data fields are { tag, ind1, ind2, subfields } with
+ * subfields as [code, value] pairs. Records are written in UTF-8.
+ */
+
+const FIELD_TERMINATOR = '\x1E';
+const RECORD_TERMINATOR = '\x1D';
+const SUBFIELD_DELIMITER = '\x1F';
+
+// ISO 2709 limits record length and field positions to five digits
+const MAX_RECORD_LENGTH = 99999;
+
+const MARCXML_NAMESPACE = 'http://www.loc.gov/MARC21/slim';
+
+// Control fields (001-009) have no indicators or subfields
+const isControlTag = (tag) => tag < '010';
+
+// Drop control characters, which would break record structure or XML
+const stripControlCharacters = (value) => String(value).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
+
+/**
+ * Build a leader for a new language-material monograph in UTF-8
+ * @param {number} recordLength - Record length in bytes
+ * @param {number} baseAddress - Offset of the first field in bytes
+ * @returns {string} 24-character leader
+ */
+const buildLeader = (recordLength = 0, baseAddress = 0) =>
+  `${String(recordLength).padStart(5, '0')}nam a22${String(baseAddress).padStart(5, '0')}   4500`;
+
+// Text of a field as stored in the record, without its terminator
+const fieldData = (field) => {
+  if (isControlTag(field.tag)) return stripControlCharacters(field.value);
+  const subfields = field.subfields
+    .map(([code, value]) => `${SUBFIELD_DELIMITER}${code}${stripControlCharacters(value)}`)
+    .join('');
+  return `${field.ind1 || ' '}${field.ind2 || ' '}${subfields}`;
+};
+
+/**
+ * Encode a record as ISO 2709
+ * @param {Array<Object>} fields - Record fields in tag order
+ * @returns {Buffer} Encoded record
+ * @throws {Error} If the record exceeds the format's length limit
+ */
+const toMarc21 = (fields) => {
+  const encoded = fields.map(field => ({
+    tag: field.tag,
+    data: Buffer.from(`${fieldData(field)}${FIELD_TERMINATOR}`, 'utf8')
+  }));
+
+  let offset = 0;
+  const directory = encoded.map(({ tag, data }) => {
+    const entry = `${tag}${String(data.length).padStart(4, '0')}${String(offset).padStart(5, '0')}`;
+    offset += data.length;
+    return entry;
+  }).join('');
+
+  const baseAddress = 24 + directory.length + 1;
+  const recordLength = baseAddress + offset + 1;
+  if (recordLength > MAX_RECORD_LENGTH) {
+    throw new Error(`MARC record is ${recordLength} bytes; the limit is ${MAX_RECORD_LENGTH}`);
+  }
+
+  return Buffer.concat([
+    Buffer.from(`${buildLeader(recordLength, baseAddress)}${directory}${FIELD_TERMINATOR}`, 'utf8'),
+    ...encoded.map(({ data }) => data),
+    Buffer.from(RECORD_TERMINATOR, 'utf8')
+  ]);
+};
+
+// Escape text for XML content and attribute values
+const escapeXml = (value) => stripControlCharacters(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Encode a record as a MARCXML <record> element
+ * @param {Array<Object>} fields - Record fields in tag order
+ * @returns {string} XML element (without the <collection> wrapper)
+ */
+const toMarcXml = (fields) => {
+  const lines = [`  <record>`, `    <leader>${buildLeader()}</leader>`];
+  fields.forEach(field => {
+    if (isControlTag(field.tag)) {
+      lines.push(`    <controlfield tag="${field.tag}">${escapeXml(field.value)}</controlfield>`);
+      return;
+    }
+    lines.push(`    <datafield tag="${field.tag}" ind1="${escapeXml(field.ind1 || ' ')}" ind2="${escapeXml(field.ind2 || ' ')}">`);
+    field.subfields.forEach(([code, value]) => {
+      lines.push(`      <subfield code="${escapeXml(code)}">${escapeXml(value)}</subfield>`);
+    });
+    lines.push('    </datafield>');
+  });
+  lines.push('  </record>');
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Read ISO 2709 records. Each record is parsed on its own, so one damaged
+ * record is reported without losing the others. Records not flagged as
+ * UTF-8 (leader position 9) are read as Latin-1 with a warning, since
+ * MARC-8 is not supported.
+ * @param {Buffer} buffer - One or more concatenated records
+ * @returns {Array<Object>} [{ leader, fields, raw, warnings }] or [{ raw, error }] per record
+ */
+const parseMarc21 = (buffer) => {
+  const records = [];
+  let start = 0;
+
+  while (start < buffer.length) {
+    // Skip line breaks some vendors put between records
+    if ([0x0A, 0x0D, 0x20].includes(buffer[start])) {
+      start++;
+      continue;
+    }
+
+    let end = buffer.indexOf(RECORD_TERMINATOR.charCodeAt(0), start);
+    if (end === -1) end = buffer.length - 1;
+    const raw = buffer.subarray(start, end + 1);
+    start = end + 1;
+
+    try {
+      const leader = raw.toString('latin1', 0, 24);
+      const baseAddress = parseInt(leader.slice(12, 17), 10);
+      if (!/^\d{5}$/.test(leader.slice(0, 5)) || !(baseAddress > 24) || baseAddress > raw.length) {
+        throw new Error('Invalid leader');
+      }
+
+      const encoding = leader[9] === 'a' ? 'utf8' : 'latin1';
+      const warnings = encoding === 'utf8' ? [] : ['Record is not flagged as UTF-8; read as Latin-1'];
+      const directory = raw.toString('latin1', 24, baseAddress - 1);
+      if (directory.length % 12 !== 0) {
+        throw new Error('Invalid directory');
+      }
+
+      const fields = [];
+      for (let i = 0; i < directory.length; i += 12) {
+        const tag = directory.slice(i, i + 3);
+        const length = parseInt(directory.slice(i + 3, i + 7), 10);
+        const offset = parseInt(directory.slice(i + 7, i + 12), 10);
+        const fieldStart = baseAddress + offset;
+        if (isNaN(length) || isNaN(offset) || fieldStart + length > raw.length) {
+          throw new Error(`Field ${tag} lies outside the record`);
+        }
+
+        // Drop the field terminator
+        const data = raw.toString(encoding, fieldStart, fieldStart + length - 1);
+        if (isControlTag(tag)) {
+          fields.push({ tag, value: data });
+        } else {
+          const [indicators, ...subfields] = data.split(SUBFIELD_DELIMITER);
+          fields.push({
+            tag,
+            ind1: indicators[0] || ' ',
+            ind2: indicators[1] || ' ',
+            subfields: subfields.filter(Boolean).map(subfield => [subfield[0], subfield.slice(1)])
+          });
+        }
+      }
+
+      records.push({ leader, fields, raw, warnings });
+    } catch (error) {
+      records.push({ raw, error: error.message });
+    }
+  }
+
+  return records;
+};
+
+// Decode the XML entities MARCXML uses
+const unescapeXml = (value) => value
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Read the attributes of an XML start tag
+const parseAttributes = (text) => {
+  const attributes = {};
+  for (const [, name, value] of text.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+    attributes[name] = unescapeXml(value);
+  }
+  return attributes;
+};
+
+/**
+ * Read MARCXML records, from a <collection> or a single <record>, with or
+ * without a namespace prefix
+ * @param {string} text - MARCXML document
+ * @returns {Array<Object>} [{ leader, fields, raw, warnings }] or [{ raw, error }] per record
+ */
+const parseMarcXml = (text) => {
+  const element = (name) => `(?:[\\w-]+:)?${name}`;
+  const recordPattern = new RegExp(`<${element('record')}\\b[^>]*>([\\s\\S]*?)</${element('record')}>`, 'g');
+  const leaderPattern = new RegExp(`<${element('leader')}>([^<]*)</${element('leader')}>`);
+  const fieldPattern = new RegExp(`<(${element('controlfield')}|${element('datafield')})\\b([^>]*)>([\\s\\S]*?)</\\1>`, 'g');
+  const subfieldPattern = new RegExp(`<${element('subfield')}\\b([^>]*)>([\\s\\S]*?)</${element('subfield')}>`, 'g');
+
+  return [...text.matchAll(recordPattern)].map(([raw, body]) => {
+    try {
+      const leaderMatch = body.match(leaderPattern);
+      const fields = [...body.matchAll(fieldPattern)].map(([, name, attributeText, content]) => {
+        const { tag, ind1, ind2 } = parseAttributes(attributeText);
+        if (!/^[0-9A-Za-z]{3}$/.test(tag || '')) {
+          throw new Error('Field without a valid tag');
+        }
+        if (name.endsWith('controlfield')) {
+          return { tag, value: unescapeXml(content) };
+        }
+        return {
+          tag,
+          ind1: ind1 || ' ',
+          ind2: ind2 || ' ',
+          subfields: [...content.matchAll(subfieldPattern)]
+            .map(([, subfieldAttributes, value]) => [parseAttributes(subfieldAttributes).code, unescapeXml(value)])
+            .filter(([code]) => code)
+        };
+      });
+
+      return { leader: leaderMatch ? unescapeXml(leaderMatch[1]) : null, fields, raw, warnings: [] };
+    } catch (error) {
+      return { raw, error: error.message };
+    }
+  });
+};
+
+/**
+ * Get the values of a subfield across the fields with a tag
+ * @param {Array<Object>} fields - Record fields
+ * @param {string} tag - Field tag, e.g. "650"
+ * @param {string} code - Subfield code, e.g. "a"
+ * @returns {string[]} Values in record order
+ */
+const getSubfieldValues = (fields, tag, code) => fields
+  .filter(field => field.tag === tag && field.subfields)
+  .flatMap(field => field.subfields.filter(([subfieldCode]) => subfieldCode === code).map(([, value]) => value));
+
+module.exports = {
+  MARCXML_NAMESPACE,
+  buildLeader,
+  toMarc21,
+  toMarcXml,
+  parseMarc21,
+  parseMarcXml,
+  getSubfieldValues
+};
@@ -0,0 +1,84 @@
+/**
+ * Builds MongoDB filters from user-supplied text. Input is always matched
+ * literally: regex metacharacters are escaped, so a search for "c++" or
+ * "(a+)+" cannot change the meaning or cost of the pattern.
+ */
+
+const { MATCH_MODES } = require('./constants');
+const { normalizeSearchText } = require('./searchText');
+
+// Longest input matched; longer values are cut, like other sanitized input
+const MAX_MATCH_LENGTH = 200;
+
+// Pattern for each match mode around the escaped input
+const MODE_PATTERNS = {
+  exact: (text) => `^${text}$`,
+  prefix: (text) => `^${text}`,
+  contains: (text) => text
+};
+
+/**
+ * Escape regex metacharacters so a value matches literally
+ * @param {string} value - Raw value
+ * @returns {string} Value safe to embed in a pattern
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the condition matching a field against user input
+ * @param {string} value - User input
+ * @param {Object} [options]
+ * @param {string} [options.mode='contains'] - One of MATCH_MODES: the whole field, its
+ *   start, or any part of it
+ * @param {boolean} [options.normalized=false] - The field holds normalizeSearchText output
+ *   (e.g. Book searchText): the input is normalized the same way and compared case-sensitively,
+ *   so exact matches are plain equality and prefix matches use the field's index
+ * @returns {RegExp|string|null} Condition, or null when the input is not a non-empty string
+ * @throws {Error} If the mode is unknown
+ */
+const buildMatchCondition = (value, { mode = 'contains', normalized = false } = {}) => {
+  if (!MATCH_MODES.includes(mode)) {
+    throw new Error(`Match mode must be one of: ${MATCH_MODES.join(', ')}`);
+  }
+  if (typeof value !== 'string') return null;
+
+  const trimmed = value.trim().substring(0, MAX_MATCH_LENGTH);
+  const text = normalized ? normalizeSearchText(trimmed) : trimmed;
+  if (!text) return null;
+
+  if (mode === 'exact' && normalized) return text;
+
+  return new RegExp(MODE_PATTERNS[mode](escapeRegex(text)), normalized ? '' : 'i');
+};
+
+/**
+ * Build a filter matching one field against user input
+ * @param {string} field - Field name
+ * @param {string} value - User input
+ * @param {Object} [options] - See buildMatchCondition
+ * @returns {Object|null} { [field]: condition }, or null when there is nothing to match
+ */
+const buildFieldMatch = (field, value, options) => {
+  const condition = buildMatchCondition(value, options);
+  return condition === null ? null : { [field]: condition };
+};
+
+/**
+ * Build a filter matching user input against any of several fields
+ * @param {Array<string>} fields - Field names
+ * @param {string} value - User input
+ * @param {Object} [options] - See buildMatchCondition
+ * @returns {Object|null} { $or: [...] }, or null when there is nothing to match
+ */
+const buildAnyFieldMatch = (fields, value, options) => {
+  const condition = buildMatchCondition(value, options);
+  return condition === null ? null : { $or: fields.map(field => ({ [field]: condition })) };
+};
+
+module.exports = {
+  MAX_MATCH_LENGTH,
+  escapeRegex,
+  buildMatchCondition,
+  buildFieldMatch,
+  buildAnyFieldMatch
+};
@@ -0,0 +1,284 @@
+/**
+ * Parser for the book search query language, e.g.
+ *
+ *   author:tolkien category:fantasy year>1950 -available
+ *   title:"lord of the rings" OR (author:pratchett rating>=4)
+ *
+ * - Terms next to each other must all match; OR between them needs either,
+ *   and binds looser than AND (`a OR b c` is `a OR (b AND c)`)
+ * - `-term` or `NOT term` excludes matches; parentheses group terms
+ * - `field:value` or `field:"quoted phrase"` match a field; a bare word or
+ *   phrase matches the title, author or category
+ * - Numeric fields take comparisons (`year>1950`, `rating<=3`), an exact
+ *   value (`year:1999`) or a range (`year:1950..1960`, either end optional)
+ *
+ * The result is a syntax tree compiled into match conditions by
+ * Book.compileSearchQuery. Errors carry the `position` (0-based character
+ * offset) where parsing failed.
+ */
+
+// Fields of the query language and the kind of value each takes
+const SEARCH_QUERY_FIELDS = {
+  title: 'text',
+  author: 'text',
+  category: 'text',
+  isbn: 'text',
+  language: 'text',
+  year: 'number',
+  rating: 'number',
+  available: 'boolean'
+};
+
+// Bare words that stand for a condition rather than text
+const SEARCH_QUERY_FLAGS = ['available'];
+
+// Comparison operators and the MongoDB operator each compiles to
+const COMPARISONS = { '>=': '$gte', '<=': '$lte', '>': '$gt', '<': '$lt', '=': '$eq' };
+
+const BOOLEAN_VALUES = { true: true, yes: true, false: false, no: false };
+
+const MAX_QUERY_LENGTH = 500;
+
+/**
+ * Build a syntax error pointing at a position in the query
+ * @param {string} message - What is wrong
+ * @param {number} position - Character offset
+ * @returns {Error} Error with `position` set
+ */
+const syntaxError = (message, position) => {
+  const error = new Error(`${message} at position ${position}`);
+  error.position = position;
+  return error;
+};
+
+/**
+ * Read a quoted phrase starting at the opening quote
+ * @returns {Object} { text, end } where end is the offset after the closing quote
+ */
+const readPhrase = (input, start) => {
+  const close = input.indexOf('"', start + 1);
+  if (close === -1) {
+    throw syntaxError('Unterminated quoted phrase', start);
+  }
+  return { text: input.slice(start + 1, close), end: close + 1 };
+};
+
+/**
+ * Split a query into tokens: parentheses, NOT/AND/OR, and terms
+ * @returns {Array<Object>} Tokens with their position
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i += 1;
+    } else if (char === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+      tokens.push({ type: 'NOT', position: i });
+      i += 1;
+    } else if (char === '"') {
+      const { text, end } = readPhrase(input, i);
+      tokens.push({ type: 'term', field: null, value: text, phrase: true, position: i });
+      i = end;
+    } else {
+      const start = i;
+      while (i < input.length && !/[\s()"]/.test(input[i])) i += 1;
+      const word = input.slice(start, i);
+
+      if (word === 'AND' || word === 'OR' || word === 'NOT') {
+        tokens.push({ type: word, position: start });
+        continue;
+      }
+
+      const fieldMatch = word.match(/^([A-Za-z]+)(>=|<=|>|<|=|:)(.*)$/);
+      if (!fieldMatch) {
+        tokens.push({ type: 'term', field: null, value: word, phrase: false, position: start });
+        continue;
+      }
+
+      const [, name, operator, rest] = fieldMatch;
+      const field = name.toLowerCase();
+      if (!SEARCH_QUERY_FIELDS[field]) {
+        throw syntaxError(`Unknown field "${name}" (fields: ${Object.keys(SEARCH_QUERY_FIELDS).join(', ')})`, start);
+      }
+
+      // A phrase may follow the operator directly: title:"the hobbit"
+      let value = rest;
+      let phrase = false;
+      if (!rest && input[i] === '"') {
+        const read = readPhrase(input, i);
+        value = read.text;
+        phrase = true;
+        i = read.end;
+      }
+      if (!value) {
+        throw syntaxError(`Missing value for ${field}`, start + name.length + operator.length);
+      }
+
+      tokens.push({
+        type: 'term',
+        field,
+        operator,
+        value,
+        phrase,
+        position: start,
+        valuePosition: start + name.length + operator.length
+      });
+    }
+  }
+
+  return tokens;
+};
+
+// Parse a number in a numeric field's value
+const toNumber = (text, field, position) => {
+  if (!/^\d+(\.\d+)?$/.test(text)) {
+    throw syntaxError(`Expected a number for ${field}`, position);
+  }
+  return parseFloat(text);
+};
+
+/**
+ * Turn a term token into a syntax tree node, checking its value fits its field
+ * @returns {Object} term, compare or flag node
+ */
+const toTermNode = (token) => {
+  const { field, operator, value, phrase, position, valuePosition } = token;
+
+  if (!field) {
+    if (!phrase && SEARCH_QUERY_FLAGS.includes(value.toLowerCase())) {
+      return { type: 'flag', name: value.toLowerCase(), position };
+    }
+    return { type: 'term', field: null, value, phrase, position };
+  }
+
+  const kind = SEARCH_QUERY_FIELDS[field];
+
+  if (kind === 'number') {
+    if (operator !== ':' && operator !== '=') {
+      return { type: 'compare', field, operator: COMPARISONS[operator], value: toNumber(value, field, valuePosition), position };
+    }
+    const range = value.split('..');
+    if (range.length !== 2) {
+      return { type: 'compare', field, operator: '$eq', value: toNumber(value, field, valuePosition), position };
+    }
+    const [from, to] = range;
+    if (!from && !to) {
+      throw syntaxError(`Range for ${field} needs a start or an end`, valuePosition);
+    }
+    return {
+      type: 'range',
+      field,
+      from: from ? toNumber(from, field, valuePosition) : null,
+      to: to ? toNumber(to, field, valuePosition + from.length + 2) : null,
+      position
+    };
+  }
+
+  if (operator !== ':' && operator !== '=') {
+    throw syntaxError(`${field} does not support "${operator}"; use ${field}:value`, valuePosition - operator.length);
+  }
+
+  if (kind === 'boolean') {
+    const flag = BOOLEAN_VALUES[value.toLowerCase()];
+    if (flag === undefined) {
+      throw syntaxError(`Expected true or false for ${field}`, valuePosition);
+    }
+    const node = { type: 'flag', name: field, position };
+    return flag ? node : { type: 'not', term: node, position };
+  }
+
+  return { type: 'term', field, value, phrase, position };
+};
+
+/**
+ * Parse a search query into a syntax tree
+ * @param {string} input - Query text
+ * @returns {Object} Root node: and/or ({ terms }), not ({ term }), term
+ *   ({ field, value }), compare ({ field, operator, value }), range
+ *   ({ field, from, to }) or flag ({ name })
+ * @throws {Error} With `position` set when the query does not parse
+ */
+const parseSearchQuery = (input) => {
+  const text = String(input ?? '');
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw syntaxError(`Query is longer than ${MAX_QUERY_LENGTH} characters`, MAX_QUERY_LENGTH);
+  }
+
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const describe = (token) => (token.type === 'term' ? `"${token.value}"` : `"${token.type}"`);
+
+  // Nodes of one kind with a single child collapse into the child
+  const combine = (type, terms) => (terms.length === 1 ? terms[0] : { type, terms });
+
+  let parseOr;
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) {
+      throw syntaxError('Expected a search term', text.length);
+    }
+    if (token.type === 'NOT') {
+      index += 1;
+      return { type: 'not', term: parseUnary(), position: token.position };
+    }
+    if (token.type === '(') {
+      index += 1;
+      const node = parseOr();
+      const close = peek();
+      if (!close || close.type !== ')') {
+        throw syntaxError('Unclosed "("', token.position);
+      }
+      index += 1;
+      return node;
+    }
+    if (token.type === 'term') {
+      index += 1;
+      return toTermNode(token);
+    }
+    throw syntaxError(`Unexpected ${describe(token)}`, token.position);
+  };
+
+  const parseAnd = () => {
+    const terms = [parseUnary()];
+    for (let token = peek(); token && token.type !== 'OR' && token.type !== ')'; token = peek()) {
+      if (token.type === 'AND') index += 1;
+      terms.push(parseUnary());
+    }
+    return combine('and', terms);
+  };
+
+  parseOr = () => {
+    const terms = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      index += 1;
+      terms.push(parseAnd());
+    }
+    return combine('or', terms);
+  };
+
+  if (tokens.length === 0) {
+    throw syntaxError('Query is empty', 0);
+  }
+
+  const root = parseOr();
+  if (index < tokens.length) {
+    throw syntaxError(`Unexpected ${describe(tokens[index])}`, tokens[index].position);
+  }
+  return root;
+};
+
+module.exports = {
+  SEARCH_QUERY_FIELDS,
+  MAX_QUERY_LENGTH,
+  parseSearchQuery
+};
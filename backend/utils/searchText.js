@@ -0,0 +1,103 @@
+/**
+ * Helpers for accent- and case-insensitive, typo-tolerant matching of
+ * catalog text (titles, author names, categories)
+ */
+
+/**
+ * Split text into lowercase words with accents and punctuation removed, so
+ * "Gabriel García Márquez" gives ["gabriel", "garcia", "marquez"]
+ * @param {string} value - Text in any form
+ * @returns {Array<string>} Words in their original order
+ */
+const toSearchWords = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean);
+
+/**
+ * Reduce text to its search words joined by single spaces
+ * @param {string} value - Text in any form
+ * @returns {string} Normalized text
+ */
+const normalizeSearchText = (value) => toSearchWords(value).join(' ');
+
+/**
+ * Trigrams of a word, padded so its start and end count too ("tolkien" gives
+ * "  t", " to", "tol" ... "ien", "en ")
+ * @param {string} word - Normalized word
+ * @returns {Array<string>} Distinct trigrams
+ */
+const toTrigrams = (word) => {
+  const padded = `  ${word} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return [...grams];
+};
+
+/**
+ * Edit distance between two words, counting an insertion, deletion,
+ * substitution or swap of neighbouring letters ("tolkein" / "tolkien") as one
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} Number of edits
+ */
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+// Typos tolerated in a word of the given length: none in very short words,
+// where one edit usually makes a different word
+const allowedEdits = (length) => (length < 4 ? 0 : length < 7 ? 1 : 2);
+
+/**
+ * How closely a search word matches a catalog word, from 0 (no match) to 1
+ * (the same word). A search word that starts the catalog word ("harr" for
+ * "harry") is a strong match, as the user may still be typing.
+ * @param {string} searchWord - Normalized search word
+ * @param {string} word - Normalized catalog word
+ * @returns {number} Similarity
+ */
+const wordSimilarity = (searchWord, word) => {
+  if (searchWord === word) return 1;
+  if (searchWord.length >= 2 && word.startsWith(searchWord)) return 0.9;
+
+  const distance = editDistance(searchWord, word);
+  if (distance > allowedEdits(searchWord.length)) return 0;
+  return 1 - distance / Math.max(searchWord.length, word.length);
+};
+
+/**
+ * Pattern matching normalized text that has a word starting with each of the
+ * given words, in any order
+ * @param {Array<string>} words - Normalized search words
+ * @returns {RegExp} Pattern for a normalized field
+ */
+const buildWordPrefixPattern = (words) => (
+  // Words hold only letters and digits, so they are safe inside a pattern
+  new RegExp(`^${words.map(word => `(?=.*(?:^| )${word})`).join('')}`)
+);
+
+module.exports = {
+  toSearchWords,
+  normalizeSearchText,
+  toTrigrams,
+  editDistance,
+  wordSimilarity,
+  buildWordPrefixPattern
+};
@@ -0,0 +1,190 @@
+/**
+ * Timezone Utilities
+ * Helpers for working with calendar days in an IANA timezone using only the
+ * built-in Intl API. Calendar days are represented as "YYYY-MM-DD" keys so
+ * that day arithmetic is independent of the server's own timezone.
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Formatters are comparatively expensive to build, so keep one per timezone
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check whether a string is a timezone known to the runtime
+ * @param {string} timeZone - IANA timezone, e.g. "Europe/London"
+ * @returns {boolean} True if valid
+ */
+const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock date and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+};
+
+/**
+ * Get the calendar day of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} Date key "YYYY-MM-DD"
+ */
+const toDateKey = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(new Date(date), timeZone);
+  return [year, String(month).padStart(2, '0'), String(day).padStart(2, '0')].join('-');
+};
+
+/**
+ * Check whether a string is a valid date key
+ * @param {string} value - Candidate "YYYY-MM-DD"
+ * @returns {boolean} True if valid
+ */
+const isValidDateKey = (value) => {
+  if (typeof value !== 'string' || !DATE_KEY_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Check whether a string is a valid "HH:mm" time
+ * @param {string} value - Candidate time
+ * @returns {boolean} True if valid
+ */
+const isValidTime = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+
+/**
+ * Add calendar days to a date key
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting date key
+ */
+const addDaysToKey = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  return new Date(date.getTime() + days * MS_PER_DAY).toISOString().slice(0, 10);
+};
+
+/**
+ * Get the day of the week of a date key
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @returns {number} 0 (Sunday) to 6 (Saturday)
+ */
+const getWeekday = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+/**
+ * Count the calendar days from one date key to another
+ * @param {string} fromKey - Start "YYYY-MM-DD"
+ * @param {string} toKey - End "YYYY-MM-DD"
+ * @returns {number} Days (negative if toKey is earlier)
+ */
+const diffDateKeys = (fromKey, toKey) => Math.round(
+  (new Date(`${toKey}T00:00:00Z`) - new Date(`${fromKey}T00:00:00Z`)) / MS_PER_DAY
+);
+
+/**
+ * Convert a wall-clock time on a calendar day in a timezone to an instant
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @param {string} time - "HH:mm"
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Instant
+ */
+const zonedTimeToDate = (dateKey, time, timeZone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  const offsetAt = (instant) => {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(instant / 1000) * 1000;
+  };
+
+  // A second pass corrects the guess when it lands across a DST change
+  const firstOffset = offsetAt(wallClock);
+  const secondOffset = offsetAt(wallClock - firstOffset);
+  return new Date(wallClock - secondOffset);
+};
+
+/**
+ * Get the report period a calendar day falls in, matching the MongoDB
+ * $dateToString formats %Y-%m-%d (day), %G-W%V (ISO week) and %Y-%m (month)
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @param {string} groupBy - day, week or month
+ * @returns {string} Period key, e.g. "2024-03-07", "2024-W10" or "2024-03"
+ */
+const toPeriodKey = (dateKey, groupBy) => {
+  if (groupBy === 'day') return dateKey;
+  if (groupBy === 'month') return dateKey.slice(0, 7);
+
+  // The Thursday of an ISO week decides which year the week belongs to
+  const thursday = new Date(`${addDaysToKey(dateKey, 4 - (getWeekday(dateKey) || 7))}T00:00:00Z`);
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.floor((thursday - yearStart) / MS_PER_DAY / 7) + 1;
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+/**
+ * List the report periods covering two instants, oldest first
+ * @param {Date} from - Start instant
+ * @param {Date} to - End instant
+ * @param {string} groupBy - day, week or month
+ * @param {string} timeZone - IANA timezone the periods are counted in
+ * @returns {string[]} Period keys
+ */
+const listPeriodKeys = (from, to, groupBy, timeZone) => {
+  const keys = [];
+  const lastDay = toDateKey(to, timeZone);
+  for (let day = toDateKey(from, timeZone); day <= lastDay; day = addDaysToKey(day, 1)) {
+    const key = toPeriodKey(day, groupBy);
+    if (keys[keys.length - 1] !== key) keys.push(key);
+  }
+  return keys;
+};
+
+module.exports = {
+  isValidTimezone,
+  getZonedParts,
+  toDateKey,
+  isValidDateKey,
+  isValidTime,
+  addDaysToKey,
+  getWeekday,
+  diffDateKeys,
+  zonedTimeToDate,
+  toPeriodKey,
+  listPeriodKeys
+};